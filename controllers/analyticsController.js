@@ -0,0 +1,454 @@
+// src/controllers/analyticsController.js
+
+import mongoose from 'mongoose';
+import Report from '../models/Report.js';
+import {
+    IMPACT_METRICS,
+    selectMetrics,
+    benchmarkStatus,
+    percentChange,
+    trendDirection,
+    metricForDisplay,
+    perKgValue,
+    perKgExpression
+} from '../services/impactMetrics.js';
+import { getBenchmarks, setBenchmark, isBenchmarkMetric } from '../services/benchmarkService.js';
+import { describe, slopePerDay, percentileRank } from '../services/impactStatistics.js';
+import calculateImpacts from '../services/lcaCalculator.js';
+import { validateFormData } from '../services/lcaInputSchema.js';
+import { unitSystemFromRequest } from '../services/units.js';
+import { organizationIdOf, tenantFilter } from '../services/organizationContext.js';
+import { accessibleReportsFilter, teamContextFor } from '../services/reportAccess.js';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const STAGE_COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff7300', '#a4de6c', '#d0ed57'];
+const DEFAULT_TIME_RANGE = '6m';
+
+/**
+ * Parses a time range such as '30d', '6m', '1y' or 'all' into a start date
+ * @param {string} timeRange - Time range from the query string
+ * @param {Date} now - End of the window
+ * @returns {Date|null|undefined} Start date, null for 'all', undefined if invalid
+ */
+function parseTimeRange(timeRange, now = new Date()) {
+    if (timeRange === 'all') return null;
+
+    const match = /^(\d+)\s*([dwmy])$/i.exec(timeRange);
+    if (!match) return undefined;
+
+    const amount = parseInt(match[1], 10);
+    const start = new Date(now);
+    switch (match[2].toLowerCase()) {
+        case 'd':
+            start.setDate(start.getDate() - amount);
+            break;
+        case 'w':
+            start.setDate(start.getDate() - amount * 7);
+            break;
+        case 'm':
+            start.setMonth(start.getMonth() - amount);
+            break;
+        case 'y':
+            start.setFullYear(start.getFullYear() - amount);
+            break;
+    }
+    return start;
+}
+
+/**
+ * Builds the report filter for the caller. 'team' scope covers every report
+ * the caller can see, including those shared with them or their team;
+ * otherwise only the caller's own reports are included.
+ * @param {object} req - Express request object
+ * @returns {Promise<object>} MongoDB filter on Report
+ */
+async function buildScopeFilter(req) {
+    if (req.query.scope === 'team') {
+        return accessibleReportsFilter(req.user, await teamContextFor(req));
+    }
+    return { ...tenantFilter(req), user: req.user._id };
+}
+
+/**
+ * $group accumulators averaging each selected metric per kg of metal, so
+ * reports with different functional units are comparable
+ * @param {object[]} metrics - Selected metrics
+ * @returns {object}
+ */
+function averageAccumulators(metrics) {
+    return Object.fromEntries(
+        metrics.map(metric => [metric.key, { $avg: perKgExpression(metric.field) }])
+    );
+}
+
+/**
+ * Rounds a number for display, keeping small indicator values meaningful
+ * @param {number} value
+ * @returns {number|null}
+ */
+function roundValue(value) {
+    return Number.isFinite(value) ? Number(value.toPrecision(4)) : null;
+}
+
+/**
+ * Calculates dashboard insights from the caller's stored reports
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function getInsights(req, res) {
+    try {
+        const timeRange = req.query.timeRange || DEFAULT_TIME_RANGE;
+        const metric = req.query.metric || 'all';
+
+        const now = new Date();
+        const start = parseTimeRange(timeRange, now);
+        if (start === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid timeRange. Use a value such as '30d', '6m', '1y' or 'all'."
+            });
+        }
+
+        const metrics = selectMetrics(metric);
+        if (!metrics) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown metric '${metric}'`
+            });
+        }
+
+        const scopeFilter = await buildScopeFilter(req);
+        const baseFilter = { ...scopeFilter, impacts: { $exists: true } };
+        const windowFilter = start ? { ...baseFilter, createdAt: { $gte: start, $lte: now } } : baseFilter;
+
+        // Same-length window immediately before the current one, for trends
+        const previousFilter = start
+            ? { ...baseFilter, createdAt: { $gte: new Date(start - (now - start)), $lt: start } }
+            : null;
+
+        const [current] = await Report.aggregate([
+            { $match: windowFilter },
+            { $group: { _id: null, reportCount: { $sum: 1 }, ...averageAccumulators(metrics) } }
+        ]);
+
+        const [previous] = previousFilter
+            ? await Report.aggregate([
+                { $match: previousFilter },
+                { $group: { _id: null, ...averageAccumulators(metrics) } }
+            ])
+            : [];
+
+        const monthly = await Report.aggregate([
+            { $match: windowFilter },
+            {
+                $group: {
+                    _id: { year: { $year: '$createdAt' }, month: { $month: '$createdAt' } },
+                    reportCount: { $sum: 1 },
+                    ...averageAccumulators(metrics)
+                }
+            },
+            { $sort: { '_id.year': 1, '_id.month': 1 } }
+        ]);
+
+        // Stage breakdown of the first selected metric, rescaled per kg of metal
+        const breakdownMetric = metrics[0];
+        const stages = await Report.aggregate([
+            { $match: windowFilter },
+            {
+                $project: {
+                    referenceFlowKg: { $ifNull: ['$impacts.referenceFlowKg', 1] },
+                    stages: { $objectToArray: { $ifNull: ['$impacts.byStage', {}] } }
+                }
+            },
+            { $unwind: '$stages' },
+            {
+                $group: {
+                    _id: '$stages.k',
+                    total: {
+                        $sum: {
+                            $divide: [{ $ifNull: [`$stages.v.${breakdownMetric.field}`, 0] }, '$referenceFlowKg']
+                        }
+                    }
+                }
+            },
+            { $sort: { total: -1 } }
+        ]);
+
+        const benchmarks = await getBenchmarks(undefined, organizationIdOf(req));
+        const unitSystem = unitSystemFromRequest(req);
+
+        // Statistics are computed in canonical units and converted for display
+        const display = (value, entry) => roundValue(metricForDisplay(value, entry, unitSystem).value);
+
+        const impactData = metrics.map(entry => {
+            const value = current ? current[entry.key] : null;
+            const change = percentChange(value, previous ? previous[entry.key] : null);
+            const benchmark = benchmarks[entry.field];
+
+            return {
+                metric: entry.key,
+                category: entry.category,
+                value: display(value, entry),
+                unit: metricForDisplay(0, entry, unitSystem).unit,
+                trend: trendDirection(change),
+                change,
+                status: benchmarkStatus(value, benchmark),
+                benchmark: display(benchmark, entry)
+            };
+        });
+
+        const monthlyTrends = monthly.map((row, index) => {
+            const trend = {
+                month: MONTH_NAMES[row._id.month - 1],
+                period: `${row._id.year}-${String(row._id.month).padStart(2, '0')}`,
+                reportCount: row.reportCount
+            };
+            metrics.forEach(entry => {
+                trend[entry.key] = display(row[entry.key], entry);
+                trend[`${entry.key}Change`] = index > 0
+                    ? percentChange(row[entry.key], monthly[index - 1][entry.key])
+                    : null;
+            });
+            return trend;
+        });
+
+        const stageTotal = stages.reduce((sum, stage) => sum + stage.total, 0);
+        const processBreakdown = stages.map((stage, index) => ({
+            name: stage._id,
+            value: stageTotal > 0 ? Math.round((stage.total / stageTotal) * 1000) / 10 : 0,
+            color: STAGE_COLORS[index % STAGE_COLORS.length]
+        }));
+
+        res.json({
+            success: true,
+            timeRange,
+            metric,
+            unitSystem,
+            comparisonBasis: 'per mass of metal',
+            scope: req.query.scope === 'team' ? 'team' : 'user',
+            period: { from: start, to: now },
+            reportCount: current ? current.reportCount : 0,
+            impactData,
+            monthlyTrends,
+            processBreakdown,
+            processBreakdownMetric: breakdownMetric.key
+        });
+    } catch (error) {
+        console.error('Error calculating insights:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to calculate insights',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Calculates statistics for each impact metric over a selection of reports
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function getStatistics(req, res) {
+    try {
+        const { reportIds } = req.body || {};
+
+        if (!Array.isArray(reportIds) || reportIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'reportIds must be a non-empty array of report IDs'
+            });
+        }
+
+        const ids = [...new Set(reportIds.map(String))];
+        const invalidIds = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+        if (invalidIds.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Some report IDs are not valid',
+                invalidIds
+            });
+        }
+
+        // Only reports the caller can view are looked up, so reports they
+        // cannot see answer the same as reports that do not exist
+        const teamContext = await teamContextFor(req);
+        const reports = await Report.find({ $and: [accessibleReportsFilter(req.user, teamContext), { _id: { $in: ids } }] })
+            .select('_id name metalType organization user sharing formData impacts createdAt');
+
+        const foundIds = new Set(reports.map(report => report._id.toString()));
+        const missingIds = ids.filter(id => !foundIds.has(id));
+        if (missingIds.length > 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Some reports were not found',
+                missingIds
+            });
+        }
+
+        // Reports saved before impacts were calculated server-side get them
+        // now; their form data is canonical once migrated (npm run migrate:units)
+        const uncalculated = [];
+        const rows = reports.map(report => {
+            if (report.impacts && report.impacts.methodVersion) {
+                return { createdAt: report.createdAt, impacts: report.impacts };
+            }
+            try {
+                const formData = validateFormData(report.formData, { inputUnits: 'canonical' }).data;
+                return { createdAt: report.createdAt, impacts: calculateImpacts(formData) };
+            } catch (error) {
+                uncalculated.push({ id: report._id.toString(), message: error.message });
+                return null;
+            }
+        });
+        if (uncalculated.length > 0) {
+            return res.status(422).json({
+                success: false,
+                message: 'Impacts cannot be calculated for some reports',
+                uncalculated
+            });
+        }
+
+        const benchmarks = await getBenchmarks(undefined, organizationIdOf(req));
+        const unitSystem = unitSystemFromRequest(req);
+        const display = (value, metric) => roundValue(metricForDisplay(value, metric, unitSystem).value);
+        const metrics = {};
+        const averages = {};
+        const trends = {};
+        const benchmarkComparison = {};
+
+        IMPACT_METRICS.forEach(metric => {
+            // Compare per kg of metal whatever each report's functional unit
+            const values = rows.map(row => perKgValue(row.impacts, metric.field));
+            const summary = describe(values);
+            const slope = slopePerDay(rows.map((row, i) => ({ date: row.createdAt, value: values[i] })));
+            const benchmark = benchmarks[metric.field];
+
+            metrics[metric.key] = {
+                unit: metricForDisplay(0, metric, unitSystem).unit,
+                ...Object.fromEntries(
+                    Object.entries(summary).map(([key, value]) => [key, key === 'count' ? value : display(value, metric)])
+                ),
+                slopePerDay: slope === null ? null : display(slope, metric)
+            };
+
+            averages[metric.key] = display(summary.mean, metric);
+
+            // Trend as percent change of the mean per 30 days
+            trends[metric.key] = slope !== null && summary.mean
+                ? Math.round((slope * 30 / summary.mean) * 1000) / 10
+                : null;
+
+            benchmarkComparison[metric.key] = {
+                benchmark: display(benchmark, metric),
+                status: benchmarkStatus(summary.mean, benchmark),
+                // Share of the selected reports with a lower (better) value than the benchmark
+                percentileRank: roundValue(percentileRank(values, benchmark))
+            };
+        });
+
+        res.json({
+            success: true,
+            reportCount: reports.length,
+            unitSystem,
+            comparisonBasis: 'per mass of metal',
+            period: {
+                from: new Date(Math.min(...rows.map(row => row.createdAt))),
+                to: new Date(Math.max(...rows.map(row => row.createdAt)))
+            },
+            metrics,
+            averages,
+            trends,
+            benchmarks: Object.fromEntries(
+                IMPACT_METRICS.map(metric => [metric.key, display(benchmarks[metric.field], metric)])
+            ),
+            benchmarkComparison
+        });
+    } catch (error) {
+        console.error('Error calculating statistics:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to calculate statistics',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Lists the benchmarks currently applied to each impact metric
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function listBenchmarks(req, res) {
+    try {
+        const benchmarks = await getBenchmarks(req.query.metalType, organizationIdOf(req));
+
+        res.json({
+            success: true,
+            metalType: req.query.metalType || null,
+            benchmarks
+        });
+    } catch (error) {
+        console.error('Error fetching benchmarks:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve benchmarks',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Sets the benchmark for one impact metric, optionally for a single metal type.
+ * Admins only (benchmarks:manage): inside an organization it sets the
+ * organization's own benchmark, outside one the platform-wide benchmark.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function updateBenchmark(req, res) {
+    try {
+        const { metric } = req.params;
+        const { value, metalType, source } = req.body;
+
+        if (!isBenchmarkMetric(metric)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown benchmark metric '${metric}'`
+            });
+        }
+
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Benchmark value must be a non-negative number'
+            });
+        }
+
+        if (metalType != null && typeof metalType !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'metalType must be a string'
+            });
+        }
+
+        const benchmark = await setBenchmark({ metric, metalType, value, source, organization: organizationIdOf(req) }, req.user._id);
+
+        res.json({
+            success: true,
+            benchmark
+        });
+    } catch (error) {
+        console.error('Error updating benchmark:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update benchmark',
+            error: error.message
+        });
+    }
+}
+
+export default {
+    getInsights,
+    getStatistics,
+    listBenchmarks,
+    updateBenchmark
+};
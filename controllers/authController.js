@@ -1,20 +1,91 @@
 import User from '../models/User.js';
-import jwt from 'jsonwebtoken';
 import mongoose from 'mongoose';
+import {
+  SessionError,
+  issueTokens,
+  listSessions,
+  revokeAllSessions,
+  revokeSession,
+  rotateRefreshToken
+} from '../services/authTokens.js';
+import { InvitationError, acceptInvitation } from '../services/invitations.js';
+import {
+  AccountTokenError,
+  getAccountTokenConfig,
+  requestPasswordReset,
+  resetPassword as resetPasswordWithToken,
+  sendEmailVerification,
+  verifyEmail as verifyEmailToken
+} from '../services/accountTokens.js';
+import {
+  TwoFactorError,
+  beginSetup,
+  createLoginChallenge,
+  disableTwoFactor,
+  enableTwoFactor,
+  regenerateBackupCodes,
+  twoFactorStatus,
+  verifyLoginChallenge
+} from '../services/twoFactor.js';
+import { clearFailedLogins, lockoutMessage, lockoutRemaining, recordFailedLogin } from '../services/loginLockout.js';
+import { tooManyRequests } from '../middleware/rateLimit.js';
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
-  });
+// Answers with a TwoFactorError's status, or 500 for anything else
+const twoFactorFailure = (res, error) => {
+  if (error instanceof TwoFactorError && error.retryAfterMs) {
+    return tooManyRequests(res, error.retryAfterMs, error.message);
+  }
+  if (error instanceof TwoFactorError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(error);
+  res.status(500).json({ message: 'Server Error', error: error.message });
+};
+
+// Answers with an AccountTokenError's status, or 500 for anything else
+const accountTokenFailure = (res, error) => {
+  if (error instanceof AccountTokenError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(error);
+  res.status(500).json({ message: 'Server Error', error: error.message });
 };
 
+// Body of a successful login
+const loginResponse = async (user, req) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  role: user.role,
+  ...(await issueTokens(user, req))
+});
+
 // @desc    Register a new user
 // @route   POST /api/auth/signup
 // @access  Public
 export const signup = async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    // A role in the body is ignored: new accounts start as Viewer and are promoted by an admin
+    const { name, email, password, inviteToken } = req.body;
+
+    // Signing up from an invitation link creates the account and joins the organization
+    if (inviteToken) {
+      const { user, membership, invitation } = await acceptInvitation(inviteToken, { name, email, password });
+      return res.status(201).json({
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        organization: {
+          id: invitation.organization._id,
+          name: invitation.organization.name,
+          role: membership.role
+        },
+        ...(await issueTokens(user, req))
+      });
+    }
 
     // Check if user already exists
     const userExists = await User.findOne({ email });
@@ -27,27 +98,51 @@ export const signup = async (req, res) => {
       name,
       email,
       password,
-      role: role || 'Guest'  // Default to Guest if not specified
+      role: 'Viewer'
     });
 
     if (user) {
+      // The account exists either way; a failed send can be retried with /verify-email/resend
+      try {
+        await sendEmailVerification(user);
+      } catch (error) {
+        console.error('Error sending verification email:', error);
+      }
+
+      // Where unverified accounts may not log in, signup does not log in either
+      if (getAccountTokenConfig().requireEmailVerification) {
+        return res.status(201).json({
+          _id: user._id,
+          name: user.name,
+          email: user.email,
+          emailVerified: false,
+          role: user.role,
+          message: 'Account created. Follow the link sent to your email address to verify it, then log in'
+        });
+      }
+
       res.status(201).json({
         _id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: false,
         role: user.role,
-        token: generateToken(user._id)
+        ...(await issueTokens(user, req))
       });
     } else {
       res.status(400).json({ message: 'Invalid user data' });
     }
   } catch (error) {
+    if (error instanceof InvitationError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
 };
 
-// @desc    Login user
+// @desc    Login user. With two-factor authentication on, answers with a
+//          challenge token to send to /login/2fa along with a code instead.
 // @route   POST /api/auth/login
 // @access  Public
 export const login = async (req, res) => {
@@ -57,16 +152,39 @@ export const login = async (req, res) => {
     // Find user
     const user = await User.findOne({ email }).select('+password');
 
+    // A locked account is refused before the password is even checked
+    const locked = user ? lockoutRemaining(user) : 0;
+    if (locked > 0) {
+      return tooManyRequests(res, locked, lockoutMessage(locked));
+    }
+
     // Check if user exists and password matches
     if (user && (await user.matchPassword(password))) {
-      res.json({
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        token: generateToken(user._id)
-      });
+      if (getAccountTokenConfig().requireEmailVerification && !user.emailVerified) {
+        return res.status(403).json({
+          message: 'Verify your email address before logging in',
+          code: 'EMAIL_NOT_VERIFIED'
+        });
+      }
+
+      // With 2FA the failure count is only cleared once the code is right too
+      if (user.twoFactor.enabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user)
+        });
+      }
+
+      await clearFailedLogins(user);
+      user.lastLogin = Date.now();
+      await user.save();
+
+      res.json(await loginResponse(user, req));
     } else {
+      const lockedFor = user ? await recordFailedLogin(user) : 0;
+      if (lockedFor > 0) {
+        return tooManyRequests(res, lockedFor, lockoutMessage(lockedFor));
+      }
       res.status(401).json({ message: 'Invalid email or password' });
     }
   } catch (error) {
@@ -75,6 +193,80 @@ export const login = async (req, res) => {
   }
 };
 
+// @desc    Second login step: exchange the challenge token and a TOTP or backup code for tokens
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token)
+export const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code) {
+      return res.status(400).json({ message: 'challengeToken and code are required' });
+    }
+
+    const { user, method } = await verifyLoginChallenge(challengeToken, code);
+    user.lastLogin = Date.now();
+    await user.save();
+
+    res.json({
+      ...(await loginResponse(user, req)),
+      ...(method === 'backup' && { backupCodesRemaining: user.twoFactor.backupCodeHashes.length })
+    });
+  } catch (error) {
+    twoFactorFailure(res, error);
+  }
+};
+
+// @desc    Email a password reset link. Answers the same whether or not
+//          the address has an account.
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  try {
+    await requestPasswordReset(req.body.email);
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// @desc    Set a new password with the token from a reset link
+// @route   POST /api/auth/reset-password
+// @access  Public (reset token)
+export const resetPassword = async (req, res) => {
+  try {
+    await resetPasswordWithToken(req.body.token, req.body.password);
+    res.json({ message: 'Password has been reset. Log in with the new password' });
+  } catch (error) {
+    accountTokenFailure(res, error);
+  }
+};
+
+// @desc    Confirm an email address with the token from a verification link
+// @route   POST /api/auth/verify-email
+// @access  Public (verification token)
+export const verifyEmail = async (req, res) => {
+  try {
+    const user = await verifyEmailToken(req.body.token);
+    res.json({ message: 'Email address verified', email: user.email });
+  } catch (error) {
+    accountTokenFailure(res, error);
+  }
+};
+
+// @desc    Send the verification link again, to the pending new address if
+//          an email change is waiting, otherwise to the account's address
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+export const resendVerification = async (req, res) => {
+  try {
+    const { email, expiresAt } = await sendEmailVerification(req.user, req.user.pendingEmail);
+    res.json({ message: `Verification link sent to ${email}`, expiresAt });
+  } catch (error) {
+    accountTokenFailure(res, error);
+  }
+};
+
 // @desc    Get user profile
 // @route   GET /api/auth/profile
 // @access  Private
@@ -87,6 +279,8 @@ export const getUserProfile = async (req, res) => {
         _id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
+        pendingEmail: user.pendingEmail,
         role: user.role
       });
     } else {
@@ -97,3 +291,149 @@ export const getUserProfile = async (req, res) => {
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
 };
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+export const refresh = async (req, res) => {
+  try {
+    const tokens = await rotateRefreshToken(req.body.refreshToken, req);
+    res.json(tokens);
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// @desc    End the current session
+// @route   POST /api/auth/logout
+// @access  Private
+export const logout = async (req, res) => {
+  try {
+    await revokeSession(req.user._id, req.session._id, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.session._id.toString()
+      }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const deleteSession = async (req, res) => {
+  try {
+    const revoked = mongoose.Types.ObjectId.isValid(req.params.id)
+      && await revokeSession(req.user._id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// @desc    Revoke all of the current user's sessions ("log out everywhere").
+//          ?keepCurrent=true keeps the session making the request.
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const deleteAllSessions = async (req, res) => {
+  try {
+    const except = req.query.keepCurrent === 'true' ? req.session._id : undefined;
+    const revoked = await revokeAllSessions(req.user._id, { except });
+    res.json({ message: 'Sessions revoked', revoked });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// @desc    Two-factor status of the current user
+// @route   GET /api/auth/2fa
+// @access  Private
+export const getTwoFactor = async (req, res) => {
+  try {
+    res.json(await twoFactorStatus(req.user._id));
+  } catch (error) {
+    twoFactorFailure(res, error);
+  }
+};
+
+// @desc    Start two-factor enrollment. Returns the secret and the otpauth://
+//          URI to show as a QR code; confirm with POST /api/auth/2fa/enable.
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = async (req, res) => {
+  try {
+    res.json(await beginSetup(req.user._id));
+  } catch (error) {
+    twoFactorFailure(res, error);
+  }
+};
+
+// @desc    Confirm enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+export const enableTwoFactorHandler = async (req, res) => {
+  try {
+    const backupCodes = await enableTwoFactor(req.user._id, req.body.code);
+    res.json({
+      message: 'Two-factor authentication enabled. Store the backup codes somewhere safe; they are not shown again',
+      backupCodes
+    });
+  } catch (error) {
+    twoFactorFailure(res, error);
+  }
+};
+
+// @desc    Turn two-factor authentication off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactorHandler = async (req, res) => {
+  try {
+    await disableTwoFactor(req.user._id, { password: req.body.password, code: req.body.code });
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    twoFactorFailure(res, error);
+  }
+};
+
+// @desc    Replace the backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+export const regenerateBackupCodesHandler = async (req, res) => {
+  try {
+    const backupCodes = await regenerateBackupCodes(req.user._id, req.body.code);
+    res.json({ backupCodes });
+  } catch (error) {
+    twoFactorFailure(res, error);
+  }
+};
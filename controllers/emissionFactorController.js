@@ -0,0 +1,184 @@
+// src/controllers/emissionFactorController.js
+
+import mongoose from 'mongoose';
+import { organizationIdOf } from '../services/organizationContext.js';
+import {
+    CATEGORY_SPECS,
+    DATASET_VERSION,
+    EmissionFactorError,
+    createFactor as createStoredFactor,
+    getFactor as getStoredFactor,
+    listFactors as listEffectiveFactors,
+    retireFactor,
+    reviseFactor
+} from '../services/emissionFactors/index.js';
+
+/**
+ * Answers with an EmissionFactorError, or a 500 for anything else
+ * @param {object} res - Express response object
+ * @param {Error} error
+ * @param {string} action - e.g. 'update emission factor'
+ */
+function sendError(res, error, action) {
+    if (error instanceof EmissionFactorError) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
+            ...error.details
+        });
+    }
+    console.error(`Failed to ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Failed to ${action}`,
+        error: error.message
+    });
+}
+
+/**
+ * Lists the factors in effect for the caller's organization, filtered by
+ * ?category=, ?activity=, ?region= and ?year=. Each has a scope:
+ * 'organization', 'platform' or 'bundled' (not stored; from the dataset).
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function listFactors(req, res) {
+    try {
+        const { category, activity, region, year } = req.query;
+        if (category && !CATEGORY_SPECS[category]) {
+            return res.status(400).json({
+                success: false,
+                message: `category must be one of ${Object.keys(CATEGORY_SPECS).join(', ')}`
+            });
+        }
+        if (year && !/^\d{4}$/.test(year)) {
+            return res.status(400).json({
+                success: false,
+                message: "year must be a four-digit year"
+            });
+        }
+
+        const factors = await listEffectiveFactors({ category, activity, region, year }, organizationIdOf(req));
+
+        res.json({
+            success: true,
+            datasetVersion: DATASET_VERSION,
+            categories: CATEGORY_SPECS,
+            factors
+        });
+    } catch (error) {
+        sendError(res, error, 'retrieve emission factors');
+    }
+}
+
+/**
+ * Gets a stored factor and all of its revisions
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function getFactor(req, res) {
+    try {
+        const found = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await getStoredFactor(req.params.id, organizationIdOf(req))
+            : null;
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: "Emission factor not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            ...found
+        });
+    } catch (error) {
+        sendError(res, error, 'retrieve emission factor');
+    }
+}
+
+/**
+ * Adds a factor: { category, activity, region, year, name, values, source }.
+ * Inside an organization it is the organization's own and overrides the
+ * platform-wide factor with the same category, activity, region and year.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function createFactor(req, res) {
+    try {
+        const factor = await createStoredFactor(req.body || {}, {
+            organizationId: organizationIdOf(req),
+            userId: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            factor
+        });
+    } catch (error) {
+        sendError(res, error, 'create emission factor');
+    }
+}
+
+/**
+ * Revises a factor: { name, values, source }. The change is stored as a new
+ * revision; reports calculated before it keep the previous numbers.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function updateFactor(req, res) {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: "Emission factor not found"
+            });
+        }
+
+        const factor = await reviseFactor(req.params.id, req.body || {}, {
+            organizationId: organizationIdOf(req),
+            userId: req.user._id
+        });
+
+        res.json({
+            success: true,
+            factor
+        });
+    } catch (error) {
+        sendError(res, error, 'update emission factor');
+    }
+}
+
+/**
+ * Retires a factor. Its revisions stay so existing reports can still cite them.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function deleteFactor(req, res) {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: "Emission factor not found"
+            });
+        }
+
+        const factor = await retireFactor(req.params.id, organizationIdOf(req));
+
+        res.json({
+            success: true,
+            message: "Emission factor retired",
+            factor
+        });
+    } catch (error) {
+        sendError(res, error, 'retire emission factor');
+    }
+}
+
+export default {
+    listFactors,
+    getFactor,
+    createFactor,
+    updateFactor,
+    deleteFactor
+};
@@ -0,0 +1,122 @@
+// src/controllers/exportController.js
+
+import mongoose from 'mongoose';
+import Report from '../models/Report.js';
+import { accessibleReportsFilter, teamContextFor } from '../services/reportAccess.js';
+import { unitSystemFromRequest } from '../services/units.js';
+import {
+    BULK_EXPORT_LIMIT,
+    EXPORT_FORMATS,
+    exportReport as renderReport,
+    exportReportsWorkbook
+} from '../services/reportExport/index.js';
+
+/**
+ * Sends a rendered export as a download
+ * @param {object} res - Express response object
+ * @param {{body: Buffer|string, contentType: string, fileName: string}} file
+ */
+function sendFile(res, file) {
+    res.set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${file.fileName}"`
+    });
+    res.send(file.body);
+}
+
+/**
+ * Downloads one report as PDF, CSV or XLSX (?format=, default pdf). Values
+ * are shown in the unit system from ?units= or the user's preference.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function exportReport(req, res) {
+    try {
+        const format = (req.query.format || 'pdf').toLowerCase();
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({
+                success: false,
+                message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+            });
+        }
+
+        // Loaded and access-checked by the authorizeReport middleware
+        const file = await renderReport(req.report, format, { unitSystem: unitSystemFromRequest(req) });
+        sendFile(res, file);
+    } catch (error) {
+        console.error('Error exporting report:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export report',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Downloads many reports as one XLSX workbook. The body may list
+ * reportIds; without them every report the caller can see is exported,
+ * optionally limited by metalType and status. Requested reports the caller
+ * cannot see are left out and counted in the X-Skipped-Reports header.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function exportReports(req, res) {
+    try {
+        const { reportIds, metalType, status } = req.body || {};
+
+        if (reportIds !== undefined && (!Array.isArray(reportIds) || reportIds.length === 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'reportIds must be a non-empty array'
+            });
+        }
+        if (reportIds && reportIds.length > BULK_EXPORT_LIMIT) {
+            return res.status(400).json({
+                success: false,
+                message: `At most ${BULK_EXPORT_LIMIT} reports can be exported at once`
+            });
+        }
+
+        const teamContext = await teamContextFor(req);
+        const conditions = [accessibleReportsFilter(req.user, teamContext)];
+        if (reportIds) {
+            conditions.push({ _id: { $in: reportIds.filter(id => mongoose.Types.ObjectId.isValid(id)) } });
+        }
+        if (metalType) conditions.push({ metalType });
+        if (status) conditions.push({ status });
+
+        const reports = await Report.find({ $and: conditions })
+            .sort({ createdAt: -1 })
+            .limit(BULK_EXPORT_LIMIT)
+            .lean();
+
+        if (reports.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No reports to export'
+            });
+        }
+
+        if (reportIds) {
+            const found = new Set(reports.map(report => report._id.toString()));
+            const skipped = reportIds.filter(id => !found.has(String(id))).length;
+            if (skipped > 0) res.set('X-Skipped-Reports', String(skipped));
+        }
+
+        const file = await exportReportsWorkbook(reports, { unitSystem: unitSystemFromRequest(req) });
+        sendFile(res, file);
+    } catch (error) {
+        console.error('Error exporting reports:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export reports',
+            error: error.message
+        });
+    }
+}
+
+export default {
+    exportReport,
+    exportReports
+};
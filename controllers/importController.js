@@ -0,0 +1,266 @@
+// src/controllers/importController.js
+
+import mongoose from 'mongoose';
+import ImportMapping from '../models/ImportMapping.js';
+import { organizationIdOf } from '../services/organizationContext.js';
+import {
+    IMPORT_FORMATS,
+    ImportError,
+    importFormatFor,
+    importInventory,
+    validateMapping
+} from '../services/inventoryImport/index.js';
+
+/**
+ * Mappings the caller can use and change: those of the active organization,
+ * or their own outside an organization
+ * @param {object} req - Express request object
+ * @returns {object} MongoDB filter on ImportMapping
+ */
+function mappingsFilter(req) {
+    return req.organization
+        ? { organization: req.organization._id }
+        : { organization: null, user: req.user._id };
+}
+
+/**
+ * Loads a mapping by ID if the caller can use it
+ * @param {object} req - Express request object
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function findMapping(req, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return ImportMapping.findOne({ $and: [{ _id: id }, mappingsFilter(req)] });
+}
+
+/**
+ * Lists the saved column mappings
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function listMappings(req, res) {
+    try {
+        const mappings = await ImportMapping.find(mappingsFilter(req))
+            .sort({ name: 1 })
+            .select('-__v');
+
+        res.json({
+            success: true,
+            mappings
+        });
+    } catch (error) {
+        console.error("Error fetching import mappings:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to retrieve import mappings",
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Saves a column mapping: { name, description, columns, defaults }. Each
+ * column is { column, field, unit?, leg?, perThroughput? }.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function createMapping(req, res) {
+    try {
+        const { name, description, columns, defaults } = req.body || {};
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                message: "Mapping name is required"
+            });
+        }
+
+        const errors = validateMapping({ columns, defaults });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid import mapping",
+                errors
+            });
+        }
+
+        const mapping = await ImportMapping.create({
+            name,
+            description,
+            columns,
+            defaults: defaults || {},
+            user: req.user._id,
+            organization: organizationIdOf(req)
+        });
+
+        res.status(201).json({
+            success: true,
+            mapping
+        });
+    } catch (error) {
+        console.error("Error creating import mapping:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to create import mapping",
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Updates a saved column mapping
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function updateMapping(req, res) {
+    try {
+        const mapping = await findMapping(req, req.params.id);
+        if (!mapping) {
+            return res.status(404).json({
+                success: false,
+                message: "Import mapping not found"
+            });
+        }
+
+        const { name, description, columns, defaults } = req.body || {};
+        const errors = validateMapping({
+            columns: columns !== undefined ? columns : mapping.columns.map(column => column.toObject()),
+            defaults: defaults !== undefined ? defaults : mapping.defaults
+        });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid import mapping",
+                errors
+            });
+        }
+
+        if (name) mapping.name = name;
+        if (description !== undefined) mapping.description = description;
+        if (columns !== undefined) mapping.columns = columns;
+        if (defaults !== undefined) mapping.defaults = defaults || {};
+        mapping.updatedAt = Date.now();
+
+        await mapping.save();
+
+        res.json({
+            success: true,
+            mapping
+        });
+    } catch (error) {
+        console.error("Error updating import mapping:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to update import mapping",
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Deletes a saved column mapping
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function deleteMapping(req, res) {
+    try {
+        const mapping = await findMapping(req, req.params.id);
+        if (!mapping) {
+            return res.status(404).json({
+                success: false,
+                message: "Import mapping not found"
+            });
+        }
+
+        await mapping.deleteOne();
+
+        res.json({
+            success: true,
+            message: "Import mapping deleted successfully"
+        });
+    } catch (error) {
+        console.error("Error deleting import mapping:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to delete import mapping",
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Imports a CSV or XLSX file (sent as the request body) as draft reports,
+ * one per row, using a saved mapping (?mapping=<id>). ?dryRun=true validates
+ * without creating anything; ?sheet= picks an XLSX worksheet. The response
+ * lists every row with its status and errors.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function importReports(req, res) {
+    try {
+        const format = importFormatFor(req.get('Content-Type'), req.query.format);
+        if (!format) {
+            return res.status(415).json({
+                success: false,
+                message: `Send the file as ${Object.keys(IMPORT_FORMATS).join(' or ')} (Content-Type or ?format=)`
+            });
+        }
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "The request body must contain the file"
+            });
+        }
+
+        const mapping = req.query.mapping ? await findMapping(req, req.query.mapping) : null;
+        if (!mapping) {
+            return res.status(req.query.mapping ? 404 : 400).json({
+                success: false,
+                message: req.query.mapping ? "Import mapping not found" : "Query parameter 'mapping' is required"
+            });
+        }
+
+        const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+        const result = await importInventory({
+            body: req.body,
+            format,
+            mapping: mapping.toObject(),
+            sheet: req.query.sheet,
+            dryRun,
+            userId: req.user._id,
+            organizationId: organizationIdOf(req)
+        });
+
+        const { summary } = result;
+        res.status(!dryRun && summary.created > 0 ? 201 : 200).json({
+            success: true,
+            message: dryRun
+                ? `Dry run: ${summary.valid} of ${summary.rows} rows are valid`
+                : `Created ${summary.created} draft reports from ${summary.rows} rows`,
+            ...result
+        });
+    } catch (error) {
+        if (error instanceof ImportError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+        console.error("Error importing reports:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to import reports",
+            error: error.message
+        });
+    }
+}
+
+export default {
+    listMappings,
+    createMapping,
+    updateMapping,
+    deleteMapping,
+    importReports
+};
@@ -0,0 +1,120 @@
+// src/controllers/interopController.js
+
+import Template from '../models/Template.js';
+import { organizationIdOf } from '../services/organizationContext.js';
+import {
+    INTEROP_FORMATS,
+    InteropError,
+    exportProcessDataset,
+    importProcessDataset
+} from '../services/interop/index.js';
+
+/**
+ * Downloads a report's process data and stage flows as an ILCD process data
+ * set or EcoSpold2 dataset (?format=ilcd|ecospold2, default ilcd). The number
+ * of mapping warnings is sent in the X-Interop-Warnings header; ?check=true
+ * returns the warnings as JSON instead of the file.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function exportDataset(req, res) {
+    try {
+        const format = (req.query.format || 'ilcd').toLowerCase();
+        if (!INTEROP_FORMATS[format]) {
+            return res.status(400).json({
+                success: false,
+                message: `format must be one of: ${Object.keys(INTEROP_FORMATS).join(', ')}`
+            });
+        }
+
+        // Loaded and access-checked by the authorizeReport middleware
+        const file = exportProcessDataset(req.report, format);
+
+        if (req.query.check === 'true') {
+            return res.json({
+                success: true,
+                format,
+                fileName: file.fileName,
+                warnings: file.warnings
+            });
+        }
+
+        res.set({
+            'Content-Type': `${file.contentType}; charset=utf-8`,
+            'Content-Disposition': `attachment; filename="${file.fileName}"`,
+            'X-Interop-Warnings': String(file.warnings.length)
+        });
+        res.send(file.body);
+    } catch (error) {
+        console.error("Error exporting process dataset:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to export process dataset",
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Creates a template from an ILCD process data set or EcoSpold2 dataset sent
+ * as the request body. Exchanges are mapped to LCA inputs per kg of the
+ * reference product; the response lists anything that could not be mapped.
+ * ?name= overrides the template name; ?dryRun=true returns the template
+ * without saving it.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function importTemplate(req, res) {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "The request body must contain the dataset XML"
+            });
+        }
+
+        const { format, template: fields, warnings } = importProcessDataset(req.body.toString('utf8'));
+        if (req.query.name) fields.name = String(req.query.name);
+
+        if (req.query.dryRun === 'true') {
+            return res.json({
+                success: true,
+                format,
+                template: fields,
+                warnings
+            });
+        }
+
+        const template = await Template.create({
+            ...fields,
+            user: req.user._id,
+            organization: organizationIdOf(req),
+            createdAt: Date.now()
+        });
+
+        res.status(201).json({
+            success: true,
+            format,
+            template,
+            warnings
+        });
+    } catch (error) {
+        if (error instanceof InteropError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error("Error importing process dataset:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to import process dataset",
+            error: error.message
+        });
+    }
+}
+
+export default {
+    exportDataset,
+    importTemplate
+};
@@ -1,17 +1,60 @@
 // src/controllers/lcaController.js
 
-import getGeminiResponse from '../services/geminiService.js';
+import mongoose from 'mongoose';
+import { listProviders } from '../services/ai/index.js';
+import { aiOptionsFromRequest, checkAIOptions } from '../services/ai/config.js';
+import generateStructured from '../services/ai/structuredOutput.js';
+import schemas from '../services/ai/schemas.js';
 import Report from '../models/Report.js';
 import Template from '../models/Template.js';
+import calculateImpacts from '../services/lcaCalculator.js';
+import { factorSetForReport, resolveFactorSet } from '../services/emissionFactors/index.js';
+import { describeInputSchema, formDataForDisplay, numericFieldUnits } from '../services/lcaInputSchema.js';
+import { impactsForDisplay } from '../services/impactMetrics.js';
+import { unitSystemFromRequest } from '../services/units.js';
+import { ensureBaseline, recordRevision } from '../services/reportHistory.js';
+import { can, requestRole } from '../services/permissions.js';
+import { organizationIdOf, tenantFilter } from '../services/organizationContext.js';
+import { notifySafely } from '../services/notifications/index.js';
+import { appLink } from '../services/notifications/config.js';
+import {
+    accessibleReportsFilter,
+    teamContextFor,
+    createClaimToken,
+    matchesClaimToken,
+    SHARE_LEVELS
+} from '../services/reportAccess.js';
 
 /**
- * Helper function to clean Gemini response by removing markdown code block syntax
- * @param {string} response - Raw response from Gemini
- * @returns {string} Cleaned response
+ * Reads per-request AI options from the body and checks the provider exists
+ * and the provider and model are allowed
+ * @param {object} req - Express request object
+ * @returns {{options: object, error: string|null}}
  */
-function cleanGeminiResponse(response) {
-    // Remove markdown code block syntax if present
-    return response.replace(/```(json|javascript)?\n?/g, '').trim();
+function getRequestedAIOptions(req) {
+    const options = aiOptionsFromRequest(req);
+    if (options.provider && !listProviders().includes(options.provider)) {
+        return {
+            options,
+            error: `Unknown AI provider '${options.provider}'. Available: ${listProviders().join(', ')}`
+        };
+    }
+    return { options, error: checkAIOptions(options) };
+}
+
+/**
+ * Picks the headline indicators out of a calculateImpacts result
+ * @param {object} impacts - Result of calculateImpacts
+ * @returns {object} Indicator name to value
+ */
+function impactTotals(impacts) {
+    return {
+        globalWarmingPotential: impacts.globalWarmingPotential,
+        waterScarcityFootprint: impacts.waterScarcityFootprint,
+        cumulativeEnergyDemand: impacts.cumulativeEnergyDemand,
+        acidificationPotential: impacts.acidificationPotential,
+        eutrophicationPotential: impacts.eutrophicationPotential
+    };
 }
 
 /**
@@ -36,6 +79,20 @@ function generateFallbackResponse(type, data = {}) {
         };
     }
     
+    if (type === 'suggestions') {
+        // Hardcoded suggestions (canonical units) for the most common parameters
+        const suggestions = {
+            "energyConsumptionMining": 18,
+            "waterConsumptionMining": 2,
+            "oreGrade": 0.5,
+            "recycledInputRate": 10,
+            "recoveryRate": 85
+        };
+        return Object.fromEntries(
+            Object.entries(suggestions).filter(([field]) => data[field] === undefined)
+        );
+    }
+    
     return { 
         message: "Fallback response generated due to processing error",
         timestamp: new Date().toISOString()
@@ -53,51 +110,50 @@ async function suggestParameters(req, res) {
         if (!partialData || typeof partialData !== 'object') {
             return res.status(400).json({ success: false, message: "Invalid formData provided." });
         }
+
+        const { options: aiOptions, error: aiOptionsError } = getRequestedAIOptions(req);
+        if (aiOptionsError) {
+            return res.status(400).json({ success: false, message: aiOptionsError });
+        }
         
         console.log("Controller: Received partial data for suggestions:", partialData);
 
+        const fieldUnits = numericFieldUnits();
+
         const prompt = `
             You are an expert Life Cycle Assessment (LCA) analyst for the mining and metallurgy industry.
             A user is providing partial data for a metallurgical process. Your task is to suggest realistic values for common MISSING parameters.
             The partial data provided is:
             ${JSON.stringify(partialData, null, 2)}
 
-            Possible missing parameters to suggest for include: 'energy_consumption_kwh', 'water_usage_liters', 'transport_distance_km', 'waste_generated_kg', 'recycled_content_percentage', 'ore_grade_percentage', 'processing_yield_percentage'.
+            Values in the partial data are in these units:
+            ${JSON.stringify(fieldUnits, null, 2)}
+
+            Possible missing parameters to suggest for are the keys of the unit list above, excluding the impact indicators (globalWarmingPotential, waterScarcityFootprint, cumulativeEnergyDemand, acidificationPotential, eutrophicationPotential). Suggested values must be plain numbers in exactly the units listed; for transportDistances give the total distance in km.
 
             Return your suggestions ONLY as a valid JSON object. The keys must be the parameter names and the values must be the suggested inputs. Do not add any text, explanation, or markdown formatting outside the JSON object.
             If all relevant parameters are already present, return an empty JSON object: {}.
 
-            Example Response: {"water_usage_liters": 50000, "transport_distance_km": 150}
+            Example Response: {"waterConsumptionProcessing": 50, "transportDistances": 150}
         `;
 
-        const geminiResponseText = await getGeminiResponse(prompt);
-        console.log("Controller: Gemini raw suggestion response:", geminiResponseText);
+        const { data: suggestions, provenance } = await generateStructured({
+            prompt,
+            schema: schemas.parameterSuggestions,
+            fallback: () => generateFallbackResponse('suggestions', partialData),
+            aiOptions
+        });
 
-        let suggestions;
-        try {
-            // Clean the response before parsing
-            const cleanedResponse = cleanGeminiResponse(geminiResponseText);
-            suggestions = JSON.parse(cleanedResponse);
-            if (typeof suggestions !== 'object' || Array.isArray(suggestions)) {
-                throw new Error("Gemini did not return a valid JSON object for suggestions.");
-            }
-        } catch (parseError) {
-            console.error("Controller: Failed to parse Gemini's suggestions JSON:", parseError.message);
-            console.error("Controller: Gemini's unparseable response was:", geminiResponseText);
-            
-            // Use hardcoded fallback suggestions for the most common parameters
-            suggestions = {
-                "energyConsumptionMining": 5000,
-                "waterConsumptionMining": 2000,
-                "oreGrade": 0.5,
-                "recycledInputRate": 10,
-                "recoveryRate": 85
-            };
-            
-            console.log("Controller: Using fallback suggestions:", suggestions);
+        if (provenance.source !== 'model') {
+            console.log(`Controller: Suggestions resolved from ${provenance.source} output:`, suggestions);
         }
         
-        res.json({ success: true, suggestions });
+        res.json({
+            success: true,
+            suggestions,
+            units: Object.fromEntries(Object.keys(suggestions).map(field => [field, fieldUnits[field] || null])),
+            provenance
+        });
 
     } catch (error) {
         console.error("Controller: Error in suggestParameters:", error.message);
@@ -115,19 +171,43 @@ async function suggestParameters(req, res) {
  * @param {object} res - Express response object.
  */
 async function generateRecommendations(req, res) {
+    // Kept for the fallback below, so it reports the same numbers as a successful call
+    let factorSet = null;
+    let impacts = null;
     try {
         const fullData = req.body.formData;
         if (!fullData || typeof fullData !== 'object') {
             return res.status(400).json({ success: false, message: "Complete formData is required for recommendations." });
         }
 
+        // Logged-in users get the report saved to their account, so they need to be able to create one
+        if (req.user && !can(requestRole(req), 'reports:create')) {
+            return res.status(403).json({
+                success: false,
+                message: `Not authorized: the ${requestRole(req)} role cannot reports:create`
+            });
+        }
+
+        const { options: aiOptions, error: aiOptionsError } = getRequestedAIOptions(req);
+        if (aiOptionsError) {
+            return res.status(400).json({ success: false, message: aiOptionsError });
+        }
+
         console.log("Controller: Received full data for recommendations:", fullData);
 
+        // Impact numbers are calculated here, never taken from the client or the model
+        factorSet = await resolveFactorSet(fullData, { organizationId: organizationIdOf(req) });
+        impacts = calculateImpacts(fullData, req.body.functionalUnit, factorSet);
+
         const prompt = `
             You are an expert Life Cycle Assessment (LCA) analyst specializing in the mining and metallurgy industry.
             Analyze the following complete dataset for a specific metallurgical process:
             ${JSON.stringify(fullData, null, 2)}
 
+            The calculated impact indicators (${impacts.basis}) are:
+            ${JSON.stringify({ totals: impactTotals(impacts), units: impacts.units, byStage: impacts.byStage }, null, 2)}
+            Base your analysis on these calculated values. Do not invent or re-estimate impact figures.
+
             Provide a concise summary of the process's current environmental impact and a list of specific, actionable recommendations to significantly improve its sustainability and reduce its environmental footprint. Focus on practical improvements related to energy efficiency, material sourcing (especially recycled content), waste reduction, and logistics.
 
             Return your response as a single, valid JSON object with the following keys:
@@ -146,47 +226,54 @@ async function generateRecommendations(req, res) {
             }
         `;
 
-        const geminiResponseText = await getGeminiResponse(prompt);
-        console.log("Controller: Gemini raw recommendation response:", geminiResponseText);
-        
-        let finalReport;
-        try {
-            // Clean the response before parsing
-            const cleanedResponse = cleanGeminiResponse(geminiResponseText);
-            finalReport = JSON.parse(cleanedResponse);
-            if (typeof finalReport !== 'object' || !finalReport.lca_summary || !Array.isArray(finalReport.recommendations)) {
-                throw new Error("Gemini did not return a valid JSON object with 'lca_summary' and 'recommendations' for the final report.");
-            }
-        } catch (parseError) {
-            console.error("Controller: Failed to parse Gemini's recommendations JSON:", parseError.message);
-            console.error("Controller: Gemini's unparseable response was:", geminiResponseText);
-            
-            // Use a fallback response when parsing fails
-            finalReport = generateFallbackResponse('recommendations', fullData);
-            console.log("Controller: Using fallback recommendations");
+        const { data: finalReport, provenance } = await generateStructured({
+            prompt,
+            schema: schemas.recommendations,
+            fallback: () => generateFallbackResponse('recommendations', fullData),
+            aiOptions
+        });
+
+        if (provenance.source !== 'model') {
+            console.log(`Controller: Recommendations resolved from ${provenance.source} output`);
         }
 
         // Save the report to MongoDB
         try {
             const reportName = `LCA for ${fullData.metalType || 'Metal'}`;
             
+            // Anonymous reports get a token the creator can use to claim them after login
+            const claim = req.user ? null : createClaimToken();
+            
             const savedReport = await Report.create({
                 name: reportName,
                 metalType: fullData.metalType || 'Unknown',
                 formData: fullData,
-                insights: finalReport,
+                functionalUnit: impacts.functionalUnit,
+                insights: { ...finalReport, provenance },
+                impacts,
                 user: req.user ? req.user._id : null,  // Associate with user if authenticated
+                organization: organizationIdOf(req),
+                claimTokenHash: claim ? claim.hash : undefined,
                 status: 'completed'
             });
             
+            await recordRevision(savedReport, {
+                changeType: 'create',
+                userId: req.user ? req.user._id : undefined
+            });
+            
             console.log(`Report saved to database with ID: ${savedReport._id}`);
             
             // Return the report with the MongoDB ID included
             res.json({ 
                 success: true, 
                 report: finalReport,
+                provenance,
+                impacts,
+                display: impactsForDisplay(impacts, unitSystemFromRequest(req)),
                 reportId: savedReport._id,
-                reportName: reportName
+                reportName: reportName,
+                ...(claim ? { claimToken: claim.token } : {})
             });
         } catch (dbError) {
             console.error("Failed to save report to database:", dbError);
@@ -195,6 +282,8 @@ async function generateRecommendations(req, res) {
             res.json({ 
                 success: true, 
                 report: finalReport,
+                provenance,
+                impacts,
                 warning: "Report generated but not saved to database" 
             });
         }
@@ -203,27 +292,51 @@ async function generateRecommendations(req, res) {
         
         // Even in case of complete failure, return something useful to the client
         const fallbackReport = generateFallbackResponse('recommendations', req.body.formData || {});
+
+        // The calculation may be what failed; then there are no impacts to return
+        if (!impacts) {
+            try {
+                const formData = req.body.formData || {};
+                factorSet = factorSet || await resolveFactorSet(formData, { organizationId: organizationIdOf(req) });
+                impacts = calculateImpacts(formData, req.body.functionalUnit, factorSet);
+            } catch (impactError) {
+                console.error("Controller: Could not calculate impacts for the fallback report:", impactError.message);
+            }
+        }
         
         res.json({ 
             success: true,
             report: fallbackReport,
+            provenance: {
+                schema: schemas.recommendations.$id,
+                source: 'fallback',
+                fields: { lca_summary: 'fallback', recommendations: 'fallback' },
+                errors: [{ path: '(request)', message: error.message }]
+            },
+            impacts,
             warning: "Generated using fallback data due to API connectivity issues"
         });
     }
 }
 
 /**
- * Retrieves all reports, with optional filtering by user
+ * Retrieves the reports the caller can see, optionally limited with
+ * ?scope=mine|shared and ?metalType=
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
 async function getReports(req, res) {
     try {
-        let query = {};
-        
-        // If user is authenticated and userId is provided, filter by user
-        if (req.query.userId) {
-            query.user = req.query.userId;
+        // Only reports the caller owns or that were shared with them, within
+        // the active organization (or personal ones outside any)
+        const teamContext = await teamContextFor(req);
+        let query;
+        if (req.query.scope === 'mine') {
+            query = { ...tenantFilter(req), user: req.user._id };
+        } else if (req.query.scope === 'shared') {
+            query = { $and: [accessibleReportsFilter(req.user, teamContext), { user: { $ne: req.user._id } }] };
+        } else {
+            query = accessibleReportsFilter(req.user, teamContext);
         }
         
         // Allow filtering by metal type
@@ -233,7 +346,7 @@ async function getReports(req, res) {
         
         const reports = await Report.find(query)
             .sort({ createdAt: -1 })  // Sort by newest first
-            .select('_id name metalType createdAt status formData.globalWarmingPotential');  // Select only necessary fields
+            .select('_id name metalType user createdAt status sharing.team formData.globalWarmingPotential impacts.globalWarmingPotential');  // Select only necessary fields
             
         res.json({
             success: true,
@@ -256,18 +369,19 @@ async function getReports(req, res) {
  */
 async function getReportById(req, res) {
     try {
-        const report = await Report.findById(req.params.id);
-        
-        if (!report) {
-            return res.status(404).json({ 
-                success: false, 
-                message: "Report not found" 
-            });
-        }
+        // Loaded and access-checked by the authorizeReport middleware
+        const report = req.report;
+        const unitSystem = unitSystemFromRequest(req);
         
         res.json({
             success: true,
-            report: report
+            report: report,
+            access: req.reportAccess,
+            display: {
+                unitSystem,
+                formData: formDataForDisplay(report.formData, unitSystem),
+                impacts: report.impacts ? impactsForDisplay(report.impacts, unitSystem) : null
+            }
         });
     } catch (error) {
         console.error("Error fetching report:", error);
@@ -286,28 +400,56 @@ async function getReportById(req, res) {
  */
 async function updateReport(req, res) {
     try {
-        const { name, status, formData } = req.body;
+        const { name, status, formData, functionalUnit } = req.body;
         
-        const report = await Report.findById(req.params.id);
-        if (!report) {
-            return res.status(404).json({ 
-                success: false, 
-                message: "Report not found" 
+        // Approval goes through POST /reports/:id/approve so it is limited to approvers
+        if (status === 'approved') {
+            return res.status(400).json({
+                success: false,
+                message: "Use the approve endpoint to approve a report"
             });
         }
         
+        // Loaded and access-checked by the authorizeReport middleware
+        const report = req.report;
+        
+        // Snapshot reports saved before versioning so this change can be diffed
+        await ensureBaseline(report);
+        
         // Update fields if provided
         if (name) report.name = name;
         if (status) report.status = status;
         if (formData) report.formData = formData;
+        if (functionalUnit) report.functionalUnit = functionalUnit;
+        
+        // Recalculate so impacts always match the stored inputs and functional unit.
+        // Emission factors stay as they were at the last calculation unless
+        // refreshFactors asks for the current library.
+        const refreshFactors = req.body.refreshFactors === true;
+        if (formData || functionalUnit || refreshFactors) {
+            const factorSet = await factorSetForReport(report, report.formData, { refresh: refreshFactors });
+            report.impacts = calculateImpacts(report.formData, report.functionalUnit.toObject(), factorSet);
+        }
+        
+        // An approval covers the inputs that were reviewed, so edits withdraw it
+        if (report.status === 'approved' && (formData || functionalUnit || status || refreshFactors)) {
+            if (!status) report.status = 'completed';
+            report.approval = undefined;
+        }
         
         report.updatedAt = Date.now();
         
         await report.save();
         
+        const revision = await recordRevision(report, {
+            changeType: 'update',
+            userId: req.user._id
+        });
+        
         res.json({
             success: true,
-            report: report
+            report: report,
+            revision: revision.revision
         });
     } catch (error) {
         console.error("Error updating report:", error);
@@ -326,14 +468,8 @@ async function updateReport(req, res) {
  */
 async function deleteReport(req, res) {
     try {
-        const report = await Report.findByIdAndDelete(req.params.id);
-        
-        if (!report) {
-            return res.status(404).json({ 
-                success: false, 
-                message: "Report not found" 
-            });
-        }
+        // Only the owner gets here (authorizeReport('owner'))
+        await req.report.deleteOne();
         
         res.json({
             success: true,
@@ -349,6 +485,211 @@ async function deleteReport(req, res) {
     }
 }
 
+/**
+ * Replaces who a report is shared with. Only the owner can change sharing.
+ * Body: { team: 'none' | 'viewer' | 'editor', users: [{ user, access }] }
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function updateSharing(req, res) {
+    try {
+        const { team, users } = req.body;
+        const report = req.report;
+        
+        if (team !== undefined && team !== 'none' && !SHARE_LEVELS.includes(team)) {
+            return res.status(400).json({
+                success: false,
+                message: `team must be one of: none, ${SHARE_LEVELS.join(', ')}`
+            });
+        }
+        
+        if (users !== undefined) {
+            const invalid = !Array.isArray(users) || users.some(entry =>
+                !entry || !mongoose.Types.ObjectId.isValid(entry.user)
+                || (entry.access !== undefined && !SHARE_LEVELS.includes(entry.access)));
+            if (invalid) {
+                return res.status(400).json({
+                    success: false,
+                    message: `users must be an array of { user, access } with access one of: ${SHARE_LEVELS.join(', ')}`
+                });
+            }
+        }
+        
+        // Reports can only be shared with members of the organization they belong to
+        if (users !== undefined && users.length > 0) {
+            const teamContext = await teamContextFor(req);
+            const members = new Set(teamContext.userIds.map(id => id.toString()));
+            const outsiders = users
+                .map(entry => entry.user.toString())
+                .filter(id => id !== report.user.toString() && !members.has(id));
+            if (outsiders.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Reports can only be shared with members of their organization",
+                    outsiders
+                });
+            }
+        }
+        
+        const previouslyShared = new Set((report.sharing.users || []).map(entry => entry.user.toString()));
+        
+        if (team !== undefined) report.sharing.team = team;
+        if (users !== undefined) {
+            // The owner always has full access, so never list them
+            report.sharing.users = users
+                .filter(entry => entry.user.toString() !== report.user.toString())
+                .map(entry => ({ user: entry.user, access: entry.access || 'viewer' }));
+        }
+        
+        await report.save();
+        
+        // Tell people who can see the report for the first time
+        const newlyShared = report.sharing.users.filter(entry => !previouslyShared.has(entry.user.toString()));
+        for (const entry of newlyShared) {
+            await notifySafely({
+                template: 'report.shared',
+                user: entry.user,
+                data: {
+                    reportName: report.name,
+                    sharedBy: req.user.name,
+                    access: entry.access,
+                    reportUrl: appLink(`/reports/${report._id}`)
+                }
+            });
+        }
+        
+        res.json({
+            success: true,
+            sharing: report.sharing
+        });
+    } catch (error) {
+        console.error("Error updating report sharing:", error);
+        res.status(500).json({ 
+            success: false, 
+            message: "Failed to update report sharing",
+            error: error.message 
+        });
+    }
+}
+
+/**
+ * Claims an anonymous report for the logged-in user using the claim token
+ * returned when the report was generated
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function claimReport(req, res) {
+    try {
+        const { claimToken } = req.body;
+        
+        if (!claimToken) {
+            return res.status(400).json({
+                success: false,
+                message: "claimToken is required"
+            });
+        }
+        
+        const report = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Report.findById(req.params.id).select('+claimTokenHash')
+            : null;
+        
+        // Same response for unknown, already-owned and wrong-token reports
+        if (!report || !matchesClaimToken(report, claimToken)) {
+            return res.status(404).json({
+                success: false,
+                message: "No claimable report found for this token"
+            });
+        }
+        
+        report.user = req.user._id;
+        report.organization = organizationIdOf(req);
+        report.claimTokenHash = undefined;
+        report.updatedAt = Date.now();
+        await report.save();
+        
+        res.json({
+            success: true,
+            message: "Report claimed successfully",
+            reportId: report._id
+        });
+    } catch (error) {
+        console.error("Error claiming report:", error);
+        res.status(500).json({ 
+            success: false, 
+            message: "Failed to claim report",
+            error: error.message 
+        });
+    }
+}
+
+/**
+ * Approves a report. Limited to roles with the reports:approve permission;
+ * the approver also needs at least viewer access to the report.
+ * Body: { comment }
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function approveReport(req, res) {
+    try {
+        const report = req.report;
+        
+        if (!report.user) {
+            return res.status(400).json({
+                success: false,
+                message: "Anonymous reports must be claimed before they can be approved"
+            });
+        }
+        
+        if (report.status !== 'completed') {
+            return res.status(400).json({
+                success: false,
+                message: `Only completed reports can be approved (status is ${report.status})`
+            });
+        }
+        
+        await ensureBaseline(report);
+        
+        report.status = 'approved';
+        report.approval = {
+            approvedBy: req.user._id,
+            approvedAt: Date.now(),
+            comment: typeof req.body.comment === 'string' ? req.body.comment : undefined
+        };
+        report.updatedAt = Date.now();
+        await report.save();
+        
+        const revision = await recordRevision(report, {
+            changeType: 'approve',
+            userId: req.user._id
+        });
+        
+        await notifySafely({
+            template: 'report.approved',
+            user: report.user,
+            data: {
+                reportName: report.name,
+                approvedBy: req.user.name,
+                comment: report.approval.comment,
+                reportUrl: appLink(`/reports/${report._id}`)
+            }
+        });
+        
+        res.json({
+            success: true,
+            message: "Report approved",
+            approval: report.approval,
+            revision: revision.revision
+        });
+    } catch (error) {
+        console.error("Error approving report:", error);
+        res.status(500).json({ 
+            success: false, 
+            message: "Failed to approve report",
+            error: error.message 
+        });
+    }
+}
+
 /**
  * Generates dynamic insights for a specific LCA process node
  * @param {object} req - Express request object
@@ -364,11 +705,20 @@ async function getNodeInsights(req, res) {
         message: "Missing required parameters: nodeId, nodeType, and formData"
       });
     }
+
+    const { options: aiOptions, error: aiOptionsError } = getRequestedAIOptions(req);
+    if (aiOptionsError) {
+      return res.status(400).json({ success: false, message: aiOptionsError });
+    }
     
     console.log(`Generating insights for ${nodeType} node (ID: ${nodeId})`);
     
-    // Extract relevant parameters based on node type
-    const relevantParams = extractRelevantParameters(nodeType, formData);
+    // Extract relevant parameters based on node type. Impact figures use the
+    // same emission factors a saved report would.
+    const factorSet = nodeType === 'Impact Analysis'
+      ? await resolveFactorSet(formData, { organizationId: organizationIdOf(req) })
+      : undefined;
+    const relevantParams = extractRelevantParameters(nodeType, formData, factorSet);
     
     // Create a targeted prompt for this specific node with relevant parameters
     const prompt = `
@@ -396,52 +746,23 @@ async function getNodeInsights(req, res) {
       Limit your response to just the JSON object - no additional explanations, markdown, or comments.
     `;
     
-    // Get response from Gemini service
-    const geminiResponse = await getGeminiResponse(prompt);
-    console.log(`Raw Gemini response for ${nodeType}:`, geminiResponse);
+    const { data: insights, provenance } = await generateStructured({
+      prompt,
+      schema: schemas.nodeInsights,
+      fallback: () => generateFallbackNodeInsights(nodeType, formData),
+      aiOptions
+    });
     
-    // Try to parse the response
-    try {
-      // Clean response text (removing potential markdown code blocks)
-      const cleanedResponse = cleanGeminiResponse(geminiResponse);
-      console.log(`Cleaned response for ${nodeType}:`, cleanedResponse);
-      
-      let insights;
-      try {
-        insights = JSON.parse(cleanedResponse);
-      } catch (firstParseError) {
-        // Try to extract JSON if there's text before or after it
-        console.log("Initial parse failed, trying to extract JSON...");
-        const jsonMatch = cleanedResponse.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          insights = JSON.parse(jsonMatch[0]);
-        } else {
-          throw firstParseError;
-        }
-      }
-      
-      // Validate that we have the expected fields
-      if (!insights.circularOpportunities || !insights.environmentalImpacts) {
-        throw new Error("Incomplete response from AI service");
-      }
-      
-      return res.json({
-        success: true,
-        insights
-      });
-    } catch (parseError) {
-      console.error("Failed to parse Gemini response for node insights:", parseError);
-      console.error("Problematic response:", geminiResponse);
-      
-      // Provide fallback insights based on node type
-      const fallbackInsights = generateFallbackNodeInsights(nodeType, formData);
-      
-      return res.json({
-        success: true,
-        insights: fallbackInsights,
-        warning: "Generated using fallback data"
-      });
+    const response = {
+      success: true,
+      insights,
+      provenance
+    };
+    if (provenance.source === 'fallback') {
+      response.warning = "Generated using fallback data";
     }
+    
+    return res.json(response);
   } catch (error) {
     console.error("Error generating node insights:", error);
     res.status(500).json({ 
@@ -456,9 +777,10 @@ async function getNodeInsights(req, res) {
  * Extract parameters relevant to a specific node type
  * @param {string} nodeType - The type of node
  * @param {object} formData - All form data
+ * @param {object} [factorSet] - Emission factors for the Impact Analysis node
  * @returns {object} - Filtered relevant parameters
  */
-function extractRelevantParameters(nodeType, formData) {
+function extractRelevantParameters(nodeType, formData, factorSet) {
   // Always include metal type in all cases
   const commonParams = {
     metalType: formData.metalType || 'Unknown metal'
@@ -520,15 +842,16 @@ function extractRelevantParameters(nodeType, formData) {
         wasteGeneration: formData.wasteGeneration
       };
     
-    case 'Impact Analysis':
+    case 'Impact Analysis': {
+      // Use calculated indicators rather than client-supplied figures
+      const impacts = calculateImpacts(formData, undefined, factorSet);
       return {
         ...commonParams,
-        globalWarmingPotential: formData.globalWarmingPotential,
-        waterScarcityFootprint: formData.waterScarcityFootprint,
-        cumulativeEnergyDemand: formData.cumulativeEnergyDemand,
-        acidificationPotential: formData.acidificationPotential,
-        eutrophicationPotential: formData.eutrophicationPotential
+        ...impactTotals(impacts),
+        units: impacts.units,
+        basis: impacts.basis
       };
+    }
     
     default:
       // Return all parameters if node type is not recognized
@@ -559,7 +882,7 @@ function generateFallbackNodeInsights(nodeType, formData) {
       }
       
       if (formData.landUse) {
-        environmentalImpacts = `${metalType} extraction with current practices results in approximately ${formData.landUse} m²/tonne of land disturbance, habitat fragmentation, and potential acid mine drainage if sulfide minerals are present.`;
+        environmentalImpacts = `${metalType} extraction with current practices results in approximately ${formData.landUse} m²/kg of land disturbance, habitat fragmentation, and potential acid mine drainage if sulfide minerals are present.`;
       } else {
         environmentalImpacts = `${metalType} extraction typically results in habitat disruption, energy consumption, and potential acid mine drainage. The reported ore grade affects the amount of waste rock generated.`;
       }
@@ -606,6 +929,56 @@ function generateFallbackNodeInsights(nodeType, formData) {
   };
 }
 
+/**
+ * Returns the LCA input schema: field types, ranges, units and required fields per stage
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+function getInputSchema(req, res) {
+  res.json({
+    success: true,
+    schema: describeInputSchema()
+  });
+}
+
+/**
+ * Templates the caller can use: built-in ones plus those of the active
+ * organization, or their own personal templates outside an organization
+ * @param {object} req - Express request object
+ * @returns {object} MongoDB filter on Template
+ */
+function readableTemplatesFilter(req) {
+  const builtIn = { organization: null, user: null };
+  if (req.organization) {
+    return { $or: [builtIn, { organization: req.organization._id }] };
+  }
+  if (req.user) {
+    return { organization: null, user: { $in: [null, req.user._id] } };
+  }
+  return builtIn;
+}
+
+/**
+ * Templates the caller may change. Built-in templates are read-only.
+ * @param {object} req - Express request object
+ * @returns {object} MongoDB filter on Template
+ */
+function writableTemplatesFilter(req) {
+  return req.organization
+    ? { organization: req.organization._id }
+    : { organization: null, user: req.user._id };
+}
+
+/**
+ * Loads the template named by req.params.id if the caller may change it
+ * @param {object} req - Express request object
+ * @returns {Promise<object|null>}
+ */
+async function findWritableTemplate(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Template.findOne({ $and: [{ _id: req.params.id }, writableTemplatesFilter(req)] });
+}
+
 /**
  * Get all templates
  * @param {object} req - Express request object
@@ -626,7 +999,7 @@ async function getTemplates(req, res) {
     }
     
     // Get templates from database
-    const templates = await Template.find(query)
+    const templates = await Template.find({ $and: [query, readableTemplatesFilter(req)] })
       .sort({ createdAt: -1 })
       .select('-__v');
       
@@ -651,7 +1024,9 @@ async function getTemplates(req, res) {
  */
 async function getTemplateById(req, res) {
   try {
-    const template = await Template.findById(req.params.id);
+    const template = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Template.findOne({ $and: [{ _id: req.params.id }, readableTemplatesFilter(req)] })
+      : null;
     
     if (!template) {
       return res.status(404).json({ 
@@ -698,6 +1073,7 @@ async function createTemplate(req, res) {
       parameters: parameters || {},
       processSteps: processSteps || [],
       user: req.user ? req.user._id : null,  // Associate with user if authenticated
+      organization: organizationIdOf(req),
       createdAt: Date.now()
     });
     
@@ -724,7 +1100,7 @@ async function updateTemplate(req, res) {
   try {
     const { name, description, category, parameters, processSteps } = req.body;
     
-    const template = await Template.findById(req.params.id);
+    const template = await findWritableTemplate(req);
     if (!template) {
       return res.status(404).json({ 
         success: false, 
@@ -732,14 +1108,6 @@ async function updateTemplate(req, res) {
       });
     }
     
-    // Check if user is authorized to update this template
-    if (req.user && template.user && template.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to update this template"
-      });
-    }
-    
     // Update fields
     if (name) template.name = name;
     if (description !== undefined) template.description = description;
@@ -772,7 +1140,7 @@ async function updateTemplate(req, res) {
  */
 async function deleteTemplate(req, res) {
   try {
-    const template = await Template.findById(req.params.id);
+    const template = await findWritableTemplate(req);
     
     if (!template) {
       return res.status(404).json({ 
@@ -781,15 +1149,7 @@ async function deleteTemplate(req, res) {
       });
     }
     
-    // Check if user is authorized to delete this template
-    if (req.user && template.user && template.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to delete this template"
-      });
-    }
-    
-    await template.remove();
+    await template.deleteOne();
     
     res.json({
       success: true,
@@ -806,6 +1166,7 @@ async function deleteTemplate(req, res) {
 }
 
 export default {
+    getInputSchema,
     suggestParameters,
     generateRecommendations,
     getNodeInsights,
@@ -813,6 +1174,9 @@ export default {
     getReportById,
     updateReport,
     deleteReport,
+    updateSharing,
+    claimReport,
+    approveReport,
     getTemplates,
     getTemplateById,
     createTemplate,
@@ -0,0 +1,242 @@
+// src/controllers/organizationController.js
+
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import { TeamMember } from '../models/teamModel.js';
+import { createOrganization, findMembership } from '../services/organizationContext.js';
+import { permissionsForRole } from '../services/permissions.js';
+
+/**
+ * Shape returned for an organization the caller belongs to
+ * @param {object} organization - Organization document
+ * @param {object} membership - Caller's TeamMember in it
+ * @param {object|null} activeId - ID of the organization the request acts in
+ * @returns {object}
+ */
+function formatOrganization(organization, membership, activeId) {
+    return {
+        id: organization._id,
+        name: organization.name,
+        slug: organization.slug,
+        role: membership.role,
+        active: activeId ? activeId.toString() === organization._id.toString() : false,
+        joinedAt: membership.addedDate,
+        settings: {
+            requireTwoFactor: Boolean(organization.settings && organization.settings.requireTwoFactor)
+        }
+    };
+}
+
+/**
+ * Lists the organizations the caller is an active member of
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function listOrganizations(req, res) {
+    try {
+        const memberships = await TeamMember.find({ user: req.user._id, status: 'Active' })
+            .populate('organization')
+            .sort({ addedDate: 1 });
+
+        const activeId = req.organization ? req.organization._id : null;
+        const organizations = memberships
+            .filter(membership => membership.organization)
+            .map(membership => formatOrganization(membership.organization, membership, activeId));
+
+        res.json({
+            success: true,
+            organizations
+        });
+    } catch (error) {
+        console.error('Error listing organizations:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list organizations',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Creates an organization with the caller as its Admin and switches to it
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function createOrganizationHandler(req, res) {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Organization name is required'
+            });
+        }
+
+        const { organization, membership } = await createOrganization(name, req.user);
+
+        req.user.activeOrganization = organization._id;
+        await req.user.save();
+
+        res.status(201).json({
+            success: true,
+            organization: formatOrganization(organization, membership, organization._id),
+            permissions: permissionsForRole(membership.role)
+        });
+    } catch (error) {
+        console.error('Error creating organization:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create organization',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Returns the organization the request acts in, with the caller's role
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+function getCurrentOrganization(req, res) {
+    res.json({
+        success: true,
+        organization: formatOrganization(req.organization, req.membership, req.organization._id),
+        permissions: permissionsForRole(req.membership.role)
+    });
+}
+
+/**
+ * Renames the active organization
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function updateCurrentOrganization(req, res) {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Organization name is required'
+            });
+        }
+
+        const organization = await Organization.findByIdAndUpdate(
+            req.organization._id,
+            { name, updatedAt: Date.now() },
+            { new: true, runValidators: true }
+        );
+
+        res.json({
+            success: true,
+            organization: formatOrganization(organization, req.membership, organization._id)
+        });
+    } catch (error) {
+        console.error('Error updating organization:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update organization',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Changes the active organization's security settings. Requiring 2FA takes
+ * effect on members' next request; those without it can still reach their
+ * account routes to enroll.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function updateSecuritySettings(req, res) {
+    try {
+        const { requireTwoFactor } = req.body;
+        if (typeof requireTwoFactor !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'requireTwoFactor must be true or false'
+            });
+        }
+
+        // The admin would otherwise lock themselves out with their own setting
+        if (requireTwoFactor && !req.user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Enable two-factor authentication on your own account first'
+            });
+        }
+
+        const organization = await Organization.findByIdAndUpdate(
+            req.organization._id,
+            { 'settings.requireTwoFactor': requireTwoFactor, updatedAt: Date.now() },
+            { new: true }
+        );
+
+        let membersWithoutTwoFactor = 0;
+        if (requireTwoFactor) {
+            const members = await TeamMember.find({ organization: organization._id, status: 'Active' })
+                .populate('user', 'twoFactor.enabled');
+            membersWithoutTwoFactor = members
+                .filter(member => member.user && !member.user.twoFactor.enabled).length;
+        }
+
+        res.json({
+            success: true,
+            organization: formatOrganization(organization, req.membership, organization._id),
+            membersWithoutTwoFactor
+        });
+    } catch (error) {
+        console.error('Error updating organization security settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update security settings',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Makes an organization the caller belongs to their active one. Requests
+ * without an X-Organization-Id header act in it from then on.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function switchOrganization(req, res) {
+    try {
+        const membership = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await findMembership(req.user._id, req.params.id)
+            : null;
+
+        // Same answer for unknown organizations and ones the caller is not in
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        req.user.activeOrganization = membership.organization._id;
+        await req.user.save();
+
+        res.json({
+            success: true,
+            organization: formatOrganization(membership.organization, membership, membership.organization._id),
+            permissions: permissionsForRole(membership.role)
+        });
+    } catch (error) {
+        console.error('Error switching organization:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to switch organization',
+            error: error.message
+        });
+    }
+}
+
+export default {
+    listOrganizations,
+    createOrganization: createOrganizationHandler,
+    getCurrentOrganization,
+    updateCurrentOrganization,
+    updateSecuritySettings,
+    switchOrganization
+};
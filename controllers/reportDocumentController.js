@@ -0,0 +1,190 @@
+// src/controllers/reportDocumentController.js
+
+import ReportDocument from '../models/ReportDocument.js';
+import { exportFileName } from '../services/reportExport/index.js';
+import {
+    DocumentError,
+    generateReportDocument,
+    renderDocumentPdf
+} from '../services/isoDocument/index.js';
+import { unitSystemFromRequest } from '../services/units.js';
+
+/**
+ * Parses a positive integer from a route, query or body value
+ * @param {*} value
+ * @returns {number|null}
+ */
+function parsePositiveInteger(value) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Generates a new version of the report's ISO 14044-style document. The body
+ * may pick a revision (default: current) and supply goal statements
+ * ({ intendedApplication, reasons, intendedAudience, commissioner,
+ * practitioner, comparativeAssertion }); statements not supplied are carried
+ * over from the previous version.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function generateDocument(req, res) {
+    try {
+        const { revision, goal } = req.body || {};
+        if (revision !== undefined && !parsePositiveInteger(revision)) {
+            return res.status(400).json({
+                success: false,
+                message: "Revision must be a positive integer"
+            });
+        }
+
+        // Loaded and access-checked by the authorizeReport middleware
+        const document = await generateReportDocument(req.report, {
+            revision: parsePositiveInteger(revision),
+            goal,
+            unitSystem: unitSystemFromRequest(req),
+            userId: req.user._id
+        });
+
+        const incomplete = document.sections.filter(section => section.status === 'incomplete');
+        res.status(201).json({
+            success: true,
+            message: incomplete.length > 0
+                ? `Document version ${document.version} generated with ${incomplete.length} incomplete section(s)`
+                : `Document version ${document.version} generated`,
+            document: formatDocument(document, { includeSections: true })
+        });
+    } catch (error) {
+        if (error instanceof DocumentError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error("Error generating report document:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to generate report document",
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Lists the document versions of a report, newest first
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function listDocuments(req, res) {
+    try {
+        const documents = await ReportDocument.find({ report: req.report._id })
+            .sort({ version: -1 })
+            .select('-html -sections.blocks')
+            .populate('generatedBy', 'name email');
+
+        res.json({
+            success: true,
+            documents: documents.map(document => formatDocument(document))
+        });
+    } catch (error) {
+        console.error("Error fetching report documents:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to retrieve report documents",
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Retrieves one document version as JSON, or renders it with ?format=html or
+ * ?format=pdf
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function getDocument(req, res) {
+    try {
+        const version = parsePositiveInteger(req.params.version);
+        if (!version) {
+            return res.status(400).json({
+                success: false,
+                message: "Version must be a positive integer"
+            });
+        }
+
+        const format = (req.query.format || 'json').toLowerCase();
+        if (!['json', 'html', 'pdf'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: "format must be one of: json, html, pdf"
+            });
+        }
+
+        const document = await ReportDocument.findOne({ report: req.report._id, version })
+            .populate('generatedBy', 'name email');
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: "Document not found"
+            });
+        }
+
+        if (format === 'json') {
+            return res.json({
+                success: true,
+                document: formatDocument(document, { includeSections: true })
+            });
+        }
+
+        const baseName = `${req.report.name || 'report'} ISO 14044 v${document.version}`;
+        if (format === 'html') {
+            res.set('Content-Type', 'text/html; charset=utf-8');
+            return res.send(document.html);
+        }
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${exportFileName(baseName, 'pdf')}"`
+        });
+        res.send(await renderDocumentPdf(document));
+    } catch (error) {
+        console.error("Error fetching report document:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to retrieve report document",
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Shapes a document for API responses
+ * @param {object} document - ReportDocument
+ * @param {object} [options] - { includeSections: include section content }
+ * @returns {object}
+ */
+function formatDocument(document, { includeSections = false } = {}) {
+    return {
+        id: document._id,
+        version: document.version,
+        revision: document.revision,
+        standard: document.standard,
+        title: document.title,
+        goal: document.goal,
+        complete: document.complete,
+        sections: document.sections.map(section => ({
+            key: section.key,
+            title: section.title,
+            status: section.status,
+            missing: section.missing,
+            ...(includeSections ? { blocks: section.blocks } : {})
+        })),
+        generatedBy: document.generatedBy,
+        generatedAt: document.generatedAt
+    };
+}
+
+export default {
+    generateDocument,
+    listDocuments,
+    getDocument
+};
@@ -0,0 +1,206 @@
+// src/controllers/reportHistoryController.js
+
+import ReportRevision from '../models/ReportRevision.js';
+import { diffSnapshots, ensureBaseline, recordRevision } from '../services/reportHistory.js';
+import { resolveFunctionalUnit } from '../services/functionalUnit.js';
+
+/**
+ * Parses a revision number from a route or query parameter
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseRevisionNumber(value) {
+    const revision = Number(value);
+    return Number.isInteger(revision) && revision > 0 ? revision : null;
+}
+
+/**
+ * Lists the revisions of a report, newest first, without their snapshots
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function listRevisions(req, res) {
+    try {
+        // Loaded and access-checked by the authorizeReport middleware
+        const report = req.report;
+
+        const revisions = await ReportRevision.find({ report: report._id })
+            .sort({ revision: -1 })
+            .select('revision changeType restoredFrom changedBy changedAt changes.path')
+            .populate('changedBy', 'name email');
+
+        res.json({
+            success: true,
+            currentRevision: report.currentRevision || null,
+            revisions: revisions.map(revision => ({
+                revision: revision.revision,
+                changeType: revision.changeType,
+                restoredFrom: revision.restoredFrom,
+                changedBy: revision.changedBy,
+                changedAt: revision.changedAt,
+                changedFields: revision.changes.map(change => change.path)
+            }))
+        });
+    } catch (error) {
+        console.error("Error fetching report revisions:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to retrieve report revisions",
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Retrieves one revision of a report, including its snapshot and changes
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function getRevision(req, res) {
+    try {
+        const revisionNumber = parseRevisionNumber(req.params.revision);
+        if (!revisionNumber) {
+            return res.status(400).json({
+                success: false,
+                message: "Revision must be a positive integer"
+            });
+        }
+
+        const revision = await ReportRevision.findOne({ report: req.params.id, revision: revisionNumber })
+            .populate('changedBy', 'name email');
+
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                message: "Revision not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            revision
+        });
+    } catch (error) {
+        console.error("Error fetching report revision:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to retrieve report revision",
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Field-level diff between two revisions (?from=1&to=3)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function diffRevisions(req, res) {
+    try {
+        const from = parseRevisionNumber(req.query.from);
+        const to = parseRevisionNumber(req.query.to);
+        if (!from || !to) {
+            return res.status(400).json({
+                success: false,
+                message: "Query parameters 'from' and 'to' must be positive revision numbers"
+            });
+        }
+
+        const revisions = await ReportRevision.find({ report: req.params.id, revision: { $in: [from, to] } });
+        const before = revisions.find(revision => revision.revision === from);
+        const after = revisions.find(revision => revision.revision === to);
+
+        if (!before || !after) {
+            return res.status(404).json({
+                success: false,
+                message: "Revision not found",
+                missing: [from, to].filter(number => !revisions.some(revision => revision.revision === number))
+            });
+        }
+
+        res.json({
+            success: true,
+            from,
+            to,
+            changes: diffSnapshots(before.snapshot, after.snapshot)
+        });
+    } catch (error) {
+        console.error("Error comparing report revisions:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to compare report revisions",
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Restores a report to an earlier revision. The restore is itself recorded
+ * as a new revision, so history is never rewritten.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function restoreRevision(req, res) {
+    try {
+        const revisionNumber = parseRevisionNumber(req.params.revision);
+        if (!revisionNumber) {
+            return res.status(400).json({
+                success: false,
+                message: "Revision must be a positive integer"
+            });
+        }
+
+        const report = req.report;
+
+        const target = await ReportRevision.findOne({ report: report._id, revision: revisionNumber });
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: "Revision not found"
+            });
+        }
+
+        await ensureBaseline(report);
+
+        const { snapshot } = target;
+        report.name = snapshot.name;
+        report.metalType = snapshot.metalType;
+        // Restoring content never restores a sign-off; it has to be approved again
+        report.status = snapshot.status === 'approved' ? 'completed' : snapshot.status;
+        report.approval = undefined;
+        report.formData = snapshot.formData;
+        report.functionalUnit = snapshot.functionalUnit || resolveFunctionalUnit().functionalUnit;
+        report.insights = snapshot.insights;
+        report.impacts = snapshot.impacts;
+        report.updatedAt = Date.now();
+
+        await report.save();
+
+        const revision = await recordRevision(report, {
+            changeType: 'restore',
+            userId: req.user._id,
+            restoredFrom: revisionNumber
+        });
+
+        res.json({
+            success: true,
+            message: `Report restored to revision ${revisionNumber}`,
+            revision: revision.revision,
+            report
+        });
+    } catch (error) {
+        console.error("Error restoring report revision:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to restore report revision",
+            error: error.message
+        });
+    }
+}
+
+export default {
+    listRevisions,
+    getRevision,
+    diffRevisions,
+    restoreRevision
+};
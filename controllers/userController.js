@@ -1,5 +1,11 @@
-import User from '../models/User.js';
-import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import User, { USER_ROLES } from '../models/User.js';
+import { TeamMember } from '../models/teamModel.js';
+import DigestRun from '../models/DigestRun.js';
+import { permissionsForRole, requestRole } from '../services/permissions.js';
+import { notifySafely } from '../services/notifications/index.js';
+import { revokeAllSessions } from '../services/authTokens.js';
+import { AccountTokenError, sendEmailVerification } from '../services/accountTokens.js';
 
 // Get user profile information
 const getProfile = async (req, res) => {
@@ -42,6 +48,8 @@ const getProfile = async (req, res) => {
       firstName: user.name.split(' ')[0] || '',
       lastName: user.name.split(' ')[1] || '',
       email: user.email,
+      emailVerified: user.emailVerified,
+      pendingEmail: user.pendingEmail || null,
       phone: user.phone || '',
       location: user.location || '',
       department: user.department || '',
@@ -49,7 +57,11 @@ const getProfile = async (req, res) => {
       joinDate: user.createdAt.toISOString().split('T')[0],
       bio: user.bio || '',
       avatar: user.name.split(' ').map(n => n[0]).join('').toUpperCase(),
-      preferences: preferences
+      preferences: preferences,
+      organization: req.organization
+        ? { id: req.organization._id, name: req.organization.name, role: req.membership.role }
+        : null,
+      permissions: permissionsForRole(requestRole(req))
     };
 
     res.json({
@@ -69,7 +81,8 @@ const getProfile = async (req, res) => {
 // Update user profile information
 const updateProfile = async (req, res) => {
   try {
-    const { firstName, lastName, email, phone, location, department, position, bio, preferences } = req.body;
+    // position is the user's role and is read-only here; admins change it via PUT /api/users/:id/role
+    const { firstName, lastName, email, phone, location, department, bio, preferences } = req.body;
 
     const user = await User.findById(req.user._id);
     if (!user) {
@@ -81,27 +94,26 @@ const updateProfile = async (req, res) => {
 
     // Update user fields
     user.name = `${firstName} ${lastName}`.trim();
-    if (email && email !== user.email) {
+    // A new email only takes effect once confirmed from the link sent to it
+    const requestedEmail = email ? String(email).trim().toLowerCase() : '';
+    const emailChange = requestedEmail && requestedEmail !== user.email && requestedEmail !== user.pendingEmail
+      ? requestedEmail
+      : null;
+    if (emailChange) {
       // Check if email is already in use
-      const emailExists = await User.findOne({ email });
+      const emailExists = await User.findOne({ email: emailChange });
       if (emailExists) {
         return res.status(400).json({
           success: false,
           message: 'Email is already in use'
         });
       }
-      user.email = email;
     }
     
     user.phone = phone || '';
     user.location = location || '';
     user.department = department || '';
     user.bio = bio || '';
-    
-    // Only update role if position is different and valid
-    if (position && ['metallurgist', 'Guest', 'Auditor', 'admin'].includes(position)) {
-      user.role = position;
-    }
 
     // Update preferences if provided
     if (preferences) {
@@ -110,13 +122,20 @@ const updateProfile = async (req, res) => {
 
     await user.save();
 
+    if (emailChange) {
+      await sendEmailVerification(user, emailChange);
+    }
+
     res.json({
       success: true,
-      message: 'Profile updated successfully',
+      message: emailChange
+        ? `Profile updated successfully. Follow the link sent to ${emailChange} to confirm the new email address`
+        : 'Profile updated successfully',
       profileData: {
         firstName,
         lastName,
         email: user.email,
+        pendingEmail: user.pendingEmail || null,
         phone,
         location,
         department,
@@ -128,6 +147,12 @@ const updateProfile = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof AccountTokenError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error updating user profile:', error);
     res.status(500).json({
       success: false,
@@ -167,7 +192,7 @@ const updatePassword = async (req, res) => {
     }
 
     // Verify current password
-    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    const isMatch = await user.matchPassword(currentPassword);
     if (!isMatch) {
       return res.status(401).json({
         success: false,
@@ -175,14 +200,20 @@ const updatePassword = async (req, res) => {
       });
     }
 
-    // Update password
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(newPassword, salt);
+    // Update password (hashed by the model's pre-save hook)
+    user.password = newPassword;
     await user.save();
 
+    // Anyone holding another session may have had the old password
+    const sessionsRevoked = await revokeAllSessions(user._id, {
+      except: req.session._id,
+      reason: 'password_changed'
+    });
+
     res.json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Password updated successfully',
+      sessionsRevoked
     });
   } catch (error) {
     console.error('Error updating password:', error);
@@ -194,8 +225,94 @@ const updatePassword = async (req, res) => {
   }
 };
 
+// Change another member's role in the active organization (admins only)
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${USER_ROLES.join(', ')}`
+      });
+    }
+
+    // Admins cannot change their own role, so there is always someone left to manage the team
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const membership = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await TeamMember.findOne({ organization: req.organization._id, user: req.params.id })
+        .populate('user', 'name email')
+      : null;
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this organization'
+      });
+    }
+
+    membership.role = role;
+    await membership.save();
+
+    await notifySafely({
+      template: 'team.roleChanged',
+      user: membership.user._id,
+      data: { organizationName: req.organization.name, role, changedBy: req.user.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      user: {
+        _id: membership.user._id,
+        name: membership.user.name,
+        email: membership.user.email,
+        role: membership.role,
+        permissions: permissionsForRole(membership.role)
+      }
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user role',
+      error: error.message
+    });
+  }
+};
+
+// List the weekly digests compiled for the current user, newest first
+const getDigestRuns = async (req, res) => {
+  try {
+    const runs = await DigestRun.find({ user: req.user._id })
+      .sort({ periodStart: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 12, 52))
+      .select('-__v -user');
+
+    res.json({
+      success: true,
+      weeklyReports: req.user.preferences?.notifications?.weeklyReports !== false,
+      runs
+    });
+  } catch (error) {
+    console.error('Error retrieving digest history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving digest history',
+      error: error.message
+    });
+  }
+};
+
 export default {
   getProfile,
   updateProfile,
-  updatePassword
+  updatePassword,
+  updateUserRole,
+  getDigestRuns
 };
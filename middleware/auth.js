@@ -1,41 +0,0 @@
-import jwt from 'jsonwebtoken';
-import User from '../models/userModel.js';
-
-// Middleware to authenticate user token
-export const auth = async (req, res, next) => {
-  try {
-    // Get token from header
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ message: 'No authentication token, authorization denied' });
-    }
-    
-    const token = authHeader.split(' ')[1];
-    
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from token id
-    const user = await User.findById(decoded.id).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Token is not valid, authorization denied' });
-    }
-    
-    // Attach user to request object
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({ message: 'Token is not valid, authorization denied' });
-  }
-};
-
-// Optional middleware to check admin role
-export const adminAuth = (req, res, next) => {
-  if (req.user && req.user.role === 'Admin') {
-    next();
-  } else {
-    res.status(403).json({ message: 'Access denied. Admin role required' });
-  }
-};
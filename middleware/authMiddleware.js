@@ -1,7 +1,65 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { resolveOrganizationContext } from '../services/organizationContext.js';
+import { findActiveSession } from '../services/authTokens.js';
 
-export const protect = async (req, res, next) => {
+// Loads the user and session an access token names. Returns an error message
+// (and leaves req.user unset) when the token is no longer good.
+const loadSession = async (req, token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before sessions existed, or for a revoked session, are refused
+  const session = await findActiveSession(decoded.sid, decoded.id);
+  if (!session) {
+    return 'Not authorized, session expired or revoked';
+  }
+
+  req.user = await User.findById(decoded.id).select('-password');
+  if (!req.user) {
+    return 'Not authorized, user not found';
+  }
+
+  req.session = session;
+  return null;
+};
+
+// Lets clients tell an expired access token (refresh it) from a bad one (log in again)
+const tokenErrorMessage = (error) => (
+  error.name === 'TokenExpiredError' ? 'Not authorized, token expired' : 'Not authorized, token failed'
+);
+
+// Sets req.organization and req.membership for the authenticated user.
+// Returns false (after responding) when the requested organization is not theirs,
+// or when it requires two-factor authentication the user has not set up.
+// Account routes pass enforceTwoFactor: false so users can still enroll.
+const attachOrganization = async (req, res, { enforceTwoFactor = true } = {}) => {
+  const context = await resolveOrganizationContext(req.user, req.headers['x-organization-id']);
+  if (context.denied) {
+    res.status(403).json({ message: 'Not a member of the requested organization' });
+    return false;
+  }
+
+  req.organization = context.organization;
+  req.membership = context.membership;
+
+  if (
+    enforceTwoFactor &&
+    req.organization &&
+    req.organization.settings &&
+    req.organization.settings.requireTwoFactor &&
+    !req.user.twoFactor.enabled
+  ) {
+    res.status(403).json({
+      message: 'This organization requires two-factor authentication. Enable it in your account settings',
+      code: 'TWO_FACTOR_REQUIRED'
+    });
+    return false;
+  }
+  return true;
+};
+
+// Builds the middleware behind protect and protectAccount
+const requireAuth = (options) => async (req, res, next) => {
   let token;
 
   // Check if token exists in headers
@@ -13,16 +71,17 @@ export const protect = async (req, res, next) => {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Verify token and add user and session to request object (without password)
+      const failure = await loadSession(req, token);
+      if (failure) {
+        return res.status(401).json({ message: failure });
+      }
 
-      // Add user to request object (without password)
-      req.user = await User.findById(decoded.id).select('-password');
+      if (!(await attachOrganization(req, res, options))) return;
 
       next();
     } catch (error) {
-      console.error(error);
-      res.status(401).json({ message: 'Not authorized, token failed' });
+      return res.status(401).json({ message: tokenErrorMessage(error) });
     }
   }
 
@@ -30,3 +89,34 @@ export const protect = async (req, res, next) => {
     res.status(401).json({ message: 'Not authorized, no token' });
   }
 };
+
+export const protect = requireAuth();
+
+// For the user's own account (profile, sessions, 2FA setup, switching
+// organization): works even when the active organization would refuse the
+// user for not having two-factor authentication yet
+export const protectAccount = requireAuth({ enforceTwoFactor: false });
+
+// Attaches the user when a valid token is sent, but lets anonymous requests through
+export const optionalAuth = async (req, res, next) => {
+  if (
+    !req.headers.authorization ||
+    !req.headers.authorization.startsWith('Bearer')
+  ) {
+    return next();
+  }
+
+  try {
+    const token = req.headers.authorization.split(' ')[1];
+    const failure = await loadSession(req, token);
+    if (failure) {
+      return res.status(401).json({ message: failure });
+    }
+
+    if (!(await attachOrganization(req, res))) return;
+
+    next();
+  } catch (error) {
+    res.status(401).json({ message: tokenErrorMessage(error) });
+  }
+};
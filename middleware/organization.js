@@ -0,0 +1,13 @@
+/**
+ * Rejects the request unless it acts in an organization. Run after protect,
+ * which resolves req.organization from the X-Organization-Id header or the
+ * user's active organization.
+ */
+export const requireOrganization = (req, res, next) => {
+  if (!req.organization) {
+    return res.status(400).json({
+      message: 'No active organization. Create or join one, or send X-Organization-Id'
+    });
+  }
+  next();
+};
@@ -0,0 +1,32 @@
+import { PERMISSIONS, can, requestRole } from '../services/permissions.js';
+
+/**
+ * Rejects the request unless the caller's role grants every listed permission.
+ * Run after protect or optionalAuth; the role is the caller's membership role
+ * in the active organization, and anonymous callers get the Anonymous role.
+ *
+ * @param {...string} permissions - Keys of PERMISSIONS
+ */
+export const requirePermission = (...permissions) => {
+  // Catch typos when routes are defined rather than on the first request
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    const role = requestRole(req);
+    const missing = permissions.filter(permission => !can(role, permission));
+    if (missing.length === 0) {
+      return next();
+    }
+
+    res.status(req.user ? 403 : 401).json({
+      success: false,
+      message: req.user
+        ? `Not authorized: the ${role} role cannot ${missing.join(', ')}`
+        : 'Not authorized, login required',
+      missingPermissions: missing
+    });
+  };
+};
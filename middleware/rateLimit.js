@@ -0,0 +1,68 @@
+import { getRateLimitConfig } from '../services/rateLimit/config.js';
+import { hit } from '../services/rateLimit/index.js';
+
+// Answers 429 with a Retry-After header in whole seconds
+export const tooManyRequests = (res, retryAfterMs, message) => {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ message, retryAfter });
+};
+
+// Limits requests per key in fixed windows. `key(req)` names what is counted
+// (return null to skip the request); `max` may depend on the request.
+// Sets RateLimit-* headers so clients can slow down before hitting the limit.
+export const rateLimit = ({ name, windowMs, max, key, message = 'Too many requests, please try again later' }) => async (req, res, next) => {
+  if (!getRateLimitConfig().enabled) return next();
+
+  const subject = key(req);
+  if (!subject) return next();
+
+  const limit = typeof max === 'function' ? max(req) : max;
+
+  try {
+    const result = await hit(`${name}:${subject}`, { windowMs, max: limit });
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(Math.ceil(result.retryAfterMs / 1000))
+    });
+
+    if (!result.allowed) {
+      return tooManyRequests(res, result.retryAfterMs, message);
+    }
+  } catch (error) {
+    // A broken counter store should not take the API down with it
+    console.error(`Rate limit store error (${name}):`, error);
+  }
+  next();
+};
+
+const ipKey = (req) => `ip:${req.ip}`;
+
+const { limits } = getRateLimitConfig();
+
+// Login and second-factor attempts per IP address
+export const loginRateLimit = rateLimit({
+  name: 'login',
+  ...limits.login,
+  key: ipKey,
+  message: 'Too many login attempts from this address, please try again later'
+});
+
+// Requests that send email to an address (signup, password reset, verification)
+export const accountEmailRateLimit = rateLimit({
+  name: 'account-email',
+  ...limits.accountEmail,
+  key: ipKey,
+  message: 'Too many email requests from this address, please try again later'
+});
+
+// AI endpoints each trigger paid model calls; run after optionalAuth so
+// logged-in users are counted per account
+export const aiRateLimit = rateLimit({
+  name: 'ai',
+  windowMs: limits.ai.windowMs,
+  max: (req) => (req.user ? limits.ai.userMax : limits.ai.anonymousMax),
+  key: (req) => (req.user ? `user:${req.user._id}` : ipKey(req)),
+  message: 'AI request limit reached, please try again later'
+});
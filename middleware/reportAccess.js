@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import Report from '../models/Report.js';
+import { getAccessLevel, hasAccess, matchesClaimToken, teamContextFor } from '../services/reportAccess.js';
+
+/**
+ * Loads the report named by req.params.id and checks the caller has at least
+ * the given access level. The report is attached as req.report and the
+ * caller's level as req.reportAccess.
+ *
+ * Anonymous reports can be viewed by sending their claim token in the
+ * X-Claim-Token header.
+ *
+ * @param {string} required - 'viewer', 'editor' or 'owner'
+ */
+export const authorizeReport = (required) => async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+
+    const report = await Report.findById(req.params.id).select('+claimTokenHash');
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+
+    let level = await getAccessLevel(report, req.user, await teamContextFor(req));
+    if (level === 'none' && required === 'viewer' && matchesClaimToken(report, req.headers['x-claim-token'])) {
+      level = 'viewer';
+    }
+
+    if (!hasAccess(level, required)) {
+      // Don't reveal private reports to people who cannot see them
+      const status = level === 'none' ? 404 : 403;
+      return res.status(status).json({
+        success: false,
+        message: status === 404 ? 'Report not found' : `Not authorized: ${required} access required`
+      });
+    }
+
+    // Keep the claim token hash out of responses
+    report.claimTokenHash = undefined;
+
+    req.report = report;
+    req.reportAccess = level;
+    next();
+  } catch (error) {
+    console.error('Error checking report access:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check report access',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,75 @@
+import { validateFormData, LCA_STAGES } from '../services/lcaInputSchema.js';
+import { resolveFunctionalUnit } from '../services/functionalUnit.js';
+
+/**
+ * Validates LCA input in the request body against the declared input schema
+ * and replaces it with the normalised values. Plain numbers are read in
+ * `inputUnits` unless the body sets inputUnits to 'form' or 'canonical'.
+ * Updates default to canonical units, so data fetched from the API can be
+ * sent back unchanged.
+ *
+ * @param {object} options
+ * @param {string} [options.field='formData'] - Body property holding the inputs
+ * @param {string} [options.mode='partial'] - 'partial', 'complete' or 'stage'
+ * @param {boolean} [options.optional=false] - Skip validation when the property is absent
+ * @param {string} [options.inputUnits='form'] - Default unit of plain numbers: 'form' or 'canonical'
+ */
+export const validateLcaInput = ({ field = 'formData', mode = 'partial', optional = false, inputUnits: defaultUnits = 'form' } = {}) => (req, res, next) => {
+  const body = req.body || {};
+  const input = body[field];
+
+  if (input === undefined && optional) {
+    return next();
+  }
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid LCA input',
+      errors: [{ field, message: `${field} must be an object` }]
+    });
+  }
+
+  // In stage mode the required fields come from the node being analysed
+  const stages = mode === 'stage' && LCA_STAGES.includes(body.nodeType) ? [body.nodeType] : [];
+
+  const inputUnits = ['form', 'canonical'].includes(body.inputUnits) ? body.inputUnits : defaultUnits;
+  const { valid, errors, data } = validateFormData(input, { mode, stages, inputUnits });
+
+  if (!valid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid LCA input',
+      errors: errors.map(error => ({ ...error, field: `${field}.${error.field}` }))
+    });
+  }
+
+  req.body[field] = data;
+  next();
+};
+
+/**
+ * Validates an optional functionalUnit in the request body and replaces it
+ * with the resolved functional unit (description, quantity, unit and, for
+ * product-based units, the reference flow).
+ */
+export const validateFunctionalUnit = (req, res, next) => {
+  const body = req.body || {};
+
+  if (body.functionalUnit === undefined) {
+    return next();
+  }
+
+  const { functionalUnit, errors } = resolveFunctionalUnit(body.functionalUnit);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid functional unit',
+      errors
+    });
+  }
+
+  req.body.functionalUnit = functionalUnit;
+  next();
+};
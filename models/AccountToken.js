@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// A single-use token mailed to a user: a password reset link or an email
+// address confirmation. Only the hash is stored.
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  // SHA-256 of the token sent to the user
+  tokenHash: {
+    type: String,
+    required: true,
+    index: true,
+    select: false
+  },
+  // Address being confirmed; differs from the user's email for an email change
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date
+});
+
+// Expired tokens are useless; let MongoDB remove them a day later
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+export default AccountToken;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Reference value an impact metric is compared against on the dashboard
+const benchmarkSchema = new mongoose.Schema({
+  // No organization means a platform-wide benchmark every organization inherits
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  metric: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Empty metal type means the benchmark applies to every metal
+  metalType: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  source: {
+    type: String,
+    trim: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+benchmarkSchema.index({ organization: 1, metric: 1, metalType: 1 }, { unique: true });
+
+const Benchmark = mongoose.model('Benchmark', benchmarkSchema);
+
+export default Benchmark;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// One weekly digest for one user; the unique index is what stops a digest
+// for the same week going out twice
+const digestRunSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // ISO week the digest covers, in the user's timezone, e.g. '2026-W42'
+  periodKey: {
+    type: String,
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  timezone: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['compiling', 'queued', 'skipped', 'failed'],
+    default: 'compiling'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  summary: {
+    newReports: Number,
+    metricsCompared: Number,
+    awaitingReview: Number
+  },
+  reason: String,
+  error: String,
+  transport: String,
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+});
+
+digestRunSchema.index({ user: 1, periodKey: 1 }, { unique: true });
+
+const DigestRun = mongoose.model('DigestRun', digestRunSchema);
+
+export default DigestRun;
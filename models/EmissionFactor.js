@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+
+export const FACTOR_CATEGORIES = ['electricity', 'fuel', 'transport', 'reagent'];
+
+// Where a factor's numbers come from, shown with every use of it
+const sourceSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  publisher: {
+    type: String,
+    trim: true
+  },
+  year: Number,
+  url: {
+    type: String,
+    trim: true
+  },
+  license: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Indicators per unit of activity (see services/emissionFactors/dataset.js)
+const valuesSchema = new mongoose.Schema({
+  gwp: { type: Number, required: true, min: 0 },
+  ced: { type: Number, min: 0 },
+  ap: { type: Number, min: 0 },
+  ep: { type: Number, min: 0 },
+  water: { type: Number, min: 0 }
+}, { _id: false });
+
+// One revision of an emission factor. Editing a factor adds a revision and
+// closes the previous one (supersededAt), so reports pinned to a point in
+// time keep resolving the numbers they were calculated with.
+const emissionFactorSchema = new mongoose.Schema({
+  // category:activity:region:year, identical across revisions
+  key: {
+    type: String,
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  category: {
+    type: String,
+    enum: FACTOR_CATEGORIES,
+    required: true
+  },
+  // Energy source, transport mode, fuel or reagent, lower case (e.g. 'grid', 'truck')
+  activity: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // ISO 3166 country code, or 'GLO' for a global value
+  region: {
+    type: String,
+    required: true,
+    uppercase: true,
+    default: 'GLO'
+  },
+  // Reference year; none means the factor applies to any year
+  year: {
+    type: Number,
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  unit: {
+    type: String,
+    required: true
+  },
+  values: {
+    type: valuesSchema,
+    required: true
+  },
+  source: {
+    type: sourceSchema,
+    required: true
+  },
+  // 'bundled' revisions come from the seeded dataset, 'custom' ones from an admin
+  origin: {
+    type: String,
+    enum: ['bundled', 'custom'],
+    default: 'custom'
+  },
+  datasetVersion: String,
+  // No organization means a platform-wide factor every organization inherits
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when a newer revision replaces this one or the factor is retired
+  supersededAt: {
+    type: Date,
+    default: null
+  },
+  retired: {
+    type: Boolean,
+    default: false
+  }
+});
+
+emissionFactorSchema.index({ organization: 1, key: 1, revision: 1 }, { unique: true });
+emissionFactorSchema.index({ category: 1, activity: 1, region: 1 });
+
+const EmissionFactor = mongoose.model('EmissionFactor', emissionFactorSchema);
+
+export default EmissionFactor;
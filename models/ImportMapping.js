@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// One spreadsheet column and the LCA input it fills
+const columnSchema = new mongoose.Schema({
+  // Header text as it appears in the file (matched ignoring case and surrounding spaces)
+  column: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // An LCA input field name, or 'reportName', 'period' or 'throughput'
+  field: {
+    type: String,
+    required: true
+  },
+  // Unit of the column's numbers; defaults to the field's form input unit
+  unit: String,
+  // Named leg of transportDistances this column holds
+  leg: String,
+  // The column holds a total for the period, divided by the throughput column
+  perThroughput: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Saved column mapping for bulk inventory imports. Scoped like templates:
+// to the organization it was created in, or to its creator outside one.
+const importMappingSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  columns: [columnSchema],
+  // Values applied to every row unless a column provides one (e.g. metalType)
+  defaults: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+importMappingSchema.index({ organization: 1, user: 1 });
+
+const ImportMapping = mongoose.model('ImportMapping', importMappingSchema);
+
+export default ImportMapping;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// Outbound message waiting in, or processed by, the notification queue
+const notificationSchema = new mongoose.Schema({
+  // Recipient account; empty for people without one (e.g. invitees)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  // Preference flag the message depends on, null for transactional messages
+  category: {
+    type: String,
+    default: null
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  // Rendered body, cleared once the message is sent or given up on
+  text: String,
+  html: String,
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: String,
+  // Transport requested when queued, or the default one that sent it
+  transport: String,
+  messageId: String,
+  sentAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Tenant that owns members, invitations, reports, templates and benchmarks
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add an organization name'],
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  settings: {
+    // Members must have two-factor authentication on to act in the organization
+    requireTwoFactor: {
+      type: Boolean,
+      default: false
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+export default Organization;
@@ -1,5 +1,62 @@
 import mongoose from 'mongoose';
 
+// What the report's impacts refer to, e.g. 1 t of cathode or 1 product
+// containing 2.5 kg of metal (see services/functionalUnit.js)
+const functionalUnitSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  unit: {
+    type: String,
+    default: 'kg'
+  },
+  referenceFlow: {
+    quantity: Number,
+    unit: String
+  }
+}, { _id: false });
+
+// Impact indicators computed server-side by services/lcaCalculator.js,
+// expressed per functional unit; perKg holds the same totals per kg of metal
+const impactsSchema = new mongoose.Schema({
+  globalWarmingPotential: Number,
+  waterScarcityFootprint: Number,
+  cumulativeEnergyDemand: Number,
+  acidificationPotential: Number,
+  eutrophicationPotential: Number,
+  perKg: {
+    globalWarmingPotential: Number,
+    waterScarcityFootprint: Number,
+    cumulativeEnergyDemand: Number,
+    acidificationPotential: Number,
+    eutrophicationPotential: Number
+  },
+  referenceFlowKg: Number,
+  functionalUnit: functionalUnitSchema,
+  units: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  byStage: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  basis: String,
+  factors: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  assumptions: [String],
+  methodVersion: String,
+  calculatedAt: Date
+}, { _id: false });
+
 const reportSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -11,19 +68,60 @@ const reportSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Personal reports (and unclaimed anonymous ones) have no organization
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     // Making it optional to support anonymous reports
   },
+  // Hash of the token that lets the creator of an anonymous report claim it
+  claimTokenHash: {
+    type: String,
+    select: false
+  },
+  // Reports are private to their owner unless shared here
+  sharing: {
+    team: {
+      type: String,
+      enum: ['none', 'viewer', 'editor'],
+      default: 'none'
+    },
+    users: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      access: {
+        type: String,
+        enum: ['viewer', 'editor'],
+        default: 'viewer'
+      }
+    }]
+  },
   formData: {
     type: Object,
     required: true
   },
+  functionalUnit: {
+    type: functionalUnitSchema,
+    default: () => ({ description: '1 kg of metal', quantity: 1, unit: 'kg' })
+  },
   insights: {
     lca_summary: String,
-    recommendations: [String]
+    recommendations: [String],
+    // Which fields came from the AI model and which from fallback content
+    provenance: {
+      type: mongoose.Schema.Types.Mixed
+    }
   },
+  impacts: impactsSchema,
   createdAt: {
     type: Date,
     default: Date.now
@@ -34,9 +132,26 @@ const reportSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'completed', 'archived'],
+    enum: ['draft', 'completed', 'approved', 'archived'],
     default: 'completed'
-  }
+  },
+  // Set when an Auditor or Admin signs off the report; cleared by later edits
+  approval: {
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedAt: Date,
+    comment: String
+  },
+  // Latest ReportRevision number; history lives in that collection
+  currentRevision: {
+    type: Number,
+    default: 0
+  },
+  // Set by scripts/migrateCanonicalUnits.js when formData saved in the
+  // original per-tonne form units was converted to canonical units
+  unitsMigratedAt: Date
 });
 
 // Virtual for calculating environmental impact score (could be implemented later)
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+// One content block of a document section; renderers turn these into HTML or PDF
+const blockSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['paragraph', 'facts', 'table', 'list'],
+    required: true
+  },
+  text: String,
+  items: mongoose.Schema.Types.Mixed,
+  columns: [String],
+  rows: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const sectionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  // 'incomplete' when inputs the section needs are missing from the report
+  status: {
+    type: String,
+    enum: ['complete', 'incomplete'],
+    required: true
+  },
+  missing: [String],
+  blocks: [blockSchema]
+}, { _id: false });
+
+// A generated ISO 14040/14044-style disclosure, frozen at a report revision.
+// Documents are append-only; regenerating creates the next version.
+const reportDocumentSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // ReportRevision the content was generated from
+  revision: {
+    type: Number,
+    required: true
+  },
+  standard: {
+    type: String,
+    default: 'ISO 14040/14044'
+  },
+  title: String,
+  // Goal and scope statements supplied when the document was generated
+  goal: {
+    intendedApplication: String,
+    reasons: String,
+    intendedAudience: String,
+    commissioner: String,
+    practitioner: String,
+    comparativeAssertion: Boolean
+  },
+  sections: [sectionSchema],
+  complete: Boolean,
+  html: String,
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reportDocumentSchema.index({ report: 1, version: 1 }, { unique: true });
+
+reportDocumentSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Report documents are immutable'));
+  }
+  next();
+});
+
+const ReportDocument = mongoose.model('ReportDocument', reportDocumentSchema);
+
+export default ReportDocument;
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// One field-level change between two revisions
+const changeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  op: {
+    type: String,
+    enum: ['added', 'removed', 'changed'],
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Immutable snapshot of a report, written on every create, update and restore
+const reportRevisionSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  changeType: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'restore', 'approve'],
+    required: true
+  },
+  restoredFrom: {
+    type: Number
+  },
+  snapshot: {
+    name: String,
+    metalType: String,
+    status: String,
+    formData: mongoose.Schema.Types.Mixed,
+    functionalUnit: mongoose.Schema.Types.Mixed,
+    insights: mongoose.Schema.Types.Mixed,
+    impacts: mongoose.Schema.Types.Mixed
+  },
+  changes: [changeSchema],
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reportRevisionSchema.index({ report: 1, revision: 1 }, { unique: true });
+
+// Revisions are append-only
+reportRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Report revisions are immutable'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Report revisions are immutable'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => reportRevisionSchema.pre(operation, rejectChange));
+
+const ReportRevision = mongoose.model('ReportRevision', reportRevisionSchema);
+
+export default ReportRevision;
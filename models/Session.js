@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// A login on one device. Access tokens name their session, so revoking it
+// signs that device out; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    index: true,
+    select: false
+  },
+  // Hashes of refresh tokens already rotated out; presenting one means the
+  // token was copied, so the whole session is revoked
+  retiredTokenHashes: {
+    type: [String],
+    index: true,
+    select: false
+  },
+  device: {
+    userAgent: String,
+    browser: String,
+    os: String,
+    ip: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'password_changed', 'token_reuse']
+  }
+});
+
+// Expired sessions (revoked ones included) can no longer be refreshed; let MongoDB remove them
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
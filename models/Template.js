@@ -36,6 +36,12 @@ const templateSchema = new mongoose.Schema({
     default: {}
   },
   processSteps: [processStepSchema],
+  // Templates with neither organization nor user are built-in and visible to everyone
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
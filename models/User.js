@@ -1,6 +1,16 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Roles shared by user accounts, team members and invitations
+export const USER_ROLES = ['Admin', 'Analyst', 'Auditor', 'Collaborator', 'Viewer'];
+
+// Roles from the two user schemas that existed before they were merged
+export const LEGACY_ROLE_MAP = {
+  metallurgist: 'Analyst',
+  Guest: 'Viewer',
+  admin: 'Admin'
+};
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -15,6 +25,18 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
   },
+  // Set once the user follows a verification link sent to email
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // New address requested on the profile, applied when its link is followed
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
   password: {
     type: String,
     required: [true, 'Please provide a password'],
@@ -23,8 +45,8 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['metallurgist', 'Guest', 'Auditor', 'admin'],
-    default: 'Guest'
+    enum: USER_ROLES,
+    default: 'Viewer'
   },
   phone: {
     type: String,
@@ -67,9 +89,46 @@ const userSchema = new mongoose.Schema({
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  lastLogin: {
+    type: Date
+  },
+  // Organization used when a request does not name one (X-Organization-Id)
+  activeOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  // Consecutive failed logins; the account is locked for a while after too many
+  loginLockout: {
+    failedAttempts: { type: Number, default: 0 },
+    lastFailedAt: Date,
+    lockedUntil: Date
+  },
+  // TOTP two-factor authentication; secrets are stored encrypted
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    // Secret from a setup that has not been confirmed with a code yet
+    pendingSecret: { type: String, select: false },
+    backupCodeHashes: { type: [String], select: false },
+    // Last accepted time step, so a code cannot be used twice
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
   }
 });
 
+// Accounts not yet migrated (scripts/migrateUsers.js) may still carry a legacy role
+userSchema.pre('validate', function(next) {
+  if (LEGACY_ROLE_MAP[this.role]) {
+    this.role = LEGACY_ROLE_MAP[this.role];
+  }
+  // The privacy flag mirrors real enrollment; it cannot switch 2FA on or off by itself
+  if (this.preferences && this.preferences.privacy) {
+    this.preferences.privacy.twoFactorAuth = Boolean(this.twoFactor && this.twoFactor.enabled);
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -84,6 +143,9 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Kept for callers written against the former team user model
+userSchema.methods.comparePassword = userSchema.methods.matchPassword;
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
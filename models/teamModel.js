@@ -1,14 +1,21 @@
 import mongoose from 'mongoose';
+import { USER_ROLES } from './User.js';
 
 const invitationSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
   email: {
     type: String,
     required: true,
+    lowercase: true,
     trim: true
   },
   role: {
     type: String,
-    enum: ['Admin', 'Analyst', 'Collaborator', 'Viewer'],
+    enum: USER_ROLES,
     default: 'Viewer'
   },
   invitedBy: {
@@ -21,12 +28,21 @@ const invitationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Pending', 'Accepted', 'Expired'],
+    enum: ['Pending', 'Accepted', 'Declined', 'Expired'],
     default: 'Pending'
   },
-  token: {
+  // SHA-256 of the invitation token; removed once the invitation is answered
+  tokenHash: {
     type: String,
-    required: true
+    index: true,
+    select: false
+  },
+  respondedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   },
   expiresAt: {
     type: Date,
@@ -41,6 +57,11 @@ const invitationSchema = new mongoose.Schema({
 });
 
 const teamMemberSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -48,7 +69,7 @@ const teamMemberSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['Admin', 'Analyst', 'Collaborator', 'Viewer'],
+    enum: USER_ROLES,
     default: 'Viewer'
   },
   status: {
@@ -74,6 +95,10 @@ const teamMemberSchema = new mongoose.Schema({
   }
 });
 
+// A user belongs to an organization at most once
+teamMemberSchema.index({ organization: 1, user: 1 }, { unique: true });
+invitationSchema.index({ organization: 1, email: 1, status: 1 });
+
 // Use mongoose.models to check if models already exist
 const TeamMember = mongoose.models.TeamMember || mongoose.model('TeamMember', teamMemberSchema);
 const Invitation = mongoose.models.Invitation || mongoose.model('Invitation', invitationSchema);
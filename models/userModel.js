@@ -1,58 +0,0 @@
-import mongoose from 'mongoose';
-import bcrypt from 'bcrypt';
-
-// Check if the model already exists before creating it
-const userSchema = new mongoose.Schema({
-  name: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  email: {
-    type: String,
-    required: true,
-    unique: true,
-    trim: true,
-    lowercase: true
-  },
-  password: {
-    type: String,
-    required: true
-  },
-  role: {
-    type: String,
-    enum: ['Admin', 'Analyst', 'Collaborator', 'Viewer'],
-    default: 'Analyst'
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  },
-  lastLogin: {
-    type: Date
-  }
-});
-
-// Pre-save hook to hash password
-userSchema.pre('save', async function(next) {
-  // Only hash the password if it's modified or new
-  if (!this.isModified('password')) return next();
-  
-  try {
-    const salt = await bcrypt.genSalt(10);
-    this.password = await bcrypt.hash(this.password, salt);
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
-
-// Method to compare password for login
-userSchema.methods.comparePassword = async function(candidatePassword) {
-  return await bcrypt.compare(candidatePassword, this.password);
-};
-
-// Check if the model already exists to avoid the "Cannot overwrite" error
-const User = mongoose.models.User || mongoose.model('User', userSchema);
-
-export default User;
@@ -1,11 +1,52 @@
 import express from 'express';
-import { signup, login, getUserProfile } from '../controllers/authController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import {
+  signup,
+  login,
+  getUserProfile,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  deleteAllSessions,
+  loginTwoFactor,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactorHandler,
+  disableTwoFactorHandler,
+  regenerateBackupCodesHandler
+} from '../controllers/authController.js';
+import { protectAccount } from '../middleware/authMiddleware.js';
+import { accountEmailRateLimit, loginRateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
-router.post('/signup', signup);
-router.post('/login', login);
-router.get('/profile', protect, getUserProfile);
+router.post('/signup', accountEmailRateLimit, signup);
+router.post('/login', loginRateLimit, login);
+router.post('/login/2fa', loginRateLimit, loginTwoFactor);
+router.get('/profile', protectAccount, getUserProfile);
+
+// Password reset and email verification
+router.post('/forgot-password', accountEmailRateLimit, forgotPassword);
+router.post('/reset-password', loginRateLimit, resetPassword);
+router.post('/verify-email', loginRateLimit, verifyEmail);
+router.post('/verify-email/resend', accountEmailRateLimit, protectAccount, resendVerification);
+
+// Sessions
+router.post('/refresh', refresh);
+router.post('/logout', protectAccount, logout);
+router.get('/sessions', protectAccount, getSessions);
+router.delete('/sessions', protectAccount, deleteAllSessions);
+router.delete('/sessions/:id', protectAccount, deleteSession);
+
+// Two-factor authentication
+router.get('/2fa', protectAccount, getTwoFactor);
+router.post('/2fa/setup', protectAccount, setupTwoFactor);
+router.post('/2fa/enable', protectAccount, enableTwoFactorHandler);
+router.post('/2fa/disable', protectAccount, disableTwoFactorHandler);
+router.post('/2fa/backup-codes', protectAccount, regenerateBackupCodesHandler);
 
 export default router;
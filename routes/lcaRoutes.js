@@ -1,24 +1,78 @@
-import { Router } from 'express';
+import { Router, raw } from 'express';
 import lcaController from '../controllers/lcaController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import analyticsController from '../controllers/analyticsController.js';
+import reportHistoryController from '../controllers/reportHistoryController.js';
+import exportController from '../controllers/exportController.js';
+import reportDocumentController from '../controllers/reportDocumentController.js';
+import importController from '../controllers/importController.js';
+import interopController from '../controllers/interopController.js';
+import emissionFactorController from '../controllers/emissionFactorController.js';
+import { protect, optionalAuth } from '../middleware/authMiddleware.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { authorizeReport } from '../middleware/reportAccess.js';
+import { validateLcaInput, validateFunctionalUnit } from '../middleware/validateLcaInput.js';
+import { aiRateLimit } from '../middleware/rateLimit.js';
+import { IMPORT_CONTENT_TYPES } from '../services/inventoryImport/index.js';
+import { INTEROP_CONTENT_TYPES } from '../services/interop/index.js';
 const router = Router();
 
 // AI analysis endpoints
-router.post('/suggest-parameters', lcaController.suggestParameters);
-router.post('/generate-recommendations', lcaController.generateRecommendations);
-router.post('/node-insights', lcaController.getNodeInsights); // New endpoint for dynamic node insights
+router.get('/input-schema', optionalAuth, requirePermission('lca:analyze'), lcaController.getInputSchema);
+router.post('/suggest-parameters', optionalAuth, requirePermission('lca:analyze'), aiRateLimit, validateLcaInput({ mode: 'partial' }), lcaController.suggestParameters);
+router.post('/generate-recommendations', optionalAuth, requirePermission('lca:analyze'), aiRateLimit, validateLcaInput({ mode: 'complete' }), validateFunctionalUnit, lcaController.generateRecommendations);
+router.post('/node-insights', optionalAuth, requirePermission('lca:analyze'), aiRateLimit, validateLcaInput({ mode: 'stage' }), lcaController.getNodeInsights); // New endpoint for dynamic node insights
 
 // Report management endpoints
-router.get('/reports', lcaController.getReports);
-router.get('/reports/:id', lcaController.getReportById);
-router.put('/reports/:id', protect, lcaController.updateReport); // Protected route
-router.delete('/reports/:id', protect, lcaController.deleteReport); // Protected route
+router.get('/reports', protect, requirePermission('reports:read'), lcaController.getReports);
+router.get('/reports/:id', optionalAuth, requirePermission('reports:read'), authorizeReport('viewer'), lcaController.getReportById);
+router.put('/reports/:id', protect, requirePermission('reports:update'), authorizeReport('editor'), validateLcaInput({ mode: 'complete', optional: true, inputUnits: 'canonical' }), validateFunctionalUnit, lcaController.updateReport); // Protected route
+router.delete('/reports/:id', protect, requirePermission('reports:delete'), authorizeReport('owner'), lcaController.deleteReport); // Protected route
+router.put('/reports/:id/sharing', protect, requirePermission('reports:share'), authorizeReport('owner'), lcaController.updateSharing);
+router.post('/reports/:id/claim', protect, requirePermission('reports:create'), lcaController.claimReport);
+router.post('/reports/:id/approve', protect, requirePermission('reports:approve'), authorizeReport('viewer'), lcaController.approveReport);
+
+// Report export endpoints
+router.post('/reports/export', protect, requirePermission('reports:read'), exportController.exportReports);
+router.get('/reports/:id/export', optionalAuth, requirePermission('reports:read'), authorizeReport('viewer'), exportController.exportReport);
+router.get('/reports/:id/interop', optionalAuth, requirePermission('reports:read'), authorizeReport('viewer'), interopController.exportDataset);
+
+// Bulk import of inventory data from CSV/XLSX as draft reports
+router.post('/reports/import', protect, requirePermission('reports:create'), raw({ type: IMPORT_CONTENT_TYPES, limit: '10mb' }), importController.importReports);
+router.get('/import-mappings', protect, requirePermission('reports:create'), importController.listMappings);
+router.post('/import-mappings', protect, requirePermission('importMappings:write'), importController.createMapping);
+router.put('/import-mappings/:id', protect, requirePermission('importMappings:write'), importController.updateMapping);
+router.delete('/import-mappings/:id', protect, requirePermission('importMappings:write'), importController.deleteMapping);
+
+// ISO 14040/14044-style documents, versioned and tied to a report revision
+router.post('/reports/:id/documents', protect, requirePermission('reports:update'), authorizeReport('editor'), reportDocumentController.generateDocument);
+router.get('/reports/:id/documents', protect, requirePermission('reports:read'), authorizeReport('viewer'), reportDocumentController.listDocuments);
+router.get('/reports/:id/documents/:version', protect, requirePermission('reports:read'), authorizeReport('viewer'), reportDocumentController.getDocument);
+
+// Report revision history endpoints
+router.get('/reports/:id/revisions', protect, requirePermission('reports:read'), authorizeReport('viewer'), reportHistoryController.listRevisions);
+router.get('/reports/:id/revisions/diff', protect, requirePermission('reports:read'), authorizeReport('viewer'), reportHistoryController.diffRevisions);
+router.get('/reports/:id/revisions/:revision', protect, requirePermission('reports:read'), authorizeReport('viewer'), reportHistoryController.getRevision);
+router.post('/reports/:id/revisions/:revision/restore', protect, requirePermission('reports:update'), authorizeReport('editor'), reportHistoryController.restoreRevision);
+
+// Dashboard analytics endpoints
+router.get('/insights', protect, requirePermission('analytics:read'), analyticsController.getInsights);
+router.post('/statistics', protect, requirePermission('analytics:read'), analyticsController.getStatistics);
+router.get('/benchmarks', protect, requirePermission('analytics:read'), analyticsController.listBenchmarks);
+router.put('/benchmarks/:metric', protect, requirePermission('benchmarks:manage'), analyticsController.updateBenchmark);
+
+// Emission factor library (bundled dataset, platform-wide and organization factors)
+router.get('/emission-factors', protect, requirePermission('emissionFactors:read'), emissionFactorController.listFactors);
+router.get('/emission-factors/:id', protect, requirePermission('emissionFactors:read'), emissionFactorController.getFactor);
+router.post('/emission-factors', protect, requirePermission('emissionFactors:manage'), emissionFactorController.createFactor);
+router.put('/emission-factors/:id', protect, requirePermission('emissionFactors:manage'), emissionFactorController.updateFactor);
+router.delete('/emission-factors/:id', protect, requirePermission('emissionFactors:manage'), emissionFactorController.deleteFactor);
 
 // Template management endpoints
-router.get('/templates', lcaController.getTemplates);
-router.get('/templates/:id', lcaController.getTemplateById);
-router.post('/templates', lcaController.createTemplate);
-router.put('/templates/:id', protect, lcaController.updateTemplate); // Protected route
-router.delete('/templates/:id', protect, lcaController.deleteTemplate); // Protected route
+router.get('/templates', optionalAuth, requirePermission('templates:read'), lcaController.getTemplates);
+router.get('/templates/:id', optionalAuth, requirePermission('templates:read'), lcaController.getTemplateById);
+router.post('/templates/import', protect, requirePermission('templates:write'), raw({ type: INTEROP_CONTENT_TYPES, limit: '10mb' }), interopController.importTemplate);
+router.post('/templates', protect, requirePermission('templates:write'), validateLcaInput({ field: 'parameters', optional: true }), lcaController.createTemplate);
+router.put('/templates/:id', protect, requirePermission('templates:write'), validateLcaInput({ field: 'parameters', optional: true, inputUnits: 'canonical' }), lcaController.updateTemplate); // Protected route
+router.delete('/templates/:id', protect, requirePermission('templates:write'), lcaController.deleteTemplate); // Protected route
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import organizationController from '../controllers/organizationController.js';
+import { protect, protectAccount } from '../middleware/authMiddleware.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { requireOrganization } from '../middleware/organization.js';
+
+const router = Router();
+
+router.get('/', protectAccount, organizationController.listOrganizations);
+router.post('/', protectAccount, requirePermission('organizations:create'), organizationController.createOrganization);
+router.get('/current', protect, requireOrganization, organizationController.getCurrentOrganization);
+router.put('/current', protect, requireOrganization, requirePermission('organization:manage'), organizationController.updateCurrentOrganization);
+router.put('/current/security', protect, requireOrganization, requirePermission('organization:manage'), organizationController.updateSecuritySettings);
+router.post('/:id/switch', protectAccount, organizationController.switchOrganization);
+
+export default router;
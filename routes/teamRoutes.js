@@ -1,16 +1,44 @@
 import express from 'express';
 import { TeamMember, Invitation } from '../models/teamModel.js';
-import User from '../models/userModel.js'; // Make sure this imports correctly
-import { auth } from '../middleware/auth.js';
-import crypto from 'crypto';
+import User, { USER_ROLES } from '../models/User.js';
+import { protect, optionalAuth } from '../middleware/authMiddleware.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { requireOrganization } from '../middleware/organization.js';
+import {
+  InvitationError,
+  acceptInvitation,
+  createInvitationToken,
+  declineInvitation,
+  findInvitationByToken
+} from '../services/invitations.js';
+import { issueTokens } from '../services/authTokens.js';
+import { notifySafely } from '../services/notifications/index.js';
+import { appLink } from '../services/notifications/config.js';
+
+// Emails the invitation link; the token is only ever sent to the invitee
+const sendInvitation = (invitation, token, req, message) => notifySafely({
+  template: 'team.invitation',
+  to: invitation.email,
+  data: {
+    organizationName: req.organization.name,
+    inviterName: req.user.name,
+    role: invitation.role,
+    message,
+    expiresAt: invitation.expiresAt,
+    inviteUrl: appLink(`/invite?token=${token}`)
+  }
+});
 
 const router = express.Router();
 
+// Everything here is scoped to the active organization
+const scoped = [protect, requireOrganization];
+
 // Get all team members
-router.get('/members', auth, async (req, res) => {
+router.get('/members', ...scoped, requirePermission('team:read'), async (req, res) => {
   try {
-    const members = await TeamMember.find()
-      .populate('user', 'name email')
+    const members = await TeamMember.find({ organization: req.organization._id })
+      .populate('user', 'name email twoFactor.enabled')
       .populate('addedBy', 'name');
     
     // Format response
@@ -25,6 +53,7 @@ router.get('/members', auth, async (req, res) => {
         status: member.status,
         lastActive: member.lastActive,
         projects: member.projects,
+        twoFactorEnabled: Boolean(member.user.twoFactor && member.user.twoFactor.enabled),
         avatar: avatar
       };
     });
@@ -36,9 +65,9 @@ router.get('/members', auth, async (req, res) => {
 });
 
 // Get all pending invitations
-router.get('/invitations', auth, async (req, res) => {
+router.get('/invitations', ...scoped, requirePermission('team:read'), async (req, res) => {
   try {
-    const invitations = await Invitation.find()
+    const invitations = await Invitation.find({ organization: req.organization._id })
       .populate('invitedBy', 'name email');
     
     // Format response and check if invitations are expired
@@ -67,39 +96,42 @@ router.get('/invitations', auth, async (req, res) => {
 });
 
 // Invite a new team member
-router.post('/invite', auth, async (req, res) => {
+router.post('/invite', ...scoped, requirePermission('team:manage'), async (req, res) => {
   try {
     const { email, role, message } = req.body;
     
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
+    if (role && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+    
+    // Check if user is already a member of this organization
+    const existingUser = await User.findOne({ email: String(email).toLowerCase() });
+    if (existingUser && await TeamMember.exists({ organization: req.organization._id, user: existingUser._id })) {
+      return res.status(400).json({ message: 'This user is already a member of the organization' });
+    }
     
     // Check if invitation already exists
-    const existingInvitation = await Invitation.findOne({ email, status: 'Pending' });
+    const existingInvitation = await Invitation.findOne({ organization: req.organization._id, email: String(email).toLowerCase(), status: 'Pending' });
     if (existingInvitation) {
       return res.status(400).json({ message: 'An invitation has already been sent to this email' });
     }
     
-    // Generate a unique token
-    const token = crypto.randomBytes(32).toString('hex');
-    
-    // Create expiration date (7 days from now)
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7);
+    // Generate a unique token; only its hash is stored
+    const { token, tokenHash, expiresAt } = createInvitationToken();
     
     // Create invitation
     const invitation = new Invitation({
+      organization: req.organization._id,
       email,
       role,
       invitedBy: req.user.id,
-      token,
+      tokenHash,
       expiresAt
     });
     
     await invitation.save();
     
-    // Here you would typically send an email with the invitation link
-    // For now, we'll just return success
+    await sendInvitation(invitation, token, req, message);
     
     res.status(201).json({ 
       message: 'Invitation sent successfully',
@@ -118,20 +150,21 @@ router.post('/invite', auth, async (req, res) => {
 });
 
 // Resend invitation
-router.post('/invitation/:id/resend', auth, async (req, res) => {
+router.post('/invitation/:id/resend', ...scoped, requirePermission('team:manage'), async (req, res) => {
   try {
-    const invitation = await Invitation.findById(req.params.id);
+    const invitation = await Invitation.findOne({ _id: req.params.id, organization: req.organization._id });
     
     if (!invitation) {
       return res.status(404).json({ message: 'Invitation not found' });
     }
     
-    // Generate a new token
-    invitation.token = crypto.randomBytes(32).toString('hex');
+    if (!['Pending', 'Expired'].includes(invitation.status)) {
+      return res.status(400).json({ message: `Invitation was already ${invitation.status.toLowerCase()}` });
+    }
     
-    // Reset expiration date
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7);
+    // Generate a new token (invalidating the old link) and reset expiration date
+    const { token, tokenHash, expiresAt } = createInvitationToken();
+    invitation.tokenHash = tokenHash;
     invitation.expiresAt = expiresAt;
     
     // Update status if it was expired
@@ -141,7 +174,7 @@ router.post('/invitation/:id/resend', auth, async (req, res) => {
     
     await invitation.save();
     
-    // Here you would typically send a new email with the invitation link
+    await sendInvitation(invitation, token, req);
     
     res.json({ 
       message: 'Invitation resent successfully',
@@ -158,10 +191,97 @@ router.post('/invitation/:id/resend', auth, async (req, res) => {
   }
 });
 
+// Look up an invitation from its link so the client can show who invited
+// whom and whether to offer login or signup (public)
+router.get('/invitation/lookup', async (req, res) => {
+  try {
+    const invitation = await findInvitationByToken(req.query.token);
+    if (!invitation || !invitation.organization) {
+      return res.status(404).json({ message: 'Invitation not found or already used' });
+    }
+    
+    const expired = invitation.status === 'Expired'
+      || (invitation.status === 'Pending' && invitation.expiresAt < new Date());
+    
+    res.json({
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        organization: invitation.organization.name,
+        status: expired ? 'Expired' : invitation.status,
+        expiresAt: invitation.expiresAt
+      },
+      accountExists: Boolean(await User.exists({ email: invitation.email }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Accept an invitation (public). Logged-in users accept as themselves;
+// otherwise send name and password to sign up through the invitation. An
+// existing account must log in first.
+router.post('/invitation/accept', optionalAuth, async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: 'token is required' });
+    }
+    
+    const { invitation, membership, user, created } = await acceptInvitation(token, {
+      user: req.user,
+      name,
+      password
+    });
+    
+    res.status(created ? 201 : 200).json({
+      message: 'Invitation accepted',
+      organization: {
+        id: invitation.organization._id,
+        name: invitation.organization.name,
+        role: membership.role
+      },
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email
+      },
+      // Only issued when the caller was not already logged in
+      ...(req.user ? {} : await issueTokens(user, req))
+    });
+  } catch (error) {
+    if (error instanceof InvitationError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Decline an invitation (public)
+router.post('/invitation/decline', async (req, res) => {
+  try {
+    if (!req.body.token) {
+      return res.status(400).json({ message: 'token is required' });
+    }
+    
+    await declineInvitation(req.body.token);
+    
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    if (error instanceof InvitationError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Cancel invitation
-router.delete('/invitation/:id', auth, async (req, res) => {
+router.delete('/invitation/:id', ...scoped, requirePermission('team:manage'), async (req, res) => {
   try {
-    const invitation = await Invitation.findByIdAndDelete(req.params.id);
+    const invitation = await Invitation.findOneAndDelete({ _id: req.params.id, organization: req.organization._id });
     
     if (!invitation) {
       return res.status(404).json({ message: 'Invitation not found' });
@@ -174,21 +294,38 @@ router.delete('/invitation/:id', auth, async (req, res) => {
 });
 
 // Update team member role or status
-router.put('/member/:id', auth, async (req, res) => {
+router.put('/member/:id', ...scoped, requirePermission('team:manage'), async (req, res) => {
   try {
     const { role, status } = req.body;
     
-    const member = await TeamMember.findById(req.params.id);
+    const member = await TeamMember.findOne({ _id: req.params.id, organization: req.organization._id });
     
     if (!member) {
       return res.status(404).json({ message: 'Team member not found' });
     }
     
+    // Nobody changes their own role or status, so admins cannot lock themselves in or out
+    if (member.user.toString() === req.user._id.toString()) {
+      return res.status(403).json({ message: 'You cannot change your own membership' });
+    }
+    
+    if (role && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+    
     if (role) member.role = role;
     if (status) member.status = status;
     
     await member.save();
     
+    if (role) {
+      await notifySafely({
+        template: 'team.roleChanged',
+        user: member.user,
+        data: { organizationName: req.organization.name, role: member.role, changedBy: req.user.name }
+      });
+    }
+    
     res.json({ 
       message: 'Team member updated successfully',
       member: {
@@ -203,14 +340,20 @@ router.put('/member/:id', auth, async (req, res) => {
 });
 
 // Remove team member
-router.delete('/member/:id', auth, async (req, res) => {
+router.delete('/member/:id', ...scoped, requirePermission('team:manage'), async (req, res) => {
   try {
-    const member = await TeamMember.findByIdAndDelete(req.params.id);
+    const member = await TeamMember.findOne({ _id: req.params.id, organization: req.organization._id });
     
     if (!member) {
       return res.status(404).json({ message: 'Team member not found' });
     }
     
+    if (member.user.toString() === req.user._id.toString()) {
+      return res.status(403).json({ message: 'You cannot remove yourself from the team' });
+    }
+    
+    await member.deleteOne();
+    
     res.json({ message: 'Team member removed successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
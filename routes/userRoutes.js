@@ -1,12 +1,18 @@
 import { Router } from 'express';
 import userController from '../controllers/userController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, protectAccount } from '../middleware/authMiddleware.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { requireOrganization } from '../middleware/organization.js';
 
 const router = Router();
 
 // Protected routes - require authentication
-router.get('/profile', protect, userController.getProfile);
-router.put('/profile', protect, userController.updateProfile);
-router.put('/password', protect, userController.updatePassword);
+router.get('/profile', protectAccount, requirePermission('profile:read'), userController.getProfile);
+router.put('/profile', protectAccount, requirePermission('profile:update'), userController.updateProfile);
+router.put('/password', protectAccount, requirePermission('profile:update'), userController.updatePassword);
+router.get('/digests', protectAccount, requirePermission('profile:read'), userController.getDigestRuns);
+
+// Admin routes
+router.put('/:id/role', protect, requireOrganization, requirePermission('users:manage'), userController.updateUserRole);
 
 export default router;
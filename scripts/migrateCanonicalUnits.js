@@ -0,0 +1,128 @@
+// scripts/migrateCanonicalUnits.js
+//
+// One-off migration for reports saved before inputs were stored in canonical
+// units (calculation method 1.1.0). Their formData is still in the per-tonne
+// form units (kWh/t, L/t, m2/t, kg/t) while every reader now expects MJ/kg,
+// L/kg, m2/kg and kg/kg. Converts the formData of those reports and of their
+// revision snapshots; stored impacts were calculated from the original units
+// and stay as they are.
+//
+// A report counts as legacy when it has no impacts or was last calculated
+// with method 1.0.0. A legacy report that was only recalculated since (e.g. a
+// functional unit change) carries a newer method version but still holds
+// form-unit data; pass its id with --ids to convert it as well.
+//
+// Usage: npm run migrate:units [-- --dry-run] [-- --ids <id>,<id>]
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Report from '../models/Report.js';
+import ReportRevision from '../models/ReportRevision.js';
+import { validateFormData } from '../services/lcaInputSchema.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const idsIndex = process.argv.indexOf('--ids');
+const ids = idsIndex > -1 ? (process.argv[idsIndex + 1] || '').split(',').filter(Boolean) : [];
+
+// Calculated before canonical units, or never calculated server-side
+const legacyMethod = {
+    $or: [
+        { 'impacts.methodVersion': { $exists: false } },
+        { 'impacts.methodVersion': '1.0.0' }
+    ]
+};
+
+/**
+ * Converts form data from the original form units to canonical units
+ * @param {object} formData - Form data as stored
+ * @returns {object}
+ */
+const toCanonical = (formData) => {
+    if (!formData || typeof formData !== 'object' || Array.isArray(formData)) return formData;
+    return validateFormData(formData, { mode: 'partial', inputUnits: 'form' }).data;
+};
+
+/**
+ * Checks whether a revision replaced the report's form data with values sent
+ * after the switch to canonical units
+ * @param {object} revision - Raw revision document
+ * @returns {boolean}
+ */
+const changedFormData = (revision) => ['update', 'restore'].includes(revision.changeType)
+    && (revision.changes || []).some(change => change.path === 'formData' || change.path.startsWith('formData.'));
+
+/**
+ * Converts the snapshots of a legacy report's revisions, oldest first, up to
+ * the first one whose form data was entered in canonical units
+ * @param {object} report - Raw report document
+ * @returns {Promise<number>} Revisions converted
+ */
+const migrateRevisions = async (report) => {
+    const revisions = await ReportRevision.collection
+        .find({ report: report._id })
+        .sort({ revision: 1 })
+        .toArray();
+
+    let converted = 0;
+    for (const revision of revisions) {
+        const snapshotLegacy = !revision.snapshot.impacts || !revision.snapshot.impacts.methodVersion
+            || revision.snapshot.impacts.methodVersion === '1.0.0';
+        if (!snapshotLegacy && changedFormData(revision)) break;
+
+        converted++;
+        if (!dryRun) {
+            // Bypass the model: revisions reject updates through mongoose
+            await ReportRevision.collection.updateOne(
+                { _id: revision._id },
+                { $set: { 'snapshot.formData': toCanonical(revision.snapshot.formData) } }
+            );
+        }
+    }
+    return converted;
+};
+
+const run = async () => {
+    if (!process.env.MONGO_URI) {
+        throw new Error('MONGO_URI is not set');
+    }
+    const invalidIds = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length > 0) {
+        throw new Error(`Not report ids: ${invalidIds.join(', ')}`);
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`Migrating report form data to canonical units${dryRun ? ' (dry run)' : ''}`);
+
+    const filter = {
+        unitsMigratedAt: { $exists: false },
+        $or: [
+            legacyMethod,
+            { _id: { $in: ids.map(id => new mongoose.Types.ObjectId(id)) } }
+        ]
+    };
+
+    const summary = { reports: 0, revisions: 0 };
+    const cursor = Report.collection.find(filter);
+    for await (const report of cursor) {
+        summary.reports++;
+        summary.revisions += await migrateRevisions(report);
+        if (!dryRun) {
+            await Report.collection.updateOne(
+                { _id: report._id },
+                { $set: { formData: toCanonical(report.formData), unitsMigratedAt: new Date() } }
+            );
+        }
+    }
+
+    console.log(`Report: ${summary.reports} report(s) converted`);
+    console.log(`ReportRevision: ${summary.revisions} snapshot(s) converted`);
+};
+
+run()
+    .catch((error) => {
+        console.error('Unit migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
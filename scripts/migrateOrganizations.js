@@ -0,0 +1,91 @@
+// scripts/migrateOrganizations.js
+//
+// One-off migration for data created before organizations existed. The old
+// single team becomes one organization: its members and invitations move
+// into it, as do the reports and templates of those members. Reports and
+// templates of users outside the team stay personal. Benchmark indexes are
+// brought in line with the model, whose unique index now includes the
+// organization.
+//
+// Usage: npm run migrate:organizations -- --name "Acme Metals" [--dry-run]
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Benchmark from '../models/Benchmark.js';
+import Organization from '../models/Organization.js';
+import Report from '../models/Report.js';
+import Template from '../models/Template.js';
+import User from '../models/User.js';
+import { TeamMember, Invitation } from '../models/teamModel.js';
+import { uniqueSlug } from '../services/organizationContext.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const nameIndex = process.argv.indexOf('--name');
+const name = nameIndex > -1 ? process.argv[nameIndex + 1] : undefined;
+
+// Documents saved before the organization field existed
+const unassigned = { organization: { $exists: false } };
+
+const run = async () => {
+    if (!name) {
+        throw new Error('Usage: npm run migrate:organizations -- --name "<organization name>" [--dry-run]');
+    }
+    if (!process.env.MONGO_URI) {
+        throw new Error('MONGO_URI is not set');
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`Migrating the team into organization "${name}"${dryRun ? ' (dry run)' : ''}`);
+
+    const members = await TeamMember.collection.find(unassigned).toArray();
+    const memberIds = members.map(member => member.user);
+    const admin = members.find(member => member.role === 'Admin');
+
+    const counts = {
+        members: members.length,
+        invitations: await Invitation.collection.countDocuments(unassigned),
+        reports: await Report.collection.countDocuments({ ...unassigned, user: { $in: memberIds } }),
+        templates: await Template.collection.countDocuments({ ...unassigned, user: { $in: memberIds } })
+    };
+    console.log('To move:', counts);
+
+    // The old unique index on { metric, metalType } would reject a second
+    // organization's benchmark for the same metric as a duplicate
+    const { toDrop, toCreate } = await Benchmark.diffIndexes();
+    if (toDrop.length > 0 || toCreate.length > 0) {
+        console.log('Benchmark indexes:', { toDrop, toCreate: toCreate.map(index => Object.keys(index).join(', ')) });
+    }
+
+    if (dryRun) return;
+
+    await Benchmark.syncIndexes();
+
+    const organization = await Organization.create({
+        name,
+        slug: await uniqueSlug(name),
+        createdBy: admin ? admin.user : undefined
+    });
+    const $set = { organization: organization._id };
+
+    // Raw collection updates: these documents predate the required organization field
+    await TeamMember.collection.updateMany(unassigned, { $set });
+    await Invitation.collection.updateMany(unassigned, { $set });
+    await Report.collection.updateMany({ ...unassigned, user: { $in: memberIds } }, { $set });
+    await Template.collection.updateMany({ ...unassigned, user: { $in: memberIds } }, { $set });
+
+    await User.collection.updateMany(
+        { _id: { $in: memberIds }, activeOrganization: { $exists: false } },
+        { $set: { activeOrganization: organization._id } }
+    );
+
+    console.log(`Created organization ${organization.slug} (${organization._id})`);
+};
+
+run()
+    .catch((error) => {
+        console.error('Organization migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
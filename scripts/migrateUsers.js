@@ -0,0 +1,87 @@
+// scripts/migrateUsers.js
+//
+// One-off migration for accounts created before the two user schemas were merged.
+// Maps legacy roles (metallurgist/Guest/admin) onto USER_ROLES and aligns team
+// member and invitation roles with the same set. Accounts that predate email
+// verification are marked verified so REQUIRE_EMAIL_VERIFICATION does not lock them out.
+//
+// Usage: npm run migrate:users [-- --dry-run]
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User, { USER_ROLES, LEGACY_ROLE_MAP } from '../models/User.js';
+import { TeamMember, Invitation } from '../models/teamModel.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Rewrites legacy role values in a collection and reports how many documents changed
+ * @param {mongoose.Model} Model - Model whose `role` field should be migrated
+ * @returns {Promise<object>} Per-role counts of migrated documents
+ */
+const migrateRoles = async (Model) => {
+    const summary = {};
+
+    for (const [legacyRole, role] of Object.entries(LEGACY_ROLE_MAP)) {
+        const filter = { role: legacyRole };
+        const count = await Model.countDocuments(filter);
+        if (count === 0) continue;
+
+        summary[`${legacyRole} -> ${role}`] = count;
+        if (!dryRun) {
+            // Bypass validation: the legacy value would be rejected by the current enum
+            await Model.collection.updateMany(filter, { $set: { role } });
+        }
+    }
+
+    // Roles that are neither current nor legacy need manual attention
+    const unmapped = await Model.countDocuments({
+        role: { $nin: [...USER_ROLES, ...Object.keys(LEGACY_ROLE_MAP)] }
+    });
+    if (unmapped > 0) summary.unmapped = unmapped;
+
+    return summary;
+};
+
+const run = async () => {
+    if (!process.env.MONGO_URI) {
+        throw new Error('MONGO_URI is not set');
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`Migrating user roles${dryRun ? ' (dry run)' : ''}`);
+
+    for (const Model of [User, TeamMember, Invitation]) {
+        const summary = await migrateRoles(Model);
+        console.log(`${Model.modelName}:`, Object.keys(summary).length ? summary : 'nothing to migrate');
+    }
+
+    // Accounts from the former team schema never had preferences
+    const missingPreferences = { preferences: { $exists: false } };
+    const withoutPreferences = await User.countDocuments(missingPreferences);
+    if (withoutPreferences > 0) {
+        console.log(`User: ${withoutPreferences} account(s) without preferences`);
+        if (!dryRun) {
+            const defaults = new User().toObject().preferences;
+            await User.collection.updateMany(missingPreferences, { $set: { preferences: defaults } });
+        }
+    }
+
+    const missingVerification = { emailVerified: { $exists: false } };
+    const unverified = await User.countDocuments(missingVerification);
+    if (unverified > 0) {
+        console.log(`User: ${unverified} account(s) from before email verification`);
+        if (!dryRun) {
+            await User.collection.updateMany(missingVerification, { $set: { emailVerified: true } });
+        }
+    }
+};
+
+run()
+    .catch((error) => {
+        console.error('User migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
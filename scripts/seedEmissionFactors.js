@@ -0,0 +1,35 @@
+// scripts/seedEmissionFactors.js
+//
+// Stores the bundled emission factor dataset (services/emissionFactors/dataset.js)
+// as platform-wide factors. Safe to run again after a dataset update: new
+// factors are added, changed bundled ones get a new revision, and factors an
+// admin has revised or retired are left alone.
+//
+// Usage: npm run seed:emission-factors [-- --dry-run]
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { DATASET_VERSION, seedBundledFactors } from '../services/emissionFactors/index.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+    if (!process.env.MONGO_URI) {
+        throw new Error('MONGO_URI is not set');
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`Seeding emission factor dataset ${DATASET_VERSION}${dryRun ? ' (dry run)' : ''}`);
+
+    const counts = await seedBundledFactors({ dryRun });
+    console.log(`Created ${counts.created}, updated ${counts.updated}, unchanged ${counts.unchanged}, left as edited by an admin ${counts.skipped}`);
+};
+
+run()
+    .catch((error) => {
+        console.error('Emission factor seeding failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
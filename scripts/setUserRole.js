@@ -0,0 +1,40 @@
+// scripts/setUserRole.js
+//
+// Sets a user's role from the command line. Signup always creates Viewers and
+// only Admins can change roles through the API, so this is how the first
+// Admin is created.
+//
+// Usage: npm run users:set-role -- <email> <role>
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User, { USER_ROLES } from '../models/User.js';
+
+dotenv.config();
+
+const [email, role] = process.argv.slice(2);
+
+const run = async () => {
+    if (!email || !USER_ROLES.includes(role)) {
+        throw new Error(`Usage: npm run users:set-role -- <email> <${USER_ROLES.join('|')}>`);
+    }
+    if (!process.env.MONGO_URI) {
+        throw new Error('MONGO_URI is not set');
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const user = await User.findOneAndUpdate({ email }, { role }, { new: true, runValidators: true });
+    if (!user) {
+        throw new Error(`No user found with email ${email}`);
+    }
+
+    console.log(`${user.email} is now ${user.role}`);
+};
+
+run()
+    .catch((error) => {
+        console.error('Setting user role failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,254 @@
+// src/services/accountTokens.js
+
+import crypto from 'crypto';
+import AccountToken from '../models/AccountToken.js';
+import User from '../models/User.js';
+import { revokeAllSessions } from './authTokens.js';
+import { clearFailedLogins } from './loginLockout.js';
+import { notify, notifySafely } from './notifications/index.js';
+import { appLink } from './notifications/config.js';
+
+/**
+ * Reads a numeric environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function numberFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Password reset and email verification settings from the environment.
+ *
+ * REQUIRE_EMAIL_VERIFICATION=true refuses logins until the address is
+ * confirmed. AUTH_MAIL_TRANSPORT sends these messages through a specific
+ * notification transport (e.g. 'smtp' while other mail goes to 'file').
+ * @returns {object}
+ */
+export function getAccountTokenConfig() {
+    return {
+        requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+        passwordResetTtlMinutes: numberFromEnv('PASSWORD_RESET_TTL_MINUTES', 60),
+        emailVerificationTtlHours: numberFromEnv('EMAIL_VERIFICATION_TTL_HOURS', 48),
+        transport: process.env.AUTH_MAIL_TRANSPORT || undefined
+    };
+}
+
+/**
+ * Raised when an account token cannot be used. status is the HTTP status
+ * the route should answer with.
+ */
+export class AccountTokenError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AccountTokenError';
+        this.status = status;
+    }
+}
+
+/**
+ * Hashes an account token for storage and lookup
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issues a token for a user, retiring any unused one with the same purpose
+ * so only the latest link works
+ * @param {object} user
+ * @param {string} purpose - 'password_reset' or 'email_verification'
+ * @param {object} [options] - { email: address being confirmed }
+ * @returns {Promise<{token: string, expiresAt: Date}>}
+ */
+async function createAccountToken(user, purpose, { email } = {}) {
+    const config = getAccountTokenConfig();
+    const ttlMs = purpose === 'password_reset'
+        ? config.passwordResetTtlMinutes * 60 * 1000
+        : config.emailVerificationTtlHours * 60 * 60 * 1000;
+    const now = new Date();
+
+    await AccountToken.updateMany(
+        { user: user._id, purpose, usedAt: null },
+        { $set: { usedAt: now } }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(now.getTime() + ttlMs);
+    await AccountToken.create({ user: user._id, purpose, tokenHash: hashToken(token), email, expiresAt });
+    return { token, expiresAt };
+}
+
+/**
+ * Uses up a token. The update is atomic, so the same token cannot succeed twice.
+ * @param {string} token
+ * @param {string} purpose
+ * @returns {Promise<object>} The consumed AccountToken
+ * @throws {AccountTokenError}
+ */
+async function consumeAccountToken(token, purpose) {
+    if (!token || typeof token !== 'string') {
+        throw new AccountTokenError('Token is required');
+    }
+
+    const now = new Date();
+    const consumed = await AccountToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } },
+        { new: true }
+    );
+    if (!consumed) {
+        throw new AccountTokenError('This link is invalid, expired or has already been used', 410);
+    }
+    return consumed;
+}
+
+/**
+ * Emails a password reset link if an account has this address. Says
+ * nothing either way, so the endpoint cannot be used to find accounts.
+ * @param {string} email
+ * @returns {Promise<void>}
+ */
+export async function requestPasswordReset(email) {
+    if (!email || typeof email !== 'string') return;
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!user) return;
+
+    const { token, expiresAt } = await createAccountToken(user, 'password_reset');
+    // A failure to queue is logged, not raised: the answer must not depend on the account existing
+    await notifySafely({
+        template: 'auth.passwordReset',
+        user,
+        data: { userName: user.name, resetUrl: appLink(`/reset-password?token=${token}`), expiresAt },
+        transport: getAccountTokenConfig().transport
+    });
+}
+
+/**
+ * Sets a new password from a reset link and signs the account out everywhere
+ * @param {string} token
+ * @param {string} password
+ * @returns {Promise<object>} The user
+ * @throws {AccountTokenError}
+ */
+export async function resetPassword(token, password) {
+    if (typeof password !== 'string') {
+        throw new AccountTokenError('Password must be a string');
+    }
+    if (password.length < 6) {
+        throw new AccountTokenError('Password must be at least 6 characters');
+    }
+
+    const consumed = await consumeAccountToken(token, 'password_reset');
+    const user = await User.findById(consumed.user);
+    if (!user) {
+        throw new AccountTokenError('This link is invalid, expired or has already been used', 410);
+    }
+
+    // Hashed by the model's pre-save hook. The link reached this address, so it is verified too.
+    user.password = password;
+    if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // The owner proved control of the mailbox, so a lockout from guessing no longer applies
+    await clearFailedLogins(user);
+    await revokeAllSessions(user._id, { reason: 'password_changed' });
+    await notifySafely({
+        template: 'auth.passwordChanged',
+        user,
+        data: { userName: user.name },
+        transport: getAccountTokenConfig().transport
+    });
+    return user;
+}
+
+/**
+ * Emails a link confirming an address: the account's own one, or a new one
+ * the user asked to switch to (kept as pendingEmail until confirmed)
+ * @param {object} user
+ * @param {string} [newEmail] - Address to change to
+ * @returns {Promise<{email: string, expiresAt: Date}>} Where the link was sent
+ * @throws {AccountTokenError}
+ */
+export async function sendEmailVerification(user, newEmail) {
+    const email = newEmail ? String(newEmail).trim().toLowerCase() : user.email;
+    const changing = email !== user.email;
+
+    if (!changing && user.emailVerified) {
+        throw new AccountTokenError('Email address is already verified');
+    }
+    if (changing) {
+        if (!/^\S+@\S+\.\S+$/.test(email)) {
+            throw new AccountTokenError('Please provide a valid email');
+        }
+        if (await User.exists({ email })) {
+            throw new AccountTokenError('Email is already in use');
+        }
+        user.pendingEmail = email;
+        await user.save();
+    }
+
+    const { token, expiresAt } = await createAccountToken(user, 'email_verification', { email });
+    await notify({
+        template: 'auth.emailVerification',
+        to: email,
+        data: {
+            userName: user.name,
+            email,
+            changing,
+            verifyUrl: appLink(`/verify-email?token=${token}`),
+            expiresAt
+        },
+        transport: getAccountTokenConfig().transport
+    });
+    return { email, expiresAt };
+}
+
+/**
+ * Confirms an address from a verification link. For an email change this
+ * is when the account's email actually changes; the old address is told.
+ * @param {string} token
+ * @returns {Promise<object>} The user
+ * @throws {AccountTokenError}
+ */
+export async function verifyEmail(token) {
+    const consumed = await consumeAccountToken(token, 'email_verification');
+    const user = await User.findById(consumed.user);
+    if (!user) {
+        throw new AccountTokenError('This link is invalid, expired or has already been used', 410);
+    }
+
+    const previousEmail = user.email;
+    const email = consumed.email || user.email;
+    if (email !== previousEmail) {
+        // Someone may have registered the address since the link was sent
+        if (await User.exists({ email, _id: { $ne: user._id } })) {
+            throw new AccountTokenError('Email is already in use', 409);
+        }
+        user.email = email;
+    }
+    if (user.pendingEmail === email) {
+        user.pendingEmail = undefined;
+    }
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    if (email !== previousEmail) {
+        await notifySafely({
+            template: 'auth.emailChanged',
+            to: previousEmail,
+            data: { userName: user.name, email },
+            transport: getAccountTokenConfig().transport
+        });
+    }
+    return user;
+}
@@ -0,0 +1,153 @@
+// src/services/ai/config.js
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const DEFAULT_GENERATION_CONFIG = {
+    temperature: 0.2,
+    topK: 40,
+    topP: 0.95,
+    maxOutputTokens: 4096
+};
+
+const DEFAULT_MODELS = {
+    gemini: 'gemini-2.0-flash',
+    openai: 'gpt-4o-mini',
+    mock: 'mock'
+};
+
+// Range a request may set each sampling parameter to; maxOutputTokens is
+// capped by the environment's value instead
+const GENERATION_LIMITS = {
+    temperature: [0, 2],
+    topK: [1, 100],
+    topP: [0, 1]
+};
+
+/**
+ * Reads a numeric environment variable
+ * @param {string} name - Variable name
+ * @returns {number|undefined}
+ */
+function numberFromEnv(name) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Reads a comma-separated environment variable
+ * @param {string} name - Variable name
+ * @returns {string[]|undefined} Trimmed, non-empty entries
+ */
+function listFromEnv(name) {
+    if (!process.env[name]) return undefined;
+    const entries = process.env[name].split(',').map(entry => entry.trim()).filter(Boolean);
+    return entries.length > 0 ? entries : undefined;
+}
+
+/**
+ * Removes undefined entries so they don't override defaults when spread
+ * @param {object} object
+ * @returns {object}
+ */
+function compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Resolves the environment's AI configuration.
+ *
+ * AI_PROVIDER selects the adapter ('gemini', 'openai' or 'mock'); the legacy
+ * USE_MOCK_RESPONSES=true still forces the mock adapter. AI_MODEL overrides
+ * the provider's default model, AI_TEMPERATURE/AI_TOP_K/AI_TOP_P/
+ * AI_MAX_OUTPUT_TOKENS the generation config.
+ *
+ * Requests may only switch to the providers in AI_ALLOWED_PROVIDERS and the
+ * models in AI_ALLOWED_MODELS (comma-separated). By default that is the
+ * configured provider and the model each allowed provider uses by default.
+ * @returns {object} Provider name, model, generation config, allow-lists, retry and timeout settings
+ */
+export function getEnvironmentConfig() {
+    const provider = process.env.USE_MOCK_RESPONSES === 'true'
+        ? 'mock'
+        : (process.env.AI_PROVIDER || 'gemini').toLowerCase();
+    const model = process.env.AI_MODEL || DEFAULT_MODELS[provider];
+    const allowedProviders = (listFromEnv('AI_ALLOWED_PROVIDERS') || [provider]).map(name => name.toLowerCase());
+
+    return {
+        provider,
+        model,
+        generationConfig: {
+            ...DEFAULT_GENERATION_CONFIG,
+            ...compact({
+                temperature: numberFromEnv('AI_TEMPERATURE'),
+                topK: numberFromEnv('AI_TOP_K'),
+                topP: numberFromEnv('AI_TOP_P'),
+                maxOutputTokens: numberFromEnv('AI_MAX_OUTPUT_TOKENS')
+            })
+        },
+        allowedProviders,
+        allowedModels: listFromEnv('AI_ALLOWED_MODELS')
+            || [...new Set(allowedProviders.map(name => (name === provider ? model : DEFAULT_MODELS[name])).filter(Boolean))],
+        maxRetries: parseInt(process.env.MAX_RETRIES || '2'),
+        timeoutMs: parseInt(process.env.AI_TIMEOUT_MS || '15000')
+    };
+}
+
+/**
+ * Limits a number to a range
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number|undefined} undefined when value is not a finite number
+ */
+function clamp(value, min, max) {
+    return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : undefined;
+}
+
+/**
+ * Picks the AI options a client may set on a single request.
+ * Only the provider name, model and generation config are accepted; endpoints
+ * and credentials always come from the environment. Anonymous callers get the
+ * environment's settings. Sampling parameters are clamped to GENERATION_LIMITS
+ * and maxOutputTokens to the configured value; the provider and model are
+ * checked against the allow-lists by checkAIOptions.
+ * @param {object} req - Express request object
+ * @returns {object} Options for getAIResponse
+ */
+export function aiOptionsFromRequest(req) {
+    if (!req.user) return {};
+
+    const requested = (req.body && req.body.ai) || {};
+    const generationConfig = requested.generationConfig || {};
+    const { maxOutputTokens } = getEnvironmentConfig().generationConfig;
+
+    return compact({
+        provider: typeof requested.provider === 'string' ? requested.provider.toLowerCase() : undefined,
+        model: typeof requested.model === 'string' ? requested.model : undefined,
+        generationConfig: compact({
+            temperature: clamp(generationConfig.temperature, ...GENERATION_LIMITS.temperature),
+            topK: clamp(generationConfig.topK, ...GENERATION_LIMITS.topK),
+            topP: clamp(generationConfig.topP, ...GENERATION_LIMITS.topP),
+            maxOutputTokens: clamp(generationConfig.maxOutputTokens, 1, maxOutputTokens)
+        })
+    });
+}
+
+/**
+ * Checks per-request AI options against the configured allow-lists
+ * @param {object} options - Result of aiOptionsFromRequest
+ * @returns {string|null} Why the options are refused, or null
+ */
+export function checkAIOptions(options) {
+    const { allowedProviders, allowedModels } = getEnvironmentConfig();
+    if (options.provider && !allowedProviders.includes(options.provider)) {
+        return `AI provider '${options.provider}' is not allowed. Allowed: ${allowedProviders.join(', ')}`;
+    }
+    if (options.model && !allowedModels.includes(options.model)) {
+        return `AI model '${options.model}' is not allowed. Allowed: ${allowedModels.join(', ')}`;
+    }
+    return null;
+}
+
+export { DEFAULT_MODELS };
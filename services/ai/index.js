@@ -0,0 +1,164 @@
+// src/services/ai/index.js
+
+import nodeFetch from 'node-fetch';
+import { getEnvironmentConfig, DEFAULT_MODELS } from './config.js';
+import geminiProvider from './providers/geminiProvider.js';
+import openaiCompatibleProvider from './providers/openaiCompatibleProvider.js';
+import mockProvider from './providers/mockProvider.js';
+
+// Set fetch for environments where it might not be globally available
+if (!globalThis.fetch) {
+    console.log("Setting up fetch polyfill for older Node.js versions");
+    globalThis.fetch = nodeFetch;
+}
+
+const providers = new Map();
+
+/**
+ * Registers an AI provider adapter. An adapter is an object with a `name`
+ * and an async `generate({ prompt, model, generationConfig, signal })`
+ * method resolving to the model's raw text.
+ * @param {object} provider - Provider adapter
+ */
+export function registerProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+registerProvider(geminiProvider);
+registerProvider(openaiCompatibleProvider);
+registerProvider(mockProvider);
+
+/**
+ * Names of the registered providers
+ * @returns {string[]}
+ */
+export function listProviders() {
+    return [...providers.keys()];
+}
+
+const environmentConfig = getEnvironmentConfig();
+if (!providers.has(environmentConfig.provider)) {
+    console.error(`Unknown AI_PROVIDER '${environmentConfig.provider}'. Available: ${listProviders().join(', ')}`);
+} else if (environmentConfig.provider === 'gemini' && !process.env.GEMINI_API_KEY) {
+    console.error("GEMINI_API_KEY is not set in your .env file.");
+    console.error("Set GEMINI_API_KEY, choose another AI_PROVIDER or enable USE_MOCK_RESPONSES=true for development.");
+}
+
+/**
+ * Builds the text returned when every attempt against the provider failed
+ * @param {string} prompt - The original prompt
+ * @param {Error} lastError - Last error raised by the provider
+ * @returns {string}
+ */
+function fallbackResponse(prompt, lastError) {
+    if (prompt.includes("recommendations")) {
+        return JSON.stringify({
+            lca_summary: "Unable to analyze with AI at this time. Based on the data provided, this appears to be a metallurgical process with potential environmental impacts.",
+            recommendations: [
+                "Consider reviewing energy consumption patterns",
+                "Evaluate water usage efficiency in processing operations",
+                "Look into recycled material input opportunities",
+                "Assess transportation efficiency in your supply chain",
+                "Please try again later for a more detailed analysis"
+            ]
+        });
+    }
+
+    return JSON.stringify({
+        message: "Fallback response due to API connectivity issues",
+        error: lastError?.message || "Unknown error"
+    });
+}
+
+/**
+ * Resolves the provider, model and generation config for a call. Options
+ * given per request override the environment configuration.
+ * @param {object} options - { provider, model, generationConfig }
+ * @returns {object}
+ */
+export function resolveAIConfig(options = {}) {
+    const config = getEnvironmentConfig();
+    const providerName = options.provider || config.provider;
+
+    if (!providers.has(providerName)) {
+        throw new Error(`Unknown AI provider '${providerName}'. Available: ${listProviders().join(', ')}`);
+    }
+
+    // The environment model only applies to the environment's provider
+    const defaultModel = providerName === config.provider ? config.model : DEFAULT_MODELS[providerName];
+
+    return {
+        ...config,
+        provider: providerName,
+        model: options.model || defaultModel,
+        generationConfig: { ...config.generationConfig, ...(options.generationConfig || {}) }
+    };
+}
+
+/**
+ * Sends a prompt to the configured AI provider with retry logic.
+ * Unlike getAIResponse, this throws once every attempt has failed so callers
+ * can tell a real answer from a canned one.
+ * @param {string} prompt The prompt string to send.
+ * @param {object} [options] Per-request overrides: { provider, model, generationConfig }
+ * @returns {Promise<{text: string, provider: string, model: string}>} Raw text and who produced it.
+ */
+export async function generateText(prompt, options = {}) {
+    const config = resolveAIConfig(options);
+    const provider = providers.get(config.provider);
+
+    let lastError = null;
+    
+    // Implement retry logic
+    for (let attempt = 0; attempt < config.maxRetries; attempt++) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), config.timeoutMs);
+
+        try {
+            console.log(`AI provider ${config.provider} (${config.model}) attempt ${attempt + 1} of ${config.maxRetries}`);
+
+            const text = await provider.generate({
+                prompt,
+                model: config.model,
+                generationConfig: config.generationConfig,
+                signal: controller.signal
+            });
+
+            console.log(`AI provider ${config.provider} call successful`);
+            return { text, provider: config.provider, model: config.model };
+        } catch (error) {
+            lastError = error;
+            console.error(`AI provider ${config.provider} attempt ${attempt + 1} failed:`, error);
+            
+            // If we have retries left, wait before trying again
+            if (attempt < config.maxRetries - 1) {
+                const delayMs = Math.pow(2, attempt) * 1000; // Exponential backoff
+                console.log(`Waiting ${delayMs}ms before retry...`);
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    throw lastError || new Error(`AI provider ${config.provider} returned no response`);
+}
+
+/**
+ * Sends a prompt to the configured AI provider with retry logic and returns the text response.
+ * Falls back to a canned response when every attempt fails.
+ * @param {string} prompt The prompt string to send.
+ * @param {object} [options] Per-request overrides: { provider, model, generationConfig }
+ * @returns {Promise<string>} The raw text response from the provider.
+ */
+export async function getAIResponse(prompt, options = {}) {
+    try {
+        const { text } = await generateText(prompt, options);
+        return text;
+    } catch (error) {
+        console.error("All AI provider attempts failed, using fallback response");
+        return fallbackResponse(prompt, error);
+    }
+}
+
+export default getAIResponse;
@@ -0,0 +1,48 @@
+// src/services/ai/providers/geminiProvider.js
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+let genAI;
+const models = new Map();
+
+/**
+ * Returns a cached Gemini model client
+ * @param {string} modelName - Gemini model name
+ * @returns {object} GenerativeModel
+ */
+function getModel(modelName) {
+    if (!process.env.GEMINI_API_KEY) {
+        throw new Error('GEMINI_API_KEY is not set. Set it or choose another AI_PROVIDER.');
+    }
+
+    if (!genAI) {
+        genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+        console.log("Gemini API client initialized successfully");
+    }
+
+    if (!models.has(modelName)) {
+        models.set(modelName, genAI.getGenerativeModel({ model: modelName }));
+    }
+    return models.get(modelName);
+}
+
+const geminiProvider = {
+    name: 'gemini',
+
+    /**
+     * Sends a prompt to Gemini and returns the text response
+     * @param {object} request - { prompt, model, generationConfig, signal }
+     * @returns {Promise<string>}
+     */
+    async generate({ prompt, model, generationConfig, signal }) {
+        const result = await getModel(model).generateContent({
+            contents: [{ role: "user", parts: [{ text: prompt }] }],
+            generationConfig
+        }, { signal });
+
+        const response = await result.response;
+        return response.text();
+    }
+};
+
+export default geminiProvider;
@@ -0,0 +1,57 @@
+// src/services/ai/providers/openaiCompatibleProvider.js
+
+/**
+ * Adapter for any server exposing the OpenAI chat completions API, including
+ * local llama.cpp and Ollama servers. Configure with OPENAI_BASE_URL (for
+ * example http://localhost:11434/v1) and, if the server needs one,
+ * OPENAI_API_KEY.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+const openaiCompatibleProvider = {
+    name: 'openai',
+
+    /**
+     * Sends a prompt to the chat completions endpoint and returns the text response
+     * @param {object} request - { prompt, model, generationConfig, signal }
+     * @returns {Promise<string>}
+     */
+    async generate({ prompt, model, generationConfig, signal }) {
+        const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        const headers = { 'Content-Type': 'application/json' };
+        if (process.env.OPENAI_API_KEY) {
+            headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+        }
+
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            signal,
+            body: JSON.stringify({
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: generationConfig.temperature,
+                top_p: generationConfig.topP,
+                max_tokens: generationConfig.maxOutputTokens
+            })
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`Chat completions request failed with status ${response.status}: ${detail.slice(0, 200)}`);
+        }
+
+        const data = await response.json();
+        const content = data.choices && data.choices[0] && data.choices[0].message
+            ? data.choices[0].message.content
+            : undefined;
+
+        if (typeof content !== 'string') {
+            throw new Error('Chat completions response did not contain a message');
+        }
+        return content;
+    }
+};
+
+export default openaiCompatibleProvider;
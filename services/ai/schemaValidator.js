@@ -0,0 +1,138 @@
+// src/services/ai/schemaValidator.js
+
+/**
+ * Minimal JSON Schema validator covering the keywords used by the AI
+ * response schemas: type, enum, properties, required, additionalProperties,
+ * items, minItems, maxItems, minLength, maxLength, minimum, maximum and
+ * minProperties.
+ */
+
+/**
+ * Returns the JSON Schema type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Checks a value against one JSON Schema type name
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Joins a property name onto a path for error messages
+ * @param {string} path
+ * @param {string|number} key
+ * @returns {string}
+ */
+function childPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - Value to check
+ * @param {object} schema - JSON Schema
+ * @param {string} [path] - Path of the value, used in error messages
+ * @returns {{path: string, message: string}[]} Validation errors, empty when valid
+ */
+export function validate(value, schema, path = '') {
+    const errors = [];
+    const at = path || '(root)';
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path: at, message: `must be of type ${types.join(' or ')}` });
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            errors.push({ path: at, message: 'must be a finite number' });
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validate(item, schema.items, childPath(path, index)));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: childPath(path, key), message: 'is required' });
+            }
+        });
+
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            errors.push({ path: at, message: `must have at least ${schema.minProperties} properties` });
+        }
+
+        Object.entries(value).forEach(([key, child]) => {
+            if (properties[key]) {
+                errors.push(...validate(child, properties[key], childPath(path, key)));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath(path, key), message: 'is not an allowed property' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validate(child, schema.additionalProperties, childPath(path, key)));
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Returns true when the value satisfies the schema
+ * @param {*} value
+ * @param {object} schema
+ * @returns {boolean}
+ */
+export function isValid(value, schema) {
+    return validate(value, schema).length === 0;
+}
@@ -0,0 +1,74 @@
+// src/services/ai/schemas.js
+
+import { LCA_INPUT_FIELDS } from '../lcaInputSchema.js';
+
+/**
+ * JSON Schemas for every structured response requested from the AI provider.
+ * Responses are validated against these before they reach a client.
+ */
+
+// Numeric LCA inputs the model may suggest, in their canonical units.
+// Impact indicators are calculated server-side and never suggested.
+const suggestableFields = Object.entries(LCA_INPUT_FIELDS)
+    .filter(([, definition]) => (definition.type === 'number' || definition.type === 'distances')
+        && !definition.stages.includes('Impact Analysis'));
+
+export const parameterSuggestionsSchema = {
+    $id: 'parameterSuggestions',
+    type: 'object',
+    properties: Object.fromEntries(suggestableFields.map(([field, definition]) => [field, {
+        type: 'number',
+        ...(definition.min !== undefined ? { minimum: definition.min } : {}),
+        ...(definition.max !== undefined ? { maximum: definition.max } : {})
+    }])),
+    additionalProperties: false
+};
+
+export const recommendationsSchema = {
+    $id: 'recommendations',
+    type: 'object',
+    required: ['lca_summary', 'recommendations'],
+    properties: {
+        lca_summary: {
+            type: 'string',
+            minLength: 20,
+            maxLength: 2000
+        },
+        recommendations: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 15,
+            items: {
+                type: 'string',
+                minLength: 10,
+                maxLength: 500
+            }
+        }
+    },
+    additionalProperties: false
+};
+
+export const nodeInsightsSchema = {
+    $id: 'nodeInsights',
+    type: 'object',
+    required: ['circularOpportunities', 'environmentalImpacts'],
+    properties: {
+        circularOpportunities: {
+            type: 'string',
+            minLength: 20,
+            maxLength: 1500
+        },
+        environmentalImpacts: {
+            type: 'string',
+            minLength: 20,
+            maxLength: 1500
+        }
+    },
+    additionalProperties: false
+};
+
+export default {
+    parameterSuggestions: parameterSuggestionsSchema,
+    recommendations: recommendationsSchema,
+    nodeInsights: nodeInsightsSchema
+};
@@ -0,0 +1,188 @@
+// src/services/ai/structuredOutput.js
+
+import { generateText } from './index.js';
+import { validate, isValid } from './schemaValidator.js';
+
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.AI_REPAIR_ATTEMPTS || '1');
+
+/**
+ * Removes markdown code block syntax and surrounding text from an AI
+ * response and parses the JSON it contains
+ * @param {string} text - Raw response from the AI provider
+ * @returns {*} Parsed value, or undefined if no JSON could be read
+ */
+export function parseJSONResponse(text) {
+    if (typeof text !== 'string') return undefined;
+    const cleaned = text.replace(/```(json|javascript)?\n?/g, '').trim();
+
+    try {
+        return JSON.parse(cleaned);
+    } catch (firstParseError) {
+        // Try to extract JSON if there's text before or after it
+        const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) return undefined;
+        try {
+            return JSON.parse(jsonMatch[0]);
+        } catch (secondParseError) {
+            return undefined;
+        }
+    }
+}
+
+/**
+ * Serialises a schema for inclusion in a prompt
+ * @param {object} schema
+ * @returns {string}
+ */
+function describeSchema(schema) {
+    const { $id, ...rest } = schema;
+    return JSON.stringify(rest, null, 2);
+}
+
+/**
+ * Builds the prompt asking the model to correct an invalid response
+ * @param {string} originalPrompt - Prompt that produced the response
+ * @param {string} previousText - The invalid response
+ * @param {object[]} errors - Validation errors
+ * @param {object} schema - Expected schema
+ * @returns {string}
+ */
+function buildRepairPrompt(originalPrompt, previousText, errors, schema) {
+    const problems = errors.length
+        ? errors.map(error => `- ${error.path} ${error.message}`).join('\n')
+        : '- the response was not valid JSON';
+
+    return `
+        ${originalPrompt}
+
+        Your previous response was:
+        ${previousText}
+
+        It does not satisfy the required JSON Schema:
+        ${problems}
+
+        Return ONLY a corrected JSON value that satisfies this JSON Schema, with no other text:
+        ${describeSchema(schema)}
+    `;
+}
+
+/**
+ * Keeps the top-level fields of a model response that are valid on their own
+ * and fills the rest from the fallback
+ * @param {*} candidate - Parsed model response
+ * @param {object} fallback - Fallback data satisfying the schema
+ * @param {object} schema - Expected schema
+ * @returns {{data: object, fields: object}} Merged data and the source of each field
+ */
+function mergeWithFallback(candidate, fallback, schema) {
+    const fields = {};
+    const data = {};
+    const usable = candidate && typeof candidate === 'object' && !Array.isArray(candidate);
+    const properties = schema.properties || {};
+
+    Object.entries(properties).forEach(([key, propertySchema]) => {
+        if (usable && candidate[key] !== undefined && isValid(candidate[key], propertySchema)) {
+            data[key] = candidate[key];
+            fields[key] = 'model';
+        } else if (fallback[key] !== undefined) {
+            data[key] = fallback[key];
+            fields[key] = 'fallback';
+        }
+    });
+
+    if (typeof schema.additionalProperties === 'object' && usable) {
+        Object.entries(candidate).forEach(([key, value]) => {
+            if (!properties[key] && isValid(value, schema.additionalProperties)) {
+                data[key] = value;
+                fields[key] = 'model';
+            }
+        });
+    }
+
+    // Open-ended objects with nothing usable from the model take the whole fallback
+    if (!Object.values(fields).includes('model')) {
+        return {
+            data: fallback,
+            fields: Object.fromEntries(Object.keys(fallback).map(key => [key, 'fallback']))
+        };
+    }
+
+    return { data, fields };
+}
+
+/**
+ * Asks the AI provider for a JSON response matching a schema.
+ *
+ * The response is validated; invalid output gets up to AI_REPAIR_ATTEMPTS
+ * re-asks quoting the validation errors. If it is still invalid, valid
+ * top-level fields are kept and the rest filled from the fallback. The
+ * returned provenance tells the client which fields came from the model.
+ * @param {object} request
+ * @param {string} request.prompt - Prompt describing the task
+ * @param {object} request.schema - JSON Schema the response must satisfy
+ * @param {Function} request.fallback - Returns schema-valid fallback data
+ * @param {object} [request.aiOptions] - Per-request provider overrides
+ * @returns {Promise<{data: object, provenance: object}>}
+ */
+export async function generateStructured({ prompt, schema, fallback, aiOptions = {} }) {
+    const fullPrompt = `
+        ${prompt}
+
+        Your response must be JSON satisfying this JSON Schema:
+        ${describeSchema(schema)}
+    `;
+
+    const provenance = {
+        schema: schema.$id,
+        source: 'fallback',
+        provider: null,
+        model: null,
+        attempts: 0,
+        fields: {},
+        errors: []
+    };
+
+    let candidate;
+    let currentPrompt = fullPrompt;
+
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        let response;
+        try {
+            response = await generateText(currentPrompt, aiOptions);
+        } catch (error) {
+            console.error(`AI request for ${schema.$id} failed:`, error.message);
+            provenance.errors = [{ path: '(request)', message: error.message }];
+            break;
+        }
+
+        provenance.attempts += 1;
+        provenance.provider = response.provider;
+        provenance.model = response.model;
+
+        const parsed = parseJSONResponse(response.text);
+        const errors = parsed === undefined
+            ? [{ path: '(root)', message: 'is not valid JSON' }]
+            : validate(parsed, schema);
+
+        if (parsed !== undefined) candidate = parsed;
+
+        if (errors.length === 0) {
+            provenance.source = attempt === 0 ? 'model' : 'repaired';
+            provenance.fields = Object.fromEntries(Object.keys(parsed).map(key => [key, 'model']));
+            provenance.errors = [];
+            return { data: parsed, provenance };
+        }
+
+        console.warn(`AI response for ${schema.$id} failed validation (attempt ${attempt + 1}):`, errors);
+        provenance.errors = errors;
+        currentPrompt = buildRepairPrompt(fullPrompt, response.text, errors, schema);
+    }
+
+    const { data, fields } = mergeWithFallback(candidate, fallback(), schema);
+    provenance.fields = fields;
+    provenance.source = Object.values(fields).includes('model') ? 'partial' : 'fallback';
+
+    return { data, provenance };
+}
+
+export default generateStructured;
@@ -0,0 +1,207 @@
+// src/services/authTokens.js
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Token lifetimes. Access tokens are short-lived JWTs; refresh tokens are
+ * opaque, stored hashed on a Session and replaced every time they are used.
+ */
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * Raised when a refresh token or session cannot be used
+ */
+export class SessionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SessionError';
+        this.status = 401;
+    }
+}
+
+/**
+ * Hashes a refresh token for storage and lookup
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Guesses browser and operating system from a User-Agent header, enough to
+ * tell sessions apart in a list
+ * @param {string} userAgent
+ * @returns {{browser: string, os: string}}
+ */
+export function parseUserAgent(userAgent = '') {
+    const browsers = [
+        ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//],
+        ['Safari', /Safari\//], ['curl', /^curl\//], ['Postman', /PostmanRuntime/]
+    ];
+    const systems = [
+        ['Windows', /Windows/], ['Android', /Android/], ['iOS', /iPhone|iPad/],
+        ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]
+    ];
+    const match = list => (list.find(([, pattern]) => pattern.test(userAgent)) || ['Unknown'])[0];
+    return { browser: match(browsers), os: match(systems) };
+}
+
+/**
+ * Device details recorded on a session
+ * @param {object} req - Express request object
+ * @returns {object}
+ */
+function deviceInfo(req) {
+    const userAgent = req.headers['user-agent'] || '';
+    return { userAgent, ...parseUserAgent(userAgent), ip: req.ip };
+}
+
+/**
+ * Signs the short-lived JWT a client sends as its Bearer token
+ * @param {object|string} userId
+ * @param {object|string} sessionId - Session the token belongs to
+ * @returns {string}
+ */
+export function generateAccessToken(userId, sessionId) {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL
+    });
+}
+
+/**
+ * Access and refresh tokens as returned to clients
+ * @param {object} session
+ * @param {string} refreshToken
+ * @returns {{token: string, refreshToken: string, expiresIn: string, sessionId: object}}
+ */
+function tokenResponse(session, refreshToken) {
+    return {
+        token: generateAccessToken(session.user, session._id),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL,
+        sessionId: session._id
+    };
+}
+
+/**
+ * Starts a session for a user who just authenticated
+ * @param {object} user
+ * @param {object} req - Express request object, for device details
+ * @returns {Promise<object>} See tokenResponse
+ */
+export async function issueTokens(user, req) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        device: deviceInfo(req),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS)
+    });
+    return tokenResponse(session, refreshToken);
+}
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh
+ * token. The old refresh token stops working; using it again revokes the
+ * session, since only a copy could still hold it.
+ * @param {string} refreshToken
+ * @param {object} req - Express request object
+ * @returns {Promise<object>} See tokenResponse
+ * @throws {SessionError}
+ */
+export async function rotateRefreshToken(refreshToken, req) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        throw new SessionError('Refresh token is required');
+    }
+
+    const hash = hashToken(refreshToken);
+    const next = crypto.randomBytes(48).toString('hex');
+    const now = new Date();
+
+    // Swap the token atomically so two refreshes with the same token cannot both succeed
+    const session = await Session.findOneAndUpdate(
+        { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: {
+                refreshTokenHash: hashToken(next),
+                lastUsedAt: now,
+                'device.ip': req.ip
+            },
+            $push: { retiredTokenHashes: { $each: [hash], $slice: -20 } }
+        },
+        { new: true }
+    );
+
+    if (session) return tokenResponse(session, next);
+
+    const reused = await Session.findOneAndUpdate(
+        { retiredTokenHashes: hash, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+    );
+    if (reused) {
+        console.error(`Refresh token reuse detected; revoked session ${reused._id}`);
+    }
+    throw new SessionError('Invalid or expired refresh token');
+}
+
+/**
+ * Checks the session an access token belongs to is still live
+ * @param {object|string} sessionId
+ * @param {object|string} userId
+ * @returns {Promise<object|null>} The session, or null if revoked or expired
+ */
+export async function findActiveSession(sessionId, userId) {
+    if (!sessionId) return null;
+    return Session.findOne({
+        _id: sessionId,
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {object|string} userId
+ * @returns {Promise<object[]>}
+ */
+export function listSessions(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .sort({ lastUsedAt: -1 })
+        .lean();
+}
+
+/**
+ * Revokes one of a user's sessions
+ * @param {object|string} userId
+ * @param {object|string} sessionId
+ * @param {string} [reason]
+ * @returns {Promise<boolean>} false if there was no such active session
+ */
+export async function revokeSession(userId, sessionId, reason = 'revoked') {
+    const result = await Session.updateOne(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount === 1;
+}
+
+/**
+ * Revokes every session of a user, optionally keeping one
+ * @param {object|string} userId
+ * @param {object} [options] - { except: sessionId to keep, reason }
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeAllSessions(userId, { except, reason = 'revoked' } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+}
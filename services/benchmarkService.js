@@ -0,0 +1,90 @@
+// src/services/benchmarkService.js
+
+import Benchmark from '../models/Benchmark.js';
+import { IMPACT_METRICS } from './impactMetrics.js';
+
+/**
+ * Benchmarks used when nothing is configured in the Benchmark collection,
+ * keyed by impact field and expressed per kg of metal.
+ * Override them by storing Benchmark documents or with the LCA_BENCHMARKS
+ * environment variable (JSON object keyed by impact field).
+ */
+export const DEFAULT_BENCHMARKS = {
+    globalWarmingPotential: 3.2,
+    waterScarcityFootprint: 0.5,
+    cumulativeEnergyDemand: 48.0,
+    acidificationPotential: 0.02,
+    eutrophicationPotential: 0.002
+};
+
+/**
+ * Reads benchmark overrides from the environment
+ * @returns {object}
+ */
+function environmentBenchmarks() {
+    if (!process.env.LCA_BENCHMARKS) return {};
+    try {
+        return JSON.parse(process.env.LCA_BENCHMARKS);
+    } catch (error) {
+        console.error('Ignoring invalid LCA_BENCHMARKS value:', error.message);
+        return {};
+    }
+}
+
+/**
+ * Resolves the benchmark for every impact metric. An organization's own
+ * benchmarks win over platform-wide stored ones; within each, those for the
+ * given metal type win over generic ones. Stored benchmarks win over the
+ * environment and built-in defaults.
+ * @param {string} [metalType] - Restrict to benchmarks for this metal
+ * @param {object|null} [organizationId] - Organization whose overrides apply
+ * @returns {Promise<object>} Impact field to benchmark value
+ */
+export async function getBenchmarks(metalType, organizationId = null) {
+    const benchmarks = { ...DEFAULT_BENCHMARKS, ...environmentBenchmarks() };
+
+    // Generic benchmarks have metalType ''; null ones were stored before it was normalised
+    const stored = await Benchmark.find({
+        organization: { $in: organizationId ? [null, organizationId] : [null] },
+        metalType: { $in: metalType ? ['', null, metalType] : ['', null] }
+    }).lean();
+
+    // Apply the least specific benchmarks first so the most specific take precedence
+    const specificity = benchmark => (benchmark.organization ? 2 : 0) + (benchmark.metalType ? 1 : 0);
+    stored
+        .sort((a, b) => specificity(a) - specificity(b))
+        .forEach(benchmark => {
+            benchmarks[benchmark.metric] = benchmark.value;
+        });
+
+    return benchmarks;
+}
+
+/**
+ * Creates or updates a stored benchmark
+ * @param {object} data - { metric, metalType, value, source, organization }
+ *   with no organization the benchmark is platform-wide; with no metalType
+ *   (null or '') it applies to every metal
+ * @param {string} userId - User making the change
+ * @returns {Promise<object>} Saved benchmark
+ */
+export async function setBenchmark({ metric, metalType, value, source, organization = null }, userId) {
+    if (metalType != null && typeof metalType !== 'string') {
+        throw new TypeError('metalType must be a string');
+    }
+
+    return Benchmark.findOneAndUpdate(
+        { organization, metric, metalType: metalType ? metalType.trim() : '' },
+        { value, source, updatedBy: userId, updatedAt: Date.now() },
+        { new: true, upsert: true, runValidators: true }
+    );
+}
+
+/**
+ * Checks that a metric name is one the dashboard knows about
+ * @param {string} metric - Impact field name
+ * @returns {boolean}
+ */
+export function isBenchmarkMetric(metric) {
+    return IMPACT_METRICS.some(entry => entry.field === metric);
+}
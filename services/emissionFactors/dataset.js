@@ -0,0 +1,216 @@
+// src/services/emissionFactors/dataset.js
+
+/**
+ * Bundled emission factor dataset.
+ *
+ * Seeds the EmissionFactor collection (npm run seed:emission-factors) and is
+ * the fallback whenever the collection has no matching factor, so
+ * calculations work on an empty database. Every entry carries the citation
+ * it was taken from.
+ *
+ * Indicators per unit of activity: gwp kg CO2-eq, ced MJ primary energy,
+ * ap kg SO2-eq, ep kg PO4-eq, water litres consumed upstream.
+ */
+
+// Bump when values change so seeding can tell an old bundled revision from a new one
+export const DATASET_VERSION = '2024.1';
+
+/**
+ * Unit of activity and the indicators a factor must provide, by category.
+ * Electricity and transport factors feed the calculation directly, so they
+ * need every indicator it uses.
+ */
+export const CATEGORY_SPECS = {
+    electricity: { unit: 'kWh', indicators: ['gwp', 'ced', 'ap', 'ep', 'water'] },
+    fuel: { unit: 'MJ', indicators: ['gwp'] },
+    transport: { unit: 't*km', indicators: ['gwp', 'ced', 'ap', 'ep'] },
+    reagent: { unit: 'kg', indicators: ['gwp'] }
+};
+
+export const GLOBAL_REGION = 'GLO';
+
+/**
+ * Countries with bundled grid mixes. aliases are matched as whole words in
+ * a report's miningLocation, next to the country name and code.
+ */
+export const REGIONS = {
+    AU: { name: 'Australia', aliases: ['western australia', 'queensland', 'new south wales', 'pilbara', 'kalgoorlie'] },
+    BR: { name: 'Brazil', aliases: ['brasil', 'minas gerais', 'carajas'] },
+    CA: { name: 'Canada', aliases: ['ontario', 'quebec', 'british columbia', 'sudbury'] },
+    CL: { name: 'Chile', aliases: ['atacama', 'antofagasta'] },
+    CN: { name: 'China', aliases: ['prc', 'inner mongolia', 'jiangxi', 'yunnan'] },
+    DE: { name: 'Germany', aliases: ['deutschland'] },
+    FR: { name: 'France', aliases: [] },
+    GB: { name: 'United Kingdom', aliases: ['uk', 'great britain', 'england', 'scotland', 'wales'] },
+    ID: { name: 'Indonesia', aliases: ['sulawesi', 'papua', 'sumatra'] },
+    IN: { name: 'India', aliases: ['odisha', 'jharkhand', 'rajasthan'] },
+    IS: { name: 'Iceland', aliases: [] },
+    JP: { name: 'Japan', aliases: [] },
+    KZ: { name: 'Kazakhstan', aliases: [] },
+    MX: { name: 'Mexico', aliases: ['sonora', 'zacatecas'] },
+    NO: { name: 'Norway', aliases: [] },
+    PE: { name: 'Peru', aliases: [] },
+    RU: { name: 'Russia', aliases: ['russian federation', 'siberia', 'norilsk'] },
+    SA: { name: 'Saudi Arabia', aliases: [] },
+    SE: { name: 'Sweden', aliases: [] },
+    US: { name: 'United States', aliases: ['usa', 'united states of america', 'nevada', 'arizona', 'utah', 'alaska'] },
+    ZA: { name: 'South Africa', aliases: ['gauteng', 'limpopo', 'mpumalanga'] }
+};
+
+const SOURCES = {
+    method: {
+        title: 'CircuMetal calculation method default factors',
+        publisher: 'CircuMetal',
+        notes: 'Factors of calculation method 1.2, kept so results calculated before the factor library stay reproducible. Life-cycle GWP of power technologies follows IPCC AR5 WGIII Annex III.'
+    },
+    ember: {
+        title: 'Yearly electricity data: carbon intensity of electricity generation',
+        publisher: 'Ember',
+        year: 2023,
+        url: 'https://ember-energy.org/data/yearly-electricity-data/',
+        license: 'CC BY 4.0',
+        notes: 'Life-cycle intensity of national generation, rounded to two decimals. Indicators other than GWP use the global average grid factor.'
+    },
+    ipcc2006: {
+        title: '2006 IPCC Guidelines for National Greenhouse Gas Inventories, Volume 2 Energy, Chapter 2 Stationary Combustion, Table 2.2',
+        publisher: 'IPCC',
+        year: 2006,
+        url: 'https://www.ipcc-nggip.iges.or.jp/public/2006gl/vol2.html',
+        notes: 'Default CO2 factors for combustion on a net calorific value basis. Upstream supply, CH4 and N2O are not included.'
+    },
+    reagents: {
+        title: 'Screening factors for common process reagents',
+        publisher: 'CircuMetal',
+        notes: 'Indicative cradle-to-gate values from published LCA literature. Replace with supplier-specific or licensed database factors for disclosures.'
+    }
+};
+
+/**
+ * Power technology factors, per kWh delivered. 'grid' is the global average mix.
+ */
+const TECHNOLOGY_FACTORS = {
+    coal: { gwp: 1.05, ced: 10.9, ap: 0.0062, ep: 0.00038, water: 1.9 },
+    'natural gas': { gwp: 0.49, ced: 7.6, ap: 0.00035, ep: 0.00006, water: 0.9 },
+    diesel: { gwp: 0.88, ced: 11.2, ap: 0.0045, ep: 0.0009, water: 0.3 },
+    grid: { gwp: 0.48, ced: 9.5, ap: 0.0021, ep: 0.00018, water: 1.6 },
+    nuclear: { gwp: 0.012, ced: 11.9, ap: 0.00003, ep: 0.00001, water: 2.3 },
+    hydro: { gwp: 0.024, ced: 3.9, ap: 0.00001, ep: 0.000005, water: 5.3 },
+    solar: { gwp: 0.045, ced: 4.2, ap: 0.00025, ep: 0.00003, water: 0.1 },
+    wind: { gwp: 0.011, ced: 3.7, ap: 0.00004, ep: 0.00001, water: 0.01 },
+    renewable: { gwp: 0.03, ced: 4.0, ap: 0.0001, ep: 0.00002, water: 1.5 }
+};
+
+/**
+ * National grid intensity, kg CO2-eq per kWh, by country and year
+ */
+const GRID_INTENSITY = {
+    AU: { 2019: 0.66, 2022: 0.55 },
+    BR: { 2022: 0.10 },
+    CA: { 2022: 0.17 },
+    CL: { 2022: 0.29 },
+    CN: { 2019: 0.61, 2022: 0.58 },
+    DE: { 2019: 0.41, 2022: 0.39 },
+    FR: { 2022: 0.09 },
+    GB: { 2019: 0.27, 2022: 0.26 },
+    ID: { 2022: 0.68 },
+    IN: { 2019: 0.71, 2022: 0.71 },
+    IS: { 2022: 0.03 },
+    JP: { 2022: 0.49 },
+    KZ: { 2022: 0.64 },
+    MX: { 2022: 0.43 },
+    NO: { 2022: 0.03 },
+    PE: { 2022: 0.25 },
+    RU: { 2022: 0.44 },
+    SA: { 2022: 0.57 },
+    SE: { 2022: 0.04 },
+    US: { 2019: 0.41, 2022: 0.37 },
+    ZA: { 2019: 0.72, 2022: 0.71 }
+};
+
+/**
+ * Freight transport factors, per tonne-km
+ */
+const TRANSPORT_FACTORS = {
+    truck: { gwp: 0.105, ced: 1.55, ap: 0.00045, ep: 0.00011 },
+    rail: { gwp: 0.028, ced: 0.45, ap: 0.00012, ep: 0.00003 },
+    ship: { gwp: 0.011, ced: 0.16, ap: 0.00025, ep: 0.00002 },
+    air: { gwp: 1.13, ced: 16.0, ap: 0.0042, ep: 0.0006 }
+};
+
+/**
+ * Direct combustion CO2, kg per MJ (net calorific value)
+ */
+const FUEL_FACTORS = {
+    diesel: { name: 'Diesel / gas oil', gwp: 0.0741 },
+    'natural gas': { name: 'Natural gas', gwp: 0.0561 },
+    'residual fuel oil': { name: 'Residual fuel oil', gwp: 0.0774 },
+    lpg: { name: 'Liquefied petroleum gas', gwp: 0.0631 },
+    'coking coal': { name: 'Coking coal', gwp: 0.0946 },
+    'bituminous coal': { name: 'Other bituminous coal', gwp: 0.0946 },
+    'sub-bituminous coal': { name: 'Sub-bituminous coal', gwp: 0.0961 },
+    'coke oven coke': { name: 'Coke oven coke', gwp: 0.107 },
+    'petroleum coke': { name: 'Petroleum coke', gwp: 0.0975 }
+};
+
+/**
+ * Cradle-to-gate kg CO2-eq per kg of reagent
+ */
+const REAGENT_FACTORS = {
+    'sulfuric acid': { name: 'Sulfuric acid', gwp: 0.14 },
+    quicklime: { name: 'Quicklime (CaO)', gwp: 1.1 },
+    limestone: { name: 'Limestone, crushed', gwp: 0.02 },
+    'sodium hydroxide': { name: 'Sodium hydroxide (100%)', gwp: 1.2 },
+    ammonia: { name: 'Ammonia, from natural gas', gwp: 2.4 },
+    'hydrogen peroxide': { name: 'Hydrogen peroxide (100%)', gwp: 1.3 }
+};
+
+/**
+ * Every bundled factor as { category, activity, region, year, name, unit, values, source }
+ */
+export const BUNDLED_FACTORS = [
+    ...Object.entries(TECHNOLOGY_FACTORS).map(([activity, values]) => ({
+        category: 'electricity',
+        activity,
+        region: GLOBAL_REGION,
+        year: null,
+        name: activity === 'grid' ? 'Electricity, global average grid mix' : `Electricity from ${activity}`,
+        values,
+        source: SOURCES.method
+    })),
+    ...Object.entries(GRID_INTENSITY).flatMap(([region, years]) => Object.entries(years).map(([year, gwp]) => ({
+        category: 'electricity',
+        activity: 'grid',
+        region,
+        year: Number(year),
+        name: `Electricity, ${REGIONS[region].name} grid mix ${year}`,
+        values: { ...TECHNOLOGY_FACTORS.grid, gwp },
+        source: SOURCES.ember
+    }))),
+    ...Object.entries(TRANSPORT_FACTORS).map(([activity, values]) => ({
+        category: 'transport',
+        activity,
+        region: GLOBAL_REGION,
+        year: null,
+        name: `Freight transport, ${activity}`,
+        values,
+        source: SOURCES.method
+    })),
+    ...Object.entries(FUEL_FACTORS).map(([activity, { name, gwp }]) => ({
+        category: 'fuel',
+        activity,
+        region: GLOBAL_REGION,
+        year: null,
+        name,
+        values: { gwp },
+        source: SOURCES.ipcc2006
+    })),
+    ...Object.entries(REAGENT_FACTORS).map(([activity, { name, gwp }]) => ({
+        category: 'reagent',
+        activity,
+        region: GLOBAL_REGION,
+        year: null,
+        name,
+        values: { gwp },
+        source: SOURCES.reagents
+    }))
+].map(factor => ({ ...factor, unit: CATEGORY_SPECS[factor.category].unit }));
@@ -0,0 +1,466 @@
+// src/services/emissionFactors/index.js
+
+import EmissionFactor, { FACTOR_CATEGORIES } from '../../models/EmissionFactor.js';
+import { resolveEnergySource, resolveTransportMode } from '../lcaCalculator.js';
+import { BUNDLED_FACTORS, CATEGORY_SPECS, DATASET_VERSION, GLOBAL_REGION } from './dataset.js';
+import { SCOPE_RANK, bundledCandidates, buildFactorSet, bundledFactorSet, factorKey, resolveRegion } from './selection.js';
+
+export { CATEGORY_SPECS, DATASET_VERSION, REGIONS } from './dataset.js';
+export { bundledFactorSet, resolveRegion } from './selection.js';
+
+export const FACTOR_INDICATORS = ['gwp', 'ced', 'ap', 'ep', 'water'];
+
+const IDENTITY_FIELDS = ['category', 'activity', 'region', 'year'];
+const SOURCE_FIELDS = ['title', 'publisher', 'year', 'url', 'license', 'notes'];
+
+/**
+ * Raised when a factor cannot be saved. status is the HTTP status the route
+ * should answer with; details carries field errors.
+ */
+export class EmissionFactorError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'EmissionFactorError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Checks a factor's numbers against what its category needs
+ * @param {string} category
+ * @param {*} values
+ * @param {object[]} errors - Field errors are added here
+ */
+function checkValues(category, values, errors) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        errors.push({ field: 'values', message: 'values must be an object of indicators' });
+        return;
+    }
+    Object.entries(values).forEach(([indicator, value]) => {
+        if (!FACTOR_INDICATORS.includes(indicator)) {
+            errors.push({ field: `values.${indicator}`, message: `Unknown indicator '${indicator}'; use ${FACTOR_INDICATORS.join(', ')}` });
+        } else if (value !== null && value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+            errors.push({ field: `values.${indicator}`, message: `${indicator} must be a non-negative number` });
+        }
+    });
+    const spec = CATEGORY_SPECS[category];
+    if (!spec) return;
+    spec.indicators
+        .filter(indicator => typeof values[indicator] !== 'number')
+        .forEach(indicator => errors.push({ field: `values.${indicator}`, message: `${category} factors need ${indicator}` }));
+}
+
+/**
+ * Checks a citation
+ * @param {*} source
+ * @param {object[]} errors - Field errors are added here
+ */
+function checkSource(source, errors) {
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        errors.push({ field: 'source', message: 'source must be an object with at least a title' });
+        return;
+    }
+    if (!source.title || typeof source.title !== 'string' || !source.title.trim()) {
+        errors.push({ field: 'source.title', message: 'Every factor needs the title of its source' });
+    }
+    if (source.year !== undefined && source.year !== null && !Number.isInteger(source.year)) {
+        errors.push({ field: 'source.year', message: 'source.year must be a whole number' });
+    }
+    if (source.url !== undefined && source.url !== null && !/^https?:\/\/\S+$/i.test(String(source.url))) {
+        errors.push({ field: 'source.url', message: 'source.url must be an http(s) link' });
+    }
+    Object.keys(source)
+        .filter(field => !SOURCE_FIELDS.includes(field))
+        .forEach(field => errors.push({ field: `source.${field}`, message: `Unknown source field '${field}'` }));
+}
+
+/**
+ * Validates a new factor and fills in its defaults
+ * @param {object} input - { category, activity, region, year, name, unit, values, source }
+ * @returns {{data: object, errors: object[]}}
+ */
+export function validateFactor(input = {}) {
+    const errors = [];
+    const category = input.category;
+    if (!FACTOR_CATEGORIES.includes(category)) {
+        errors.push({ field: 'category', message: `category must be one of ${FACTOR_CATEGORIES.join(', ')}` });
+    }
+
+    const activity = typeof input.activity === 'string' ? input.activity.trim().toLowerCase() : '';
+    if (!activity || activity.length > 100) {
+        errors.push({ field: 'activity', message: 'activity must be a name of up to 100 characters, e.g. grid, truck or sulfuric acid' });
+    }
+
+    const region = input.region === undefined || input.region === null || input.region === ''
+        ? GLOBAL_REGION
+        : String(input.region).trim().toUpperCase();
+    if (!/^(GLO|[A-Z]{2})$/.test(region)) {
+        errors.push({ field: 'region', message: `region must be a two-letter ISO 3166 country code or '${GLOBAL_REGION}'` });
+    }
+
+    const year = input.year === undefined || input.year === '' ? null : input.year;
+    if (year !== null && (!Number.isInteger(year) || year < 1990 || year > 2100)) {
+        errors.push({ field: 'year', message: 'year must be a whole number between 1990 and 2100' });
+    }
+
+    const spec = CATEGORY_SPECS[category];
+    if (spec && input.unit !== undefined && input.unit !== spec.unit) {
+        errors.push({ field: 'unit', message: `${category} factors are per ${spec.unit}` });
+    }
+    checkValues(category, input.values, errors);
+    checkSource(input.source, errors);
+
+    const name = typeof input.name === 'string' && input.name.trim()
+        ? input.name.trim()
+        : `${activity} (${region}${year ? `, ${year}` : ''})`;
+
+    return {
+        data: {
+            category,
+            activity,
+            region,
+            year,
+            name,
+            unit: spec ? spec.unit : undefined,
+            values: input.values,
+            source: input.source
+        },
+        errors
+    };
+}
+
+/**
+ * Factors visible in a scope: platform-wide ones and the organization's own
+ * @param {object|null} organizationId
+ * @returns {object} MongoDB filter
+ */
+function visibleTo(organizationId) {
+    return { organization: { $in: organizationId ? [null, organizationId] : [null] } };
+}
+
+/**
+ * Tags a stored factor with the scope it ranks in
+ * @param {object} factor - Lean EmissionFactor
+ * @returns {object}
+ */
+function storedCandidate(factor) {
+    return { ...factor, scope: factor.organization ? 'organization' : 'platform' };
+}
+
+/**
+ * Lists the factors in effect for an organization: for each key, its own
+ * factor, else the platform-wide one, else the bundled one
+ * @param {object} filters - { category, activity, region, year }
+ * @param {object|null} organizationId
+ * @returns {Promise<object[]>} Factors with scope 'organization', 'platform' or 'bundled'
+ */
+export async function listFactors({ category, activity, region, year } = {}, organizationId = null) {
+    const filter = {};
+    if (category) filter.category = category;
+    if (activity) filter.activity = String(activity).toLowerCase();
+    if (region) filter.region = String(region).toUpperCase();
+    if (year) filter.year = Number(year);
+
+    const stored = await EmissionFactor.find({ ...visibleTo(organizationId), ...filter, supersededAt: null })
+        .select('-__v')
+        .lean();
+
+    const byKey = new Map();
+    const matches = factor => Object.entries(filter).every(([field, value]) => factor[field] === value);
+    [
+        ...bundledCandidates().filter(matches),
+        ...stored.map(storedCandidate)
+    ].forEach(factor => {
+        const current = byKey.get(factor.key);
+        if (!current || SCOPE_RANK[factor.scope] > SCOPE_RANK[current.scope]) {
+            byKey.set(factor.key, factor);
+        }
+    });
+
+    return [...byKey.values()].sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Loads a stored factor with every revision of it
+ * @param {string} id - ID of any revision
+ * @param {object|null} organizationId
+ * @returns {Promise<{factor: object, revisions: object[]}|null>}
+ */
+export async function getFactor(id, organizationId = null) {
+    const factor = await EmissionFactor.findOne({ _id: id, ...visibleTo(organizationId) }).select('-__v').lean();
+    if (!factor) return null;
+
+    const revisions = await EmissionFactor.find({ organization: factor.organization, key: factor.key })
+        .sort({ revision: -1 })
+        .select('-__v')
+        .lean();
+    return { factor, revisions };
+}
+
+/**
+ * Writes the next revision of a factor and closes the current one
+ * @param {object} current - Current EmissionFactor revision
+ * @param {object} changes - { name, values, source, origin, datasetVersion }
+ * @param {object|string} [userId]
+ * @returns {Promise<object>} The new revision
+ * @throws {EmissionFactorError} 409 when someone else revised it first
+ */
+async function appendRevision(current, changes, userId) {
+    let next;
+    try {
+        next = await EmissionFactor.create({
+            ...IDENTITY_FIELDS.reduce((fields, field) => ({ ...fields, [field]: current[field] }), {}),
+            key: current.key,
+            revision: current.revision + 1,
+            unit: current.unit,
+            organization: current.organization,
+            name: changes.name || current.name,
+            values: changes.values,
+            source: changes.source,
+            origin: changes.origin || 'custom',
+            datasetVersion: changes.datasetVersion,
+            createdBy: userId
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new EmissionFactorError('This factor was changed by someone else; reload it and try again', 409);
+        }
+        throw error;
+    }
+
+    // A retired revision keeps the time it was retired
+    await EmissionFactor.updateOne({ _id: current._id, supersededAt: null }, { $set: { supersededAt: next.validFrom } });
+    return next;
+}
+
+/**
+ * Adds a factor to an organization's library, or platform-wide without one.
+ * A factor with the same category, activity, region and year as a
+ * platform-wide one overrides it for the organization.
+ * @param {object} input - See validateFactor
+ * @param {object} context - { organizationId, userId }
+ * @returns {Promise<object>} The first revision
+ * @throws {EmissionFactorError}
+ */
+export async function createFactor(input, { organizationId = null, userId } = {}) {
+    const { data, errors } = validateFactor(input);
+    if (errors.length > 0) {
+        throw new EmissionFactorError('Invalid emission factor', 400, { errors });
+    }
+
+    const key = factorKey(data);
+    const latest = await EmissionFactor.findOne({ organization: organizationId, key }).sort({ revision: -1 });
+    if (latest && !latest.retired) {
+        throw new EmissionFactorError(`A factor for ${key} already exists; edit it to add a revision`, 409, { id: latest._id });
+    }
+
+    // Bringing back a retired factor continues its revision numbers
+    if (latest) {
+        return appendRevision(latest, data, userId);
+    }
+    try {
+        return await EmissionFactor.create({ ...data, key, revision: 1, organization: organizationId, createdBy: userId });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new EmissionFactorError(`A factor for ${key} already exists; edit it to add a revision`, 409);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Loads the current revision of a factor the caller may change: one stored
+ * in their own scope
+ * @param {string} id
+ * @param {object|null} organizationId
+ * @returns {Promise<object>}
+ * @throws {EmissionFactorError}
+ */
+async function editableFactor(id, organizationId) {
+    const factor = await EmissionFactor.findOne({ _id: id, organization: organizationId });
+    if (!factor) {
+        throw new EmissionFactorError('Emission factor not found', 404);
+    }
+    if (factor.supersededAt) {
+        throw new EmissionFactorError(
+            factor.retired ? 'This factor is retired' : `Revision ${factor.revision} is no longer current; edit the latest revision`,
+            409
+        );
+    }
+    return factor;
+}
+
+/**
+ * Revises a factor: { name, values, source }. values are merged into the
+ * current ones; a new source replaces the old one. Category, activity,
+ * region and year cannot change.
+ * @param {string} id - ID of the current revision
+ * @param {object} input
+ * @param {object} context - { organizationId, userId }
+ * @returns {Promise<object>} The new revision
+ * @throws {EmissionFactorError}
+ */
+export async function reviseFactor(id, input = {}, { organizationId = null, userId } = {}) {
+    const current = await editableFactor(id, organizationId);
+
+    const errors = IDENTITY_FIELDS
+        .filter(field => input[field] !== undefined && String(input[field]).toLowerCase() !== String(current[field]).toLowerCase())
+        .map(field => ({ field, message: `${field} cannot be changed; add a new factor instead` }));
+
+    if (input.values !== undefined && (!input.values || typeof input.values !== 'object' || Array.isArray(input.values))) {
+        errors.push({ field: 'values', message: 'values must be an object of indicators' });
+    }
+    const values = { ...current.values.toObject(), ...(errors.length === 0 ? input.values : {}) };
+    checkValues(current.category, values, errors);
+    const source = input.source === undefined ? current.source.toObject() : input.source;
+    checkSource(source, errors);
+    if (errors.length > 0) {
+        throw new EmissionFactorError('Invalid emission factor', 400, { errors });
+    }
+
+    const name = typeof input.name === 'string' && input.name.trim() ? input.name.trim() : current.name;
+    return appendRevision(current, { name, values, source }, userId);
+}
+
+/**
+ * Retires a factor. Its revisions are kept, so reports calculated with it
+ * still resolve it; new calculations fall back to the next best factor,
+ * ultimately the bundled dataset.
+ * @param {string} id - ID of the current revision
+ * @param {object|null} organizationId
+ * @returns {Promise<object>} The retired revision
+ * @throws {EmissionFactorError}
+ */
+export async function retireFactor(id, organizationId = null) {
+    const current = await editableFactor(id, organizationId);
+    current.supersededAt = new Date();
+    current.retired = true;
+    await current.save();
+    return current;
+}
+
+/**
+ * Resolves the factors for a calculation from the library: the
+ * organization's factors, platform-wide stored factors and the bundled
+ * dataset, in that order. Grid electricity uses the mix of the country in
+ * formData.miningLocation.
+ * @param {object} formData - LCA form data
+ * @param {object} [options]
+ * @param {object|null} [options.organizationId]
+ * @param {Date} [options.asOf] - Resolve the library as it was at this time
+ * @param {object} [options.pinned] - { region, library } from a report's
+ *   impacts.factors; those factors are reused while their inputs are unchanged
+ * @param {Map} [options.cache] - Shared between calls to reuse lookups, e.g. across an import
+ * @returns {Promise<object>} Factor set for calculateImpacts
+ */
+export async function resolveFactorSet(formData = {}, { organizationId = null, asOf, pinned, cache } = {}) {
+    const energySource = resolveEnergySource(formData.energySource);
+    const transportMode = resolveTransportMode(formData.transportMode);
+    const region = resolveRegion(formData.miningLocation);
+    const referenceDate = asOf || new Date();
+
+    const lookupKey = [energySource, transportMode, region].join('|');
+    let stored = cache && cache.get(lookupKey);
+    if (!stored) {
+        stored = EmissionFactor.find({
+            ...visibleTo(organizationId),
+            validFrom: { $lte: referenceDate },
+            category: { $in: ['electricity', 'transport'] },
+            activity: { $in: [energySource, 'grid', transportMode] },
+            region: { $in: [region, GLOBAL_REGION] }
+        }).lean();
+        if (cache) cache.set(lookupKey, stored);
+    }
+
+    const candidates = (await stored)
+        .filter(factor => !factor.supersededAt || factor.supersededAt > referenceDate)
+        .map(storedCandidate);
+
+    return {
+        ...buildFactorSet([...bundledCandidates(), ...candidates], {
+            energySource,
+            transportMode,
+            region,
+            year: referenceDate.getFullYear(),
+            location: formData.miningLocation,
+            pinned
+        }),
+        asOf: referenceDate
+    };
+}
+
+/**
+ * Factors to recalculate a saved report with. A report keeps the factors it
+ * was calculated with: the library is resolved as of its last calculation,
+ * and reports calculated before the library existed keep the bundled global
+ * factors. refresh resolves the current library instead.
+ * @param {object} report - Report with organization and impacts
+ * @param {object} formData - Form data to calculate
+ * @param {object} [options] - { refresh }
+ * @returns {Promise<object>} Factor set for calculateImpacts
+ */
+export async function factorSetForReport(report, formData, { refresh = false } = {}) {
+    const pinned = report.impacts && report.impacts.factors;
+    const organizationId = report.organization || null;
+
+    if (refresh || !pinned) {
+        return resolveFactorSet(formData, { organizationId });
+    }
+    if (!pinned.asOf) {
+        return bundledFactorSet({
+            energySource: resolveEnergySource(formData.energySource),
+            transportMode: resolveTransportMode(formData.transportMode)
+        }, pinned.library ? pinned : undefined);
+    }
+    return resolveFactorSet(formData, { organizationId, asOf: new Date(pinned.asOf), pinned });
+}
+
+/**
+ * Stores the bundled dataset as platform-wide factors. Factors an admin has
+ * revised or retired are left alone; bundled ones whose numbers changed in a
+ * newer dataset get a new revision.
+ * @param {object} [options] - { dryRun }
+ * @returns {Promise<{created: number, updated: number, unchanged: number, skipped: number}>}
+ */
+export async function seedBundledFactors({ dryRun = false } = {}) {
+    const counts = { created: 0, updated: 0, unchanged: 0, skipped: 0 };
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    for (const factor of BUNDLED_FACTORS) {
+        const key = factorKey(factor);
+        const latest = await EmissionFactor.findOne({ organization: null, key }).sort({ revision: -1 });
+
+        if (!latest) {
+            counts.created += 1;
+            if (!dryRun) {
+                await EmissionFactor.create({ ...factor, key, revision: 1, origin: 'bundled', datasetVersion: DATASET_VERSION });
+            }
+            continue;
+        }
+        if (latest.retired || latest.origin !== 'bundled') {
+            counts.skipped += 1;
+            continue;
+        }
+
+        const stored = { values: latest.values.toObject(), source: latest.source.toObject() };
+        const bundled = {
+            values: FACTOR_INDICATORS.reduce((values, indicator) => (
+                factor.values[indicator] === undefined ? values : { ...values, [indicator]: factor.values[indicator] }
+            ), {}),
+            source: SOURCE_FIELDS.reduce((source, field) => (
+                factor.source[field] === undefined ? source : { ...source, [field]: factor.source[field] }
+            ), {})
+        };
+        if (same(stored, bundled) && latest.name === factor.name) {
+            counts.unchanged += 1;
+            continue;
+        }
+
+        counts.updated += 1;
+        if (!dryRun) {
+            await appendRevision(latest, { ...factor, origin: 'bundled', datasetVersion: DATASET_VERSION });
+        }
+    }
+    return counts;
+}
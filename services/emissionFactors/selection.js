@@ -0,0 +1,193 @@
+// src/services/emissionFactors/selection.js
+
+import { BUNDLED_FACTORS, DATASET_VERSION, GLOBAL_REGION, REGIONS } from './dataset.js';
+
+/**
+ * How much a candidate factor outranks another with the same key: an
+ * organization's own factor wins over a platform-wide stored one, which wins
+ * over the bundled dataset.
+ */
+export const SCOPE_RANK = {
+    bundled: 0,
+    platform: 1,
+    organization: 2
+};
+
+/**
+ * Identity of a factor across its revisions
+ * @param {object} factor - { category, activity, region, year }
+ * @returns {string} e.g. 'electricity:grid:AU:2022'
+ */
+export function factorKey({ category, activity, region, year }) {
+    return [category, activity, region || GLOBAL_REGION, year || 'any'].join(':');
+}
+
+/**
+ * Escapes text for use in a regular expression
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Finds the country a free-text location is in, from its ISO code, name or
+ * a known place in it. The longest match wins, so 'New South Wales' is
+ * Australia rather than Wales.
+ * @param {string} location - e.g. 'Pilbara, Western Australia' or 'CL'
+ * @returns {string} ISO 3166 code, or 'GLO' when the country is unknown
+ */
+export function resolveRegion(location) {
+    if (!location || typeof location !== 'string') return GLOBAL_REGION;
+    const text = location.trim();
+
+    const code = text.toUpperCase();
+    if (REGIONS[code]) return code;
+
+    let best = { region: GLOBAL_REGION, length: 0 };
+    for (const [region, { name, aliases }] of Object.entries(REGIONS)) {
+        for (const term of [name.toLowerCase(), ...aliases]) {
+            if (term.length > best.length && new RegExp(`\\b${escapeRegExp(term)}\\b`, 'i').test(text)) {
+                best = { region, length: term.length };
+            }
+        }
+    }
+    return best.region;
+}
+
+/**
+ * The bundled dataset as selection candidates
+ * @returns {object[]}
+ */
+export function bundledCandidates() {
+    return BUNDLED_FACTORS.map(factor => ({
+        ...factor,
+        key: factorKey(factor),
+        revision: null,
+        origin: 'bundled',
+        datasetVersion: DATASET_VERSION,
+        organization: null,
+        scope: 'bundled'
+    }));
+}
+
+/**
+ * Picks the factor for an activity. For each key only the highest-ranked
+ * scope counts (see SCOPE_RANK). Then a factor for the region wins over a
+ * global one, and the latest year up to the reference year wins over older
+ * ones; factors without a year come next, then later years.
+ * @param {object[]} candidates - Factors with a scope
+ * @param {object} wanted - { category, activity, region, year }
+ * @returns {object|null}
+ */
+export function selectFactor(candidates, { category, activity, region = GLOBAL_REGION, year }) {
+    const byKey = new Map();
+    candidates
+        .filter(factor => factor.category === category && factor.activity === activity
+            && (factor.region === region || factor.region === GLOBAL_REGION))
+        .forEach(factor => {
+            const current = byKey.get(factor.key);
+            if (!current || SCOPE_RANK[factor.scope] > SCOPE_RANK[current.scope]) {
+                byKey.set(factor.key, factor);
+            }
+        });
+
+    const yearRank = factor => {
+        if (!factor.year) return 0;
+        if (factor.year <= year) return 1 + factor.year / 10000;
+        return -factor.year / 10000;
+    };
+    const rank = factor => (factor.region === region ? 10 : 0) + yearRank(factor);
+
+    return [...byKey.values()].sort((a, b) => rank(b) - rank(a))[0] || null;
+}
+
+/**
+ * What a report stores about a factor it used: enough to cite it and to
+ * recalculate with exactly the same numbers
+ * @param {object} factor - Selected candidate
+ * @param {string} role - 'energy', 'useEnergy' or 'transport'
+ * @returns {object}
+ */
+export function libraryEntry(factor, role) {
+    return {
+        role,
+        id: factor._id || factor.id || null,
+        key: factor.key,
+        revision: factor.revision || null,
+        origin: factor.origin,
+        datasetVersion: factor.datasetVersion || null,
+        organization: factor.organization || null,
+        name: factor.name,
+        category: factor.category,
+        activity: factor.activity,
+        region: factor.region,
+        year: factor.year || null,
+        unit: factor.unit,
+        values: { ...factor.values },
+        source: { ...factor.source }
+    };
+}
+
+/**
+ * Selects the factors one calculation uses. A report's pinned entries are
+ * reused as long as the inputs that chose them (energy source, transport
+ * mode, region) are unchanged, so recalculating it gives the same numbers
+ * even after the library was edited.
+ * @param {object[]} candidates - Factors with a scope
+ * @param {object} options - { energySource, transportMode, region, year, location, pinned }
+ *   energySource and transportMode are resolved activities (e.g. 'grid', 'truck');
+ *   location is the miningLocation text, used in assumptions; pinned is
+ *   { region, library } from a report's impacts.factors
+ * @returns {{region: string, energy: object, useEnergy: object, transport: object, assumptions: string[]}}
+ */
+export function buildFactorSet(candidates, { energySource, transportMode, region = GLOBAL_REGION, year, location, pinned }) {
+    const referenceYear = year || new Date().getFullYear();
+    const assumptions = [];
+    const pinnedLibrary = (pinned && pinned.library) || [];
+    const sameRegion = Boolean(pinned) && (pinned.region || GLOBAL_REGION) === region;
+
+    const pick = (role, category, activity, inRegion) => {
+        const pin = pinnedLibrary.find(entry => entry.role === role && entry.activity === activity);
+        // Use-phase energy does not depend on the region
+        if (pin && (sameRegion || role === 'useEnergy')) return pin;
+
+        const factor = selectFactor(candidates, { category, activity, region: inRegion, year: referenceYear });
+        if (!factor) throw new Error(`No ${category} emission factor for '${activity}'`);
+        return libraryEntry(factor, role);
+    };
+
+    const energy = pick('energy', 'electricity', energySource, region);
+    if (energySource === 'grid' && location) {
+        if (energy.region === GLOBAL_REGION) {
+            assumptions.push(`No grid mix for mining location '${location}'; using ${energy.name}.`);
+        } else {
+            assumptions.push(`Grid electricity for mining location '${location}' uses ${energy.name}.`);
+        }
+    }
+
+    return {
+        region,
+        energy,
+        // Where the product is used is not known, so use-phase energy stays on the global grid
+        useEnergy: pick('useEnergy', 'electricity', 'grid', GLOBAL_REGION),
+        transport: pick('transport', 'transport', transportMode, region),
+        assumptions
+    };
+}
+
+/**
+ * Factors from the bundled dataset alone, with global values only. This is
+ * what calculateImpacts uses when it is not given a factor set, and matches
+ * the fixed tables of calculation method 1.2.
+ * @param {object} options - { energySource, transportMode } as resolved activities
+ * @param {object} [pinned] - { region, library } from a report's impacts.factors
+ * @returns {object} Factor set, see buildFactorSet
+ */
+export function bundledFactorSet({ energySource, transportMode }, pinned) {
+    return {
+        ...buildFactorSet(bundledCandidates(), { energySource, transportMode, pinned }),
+        asOf: null
+    };
+}
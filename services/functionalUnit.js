@@ -0,0 +1,110 @@
+// src/services/functionalUnit.js
+
+import { convert, parseUnit, UnitError } from './units.js';
+
+/**
+ * Functional unit handling.
+ *
+ * A functional unit is either a mass of metal ({ quantity: 1, unit: 't' }) or
+ * a count of products ({ quantity: 1, unit: 'product' }) with a reference
+ * flow giving the mass of metal per product ({ quantity: 2.5, unit: 'kg' }).
+ * Impacts are calculated per kg of metal and scaled by the reference flow.
+ */
+
+export const COUNT_UNITS = ['product', 'piece', 'item', 'unit'];
+
+export const DEFAULT_FUNCTIONAL_UNIT = {
+    description: '1 kg of metal',
+    quantity: 1,
+    unit: 'kg'
+};
+
+/**
+ * Checks whether a unit measures mass
+ * @param {string} unit
+ * @returns {boolean}
+ */
+function isMassUnit(unit) {
+    try {
+        return parseUnit(unit).dimension === 'mass';
+    } catch (error) {
+        if (error instanceof UnitError) return false;
+        throw error;
+    }
+}
+
+/**
+ * Validates a functional unit and works out its reference flow in kg of metal
+ * @param {object} [input] - Submitted functional unit; defaults to 1 kg
+ * @returns {{functionalUnit: object|null, referenceFlowKg: number|null, errors: {field: string, message: string}[]}}
+ */
+export function resolveFunctionalUnit(input) {
+    if (input === undefined || input === null) {
+        return { functionalUnit: { ...DEFAULT_FUNCTIONAL_UNIT }, referenceFlowKg: 1, errors: [] };
+    }
+
+    const errors = [];
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return {
+            functionalUnit: null,
+            referenceFlowKg: null,
+            errors: [{ field: 'functionalUnit', message: 'functionalUnit must be an object' }]
+        };
+    }
+
+    const quantity = input.quantity === undefined ? 1 : Number(input.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+        errors.push({ field: 'functionalUnit.quantity', message: 'functionalUnit.quantity must be a positive number' });
+    }
+
+    const unit = input.unit || 'kg';
+    const countable = COUNT_UNITS.includes(unit);
+    let referenceFlowKg = null;
+    let referenceFlow;
+
+    if (countable) {
+        const flow = input.referenceFlow || {};
+        const flowQuantity = Number(flow.quantity);
+        const flowUnit = flow.unit || 'kg';
+
+        if (!Number.isFinite(flowQuantity) || flowQuantity <= 0) {
+            errors.push({
+                field: 'functionalUnit.referenceFlow.quantity',
+                message: `functionalUnit.referenceFlow.quantity (mass of metal per ${unit}) must be a positive number`
+            });
+        } else if (!isMassUnit(flowUnit)) {
+            errors.push({ field: 'functionalUnit.referenceFlow.unit', message: 'functionalUnit.referenceFlow.unit must be a mass unit' });
+        } else {
+            referenceFlow = { quantity: flowQuantity, unit: flowUnit };
+            referenceFlowKg = quantity * convert(flowQuantity, flowUnit, 'kg');
+        }
+    } else if (!isMassUnit(unit)) {
+        errors.push({
+            field: 'functionalUnit.unit',
+            message: `functionalUnit.unit must be a mass unit or one of: ${COUNT_UNITS.join(', ')}`
+        });
+    } else {
+        referenceFlowKg = quantity * convert(1, unit, 'kg');
+    }
+
+    if (errors.length > 0) {
+        return { functionalUnit: null, referenceFlowKg: null, errors };
+    }
+
+    const description = typeof input.description === 'string' && input.description.trim()
+        ? input.description.trim()
+        : countable
+            ? `${quantity} ${unit}${quantity === 1 ? '' : 's'}`
+            : `${quantity} ${unit} of metal`;
+
+    return {
+        functionalUnit: {
+            description,
+            quantity,
+            unit,
+            ...(referenceFlow ? { referenceFlow } : {})
+        },
+        referenceFlowKg,
+        errors
+    };
+}
@@ -0,0 +1,150 @@
+// src/services/impactMetrics.js
+
+import { IMPACT_UNITS } from './lcaCalculator.js';
+import { toDisplay, resolveUnitSystem } from './units.js';
+
+/**
+ * Dashboard metrics and the calculated impact indicator each one reads.
+ * `key` is the name used by the dashboard and the `metric` query parameter,
+ * `field` is the indicator stored on Report.impacts.
+ */
+export const IMPACT_METRICS = [
+    {
+        key: 'carbonFootprint',
+        field: 'globalWarmingPotential',
+        category: 'Carbon Footprint',
+        unit: `${IMPACT_UNITS.globalWarmingPotential}/kg`
+    },
+    {
+        key: 'waterUsage',
+        field: 'waterScarcityFootprint',
+        category: 'Water Scarcity',
+        unit: `${IMPACT_UNITS.waterScarcityFootprint}/kg`
+    },
+    {
+        key: 'energyConsumption',
+        field: 'cumulativeEnergyDemand',
+        category: 'Energy Consumption',
+        unit: `${IMPACT_UNITS.cumulativeEnergyDemand}/kg`
+    },
+    {
+        key: 'acidification',
+        field: 'acidificationPotential',
+        category: 'Acidification',
+        unit: `${IMPACT_UNITS.acidificationPotential}/kg`
+    },
+    {
+        key: 'eutrophication',
+        field: 'eutrophicationPotential',
+        category: 'Eutrophication',
+        unit: `${IMPACT_UNITS.eutrophicationPotential}/kg`
+    }
+];
+
+/**
+ * Looks up a metric by dashboard key or impact field name
+ * @param {string} name - Metric key or impact field
+ * @returns {object|undefined}
+ */
+export function findMetric(name) {
+    return IMPACT_METRICS.find(metric => metric.key === name || metric.field === name);
+}
+
+/**
+ * Resolves the `metric` query parameter to the list of metrics to report on.
+ * Missing or 'all' selects every metric.
+ * @param {string} name - Metric key, impact field or 'all'
+ * @returns {object[]|null} Selected metrics, or null if the name is unknown
+ */
+export function selectMetrics(name) {
+    if (!name || name === 'all') return IMPACT_METRICS;
+    const metric = findMetric(name);
+    return metric ? [metric] : null;
+}
+
+/**
+ * Classifies a value against its benchmark (lower is better for every metric)
+ * @param {number} value
+ * @param {number} benchmark
+ * @returns {string} 'good', 'warning' or 'critical'
+ */
+export function benchmarkStatus(value, benchmark) {
+    if (!Number.isFinite(value) || !Number.isFinite(benchmark) || benchmark <= 0) return 'unknown';
+    if (value <= benchmark) return 'good';
+    if (value <= benchmark * 1.2) return 'warning';
+    return 'critical';
+}
+
+/**
+ * Percentage change from a previous value, rounded to one decimal
+ * @param {number} current
+ * @param {number} previous
+ * @returns {number|null} null when there is nothing to compare against
+ */
+export function percentChange(current, previous) {
+    if (!Number.isFinite(current) || !Number.isFinite(previous) || previous === 0) return null;
+    return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+/**
+ * Direction of a percentage change
+ * @param {number|null} change
+ * @returns {string} 'up', 'down' or 'flat'
+ */
+export function trendDirection(change) {
+    if (!change) return 'flat';
+    return change > 0 ? 'up' : 'down';
+}
+
+/**
+ * Reads an indicator per kg of metal. Reports calculated before functional
+ * units existed store per-kg values at the top level.
+ * @param {object} impacts - Report.impacts or a calculateImpacts result
+ * @param {string} field - Impact field
+ * @returns {number}
+ */
+export function perKgValue(impacts, field) {
+    if (impacts.perKg && Number.isFinite(impacts.perKg[field])) return impacts.perKg[field];
+    return impacts[field];
+}
+
+/**
+ * MongoDB expression reading an indicator per kg of metal (see perKgValue)
+ * @param {string} field - Impact field
+ * @returns {object}
+ */
+export function perKgExpression(field) {
+    return { $ifNull: [`$impacts.perKg.${field}`, `$impacts.${field}`] };
+}
+
+/**
+ * Converts a metric value from its canonical unit into a unit system
+ * @param {number} value - Value in the metric's canonical unit
+ * @param {object} metric - Entry of IMPACT_METRICS
+ * @param {string} system - Unit system name
+ * @returns {{value: number, unit: string}}
+ */
+export function metricForDisplay(value, metric, system) {
+    return toDisplay(value, metric.unit, system);
+}
+
+/**
+ * Converts a calculated impact set into a unit system. Values are per mass
+ * of metal so reports with different functional units stay comparable.
+ * @param {object} impacts - Result of calculateImpacts or Report.impacts
+ * @param {string} system - Unit system name
+ * @returns {{unitSystem: string, values: object, units: object}}
+ */
+export function impactsForDisplay(impacts, system) {
+    const unitSystem = resolveUnitSystem(system);
+    const values = {};
+    const units = {};
+
+    IMPACT_METRICS.forEach(metric => {
+        const converted = metricForDisplay(perKgValue(impacts, metric.field), metric, unitSystem);
+        values[metric.field] = converted.value;
+        units[metric.field] = converted.unit;
+    });
+
+    return { unitSystem, values, units };
+}
@@ -0,0 +1,70 @@
+// src/services/impactStatistics.js
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Descriptive statistics for a list of values
+ * @param {number[]} values
+ * @returns {object} count, mean, median, min, max and (population) stdDev
+ */
+export function describe(values) {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    const count = sorted.length;
+    if (count === 0) {
+        return { count: 0, mean: null, median: null, min: null, max: null, stdDev: null };
+    }
+
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+    const middle = Math.floor(count / 2);
+    const median = count % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count;
+
+    return {
+        count,
+        mean,
+        median,
+        min: sorted[0],
+        max: sorted[count - 1],
+        stdDev: Math.sqrt(variance)
+    };
+}
+
+/**
+ * Least-squares slope of values over time
+ * @param {{date: Date, value: number}[]} points
+ * @returns {number|null} Change in value per day, or null with fewer than two distinct dates
+ */
+export function slopePerDay(points) {
+    const valid = points.filter(point => Number.isFinite(point.value) && point.date);
+    if (valid.length < 2) return null;
+
+    const xs = valid.map(point => new Date(point.date).getTime() / MS_PER_DAY);
+    const ys = valid.map(point => point.value);
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+
+    let numerator = 0;
+    let denominator = 0;
+    xs.forEach((x, i) => {
+        numerator += (x - meanX) * (ys[i] - meanY);
+        denominator += (x - meanX) ** 2;
+    });
+
+    return denominator === 0 ? null : numerator / denominator;
+}
+
+/**
+ * Percentile rank of a value within a distribution: the share of values at or
+ * below it, in percent
+ * @param {number[]} values
+ * @param {number} target
+ * @returns {number|null}
+ */
+export function percentileRank(values, target) {
+    const valid = values.filter(Number.isFinite);
+    if (valid.length === 0 || !Number.isFinite(target)) return null;
+
+    const below = valid.filter(value => value < target).length;
+    const equal = valid.filter(value => value === target).length;
+    return ((below + 0.5 * equal) / valid.length) * 100;
+}
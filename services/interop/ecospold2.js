@@ -0,0 +1,170 @@
+// src/services/interop/ecospold2.js
+
+import { uuidFor } from './flows.js';
+import { buildXml, englishText, numberOf, textOf } from './xml.js';
+
+const ECOSPOLD_NAMESPACE = 'http://www.EcoInvent.org/EcoSpold02';
+
+// EcoSpold2 exchange groups
+const OUTPUT_REFERENCE_PRODUCT = 0;
+const INPUT_FROM_TECHNOSPHERE = 5;
+const INPUT_FROM_ENVIRONMENT = 4;
+const OUTPUT_TO_TECHNOSPHERE = 2;
+
+/**
+ * Comment element made of one text paragraph
+ * @param {string} text
+ * @returns {object}
+ */
+function comment(text) {
+    return { text: [{ '@_xml:lang': 'en', '@_index': 0, '#text': text }] };
+}
+
+/**
+ * Writes a process dataset as an EcoSpold2 activity dataset. Products,
+ * energy, transport and waste are intermediate exchanges; water and land
+ * are elementary exchanges.
+ * @param {object} dataset - Neutral dataset from buildDataset
+ * @returns {string} XML
+ */
+export function toEcoSpold2(dataset) {
+    const exchangeFields = exchange => ({
+        '@_id': uuidFor(`${dataset.uuid}:exchange:${exchange.id}`),
+        '@_unitId': uuidFor(`unit:${exchange.unit}`),
+        '@_amount': exchange.amount,
+        name: englishText(exchange.flow.name),
+        unitName: englishText(exchange.unit),
+        comment: englishText(exchange.comment)
+    });
+
+    const intermediate = dataset.exchanges
+        .filter(exchange => exchange.flow.type !== 'Elementary flow')
+        .map(exchange => ({
+            ...exchangeFields(exchange),
+            '@_intermediateExchangeId': exchange.flow.uuid,
+            ...(exchange.reference
+                ? { outputGroup: OUTPUT_REFERENCE_PRODUCT }
+                : exchange.direction === 'Input'
+                    ? { inputGroup: INPUT_FROM_TECHNOSPHERE }
+                    : { outputGroup: OUTPUT_TO_TECHNOSPHERE })
+        }));
+
+    const elementary = dataset.exchanges
+        .filter(exchange => exchange.flow.type === 'Elementary flow')
+        .map(exchange => ({
+            ...exchangeFields(exchange),
+            '@_elementaryExchangeId': exchange.flow.uuid,
+            compartment: {
+                '@_subcompartmentId': uuidFor(`compartment:${exchange.flow.compartment.join('/')}`),
+                compartment: englishText(exchange.flow.compartment[0]),
+                subcompartment: englishText(exchange.flow.compartment[1])
+            },
+            inputGroup: INPUT_FROM_ENVIRONMENT
+        }));
+
+    const parameters = dataset.parameters.map(parameter => ({
+        '@_parameterId': uuidFor(`${dataset.uuid}:parameter:${parameter.name}`),
+        '@_variableName': parameter.name,
+        '@_amount': parameter.value,
+        name: englishText(parameter.comment),
+        unitName: englishText(parameter.unit)
+    }));
+
+    return buildXml({
+        ecoSpold: {
+            '@_xmlns': ECOSPOLD_NAMESPACE,
+            activityDataset: {
+                activityDescription: {
+                    activity: {
+                        '@_id': dataset.uuid,
+                        '@_activityNameId': uuidFor(`activityName:${dataset.name}`),
+                        '@_type': 1,
+                        '@_specialActivityType': 0,
+                        activityName: englishText(dataset.name),
+                        generalComment: comment(dataset.comment)
+                    },
+                    geography: {
+                        '@_geographyId': uuidFor(`geography:${dataset.location}`),
+                        shortname: englishText(dataset.location),
+                        comment: dataset.locationDescription ? comment(dataset.locationDescription) : undefined
+                    },
+                    technology: {
+                        '@_technologyLevel': 3,
+                        comment: dataset.technology ? comment(dataset.technology) : undefined
+                    },
+                    timePeriod: {
+                        '@_startDate': `${dataset.referenceYear}-01-01`,
+                        '@_endDate': `${dataset.referenceYear}-12-31`,
+                        '@_isDataValidForEntirePeriod': true
+                    }
+                },
+                flowData: {
+                    intermediateExchange: intermediate,
+                    elementaryExchange: elementary,
+                    parameter: parameters
+                },
+                administrativeInformation: {
+                    fileAttributes: {
+                        '@_majorRelease': 1,
+                        '@_minorRelease': dataset.revision,
+                        '@_defaultLanguage': 'en',
+                        '@_creationTimestamp': dataset.timestamp
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Reads an EcoSpold2 activity dataset (or child dataset) into a neutral dataset
+ * @param {object} document - Parsed XML with an ecoSpold root
+ * @returns {object} Neutral dataset
+ */
+export function fromEcoSpold2(document) {
+    const root = document.ecoSpold;
+    const activityDataset = root.activityDataset || root.childActivityDataset || {};
+    const description = activityDataset.activityDescription || {};
+    const activity = description.activity || {};
+    const geography = description.geography || {};
+    const flowData = activityDataset.flowData || {};
+
+    let referenceId = null;
+    const readExchange = (exchange, elementary) => {
+        const inputGroup = textOf(exchange.inputGroup);
+        const outputGroup = textOf(exchange.outputGroup);
+        const id = textOf(exchange['@_id']);
+        if (!elementary && outputGroup === String(OUTPUT_REFERENCE_PRODUCT) && referenceId === null) referenceId = id;
+        return {
+            id,
+            flowName: textOf(exchange.name),
+            direction: inputGroup !== '' ? 'Input' : 'Output',
+            amount: numberOf(exchange['@_amount']),
+            unit: textOf(exchange.unitName) || null,
+            comment: textOf(exchange.comment)
+        };
+    };
+
+    const exchanges = [
+        ...(flowData.intermediateExchange || []).map(exchange => readExchange(exchange, false)),
+        ...(flowData.elementaryExchange || []).map(exchange => readExchange(exchange, true))
+    ];
+
+    const parameters = (flowData.parameter || []).map(parameter => ({
+        name: textOf(parameter['@_variableName']) || textOf(parameter.name),
+        value: numberOf(parameter['@_amount'])
+    }));
+
+    const paragraphs = node => (node && node.text ? node.text.map(textOf).join('\n') : '');
+    return {
+        format: 'ecospold2',
+        name: textOf(activity.activityName),
+        comment: paragraphs(activity.generalComment),
+        location: textOf(geography.shortname),
+        locationDescription: paragraphs(geography.comment),
+        technology: paragraphs((description.technology || {}).comment),
+        referenceId,
+        exchanges,
+        parameters
+    };
+}
@@ -0,0 +1,279 @@
+// src/services/interop/flows.js
+
+import crypto from 'crypto';
+import { LCA_INPUT_FIELDS } from '../lcaInputSchema.js';
+import { resolveEnergySource, resolveTransportMode } from '../lcaCalculator.js';
+import { fieldLabel } from '../reportExport/rows.js';
+import { convert, isCompatible } from '../units.js';
+
+/**
+ * Mapping between report inputs and the exchanges of a process dataset.
+ *
+ * Exchanges are per kg of metal (the reference flow). Each exchange comment
+ * ends with a [field] or [field:leg] tag so datasets exported here import
+ * back exactly; exchanges from other tools are matched by flow name.
+ */
+
+const TONNES_PER_KG = 0.001;
+
+// Inputs carried as exchanges, with their stage and the kind of flow they become (see flowFor)
+export const EXCHANGE_FIELDS = {
+    energyConsumptionMining: { stage: 'Raw Material', kind: 'energy' },
+    energyConsumptionProcessing: { stage: 'Processing', kind: 'energy' },
+    energyConsumptionManufacturing: { stage: 'Manufacturing', kind: 'energy' },
+    energyConsumptionUse: { stage: 'Use Phase', kind: 'useEnergy' },
+    waterConsumptionMining: { stage: 'Raw Material', kind: 'water' },
+    waterConsumptionProcessing: { stage: 'Processing', kind: 'water' },
+    landUse: { stage: 'Raw Material', kind: 'land' },
+    transportDistances: { stage: 'Distribution', kind: 'transport' },
+    manufacturingWaste: { stage: 'Manufacturing', kind: 'productionWaste' },
+    wasteGeneration: { stage: 'End of Life', kind: 'endOfLifeWaste' }
+};
+
+// Numeric inputs with no flow of their own, carried as dataset parameters
+export const PARAMETER_FIELDS = [
+    'oreGrade',
+    'recoveryRate',
+    'recycledInputRate',
+    'loadFactor',
+    'productLifetime',
+    'maintenanceFrequency',
+    'recyclingRate',
+    'reuseRate'
+];
+
+// Text inputs with a place in the dataset's metadata (the rest only appear in the comment)
+export const METADATA_FIELDS = ['metalType', 'miningLocation', 'processingRoute', 'energySource', 'transportMode'];
+
+/**
+ * Deterministic UUID (version 5 layout) for a name, so the same flow or
+ * report always gets the same identifier
+ * @param {string} name
+ * @returns {string}
+ */
+export function uuidFor(name) {
+    const hash = crypto.createHash('sha1').update(`circumetal:${name}`).digest();
+    hash[6] = (hash[6] & 0x0f) | 0x50;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    const hex = hash.subarray(0, 16).toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Flow an exchange kind refers to
+ * @param {string} kind - kind of an EXCHANGE_FIELDS entry
+ * @param {object} formData
+ * @returns {{name: string, type: string, direction: string, unit: string, compartment?: string[]}}
+ */
+function flowFor(kind, formData) {
+    switch (kind) {
+        case 'energy':
+            return { name: `Energy, ${formData.energySource || 'grid'}`, type: 'Product flow', direction: 'Input', unit: 'MJ' };
+        case 'useEnergy':
+            return { name: 'Electricity, grid', type: 'Product flow', direction: 'Input', unit: 'MJ' };
+        case 'water':
+            return { name: 'Water, unspecified natural origin', type: 'Elementary flow', direction: 'Input', unit: 'm3', compartment: ['natural resource', 'in water'] };
+        case 'land':
+            return { name: 'Transformation, to mineral extraction site', type: 'Elementary flow', direction: 'Input', unit: 'm2', compartment: ['natural resource', 'land'] };
+        case 'transport':
+            return { name: `Transport, freight, ${formData.transportMode || 'truck'}`, type: 'Product flow', direction: 'Input', unit: 't*km' };
+        case 'productionWaste':
+            return { name: 'Waste, metal production', type: 'Waste flow', direction: 'Output', unit: 'kg' };
+        case 'endOfLifeWaste':
+            return { name: 'Waste, end of life', type: 'Waste flow', direction: 'Output', unit: 'kg' };
+        default:
+            throw new Error(`Unknown exchange kind '${kind}'`);
+    }
+}
+
+/**
+ * Converts a canonical input value to the amount written on its exchange
+ * @param {string} kind
+ * @param {number} value - Value in the field's canonical unit
+ * @returns {number}
+ */
+function exchangeAmount(kind, value) {
+    if (kind === 'water') return convert(value, 'L', 'm3');
+    if (kind === 'transport') return value * TONNES_PER_KG;
+    return value;
+}
+
+/**
+ * Converts an exchange amount back to the field's canonical unit
+ * @param {string} kind
+ * @param {number} amount - Amount in the exchange unit written by exchangeAmount
+ * @returns {number}
+ */
+function fieldValue(kind, amount) {
+    if (kind === 'water') return convert(amount, 'm3', 'L');
+    if (kind === 'transport') return amount / TONNES_PER_KG;
+    return amount;
+}
+
+/**
+ * Comment of an exchange, ending with the tag import reads back
+ * @param {string} field
+ * @param {string} stage
+ * @param {string} [leg]
+ * @returns {string}
+ */
+function exchangeComment(field, stage, leg) {
+    return `${stage}: ${fieldLabel(field)}${leg ? ` (${leg})` : ''} per kg of metal [${field}${leg ? `:${leg}` : ''}]`;
+}
+
+/**
+ * Reads the [field] or [field:leg] tag at the end of an exchange comment
+ * @param {string} comment
+ * @returns {{field: string, leg: string|undefined}|null}
+ */
+export function readExchangeTag(comment) {
+    const match = /\[([A-Za-z]+)(?::([^\]]+))?\]\s*$/.exec(comment || '');
+    if (!match || !EXCHANGE_FIELDS[match[1]]) return null;
+    return { field: match[1], leg: match[2] };
+}
+
+/**
+ * Exchanges for a report's inputs, starting with the reference product
+ * @param {object} formData - Canonical form data
+ * @returns {object[]} [{ id, flow, direction, amount, unit, comment, field, leg }]
+ */
+export function exchangesFromFormData(formData) {
+    const metal = formData.metalType || 'Metal';
+    const exchanges = [{
+        flow: { name: metal, type: 'Product flow', uuid: uuidFor(`flow:${metal}`) },
+        direction: 'Output',
+        amount: 1,
+        unit: 'kg',
+        comment: `Reference product: 1 kg of ${metal}`,
+        reference: true
+    }];
+
+    Object.entries(EXCHANGE_FIELDS).forEach(([field, { stage, kind }]) => {
+        const value = formData[field];
+        if (value === undefined || value === null || value === '') return;
+
+        const { direction, unit, ...flow } = flowFor(kind, formData);
+        const legs = field === 'transportDistances' && typeof value === 'object' ? Object.entries(value) : [[undefined, value]];
+        legs.forEach(([leg, legValue]) => {
+            if (!Number.isFinite(legValue)) return;
+            exchanges.push({
+                flow: { ...flow, uuid: uuidFor(`flow:${flow.name}`) },
+                direction,
+                amount: exchangeAmount(kind, legValue),
+                unit,
+                comment: exchangeComment(field, stage, leg),
+                field,
+                leg
+            });
+        });
+    });
+
+    return exchanges.map((exchange, index) => ({ id: index, ...exchange }));
+}
+
+/**
+ * Numeric dataset parameters for a report's inputs
+ * @param {object} formData - Canonical form data
+ * @returns {{name: string, value: number, unit: string, comment: string}[]}
+ */
+export function parametersFromFormData(formData) {
+    return PARAMETER_FIELDS
+        .filter(field => Number.isFinite(formData[field]))
+        .map(field => ({
+            name: field,
+            value: formData[field],
+            unit: LCA_INPUT_FIELDS[field].unit,
+            comment: `${fieldLabel(field)} (${LCA_INPUT_FIELDS[field].stages.join(', ')})`
+        }));
+}
+
+/**
+ * Rules matching exchanges from other tools by flow name, tried in order
+ */
+const NAME_RULES = [
+    { pattern: /transport|freight|lorry|truck|rail|train|barge|ship|aircraft/i, direction: 'Input', kind: 'transport', field: 'transportDistances' },
+    { pattern: /^(electricity|heat|energy)\b|natural gas|diesel|hard coal|lignite/i, direction: 'Input', kind: 'energy', field: 'energyConsumptionProcessing' },
+    { pattern: /^water\b/i, direction: 'Input', kind: 'water', field: 'waterConsumptionProcessing' },
+    { pattern: /^(transformation|occupation)\b/i, direction: 'Input', kind: 'land', field: 'landUse' },
+    { pattern: /waste|scrap|slag|tailings|dross/i, direction: 'Output', kind: 'productionWaste', field: 'manufacturingWaste' }
+];
+
+// Units read for each exchange kind, with the unit of their amount as written on export
+const KIND_UNITS = {
+    energy: 'MJ',
+    useEnergy: 'MJ',
+    water: 'm3',
+    land: 'm2',
+    productionWaste: 'kg',
+    endOfLifeWaste: 'kg'
+};
+
+/**
+ * Normalises a transport unit such as 'tkm', 't*km' or 'metric ton*km'
+ * @param {string} unit
+ * @returns {boolean}
+ */
+function isTonneKm(unit) {
+    return /^(t|tonne|metric ton)\s*[*·x]?\s*km$|^tkm$/i.test(String(unit || '').trim());
+}
+
+/**
+ * Amount of an exchange in the unit its kind is written in, or null if the
+ * unit cannot be converted. Water given by mass is read as 1 kg = 1 L.
+ * @param {string} kind
+ * @param {number} amount
+ * @param {string} unit
+ * @returns {number|null}
+ */
+function amountInKindUnit(kind, amount, unit) {
+    if (kind === 'transport') return isTonneKm(unit) ? amount : null;
+    const target = KIND_UNITS[kind];
+    if (!unit) return amount;
+    if (kind === 'water' && isCompatible(unit, 'kg')) return convert(convert(amount, unit, 'kg'), 'L', 'm3');
+    return isCompatible(unit, target) ? convert(amount, unit, target) : null;
+}
+
+/**
+ * Works out the form field an exchange fills and its value in the field's
+ * canonical unit. Tagged exchanges (exported here) map exactly; others are
+ * matched by flow name and reported in notes.
+ * @param {object} exchange - { flowName, direction, amount, unit, comment }
+ * @returns {{field: string, leg?: string, value: number, note?: string, energySource?: string, transportMode?: string}|null}
+ */
+export function mapExchange(exchange) {
+    const tag = readExchangeTag(exchange.comment);
+    if (tag) {
+        const { kind } = EXCHANGE_FIELDS[tag.field];
+        const amount = amountInKindUnit(kind, exchange.amount, exchange.unit || (kind === 'transport' ? 't*km' : KIND_UNITS[kind]));
+        if (amount === null) return null;
+        return { field: tag.field, leg: tag.leg, value: fieldValue(kind, amount), ...flowSettings(kind, exchange.flowName) };
+    }
+
+    const rule = NAME_RULES.find(candidate => candidate.direction === exchange.direction && candidate.pattern.test(exchange.flowName));
+    if (!rule) return null;
+    const amount = amountInKindUnit(rule.kind, exchange.amount, exchange.unit);
+    if (amount === null) return null;
+    return {
+        field: rule.field,
+        value: fieldValue(rule.kind, amount),
+        note: `'${exchange.flowName}' was read as ${rule.field}${exchange.unit ? '' : ` (no unit given; assumed ${rule.kind === 'transport' ? 't*km' : KIND_UNITS[rule.kind]})`}`,
+        ...flowSettings(rule.kind, exchange.flowName)
+    };
+}
+
+/**
+ * Energy source or transport mode implied by a flow name
+ * @param {string} kind
+ * @param {string} flowName
+ * @returns {object}
+ */
+function flowSettings(kind, flowName) {
+    const detail = String(flowName || '').split(',').slice(1).join(',').trim() || String(flowName || '');
+    if (kind === 'energy') {
+        return { energySource: /^Energy, /.test(flowName) ? detail : resolveEnergySource(flowName) };
+    }
+    if (kind === 'transport') {
+        return { transportMode: /^Transport, freight, /.test(flowName) ? flowName.replace(/^Transport, freight, /, '') : resolveTransportMode(flowName) };
+    }
+    return {};
+}
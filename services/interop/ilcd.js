@@ -0,0 +1,136 @@
+// src/services/interop/ilcd.js
+
+import { buildXml, englishText, numberOf, textOf } from './xml.js';
+
+const ILCD_NAMESPACE = 'http://lca.jrc.it/ILCD/Process';
+const COMMON_NAMESPACE = 'http://lca.jrc.it/ILCD/Common';
+
+/**
+ * Writes a process dataset as an ILCD process data set (format 1.1). Flows
+ * are referenced by UUID with their name as short description; ILCD keeps
+ * units on the flow data sets, so each exchange comment states its unit.
+ * @param {object} dataset - Neutral dataset from buildDataset
+ * @returns {string} XML
+ */
+export function toIlcd(dataset) {
+    const reference = dataset.exchanges.find(exchange => exchange.reference);
+
+    return buildXml({
+        processDataSet: {
+            '@_xmlns': ILCD_NAMESPACE,
+            '@_xmlns:common': COMMON_NAMESPACE,
+            '@_version': '1.1',
+            processInformation: {
+                dataSetInformation: {
+                    'common:UUID': dataset.uuid,
+                    name: {
+                        baseName: englishText(dataset.name),
+                        treatmentStandardsRoutes: dataset.technology ? englishText(dataset.technology) : undefined
+                    },
+                    'common:generalComment': englishText(dataset.comment)
+                },
+                quantitativeReference: {
+                    '@_type': 'Reference flow(s)',
+                    referenceToReferenceFlow: reference.id,
+                    functionalUnitOrOther: englishText(dataset.functionalUnit)
+                },
+                time: {
+                    'common:referenceYear': dataset.referenceYear
+                },
+                geography: {
+                    locationOfOperationSupplyOrProduction: {
+                        '@_location': dataset.location,
+                        descriptionOfRestrictions: dataset.locationDescription ? englishText(dataset.locationDescription) : undefined
+                    }
+                },
+                technology: dataset.technology
+                    ? { technologyDescriptionAndIncludedProcesses: englishText(dataset.technology) }
+                    : undefined,
+                mathematicalRelations: dataset.parameters.length > 0
+                    ? {
+                        variableParameter: dataset.parameters.map(parameter => ({
+                            '@_name': parameter.name,
+                            meanValue: parameter.value,
+                            comment: englishText(`${parameter.comment}, in ${parameter.unit}`)
+                        }))
+                    }
+                    : undefined
+            },
+            modellingAndValidation: {
+                LCIMethodAndAllocation: {
+                    typeOfDataSet: 'Unit process, black box',
+                    LCIMethodPrinciple: 'Attributional'
+                }
+            },
+            administrativeInformation: {
+                dataEntryBy: {
+                    'common:timeStamp': dataset.timestamp
+                },
+                publicationAndOwnership: {
+                    'common:dataSetVersion': dataset.version
+                }
+            },
+            exchanges: {
+                exchange: dataset.exchanges.map(exchange => ({
+                    '@_dataSetInternalID': exchange.id,
+                    referenceToFlowDataSet: {
+                        '@_type': 'flow data set',
+                        '@_refObjectId': exchange.flow.uuid,
+                        '@_uri': `../flows/${exchange.flow.uuid}.xml`,
+                        'common:shortDescription': englishText(exchange.flow.name)
+                    },
+                    exchangeDirection: exchange.direction,
+                    meanAmount: exchange.amount,
+                    resultingAmount: exchange.amount,
+                    generalComment: englishText(`${exchange.comment} (${exchange.unit})`)
+                }))
+            }
+        }
+    });
+}
+
+/**
+ * Reads an ILCD process data set into a neutral dataset. Units live on the
+ * flow data sets, so an exchange's unit is only known when it was exported here.
+ * @param {object} document - Parsed XML with a processDataSet root
+ * @returns {object} Neutral dataset
+ */
+export function fromIlcd(document) {
+    const root = document.processDataSet;
+    const information = root.processInformation || {};
+    const dataSetInformation = information.dataSetInformation || {};
+    const referenceId = textOf((information.quantitativeReference || {}).referenceToReferenceFlow);
+    const location = ((information.geography || {}).locationOfOperationSupplyOrProduction) || {};
+
+    const exchanges = ((root.exchanges || {}).exchange || []).map(exchange => {
+        // Only exchanges exported here state their unit, after the field tag
+        const comment = textOf(exchange.generalComment);
+        const unitMatch = /(?<=\])\s*\(([^()]+)\)\s*$/.exec(comment);
+        return {
+            id: textOf(exchange['@_dataSetInternalID']),
+            flowName: textOf((exchange.referenceToFlowDataSet || {}).shortDescription),
+            direction: textOf(exchange.exchangeDirection),
+            amount: numberOf(exchange.resultingAmount) ?? numberOf(exchange.meanAmount),
+            unit: unitMatch ? unitMatch[1] : null,
+            comment: unitMatch ? comment.slice(0, unitMatch.index).trim() : comment
+        };
+    });
+
+    const parameters = (((information.mathematicalRelations || {}).variableParameter) || []).map(parameter => ({
+        name: textOf(parameter['@_name']),
+        value: numberOf(parameter.meanValue)
+    }));
+
+    const name = (dataSetInformation.name || {});
+    return {
+        format: 'ilcd',
+        name: textOf(name.baseName),
+        comment: textOf(dataSetInformation.generalComment),
+        location: textOf(location['@_location']),
+        locationDescription: textOf(location.descriptionOfRestrictions),
+        technology: textOf((information.technology || {}).technologyDescriptionAndIncludedProcesses) || textOf(name.treatmentStandardsRoutes),
+        referenceId,
+        exchanges,
+        parameters
+    };
+}
@@ -0,0 +1,320 @@
+// src/services/interop/index.js
+
+import { LCA_INPUT_FIELDS, LCA_STAGES, validateFormData } from '../lcaInputSchema.js';
+import { exportFileName } from '../reportExport/index.js';
+import { fieldLabel } from '../reportExport/rows.js';
+import { convert, isCompatible } from '../units.js';
+import { fromEcoSpold2, toEcoSpold2 } from './ecospold2.js';
+import {
+    EXCHANGE_FIELDS,
+    METADATA_FIELDS,
+    PARAMETER_FIELDS,
+    exchangesFromFormData,
+    mapExchange,
+    parametersFromFormData,
+    uuidFor
+} from './flows.js';
+import { fromIlcd, toIlcd } from './ilcd.js';
+import { parseXml } from './xml.js';
+
+/**
+ * Exchange formats a report can be exported in and a template imported from
+ */
+export const INTEROP_FORMATS = {
+    ilcd: {
+        label: 'ILCD process data set',
+        extension: 'xml',
+        contentType: 'application/xml',
+        write: toIlcd
+    },
+    ecospold2: {
+        label: 'EcoSpold2 activity dataset',
+        extension: 'spold',
+        contentType: 'application/xml',
+        write: toEcoSpold2
+    }
+};
+
+// Content types the template import route reads as a dataset
+export const INTEROP_CONTENT_TYPES = ['application/xml', 'text/xml', 'application/octet-stream'];
+
+// Geography code for datasets without a specific location
+const GLOBAL_LOCATION = 'GLO';
+
+/**
+ * Raised when a dataset cannot be read. status is the HTTP status the route
+ * should answer with.
+ */
+export class InteropError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'InteropError';
+        this.status = status;
+    }
+}
+
+/**
+ * Builds the format-neutral process dataset of a report and lists what
+ * could not be mapped into it
+ * @param {object} report - Report document or plain object
+ * @returns {{dataset: object, warnings: string[]}}
+ */
+export function buildDataset(report) {
+    const formData = report.formData || {};
+    const warnings = [];
+    const revision = report.currentRevision || 0;
+    const carried = new Set([...Object.keys(EXCHANGE_FIELDS), ...PARAMETER_FIELDS, ...METADATA_FIELDS]);
+    const textOnly = [];
+
+    Object.entries(formData).forEach(([field, value]) => {
+        if (value === undefined || value === null || value === '' || carried.has(field)) return;
+        const definition = LCA_INPUT_FIELDS[field];
+        if (!definition) {
+            warnings.push(`${field} is not an LCA input and was left out`);
+        } else if (definition.stages.includes('Impact Analysis')) {
+            warnings.push(`${field} is a result, not an input, and was left out`);
+        } else {
+            textOnly.push(`${fieldLabel(field)}: ${value}`);
+            warnings.push(`${field} has no equivalent flow or parameter; it is only stated in the dataset comment`);
+        }
+    });
+
+    if (formData.miningLocation) {
+        warnings.push(`miningLocation '${formData.miningLocation}' is given as a description; the dataset location is ${GLOBAL_LOCATION}`);
+    }
+    if (formData.energyConsumptionUse !== undefined) {
+        warnings.push('Use-phase energy is written as grid electricity, as in the calculation, whatever the energy source');
+    }
+    if (report.impacts) {
+        warnings.push('Calculated impact indicators are not exported; recalculate them with an impact assessment method in the target tool');
+    }
+    const functionalUnit = report.functionalUnit && report.functionalUnit.description;
+    if (functionalUnit && functionalUnit !== '1 kg of metal') {
+        warnings.push(`Exchanges are per kg of metal; the functional unit (${functionalUnit}) is stated but not applied`);
+    }
+
+    const summary = report.insights && report.insights.lca_summary;
+    const comment = [
+        `Exported from the CircuMetal report "${report.name}" (revision ${revision}). Amounts are per kg of ${formData.metalType || 'metal'}.`,
+        textOnly.length > 0 ? `Other inputs: ${textOnly.join('; ')}.` : null,
+        summary || null
+    ].filter(Boolean).join('\n');
+
+    const updatedAt = new Date(report.updatedAt || report.createdAt || Date.now());
+    return {
+        dataset: {
+            uuid: uuidFor(`report:${report._id}`),
+            name: report.name,
+            comment,
+            functionalUnit: functionalUnit || '1 kg of metal',
+            location: GLOBAL_LOCATION,
+            locationDescription: formData.miningLocation,
+            technology: formData.processingRoute,
+            referenceYear: updatedAt.getUTCFullYear(),
+            revision,
+            version: `01.00.${String(revision).padStart(3, '0')}`,
+            timestamp: new Date().toISOString(),
+            exchanges: exchangesFromFormData(formData),
+            parameters: parametersFromFormData(formData)
+        },
+        warnings
+    };
+}
+
+/**
+ * Renders a report as an exchange-format process dataset
+ * @param {object} report
+ * @param {string} format - Key of INTEROP_FORMATS
+ * @returns {{body: string, contentType: string, fileName: string, warnings: string[]}}
+ */
+export function exportProcessDataset(report, format) {
+    const writer = INTEROP_FORMATS[format];
+    if (!writer) {
+        throw new Error(`Unknown interop format '${format}'`);
+    }
+    const { dataset, warnings } = buildDataset(report);
+    return {
+        body: writer.write(dataset),
+        contentType: writer.contentType,
+        fileName: exportFileName(`${report.name || 'report'} ${format}`, writer.extension),
+        warnings
+    };
+}
+
+/**
+ * Reads an ILCD or EcoSpold2 document into a neutral dataset
+ * @param {string} xml
+ * @returns {object}
+ * @throws {InteropError}
+ */
+function readDataset(xml) {
+    let document;
+    try {
+        document = parseXml(xml);
+    } catch (error) {
+        throw new InteropError(`The file is not valid XML: ${error.message}`);
+    }
+    if (document.processDataSet) return fromIlcd(document);
+    if (document.ecoSpold) return fromEcoSpold2(document);
+    throw new InteropError('The file is neither an ILCD process data set nor an EcoSpold2 dataset');
+}
+
+/**
+ * Mass of the reference flow in kg, used to scale exchanges to 1 kg
+ * @param {object} reference - Reference exchange
+ * @param {string[]} warnings
+ * @returns {number}
+ */
+function referenceMassKg(reference, warnings) {
+    if (!reference.amount || reference.amount <= 0) {
+        warnings.push(`The reference flow '${reference.flowName}' has no positive amount; exchanges were read as per kg`);
+        return 1;
+    }
+    if (!reference.unit) {
+        if (reference.amount !== 1) {
+            warnings.push(`The unit of the reference flow '${reference.flowName}' is not stated; assumed kg`);
+        }
+        return reference.amount;
+    }
+    if (!isCompatible(reference.unit, 'kg')) {
+        warnings.push(`The reference flow is measured in ${reference.unit}, not mass; exchanges were read as per kg of metal`);
+        return 1;
+    }
+    return convert(reference.amount, reference.unit, 'kg');
+}
+
+/**
+ * Adds a mapped exchange to the form data being built
+ * @param {object} formData
+ * @param {object} mapped - Result of mapExchange
+ * @param {string[]} warnings
+ */
+function applyExchange(formData, mapped, warnings) {
+    const { field, leg, value } = mapped;
+    const current = formData[field];
+
+    if (leg) {
+        if (typeof current === 'number') {
+            warnings.push(`${field} was given both as a total and by leg; the leg '${leg}' was added to the total`);
+            formData[field] = current + value;
+            return;
+        }
+        formData[field] = { ...(current || {}), [leg]: ((current || {})[leg] || 0) + value };
+        return;
+    }
+
+    if (current && typeof current === 'object') {
+        formData[field] = { ...current, other: (current.other || 0) + value };
+    } else if (typeof current === 'number') {
+        warnings.push(`More than one exchange maps to ${field}; their amounts were added`);
+        formData[field] = current + value;
+    } else {
+        formData[field] = value;
+    }
+}
+
+/**
+ * Input fields of a stage with values, for a template process step
+ * @param {object} formData
+ * @param {string} stage
+ * @returns {object}
+ */
+function stageInputs(formData, stage) {
+    return Object.fromEntries(
+        Object.entries(formData).filter(([field]) => LCA_INPUT_FIELDS[field]
+            && LCA_INPUT_FIELDS[field].stages.includes(stage))
+    );
+}
+
+/**
+ * Reads an ILCD process data set or EcoSpold2 dataset into template fields.
+ * Exchanges are scaled to 1 kg of the reference product and mapped to LCA
+ * inputs; anything that cannot be mapped is listed in warnings.
+ * @param {string} xml
+ * @returns {{format: string, template: object, warnings: string[]}}
+ * @throws {InteropError}
+ */
+export function importProcessDataset(xml) {
+    const dataset = readDataset(xml);
+    const warnings = [];
+
+    const reference = dataset.exchanges.find(exchange => exchange.id === dataset.referenceId)
+        || dataset.exchanges.find(exchange => exchange.direction === 'Output');
+    if (!reference) {
+        throw new InteropError('The dataset has no reference product');
+    }
+    if (reference.id !== dataset.referenceId) {
+        warnings.push(`No reference flow is marked; '${reference.flowName}' was used`);
+    }
+
+    const scale = referenceMassKg(reference, warnings);
+    const formData = { metalType: reference.flowName };
+
+    dataset.exchanges.filter(exchange => exchange !== reference).forEach(exchange => {
+        const amount = [exchange.amount, exchange.unit].filter(part => part !== null && part !== undefined).join(' ');
+        const description = `${exchange.direction.toLowerCase()} '${exchange.flowName}'${amount ? ` (${amount})` : ''}`;
+        if (exchange.amount === null) {
+            warnings.push(`The ${description} has no amount and was skipped`);
+            return;
+        }
+
+        const mapped = mapExchange({ ...exchange, amount: exchange.amount / scale });
+        if (!mapped) {
+            warnings.push(`The ${description} could not be mapped to an LCA input`);
+            return;
+        }
+        if (mapped.note) warnings.push(mapped.note);
+        applyExchange(formData, mapped, warnings);
+        if (mapped.energySource && !formData.energySource) formData.energySource = mapped.energySource;
+        if (mapped.transportMode && !formData.transportMode) formData.transportMode = mapped.transportMode;
+    });
+
+    const numericFields = Object.keys(LCA_INPUT_FIELDS).filter(field => LCA_INPUT_FIELDS[field].type === 'number');
+    dataset.parameters.forEach(parameter => {
+        const field = numericFields.find(candidate => candidate.toLowerCase() === String(parameter.name).toLowerCase());
+        if (!field || parameter.value === null || LCA_INPUT_FIELDS[field].stages.includes('Impact Analysis')) {
+            warnings.push(`Parameter '${parameter.name}' could not be mapped to an LCA input`);
+            return;
+        }
+        formData[field] = parameter.value;
+    });
+
+    if (dataset.locationDescription) {
+        formData.miningLocation = dataset.locationDescription;
+    } else if (dataset.location && !['GLO', 'RoW', 'RER'].includes(dataset.location)) {
+        formData.miningLocation = dataset.location;
+    }
+    if (dataset.technology) {
+        formData.processingRoute = dataset.technology;
+    }
+
+    const { errors, data } = validateFormData(formData, { mode: 'partial', inputUnits: 'canonical' });
+    errors.forEach(error => {
+        const field = error.field.split('.')[0];
+        warnings.push(`${error.message}; ${field} was left out`);
+        delete data[field];
+    });
+
+    const processSteps = LCA_STAGES
+        .filter(stage => stage !== 'Impact Analysis')
+        .map(stage => ({ stage, inputs: stageInputs(data, stage) }))
+        .filter(step => Object.keys(step.inputs).length > 0)
+        .map(step => ({
+            id: step.stage.toLowerCase().replace(/\s+/g, '-'),
+            name: step.stage,
+            description: `${step.stage} inputs imported from the ${INTEROP_FORMATS[dataset.format].label}`,
+            inputs: step.inputs
+        }));
+
+    return {
+        format: dataset.format,
+        template: {
+            name: dataset.name || `Imported ${data.metalType || 'process'}`,
+            description: (dataset.comment || `Imported from an ${INTEROP_FORMATS[dataset.format].label}`).slice(0, 1000),
+            category: 'custom',
+            parameters: data,
+            processSteps
+        },
+        warnings
+    };
+}
@@ -0,0 +1,88 @@
+// src/services/interop/xml.js
+
+import { XMLBuilder, XMLParser } from 'fast-xml-parser';
+
+const REPEATED_ELEMENTS = [
+    'exchange',
+    'variableParameter',
+    'intermediateExchange',
+    'elementaryExchange',
+    'parameter',
+    'text',
+    'baseName',
+    'generalComment'
+];
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: true,
+    // Elements that may repeat are always read as arrays
+    isArray: name => REPEATED_ELEMENTS.includes(name)
+});
+
+const builder = new XMLBuilder({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    format: true,
+    indentBy: '  ',
+    suppressEmptyNode: true,
+    suppressBooleanAttributes: false
+});
+
+/**
+ * Parses an XML document into plain objects. Namespace prefixes are
+ * dropped, attributes are prefixed with '@_' and values are kept as text.
+ * @param {string} xml
+ * @returns {object}
+ */
+export function parseXml(xml) {
+    return parser.parse(xml);
+}
+
+/**
+ * Serialises plain objects (in the shape parseXml returns) to an XML document
+ * @param {object} value
+ * @returns {string}
+ */
+export function buildXml(value) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${builder.build(value)}`;
+}
+
+/**
+ * Text of an element that may carry attributes (e.g. xml:lang) or repeat
+ * per language; the English or first entry is used
+ * @param {*} node
+ * @returns {string}
+ */
+export function textOf(node) {
+    if (node === undefined || node === null) return '';
+    if (Array.isArray(node)) {
+        const english = node.find(entry => entry && typeof entry === 'object' && entry['@_lang'] === 'en');
+        return textOf(english || node[0]);
+    }
+    if (typeof node === 'object') return textOf(node['#text']);
+    return String(node);
+}
+
+/**
+ * Text element in English
+ * @param {string} text
+ * @returns {object}
+ */
+export function englishText(text) {
+    return { '@_xml:lang': 'en', '#text': text };
+}
+
+/**
+ * Reads a number from an attribute or element value
+ * @param {*} value
+ * @returns {number|null}
+ */
+export function numberOf(value) {
+    const number = Number(textOf(value));
+    return textOf(value).trim() !== '' && Number.isFinite(number) ? number : null;
+}
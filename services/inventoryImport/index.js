@@ -0,0 +1,189 @@
+// src/services/inventoryImport/index.js
+
+import Report from '../../models/Report.js';
+import calculateImpacts from '../lcaCalculator.js';
+import { resolveFactorSet } from '../emissionFactors/index.js';
+import { validateFormData } from '../lcaInputSchema.js';
+import { recordRevision } from '../reportHistory.js';
+import { locateColumns, mapRow } from './mapping.js';
+import { readTable } from './parse.js';
+
+export { IMPORT_TARGETS, validateMapping } from './mapping.js';
+
+/**
+ * File formats an import accepts, with the content types that select them
+ */
+export const IMPORT_FORMATS = {
+    csv: ['text/csv', 'application/csv', 'text/plain'],
+    xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
+};
+
+// Content types the upload route reads as a file; octet-stream needs ?format=
+export const IMPORT_CONTENT_TYPES = [...Object.values(IMPORT_FORMATS).flat(), 'application/octet-stream'];
+
+// Most data rows one file may contain
+export const IMPORT_ROW_LIMIT = 1000;
+
+/**
+ * Raised when a file cannot be imported at all. status is the HTTP status
+ * the route should answer with; details carries anything the caller needs
+ * to fix the file or mapping.
+ */
+export class ImportError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'ImportError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Format of an upload: ?format= if given, otherwise from its content type
+ * @param {string} contentType - Content-Type header
+ * @param {string} [explicit] - Requested format
+ * @returns {string|null} Key of IMPORT_FORMATS
+ */
+export function importFormatFor(contentType, explicit) {
+    if (explicit) {
+        const format = String(explicit).toLowerCase();
+        return IMPORT_FORMATS[format] ? format : null;
+    }
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    return Object.keys(IMPORT_FORMATS).find(format => IMPORT_FORMATS[format].includes(type)) || null;
+}
+
+/**
+ * Name of the draft report created from a row
+ * @param {object} mapped - Result of mapRow
+ * @param {object} data - Validated form data
+ * @param {number} row - Row number in the file
+ * @returns {string}
+ */
+function draftName(mapped, data, row) {
+    if (mapped.reportName) return mapped.reportName;
+    const metal = data.metalType || 'Metal';
+    return mapped.period ? `${metal} ${mapped.period}` : `${metal} (import row ${row})`;
+}
+
+/**
+ * Validates one mapped row. Type and range problems are errors; required
+ * inputs that are missing are warnings, since drafts can be completed later.
+ * metalType is always needed because every report has one.
+ * @param {object} mapped - Result of mapRow
+ * @param {object} mapping
+ * @returns {{data: object, errors: object[], warnings: object[]}}
+ */
+function validateRow(mapped, mapping) {
+    const columnOf = field => {
+        const [name, leg] = field.split('.');
+        const entry = mapping.columns.find(column => column.field === name && (!leg || column.leg === leg));
+        return entry ? entry.column : null;
+    };
+
+    const { data, errors } = validateFormData(mapped.formData, { mode: 'partial' });
+    const rowErrors = [
+        ...mapped.errors,
+        ...errors.map(error => ({ column: columnOf(error.field), ...error }))
+    ];
+    if (!data.metalType) {
+        rowErrors.push({ column: columnOf('metalType'), field: 'metalType', message: 'metalType is required' });
+    }
+
+    const warnings = rowErrors.length > 0
+        ? []
+        : validateFormData(data, { mode: 'complete', inputUnits: 'canonical' }).errors
+            .filter(error => error.field !== 'metalType')
+            .map(error => ({ field: error.field, message: `${error.message} before the report can be completed` }));
+
+    return { data, errors: rowErrors, warnings };
+}
+
+/**
+ * Imports inventory rows from a CSV or XLSX file as draft reports. Every row
+ * is mapped and validated; valid rows become drafts (with impacts calculated
+ * from what was imported) unless this is a dry run. Invalid rows are reported
+ * and skipped.
+ * @param {object} options
+ * @param {Buffer} options.body - File contents
+ * @param {string} options.format - Key of IMPORT_FORMATS
+ * @param {object} options.mapping - ImportMapping (or the same shape)
+ * @param {string} [options.sheet] - XLSX worksheet name
+ * @param {boolean} [options.dryRun] - Validate only; create nothing
+ * @param {string} [options.userId] - Owner of the created reports
+ * @param {string} [options.organizationId] - Organization of the created reports
+ * @returns {Promise<object>} { dryRun, summary, unmappedColumns, rows }
+ * @throws {ImportError}
+ */
+export async function importInventory({ body, format, mapping, sheet, dryRun = false, userId, organizationId = null }) {
+    let table;
+    try {
+        table = await readTable(body, format, { sheet });
+    } catch (error) {
+        throw new ImportError(`The file could not be read as ${format.toUpperCase()}: ${error.message}`);
+    }
+
+    if (table.headers.length === 0) {
+        throw new ImportError('The file has no header row');
+    }
+    if (table.rows.length > IMPORT_ROW_LIMIT) {
+        throw new ImportError(`At most ${IMPORT_ROW_LIMIT} rows can be imported at once; the file has ${table.rows.length}`, 413);
+    }
+
+    const { indexes, missingColumns, unmappedColumns } = locateColumns(mapping.columns, table.headers);
+    if (missingColumns.length > 0) {
+        throw new ImportError('The file is missing columns the mapping needs', 400, { missingColumns });
+    }
+
+    const results = [];
+    // Rows with the same energy source, transport mode and country share one factor lookup
+    const factorCache = new Map();
+    for (const { row, values } of table.rows) {
+        const mapped = mapRow(values, mapping, indexes);
+        const { data, errors, warnings } = validateRow(mapped, mapping);
+        const name = draftName(mapped, data, row);
+
+        if (errors.length > 0) {
+            results.push({ row, name, status: 'invalid', errors, warnings });
+            continue;
+        }
+        if (dryRun) {
+            results.push({ row, name, status: 'valid', errors, warnings });
+            continue;
+        }
+
+        try {
+            const factorSet = await resolveFactorSet(data, { organizationId, cache: factorCache });
+            const impacts = calculateImpacts(data, undefined, factorSet);
+            const report = await Report.create({
+                name,
+                metalType: data.metalType,
+                formData: data,
+                functionalUnit: impacts.functionalUnit,
+                impacts,
+                user: userId,
+                organization: organizationId,
+                status: 'draft'
+            });
+            await recordRevision(report, { changeType: 'create', userId });
+            results.push({ row, name, status: 'created', reportId: report._id, errors, warnings });
+        } catch (error) {
+            console.error(`Error importing row ${row}:`, error);
+            results.push({ row, name, status: 'failed', errors: [{ message: error.message }], warnings });
+        }
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    return {
+        dryRun,
+        summary: {
+            rows: results.length,
+            valid: count('valid') + count('created') + count('failed'),
+            invalid: count('invalid'),
+            created: count('created'),
+            failed: count('failed')
+        },
+        unmappedColumns,
+        rows: results
+    };
+}
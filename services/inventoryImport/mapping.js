@@ -0,0 +1,268 @@
+// src/services/inventoryImport/mapping.js
+
+import { LCA_INPUT_FIELDS, validateFormData } from '../lcaInputSchema.js';
+import { isCompatible } from '../units.js';
+
+/**
+ * Columns that do not hold an LCA input:
+ * - reportName: name of the draft report created from the row
+ * - period: reporting period (e.g. a month), used in the default report name
+ * - throughput: metal produced in the period, dividing perThroughput columns
+ */
+export const IMPORT_TARGETS = ['reportName', 'period', 'throughput'];
+
+// Unit assumed for the throughput column when the mapping gives none
+const DEFAULT_THROUGHPUT_UNIT = 't';
+
+/**
+ * Normalises a header for matching
+ * @param {string} header
+ * @returns {string}
+ */
+export function normalizeHeader(header) {
+    return String(header).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * LCA fields a column can be mapped to (Impact Analysis figures are
+ * calculated, never imported)
+ * @param {string} field
+ * @returns {boolean}
+ */
+function isImportableField(field) {
+    const definition = LCA_INPUT_FIELDS[field];
+    return Boolean(definition) && !definition.stages.includes('Impact Analysis');
+}
+
+/**
+ * Checks a column mapping before it is saved or used
+ * @param {object} mapping - { columns, defaults }
+ * @returns {{field: string, message: string}[]} Errors; empty when the mapping is usable
+ */
+export function validateMapping({ columns, defaults } = {}) {
+    const errors = [];
+
+    if (!Array.isArray(columns) || columns.length === 0) {
+        return [{ field: 'columns', message: 'columns must be a non-empty array' }];
+    }
+
+    const headers = new Set();
+    const targets = new Set();
+    const throughput = columns.find(entry => entry && entry.field === 'throughput');
+    const throughputUnit = (throughput && throughput.unit) || DEFAULT_THROUGHPUT_UNIT;
+
+    columns.forEach((entry, index) => {
+        const path = `columns[${index}]`;
+        if (!entry || typeof entry !== 'object') {
+            errors.push({ field: path, message: `${path} must be an object` });
+            return;
+        }
+
+        const { column, field, unit, leg, perThroughput } = entry;
+        if (typeof column !== 'string' || column.trim() === '') {
+            errors.push({ field: `${path}.column`, message: 'column must be the header text of a column in the file' });
+        } else if (headers.has(normalizeHeader(column))) {
+            errors.push({ field: `${path}.column`, message: `Column '${column}' is mapped more than once` });
+        } else {
+            headers.add(normalizeHeader(column));
+        }
+
+        if (!IMPORT_TARGETS.includes(field) && !isImportableField(field)) {
+            errors.push({ field: `${path}.field`, message: `Unknown field '${field}'` });
+            return;
+        }
+
+        // Transport legs may come from separate columns, but not alongside a single distance
+        const target = field === 'transportDistances' && leg ? `${field}.${leg}` : field;
+        const overlaps = field === 'transportDistances'
+            && (leg ? targets.has(field) : [...targets].some(existing => existing.startsWith(`${field}.`)));
+        if (targets.has(target) || overlaps) {
+            errors.push({ field: `${path}.field`, message: `${target} is filled by more than one column` });
+        }
+        targets.add(target);
+
+        if (leg !== undefined && leg !== null && leg !== '' && field !== 'transportDistances') {
+            errors.push({ field: `${path}.leg`, message: 'leg only applies to transportDistances' });
+        }
+
+        if (field === 'throughput') {
+            if (unit && !isCompatible(unit, 'kg')) {
+                errors.push({ field: `${path}.unit`, message: `Throughput unit '${unit}' is not a unit of mass` });
+            }
+            return;
+        }
+
+        const definition = LCA_INPUT_FIELDS[field];
+        const numeric = definition && (definition.type === 'number' || definition.type === 'distances');
+
+        if (perThroughput) {
+            if (!numeric || !unit) {
+                errors.push({ field: `${path}.perThroughput`, message: 'perThroughput needs a numeric field and the unit of the column\'s totals' });
+                return;
+            }
+            if (!throughput) {
+                errors.push({ field: `${path}.perThroughput`, message: 'perThroughput needs a column mapped to throughput' });
+                return;
+            }
+        }
+
+        if (unit) {
+            const effectiveUnit = perThroughput ? `${unit}/${throughputUnit}` : unit;
+            if (!numeric || !definition.unit) {
+                errors.push({ field: `${path}.unit`, message: `${field} does not take a unit` });
+            } else if (!isCompatible(effectiveUnit, definition.unit)) {
+                errors.push({ field: `${path}.unit`, message: `'${effectiveUnit}' cannot be converted to ${definition.unit}` });
+            }
+        }
+    });
+
+    if (defaults !== undefined && defaults !== null) {
+        if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+            errors.push({ field: 'defaults', message: 'defaults must be an object' });
+        } else {
+            const unknown = Object.keys(defaults).filter(field => !isImportableField(field));
+            unknown.forEach(field => errors.push({ field: `defaults.${field}`, message: `Unknown field '${field}'` }));
+            validateFormData(defaults, { mode: 'partial' }).errors
+                .forEach(error => errors.push({ ...error, field: `defaults.${error.field}` }));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Reads a number from a cell, allowing surrounding spaces and thousands
+ * separators written as spaces
+ * @param {*} value
+ * @returns {number|null}
+ */
+function readNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const number = Number(String(value).trim().replace(/\s/g, ''));
+    return String(value).trim() !== '' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Text of a cell; dates become ISO dates
+ * @param {*} value
+ * @returns {string}
+ */
+function readText(value) {
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    return String(value).trim();
+}
+
+/**
+ * Checks whether a cell is empty
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmptyCell(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Locates the mapped columns in a file's header
+ * @param {object[]} columns - Mapping columns
+ * @param {string[]} headers - Header row of the file
+ * @returns {{indexes: Map<object, number>, missingColumns: string[], unmappedColumns: string[]}}
+ */
+export function locateColumns(columns, headers) {
+    const positions = new Map();
+    headers.forEach((header, index) => {
+        const key = normalizeHeader(header);
+        if (key && !positions.has(key)) positions.set(key, index);
+    });
+
+    const indexes = new Map();
+    const missingColumns = [];
+    columns.forEach(entry => {
+        const index = positions.get(normalizeHeader(entry.column));
+        if (index === undefined) missingColumns.push(entry.column);
+        else indexes.set(entry, index);
+    });
+
+    const mapped = new Set(columns.map(entry => normalizeHeader(entry.column)));
+    const unmappedColumns = headers.filter(header => header && !mapped.has(normalizeHeader(header)));
+    return { indexes, missingColumns, unmappedColumns };
+}
+
+/**
+ * Turns one row of the file into LCA form data. Numbers with a unit become
+ * { value, unit } quantities so validateFormData converts them; perThroughput
+ * totals are divided by the row's throughput first.
+ * @param {*[]} values - Cells of the row
+ * @param {object} mapping - { columns, defaults }
+ * @param {Map<object, number>} indexes - From locateColumns
+ * @returns {{formData: object, reportName: string, period: string, errors: {column: string, field: string, message: string}[]}}
+ */
+export function mapRow(values, mapping, indexes) {
+    const formData = { ...(mapping.defaults || {}) };
+    const errors = [];
+    let reportName;
+    let period;
+
+    const throughputEntry = mapping.columns.find(entry => entry.field === 'throughput');
+    let throughput = null;
+    if (throughputEntry && indexes.has(throughputEntry)) {
+        const raw = values[indexes.get(throughputEntry)];
+        if (!isEmptyCell(raw)) {
+            const number = readNumber(raw);
+            if (number === null || number <= 0) {
+                errors.push({ column: throughputEntry.column, field: 'throughput', message: 'throughput must be a positive number' });
+            } else {
+                throughput = { value: number, unit: throughputEntry.unit || DEFAULT_THROUGHPUT_UNIT };
+            }
+        }
+    }
+
+    mapping.columns.forEach(entry => {
+        if (!indexes.has(entry) || entry.field === 'throughput') return;
+        const raw = values[indexes.get(entry)];
+        if (isEmptyCell(raw)) return;
+
+        if (entry.field === 'reportName') {
+            reportName = readText(raw);
+            return;
+        }
+        if (entry.field === 'period') {
+            period = readText(raw);
+            return;
+        }
+
+        const definition = LCA_INPUT_FIELDS[entry.field];
+        let value;
+        if (definition.type === 'string') {
+            value = readText(raw);
+        } else {
+            const number = readNumber(raw);
+            if (number === null) {
+                // Left as text so validation reports it against the field
+                value = readText(raw);
+            } else if (entry.perThroughput) {
+                if (!throughput) {
+                    // A bad throughput cell has already been reported
+                    if (errors.some(error => error.field === 'throughput')) return;
+                    errors.push({ column: entry.column, field: entry.field, message: `${entry.field} is a total and the row has no throughput to divide it by` });
+                    return;
+                }
+                // Expressed per unit of throughput, e.g. MWh per t
+                value = { value: number / throughput.value, unit: `${entry.unit}/${throughput.unit}` };
+            } else {
+                value = entry.unit ? { value: number, unit: entry.unit } : number;
+            }
+        }
+
+        if (entry.field === 'transportDistances' && entry.leg) {
+            const legs = formData.transportDistances && typeof formData.transportDistances === 'object'
+                ? { ...formData.transportDistances }
+                : {};
+            legs[entry.leg] = value;
+            formData.transportDistances = legs;
+        } else {
+            formData[entry.field] = value;
+        }
+    });
+
+    return { formData, reportName, period, errors };
+}
@@ -0,0 +1,138 @@
+// src/services/inventoryImport/parse.js
+
+import ExcelJS from 'exceljs';
+
+// Delimiters tried when reading CSV; the one found most often in the header wins
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Picks the delimiter of a CSV file from its first line
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const counts = CSV_DELIMITERS.map(delimiter => firstLine.split(delimiter).length - 1);
+    return CSV_DELIMITERS[counts.indexOf(Math.max(...counts))];
+}
+
+/**
+ * Parses CSV text (RFC 4180 quoting, comma, semicolon or tab separated)
+ * @param {string} text
+ * @returns {string[][]} Lines split into fields
+ */
+export function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(input);
+    const lines = [];
+    let line = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            line.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            line.push(field);
+            lines.push(line);
+            line = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || line.length > 0) {
+        line.push(field);
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Plain value of a spreadsheet cell (formula results, rich text and links
+ * are reduced to what the cell shows)
+ * @param {*} value - ExcelJS cell value
+ * @returns {*}
+ */
+function cellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date || typeof value !== 'object') return value;
+    if ('result' in value) return cellValue(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('text' in value) return cellValue(value.text);
+    if ('error' in value) return '';
+    return String(value);
+}
+
+/**
+ * Reads the rows of one worksheet of an XLSX file
+ * @param {Buffer} buffer
+ * @param {string} [sheet] - Worksheet name; defaults to the first one
+ * @returns {Promise<{number: number, values: *[]}[]>}
+ */
+async function readWorkbookRows(buffer, sheet) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const worksheet = sheet ? workbook.getWorksheet(sheet) : workbook.worksheets[0];
+    if (!worksheet) {
+        throw new Error(sheet ? `Worksheet '${sheet}' not found` : 'The workbook has no worksheets');
+    }
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, row => {
+        // row.values is 1-based
+        rows.push({ number: row.number, values: row.values.slice(1).map(cellValue) });
+    });
+    return rows;
+}
+
+/**
+ * Checks whether a row has no values
+ * @param {*[]} values
+ * @returns {boolean}
+ */
+function isBlank(values) {
+    return values.every(value => value === '' || value === null || value === undefined
+        || (typeof value === 'string' && value.trim() === ''));
+}
+
+/**
+ * Reads an uploaded CSV or XLSX file into a header and data rows. The first
+ * non-blank row is the header; blank rows are skipped. Row numbers are those
+ * a spreadsheet program shows, so errors can be found in the file.
+ * @param {Buffer} body - File contents
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {object} [options] - { sheet: XLSX worksheet name }
+ * @returns {Promise<{headers: string[], rows: {row: number, values: *[]}[]}>}
+ */
+export async function readTable(body, format, { sheet } = {}) {
+    const lines = format === 'xlsx'
+        ? await readWorkbookRows(body, sheet)
+        : parseCsv(body.toString('utf8')).map((values, index) => ({ number: index + 1, values }));
+
+    const nonBlank = lines.filter(line => !isBlank(line.values));
+    if (nonBlank.length === 0) {
+        return { headers: [], rows: [] };
+    }
+
+    const [header, ...data] = nonBlank;
+    return {
+        headers: header.values.map(value => String(value).trim()),
+        rows: data.map(line => ({ row: line.number, values: line.values }))
+    };
+}
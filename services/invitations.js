@@ -0,0 +1,238 @@
+// src/services/invitations.js
+
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { TeamMember, Invitation } from '../models/teamModel.js';
+import { notifySafely } from './notifications/index.js';
+
+/**
+ * Days an invitation stays valid after it is sent or resent
+ */
+export const INVITATION_TTL_DAYS = 7;
+
+/**
+ * Raised when an invitation cannot be redeemed. status is the HTTP status
+ * the route should answer with.
+ */
+export class InvitationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'InvitationError';
+        this.status = status;
+    }
+}
+
+/**
+ * Hashes an invitation token for storage and lookup
+ * @param {string} token
+ * @returns {string}
+ */
+export function hashInvitationToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Creates a fresh token and expiry for an invitation. Only the hash is
+ * stored; the token itself goes into the invitation link.
+ * @returns {{token: string, tokenHash: string, expiresAt: Date}}
+ */
+export function createInvitationToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + INVITATION_TTL_DAYS);
+    return { token, tokenHash: hashInvitationToken(token), expiresAt };
+}
+
+/**
+ * Finds the invitation a token belongs to, whatever its status
+ * @param {string} token
+ * @returns {Promise<object|null>} Invitation with organization populated
+ */
+export async function findInvitationByToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    return Invitation.findOne({ tokenHash: hashInvitationToken(token) }).populate('organization', 'name slug');
+}
+
+/**
+ * Checks an invitation can still be answered and marks it Expired if its
+ * time ran out
+ * @param {object|null} invitation
+ * @throws {InvitationError}
+ */
+async function assertRedeemable(invitation) {
+    if (!invitation) {
+        throw new InvitationError('Invitation not found or already used', 404);
+    }
+    if (invitation.status === 'Pending' && invitation.expiresAt < new Date()) {
+        invitation.status = 'Expired';
+        await invitation.save();
+    }
+    if (invitation.status === 'Expired') {
+        throw new InvitationError('This invitation has expired. Ask for it to be resent', 410);
+    }
+    if (invitation.status !== 'Pending') {
+        throw new InvitationError('Invitation not found or already used', 404);
+    }
+}
+
+/**
+ * Marks a pending invitation answered and drops its token in one update, so
+ * two requests with the same token cannot both succeed
+ * @param {object} invitation
+ * @param {object} update - Fields to set
+ * @returns {Promise<boolean>} false when another request got there first
+ */
+async function consume(invitation, update) {
+    const result = await Invitation.updateOne(
+        { _id: invitation._id, status: 'Pending', tokenHash: { $exists: true } },
+        { $set: { ...update, respondedAt: new Date() }, $unset: { tokenHash: '' } }
+    );
+    return result.modifiedCount === 1;
+}
+
+/**
+ * Works out which account accepts an invitation: the logged-in user or a new
+ * account created from the invitation (signup-through-invite). An existing
+ * account has to log in first, so two-factor authentication, lockout and
+ * login rate limits apply to it as usual. Nothing is created yet; see
+ * createInvitedAccount.
+ * @param {object} invitation
+ * @param {object} options - { user, name, email, password }; email, if given, must be the invited one
+ * @returns {Promise<{user: object|null, signup: object|null}>} The logged-in user, or the
+ *   { name, password } of the account to create
+ * @throws {InvitationError}
+ */
+async function resolveAccount(invitation, { user, name, email, password }) {
+    if (email && String(email).trim().toLowerCase() !== invitation.email) {
+        throw new InvitationError('This invitation was sent to a different email address', 403);
+    }
+
+    if (user) {
+        if (user.email !== invitation.email) {
+            throw new InvitationError('This invitation was sent to a different email address', 403);
+        }
+        return { user, signup: null };
+    }
+
+    if (await User.exists({ email: invitation.email })) {
+        throw new InvitationError('An account with this email exists. Log in to accept', 401);
+    }
+
+    if (!name || !password) {
+        throw new InvitationError('name and password are required to create an account');
+    }
+    return { user: null, signup: { name, password } };
+}
+
+/**
+ * Creates the account of someone signing up through an invitation
+ * @param {object} invitation
+ * @param {object} signup - { name, password }
+ * @returns {Promise<object>} The new user
+ */
+function createInvitedAccount(invitation, { name, password }) {
+    // Role on the account only applies outside organizations; inside, the membership role does.
+    // Following the emailed invitation link proves the address, so it starts verified.
+    return User.create({
+        name,
+        email: invitation.email,
+        password,
+        role: 'Viewer',
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+    });
+}
+
+/**
+ * Puts a claimed invitation back to Pending with its token, when accepting
+ * it failed after the claim
+ * @param {object} invitation
+ * @param {string} token
+ * @returns {Promise<void>}
+ */
+async function release(invitation, token) {
+    await Invitation.updateOne(
+        { _id: invitation._id, status: 'Accepted', tokenHash: { $exists: false } },
+        { $set: { status: 'Pending', tokenHash: hashInvitationToken(token) }, $unset: { respondedAt: '', acceptedBy: '' } }
+    );
+}
+
+/**
+ * Accepts an invitation: links or creates the account, adds it to the
+ * organization with the invited role and makes that organization active.
+ * The token cannot be used again afterwards. It is claimed before a new
+ * account is created, so a request that loses a race leaves nothing behind.
+ * @param {string} token - Token from the invitation link
+ * @param {object} options - { user, name, email, password }; user is the logged-in caller if any
+ * @returns {Promise<{invitation: object, membership: object, user: object, created: boolean}>}
+ * @throws {InvitationError}
+ */
+export async function acceptInvitation(token, options = {}) {
+    const invitation = await findInvitationByToken(token);
+    await assertRedeemable(invitation);
+
+    const resolved = await resolveAccount(invitation, options);
+    const created = Boolean(resolved.signup);
+
+    if (!(await consume(invitation, { status: 'Accepted', ...(resolved.user && { acceptedBy: resolved.user._id }) }))) {
+        throw new InvitationError('Invitation not found or already used', 404);
+    }
+
+    let user = resolved.user;
+    if (created) {
+        try {
+            user = await createInvitedAccount(invitation, resolved.signup);
+        } catch (error) {
+            await release(invitation, token);
+            throw error;
+        }
+        await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedBy: user._id } });
+    }
+
+    // Someone who left (or was deactivated) comes back with the invited role
+    const membership = await TeamMember.findOneAndUpdate(
+        { organization: invitation.organization._id, user: user._id },
+        {
+            $set: { role: invitation.role, status: 'Active', lastActive: Date.now() },
+            $setOnInsert: { addedBy: invitation.invitedBy, addedDate: Date.now() }
+        },
+        { new: true, upsert: true, runValidators: true }
+    );
+
+    user.activeOrganization = invitation.organization._id;
+    await user.save();
+
+    if (invitation.invitedBy) {
+        await notifySafely({
+            template: 'team.invitationAccepted',
+            user: invitation.invitedBy,
+            data: {
+                memberName: user.name,
+                memberEmail: user.email,
+                organizationName: invitation.organization.name,
+                role: membership.role
+            }
+        });
+    }
+
+    invitation.status = 'Accepted';
+    return { invitation, membership, user, created };
+}
+
+/**
+ * Declines an invitation. The token cannot be used again afterwards.
+ * @param {string} token - Token from the invitation link
+ * @returns {Promise<object>} The declined invitation
+ * @throws {InvitationError}
+ */
+export async function declineInvitation(token) {
+    const invitation = await findInvitationByToken(token);
+    await assertRedeemable(invitation);
+
+    if (!(await consume(invitation, { status: 'Declined' }))) {
+        throw new InvitationError('Invitation not found or already used', 404);
+    }
+
+    invitation.status = 'Declined';
+    return invitation;
+}
@@ -0,0 +1,93 @@
+// src/services/isoDocument/html.js
+
+/**
+ * Escapes text for inclusion in HTML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats a table cell
+ * @param {*} value
+ * @returns {string}
+ */
+function cell(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? String(Number(value.toPrecision(4))) : '';
+    return escapeHtml(value);
+}
+
+/**
+ * Renders one content block
+ * @param {object} block - { type, text, items, columns, rows }
+ * @returns {string}
+ */
+function renderBlock(block) {
+    switch (block.type) {
+        case 'paragraph':
+            return `<p>${escapeHtml(block.text)}</p>`;
+        case 'facts':
+            return `<dl>${block.items.map(item => `<dt>${escapeHtml(item.label)}</dt><dd>${escapeHtml(item.value)}</dd>`).join('')}</dl>`;
+        case 'list':
+            return `${block.text ? `<p>${escapeHtml(block.text)}</p>` : ''}<ul>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+        case 'table':
+            return `<table><thead><tr>${block.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>`
+                + `<tbody>${block.rows.map(row => `<tr>${row.map(value => `<td>${cell(value)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+        default:
+            return '';
+    }
+}
+
+const STYLES = `
+body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 860px; margin: 40px auto; padding: 0 24px; line-height: 1.5; }
+header { border-bottom: 2px solid #1f6f50; margin-bottom: 24px; }
+h1 { color: #1f6f50; margin-bottom: 4px; }
+h2 { color: #1f6f50; margin-top: 32px; }
+.meta { color: #666; font-size: 0.9em; }
+.incomplete { background: #fff4e5; border-left: 4px solid #e69500; padding: 8px 12px; font-size: 0.9em; }
+dl { display: grid; grid-template-columns: max-content auto; gap: 4px 16px; }
+dt { font-weight: bold; }
+dd { margin: 0; }
+table { border-collapse: collapse; width: 100%; margin: 12px 0; font-size: 0.9em; }
+th, td { border-bottom: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+th { background: #f2f2f2; }
+`;
+
+/**
+ * Renders a generated document as a standalone HTML page
+ * @param {object} document - ReportDocument (or the same shape)
+ * @returns {string}
+ */
+export function renderDocumentHtml(document) {
+    const generatedAt = new Date(document.generatedAt).toISOString().replace('T', ' ').slice(0, 16);
+    const sections = document.sections.map((section, index) => {
+        const flag = section.status === 'incomplete'
+            ? `<p class="incomplete">Incomplete: missing ${section.missing.map(escapeHtml).join(', ')}</p>`
+            : '';
+        return `<section id="${escapeHtml(section.key)}"><h2>${index + 1}. ${escapeHtml(section.title)}</h2>${flag}${section.blocks.map(renderBlock).join('\n')}</section>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(document.title)}</h1>
+<p class="meta">Structured after ${escapeHtml(document.standard)} &middot; Document version ${document.version} &middot; Report revision ${document.revision} &middot; Generated ${generatedAt} UTC</p>
+</header>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,118 @@
+// src/services/isoDocument/index.js
+
+import ReportDocument from '../../models/ReportDocument.js';
+import ReportRevision from '../../models/ReportRevision.js';
+import { ensureBaseline } from '../reportHistory.js';
+import { buildSections } from './sections.js';
+import { renderDocumentHtml } from './html.js';
+import { renderDocumentPdf } from './pdf.js';
+
+export { renderDocumentHtml, renderDocumentPdf };
+
+// Goal and scope statements a caller may supply, with their expected types
+const GOAL_FIELDS = {
+    intendedApplication: 'string',
+    reasons: 'string',
+    intendedAudience: 'string',
+    commissioner: 'string',
+    practitioner: 'string',
+    comparativeAssertion: 'boolean'
+};
+
+// Attempts at claiming the next version number before giving up
+const VERSION_ATTEMPTS = 3;
+
+/**
+ * Raised when a document cannot be generated. status is the HTTP status
+ * the route should answer with.
+ */
+export class DocumentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'DocumentError';
+        this.status = status;
+    }
+}
+
+/**
+ * Checks and trims the goal statements supplied for a document
+ * @param {object} [goal]
+ * @returns {object}
+ * @throws {DocumentError}
+ */
+export function normalizeGoal(goal = {}) {
+    if (goal === null || typeof goal !== 'object' || Array.isArray(goal)) {
+        throw new DocumentError('goal must be an object');
+    }
+    const normalized = {};
+    for (const [key, type] of Object.entries(GOAL_FIELDS)) {
+        const value = goal[key];
+        if (value === undefined || value === null || value === '') continue;
+        if (typeof value !== type) {
+            throw new DocumentError(`goal.${key} must be a ${type}`);
+        }
+        normalized[key] = type === 'string' ? value.trim() : value;
+    }
+    return normalized;
+}
+
+/**
+ * Goal statements of the report's latest document, so regenerating after an
+ * edit does not require them again
+ * @param {string} reportId
+ * @returns {Promise<object>}
+ */
+async function previousGoal(reportId) {
+    const previous = await ReportDocument.findOne({ report: reportId }).sort({ version: -1 }).select('goal').lean();
+    return (previous && previous.goal) || {};
+}
+
+/**
+ * Generates the next version of a report's ISO 14044-style document from one
+ * of its revisions. Sections that lack inputs are kept and marked incomplete.
+ * @param {object} report - Report document
+ * @param {object} [options]
+ * @param {number} [options.revision] - Revision to document; defaults to the current one
+ * @param {object} [options.goal] - Goal statements; merged over those of the previous version
+ * @param {string} [options.unitSystem] - 'metric' or 'imperial'
+ * @param {string} [options.userId] - User generating the document
+ * @returns {Promise<object>} The saved ReportDocument
+ * @throws {DocumentError}
+ */
+export async function generateReportDocument(report, { revision, goal, unitSystem, userId } = {}) {
+    const latest = await ensureBaseline(report);
+    const revisionNumber = revision || latest.revision;
+    const source = revisionNumber === latest.revision
+        ? latest
+        : await ReportRevision.findOne({ report: report._id, revision: revisionNumber });
+    if (!source) {
+        throw new DocumentError('Revision not found', 404);
+    }
+
+    const mergedGoal = { ...(await previousGoal(report._id)), ...normalizeGoal(goal) };
+    const sections = buildSections(source.snapshot, { goal: mergedGoal, unitSystem });
+
+    for (let attempt = 1; ; attempt++) {
+        const last = await ReportDocument.findOne({ report: report._id }).sort({ version: -1 }).select('version');
+        const document = new ReportDocument({
+            report: report._id,
+            organization: report.organization || null,
+            version: last ? last.version + 1 : 1,
+            revision: source.revision,
+            title: `Life cycle assessment of ${source.snapshot.metalType}: ${source.snapshot.name}`,
+            goal: mergedGoal,
+            sections,
+            complete: sections.every(section => section.status === 'complete'),
+            generatedBy: userId,
+            generatedAt: new Date()
+        });
+        document.html = renderDocumentHtml(document);
+
+        try {
+            return await document.save();
+        } catch (error) {
+            // Someone generated the same version at the same time; take the next one
+            if (error.code !== 11000 || attempt >= VERSION_ATTEMPTS) throw error;
+        }
+    }
+}
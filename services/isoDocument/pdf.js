@@ -0,0 +1,140 @@
+// src/services/isoDocument/pdf.js
+
+import PDFDocument from 'pdfkit';
+
+const MARGIN = 50;
+const ACCENT = '#1f6f50';
+const MUTED = '#666666';
+const WARNING = '#b36b00';
+const RULE = '#cccccc';
+
+/**
+ * Formats a table cell
+ * @param {*} value
+ * @returns {string}
+ */
+function formatCell(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? String(Number(value.toPrecision(4))) : '';
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Starts a new page when fewer than `needed` points are left on this one
+ * @param {PDFDocument} doc
+ * @param {number} needed
+ */
+function ensureSpace(doc, needed) {
+    if (doc.y + needed > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+/**
+ * Draws a table with equal-width columns, the first one wider
+ * @param {PDFDocument} doc
+ * @param {string[]} columns
+ * @param {Array[]} rows
+ */
+function drawTable(doc, columns, rows) {
+    const width = doc.page.width - MARGIN * 2;
+    const first = columns.length > 2 ? 0.3 : 0.5;
+    const widths = columns.map((column, index) => (index === 0 ? first : (1 - first) / (columns.length - 1)) * width);
+    const padding = 3;
+
+    const drawRow = (cells, bold) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5);
+        const height = Math.max(...cells.map((value, index) => doc.heightOfString(formatCell(value), { width: widths[index] - padding * 2 }))) + padding * 2;
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            if (!bold) drawRow(columns, true);
+            doc.font('Helvetica').fontSize(8.5);
+        }
+        const top = doc.y;
+        let x = MARGIN;
+        cells.forEach((value, index) => {
+            doc.text(formatCell(value), x + padding, top + padding, { width: widths[index] - padding * 2 });
+            x += widths[index];
+        });
+        doc.moveTo(MARGIN, top + height).lineTo(MARGIN + width, top + height).strokeColor(RULE).stroke();
+        doc.x = MARGIN;
+        doc.y = top + height;
+    };
+
+    drawRow(columns, true);
+    rows.forEach(row => drawRow(row, false));
+    doc.moveDown(0.5);
+}
+
+/**
+ * Draws one content block
+ * @param {PDFDocument} doc
+ * @param {object} block
+ */
+function drawBlock(doc, block) {
+    ensureSpace(doc, 40);
+    doc.fillColor('black');
+    switch (block.type) {
+        case 'paragraph':
+            doc.font('Helvetica').fontSize(10).text(block.text, MARGIN, doc.y, { align: 'justify' });
+            doc.moveDown(0.5);
+            break;
+        case 'facts':
+            block.items.forEach(item => {
+                doc.font('Helvetica-Bold').fontSize(10).text(`${item.label}: `, MARGIN, doc.y, { continued: true });
+                doc.font('Helvetica').text(String(item.value));
+            });
+            doc.moveDown(0.5);
+            break;
+        case 'list':
+            if (block.text) doc.font('Helvetica').fontSize(10).text(block.text, MARGIN);
+            doc.font('Helvetica').fontSize(10).list(block.items.map(String), MARGIN + 10, doc.y, { bulletRadius: 1.5, paragraphGap: 2 });
+            doc.moveDown(0.5);
+            break;
+        case 'table':
+            drawTable(doc, block.columns, block.rows);
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * Renders a generated document as a PDF
+ * @param {object} document - ReportDocument (or the same shape)
+ * @returns {Promise<Buffer>}
+ */
+export function renderDocumentPdf(document) {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: MARGIN,
+        info: { Title: document.title, Subject: document.standard, Creator: 'CircuMetal' }
+    });
+
+    const chunks = [];
+    const done = new Promise((resolve, reject) => {
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(ACCENT).text(document.title, MARGIN);
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED).text(
+        `Structured after ${document.standard} | Document version ${document.version} | Report revision ${document.revision} | Generated ${new Date(document.generatedAt).toISOString().replace('T', ' ').slice(0, 16)} UTC`,
+        MARGIN
+    );
+
+    document.sections.forEach((section, index) => {
+        ensureSpace(doc, 80);
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(14).fillColor(ACCENT).text(`${index + 1}. ${section.title}`, MARGIN);
+        doc.moveDown(0.3);
+        if (section.status === 'incomplete') {
+            doc.font('Helvetica-Oblique').fontSize(9).fillColor(WARNING)
+                .text(`Incomplete: missing ${section.missing.join(', ')}`, MARGIN);
+            doc.moveDown(0.3);
+        }
+        section.blocks.forEach(block => drawBlock(doc, block));
+    });
+
+    doc.end();
+    return done;
+}
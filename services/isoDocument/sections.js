@@ -0,0 +1,373 @@
+// src/services/isoDocument/sections.js
+
+import { IMPACT_METRICS } from '../impactMetrics.js';
+import { LCA_INPUT_FIELDS, LCA_STAGES } from '../lcaInputSchema.js';
+import { fieldLabel, impactRows, inputRows, stageImpactRows } from '../reportExport/rows.js';
+
+/**
+ * Sections of the document in ISO 14044 order. Each builder receives the
+ * report snapshot and generation options and returns { blocks, missing }.
+ */
+export const ISO_SECTIONS = [
+    { key: 'goalAndScope', title: 'Goal and scope', build: goalAndScope },
+    { key: 'functionalUnit', title: 'Functional unit and reference flow', build: functionalUnitSection },
+    { key: 'systemBoundaries', title: 'System boundaries', build: systemBoundaries },
+    { key: 'inventoryAnalysis', title: 'Life cycle inventory analysis', build: inventoryAnalysis },
+    { key: 'impactAssessment', title: 'Life cycle impact assessment', build: impactAssessment },
+    { key: 'interpretation', title: 'Interpretation', build: interpretation },
+    { key: 'limitations', title: 'Limitations', build: limitations }
+];
+
+// Stages the calculation method turns into impacts
+const CALCULATED_STAGES = ['Raw Material', 'Processing', 'Manufacturing', 'Distribution', 'Use Phase'];
+
+/**
+ * Checks whether a form value counts as provided
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPresent(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Input fields of a stage (Impact Analysis fields are outputs, not inputs)
+ * @param {string} stage
+ * @returns {[string, object][]}
+ */
+function stageFields(stage) {
+    return Object.entries(LCA_INPUT_FIELDS).filter(([, definition]) => definition.stages.includes(stage));
+}
+
+/**
+ * Stages with at least one input in the report
+ * @param {object} formData
+ * @returns {string[]}
+ */
+function stagesWithData(formData) {
+    return LCA_STAGES
+        .filter(stage => stage !== 'Impact Analysis')
+        .filter(stage => stageFields(stage).some(([field]) => field !== 'metalType' && isPresent(formData[field])));
+}
+
+/**
+ * Goal of the study: intended application, reasons, audience and whether
+ * results support comparative assertions (ISO 14044, 4.2.2)
+ * @param {object} snapshot
+ * @param {object} options - { goal }
+ * @returns {{blocks: object[], missing: string[]}}
+ */
+function goalAndScope(snapshot, { goal = {} }) {
+    const missing = [];
+    const statement = (key, label) => {
+        if (!isPresent(goal[key])) missing.push(`goal.${key}`);
+        return { label, value: isPresent(goal[key]) ? String(goal[key]) : 'Not stated' };
+    };
+
+    const facts = [
+        { label: 'Product system', value: `${snapshot.metalType} (${snapshot.name})` },
+        statement('intendedApplication', 'Intended application'),
+        statement('reasons', 'Reasons for carrying out the study'),
+        statement('intendedAudience', 'Intended audience'),
+        {
+            label: 'Comparative assertion disclosed to the public',
+            value: goal.comparativeAssertion === true ? 'Yes' : goal.comparativeAssertion === false ? 'No' : 'Not stated'
+        }
+    ];
+    if (typeof goal.comparativeAssertion !== 'boolean') missing.push('goal.comparativeAssertion');
+    if (isPresent(goal.commissioner)) facts.push({ label: 'Commissioner', value: goal.commissioner });
+    if (isPresent(goal.practitioner)) facts.push({ label: 'Practitioner', value: goal.practitioner });
+
+    const blocks = [
+        {
+            type: 'paragraph',
+            text: `This study assesses the potential environmental impacts of ${snapshot.metalType} production as recorded in the report "${snapshot.name}".`
+        },
+        { type: 'facts', items: facts }
+    ];
+    if (goal.comparativeAssertion === true) {
+        blocks.push({
+            type: 'paragraph',
+            text: 'ISO 14044 requires a critical review by a panel of interested parties before comparative assertions are disclosed to the public.'
+        });
+    }
+    return { blocks, missing };
+}
+
+/**
+ * Functional unit and the reference flow of metal it implies (ISO 14044, 4.2.3.2)
+ * @param {object} snapshot
+ * @returns {{blocks: object[], missing: string[]}}
+ */
+function functionalUnitSection(snapshot) {
+    const impacts = snapshot.impacts || {};
+    const functionalUnit = impacts.functionalUnit || snapshot.functionalUnit;
+    if (!functionalUnit) {
+        return {
+            blocks: [{ type: 'paragraph', text: 'No functional unit was recorded; results default to 1 kg of metal.' }],
+            missing: ['functionalUnit']
+        };
+    }
+
+    const items = [
+        { label: 'Functional unit', value: functionalUnit.description || `${functionalUnit.quantity} ${functionalUnit.unit}` },
+        { label: 'Quantity', value: `${functionalUnit.quantity} ${functionalUnit.unit}` }
+    ];
+    if (functionalUnit.referenceFlow && isPresent(functionalUnit.referenceFlow.quantity)) {
+        items.push({ label: 'Metal per unit', value: `${functionalUnit.referenceFlow.quantity} ${functionalUnit.referenceFlow.unit}` });
+    }
+    if (isPresent(impacts.referenceFlowKg)) {
+        items.push({ label: 'Reference flow', value: `${impacts.referenceFlowKg} kg of ${snapshot.metalType}` });
+    }
+
+    return {
+        blocks: [
+            { type: 'facts', items },
+            { type: 'paragraph', text: 'All inventory and impact results are expressed relative to this functional unit unless stated as per kg of metal.' }
+        ],
+        missing: []
+    };
+}
+
+/**
+ * Life-cycle stages inside and outside the system boundary (ISO 14044, 4.2.3.3)
+ * @param {object} snapshot
+ * @returns {{blocks: object[], missing: string[]}}
+ */
+function systemBoundaries(snapshot) {
+    const formData = snapshot.formData || {};
+    const withData = stagesWithData(formData);
+    const missing = [];
+
+    const rows = LCA_STAGES.filter(stage => stage !== 'Impact Analysis').map(stage => {
+        const hasData = withData.includes(stage);
+        const calculated = CALCULATED_STAGES.includes(stage);
+        let treatment;
+        if (hasData && calculated) treatment = 'Included';
+        else if (hasData) treatment = 'Inventory reported; not characterised by the calculation method';
+        else if (calculated) treatment = 'No data; contributes zero';
+        else treatment = 'Excluded';
+
+        if (!hasData && stage !== 'Use Phase') missing.push(`stage:${stage}`);
+        return [stage, hasData ? 'Yes' : 'No', treatment];
+    });
+
+    const scope = withData.includes('End of Life') || withData.includes('Use Phase')
+        ? 'cradle-to-grave (partial)'
+        : withData.includes('Distribution') ? 'cradle-to-gate including distribution' : 'cradle-to-gate';
+
+    return {
+        blocks: [
+            { type: 'paragraph', text: `The study covers a ${scope} system for ${snapshot.metalType}.` },
+            { type: 'table', columns: ['Stage', 'Data provided', 'Treatment'], rows },
+            {
+                type: 'paragraph',
+                text: 'Capital goods, infrastructure and personnel are outside the system boundary. Processes without reported data are cut off.'
+            }
+        ],
+        missing
+    };
+}
+
+// What each factor stored on impacts.factors.library was applied to
+const FACTOR_ROLES = {
+    energy: 'Mining, processing and manufacturing energy',
+    useEnergy: 'Use-phase energy',
+    transport: 'Distribution'
+};
+
+/**
+ * Inventory inputs by stage, flagging required data that is missing (ISO 14044, 4.3)
+ * @param {object} snapshot
+ * @param {object} options - { unitSystem }
+ * @returns {{blocks: object[], missing: string[]}}
+ */
+function inventoryAnalysis(snapshot, { unitSystem }) {
+    const formData = snapshot.formData || {};
+    const missing = Object.entries(LCA_INPUT_FIELDS)
+        .filter(([field, definition]) => definition.required && !isPresent(formData[field]))
+        .map(([field]) => field);
+
+    const rows = inputRows(snapshot, unitSystem);
+    const blocks = rows.length > 0
+        ? [{
+            type: 'table',
+            columns: ['Stage', 'Parameter', 'Value', 'Unit'],
+            rows: rows.map(row => [row.stage, row.label, row.value, row.unit])
+        }]
+        : [{ type: 'paragraph', text: 'No inventory data recorded.' }];
+
+    if (missing.length > 0) {
+        blocks.push({
+            type: 'list',
+            text: 'Required inventory data not provided:',
+            items: missing.map(fieldLabel)
+        });
+    }
+    blocks.push({
+        type: 'paragraph',
+        text: 'Inventory data were entered by the practitioner or suggested by the assistant and reviewed in the application; primary measurement records are not attached.'
+    });
+
+    const library = (snapshot.impacts && snapshot.impacts.factors && snapshot.impacts.factors.library) || [];
+    if (library.length > 0) {
+        blocks.push({
+            type: 'table',
+            columns: ['Used for', 'Emission factor', 'Region', 'Year', 'kg CO2-eq', 'Per', 'Source'],
+            rows: library.map(factor => [
+                FACTOR_ROLES[factor.role] || factor.role,
+                factor.revision ? `${factor.name} (rev. ${factor.revision})` : factor.name,
+                factor.region,
+                factor.year || '',
+                factor.values.gwp,
+                factor.unit,
+                [factor.source.title, factor.source.publisher, factor.source.year].filter(Boolean).join(', ')
+            ])
+        });
+    }
+    return { blocks, missing };
+}
+
+/**
+ * Impact categories, method and results (ISO 14044, 4.4)
+ * @param {object} snapshot
+ * @param {object} options - { unitSystem }
+ * @returns {{blocks: object[], missing: string[]}}
+ */
+function impactAssessment(snapshot, { unitSystem }) {
+    const impacts = snapshot.impacts;
+    if (!impacts) {
+        return {
+            blocks: [{ type: 'paragraph', text: 'Impacts have not been calculated for this revision.' }],
+            missing: ['impacts']
+        };
+    }
+
+    const units = impacts.units || {};
+    const blocks = [
+        {
+            type: 'paragraph',
+            text: `Midpoint indicators were calculated with the CircuMetal method v${impacts.methodVersion || 'unknown'}: climate change (GWP100), water scarcity (AWARE), cumulative energy demand, acidification and eutrophication. Results are ${impacts.basis || 'per functional unit'}.`
+        },
+        {
+            type: 'table',
+            columns: ['Impact category', 'Result', 'Unit', 'Per kg metal', 'Unit'],
+            rows: impactRows(snapshot, unitSystem).map(row => [row.indicator, row.total, row.totalUnit, row.perKg, row.perKgUnit])
+        }
+    ];
+
+    const stages = stageImpactRows(snapshot);
+    if (stages.length > 0) {
+        blocks.push({
+            type: 'table',
+            columns: ['Stage', ...IMPACT_METRICS.map(metric => `${metric.category} (${units[metric.field] || ''})`)],
+            rows: stages.map(({ stage, values }) => [stage, ...IMPACT_METRICS.map(metric => values[metric.field])])
+        });
+    }
+    blocks.push({
+        type: 'paragraph',
+        text: 'Normalisation and weighting were not applied.'
+    });
+    return { blocks, missing: [] };
+}
+
+/**
+ * Largest contributing stage for each indicator
+ * @param {object} impacts
+ * @returns {string[]}
+ */
+function hotspots(impacts) {
+    const byStage = impacts.byStage || {};
+    return IMPACT_METRICS
+        .map(metric => {
+            const entries = Object.entries(byStage).map(([stage, values]) => [stage, (values || {})[metric.field] || 0]);
+            const total = entries.reduce((sum, [, value]) => sum + value, 0);
+            if (total <= 0) return null;
+            const [stage, value] = entries.reduce((top, entry) => (entry[1] > top[1] ? entry : top));
+            return `${metric.category}: ${stage} contributes ${Math.round((value / total) * 100)}%`;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Significant issues, conclusions and recommendations (ISO 14044, 4.5)
+ * @param {object} snapshot
+ * @returns {{blocks: object[], missing: string[]}}
+ */
+function interpretation(snapshot) {
+    const insights = snapshot.insights || {};
+    const missing = [];
+    const blocks = [];
+
+    if (snapshot.impacts) {
+        const significant = hotspots(snapshot.impacts);
+        if (significant.length > 0) {
+            blocks.push({ type: 'list', text: 'Significant issues (largest contributing stage per category):', items: significant });
+        }
+    }
+
+    if (isPresent(insights.lca_summary)) {
+        blocks.push({ type: 'paragraph', text: insights.lca_summary });
+    } else {
+        missing.push('insights.lca_summary');
+        blocks.push({ type: 'paragraph', text: 'No summary of results has been generated for this revision.' });
+    }
+
+    const recommendations = insights.recommendations || [];
+    if (recommendations.length > 0) {
+        blocks.push({ type: 'list', text: 'Recommendations:', items: recommendations });
+    } else {
+        missing.push('insights.recommendations');
+    }
+
+    const source = insights.provenance && insights.provenance.source;
+    if (source === 'fallback' || source === 'partial') {
+        blocks.push({
+            type: 'paragraph',
+            text: 'Parts of this interpretation come from fallback content because the AI assistant was unavailable; review them before disclosure.'
+        });
+    }
+    return { blocks, missing };
+}
+
+/**
+ * Assumptions and limitations of the study (ISO 14044, 4.2.3.6 and 4.5.3)
+ * @param {object} snapshot
+ * @returns {{blocks: object[], missing: string[]}}
+ */
+function limitations(snapshot) {
+    const impacts = snapshot.impacts || {};
+    const items = [
+        ...(impacts.assumptions || []),
+        'Background data use emission factors from the factor library for energy and transport rather than supplier-specific data.',
+        'End-of-life recycling is reported but no credits for avoided primary production are modelled.',
+        'No uncertainty or sensitivity analysis was performed.'
+    ];
+    if (snapshot.status !== 'approved') {
+        items.push('The report has not been approved by an auditor; no critical review has been documented.');
+    }
+
+    return {
+        blocks: [{ type: 'list', text: 'The results should be read with the following limitations:', items }],
+        missing: []
+    };
+}
+
+/**
+ * Builds every section from a report revision
+ * @param {object} snapshot - ReportRevision snapshot
+ * @param {object} options - { goal, unitSystem }
+ * @returns {object[]} [{ key, title, status, missing, blocks }]
+ */
+export function buildSections(snapshot, options = {}) {
+    return ISO_SECTIONS.map(section => {
+        const { blocks, missing } = section.build(snapshot, options);
+        return {
+            key: section.key,
+            title: section.title,
+            status: missing.length > 0 ? 'incomplete' : 'complete',
+            missing,
+            blocks
+        };
+    });
+}
@@ -0,0 +1,302 @@
+// src/services/lcaCalculator.js
+
+/**
+ * Deterministic LCA impact calculation.
+ *
+ * Turns the stage inputs collected by the LCA form into midpoint impact
+ * indicators using factors from the emission factor library
+ * (services/emissionFactors). The factors used are stored on the result, so
+ * every number on a report can be reproduced from its formData and
+ * impacts.factors.
+ *
+ * Conventions (cut-off approach):
+ * - Inputs are in the canonical units of services/lcaInputSchema.js:
+ *   energy (energyConsumption*) in MJ/kg, water (waterConsumption*) in L/kg
+ *   and transport distances in km.
+ * - Results are calculated per kg of metal (perKg) and scaled to the
+ *   report's functional unit by its reference flow (see functionalUnit.js).
+ * - No credits are given for end-of-life recycling; recycled input avoids the
+ *   mining burden for its share of the feed.
+ */
+
+import { resolveFunctionalUnit } from './functionalUnit.js';
+import { bundledFactorSet } from './emissionFactors/selection.js';
+
+export const METHOD_VERSION = '1.3.0';
+
+export const IMPACT_UNITS = {
+    globalWarmingPotential: 'kg CO2-eq',
+    waterScarcityFootprint: 'm3 world-eq',
+    cumulativeEnergyDemand: 'MJ',
+    acidificationPotential: 'kg SO2-eq',
+    eutrophicationPotential: 'kg PO4-eq'
+};
+
+const MJ_PER_KWH = 3.6;
+const TONNES_PER_KG = 0.001;
+
+// AWARE world-average characterisation factor for non-agricultural use
+export const WATER_SCARCITY_FACTOR = 43.1;
+
+// Used when the form does not name an energy source or transport mode
+const DEFAULT_ENERGY_SOURCE = 'grid';
+const DEFAULT_TRANSPORT_MODE = 'truck';
+
+const STAGE_NAMES = [
+    'Raw Material',
+    'Processing',
+    'Manufacturing',
+    'Distribution',
+    'Use Phase'
+];
+
+/**
+ * Converts a form value to a finite number, or returns the fallback
+ * @param {*} value - Raw form value
+ * @param {number} fallback - Value used when the input is missing or invalid
+ * @returns {number}
+ */
+function toNumber(value, fallback = 0) {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Converts a percentage form value to a 0-1 fraction, clamped to that range
+ * @param {*} value - Percentage value (0-100)
+ * @param {number} fallback - Fraction used when the input is missing
+ * @returns {number}
+ */
+function toFraction(value, fallback) {
+    const number = toNumber(value, NaN);
+    if (!Number.isFinite(number)) return fallback;
+    return Math.min(Math.max(number / 100, 0), 1);
+}
+
+/**
+ * Maps a free-text energy source onto an electricity activity of the factor library
+ * @param {string} source - Energy source as entered by the user
+ * @returns {string}
+ */
+export function resolveEnergySource(source) {
+    if (!source || typeof source !== 'string') return DEFAULT_ENERGY_SOURCE;
+    const value = source.toLowerCase();
+
+    if (value.includes('coal')) return 'coal';
+    if (value.includes('gas')) return 'natural gas';
+    if (value.includes('diesel') || value.includes('oil')) return 'diesel';
+    if (value.includes('nuclear')) return 'nuclear';
+    if (value.includes('hydro')) return 'hydro';
+    if (value.includes('solar')) return 'solar';
+    if (value.includes('wind')) return 'wind';
+    if (value.includes('renewable')) return 'renewable';
+    return DEFAULT_ENERGY_SOURCE;
+}
+
+/**
+ * Maps a free-text transport mode onto a transport activity of the factor library
+ * @param {string} mode - Transport mode as entered by the user
+ * @returns {string}
+ */
+export function resolveTransportMode(mode) {
+    if (!mode || typeof mode !== 'string') return DEFAULT_TRANSPORT_MODE;
+    const value = mode.toLowerCase();
+
+    if (value.includes('rail') || value.includes('train')) return 'rail';
+    if (value.includes('ship') || value.includes('sea') || value.includes('barge')) return 'ship';
+    if (value.includes('air') || value.includes('plane')) return 'air';
+    return DEFAULT_TRANSPORT_MODE;
+}
+
+/**
+ * Sums transport distances given either as a single number or as an object
+ * of legs (e.g. { mineToPlant: 120, plantToMarket: 800 })
+ * @param {number|object} distances - Transport distances in km
+ * @returns {number}
+ */
+function totalDistance(distances) {
+    if (distances && typeof distances === 'object') {
+        return Object.values(distances).reduce((sum, leg) => sum + toNumber(leg), 0);
+    }
+    return toNumber(distances);
+}
+
+/**
+ * Creates an empty impact set for a stage
+ * @returns {object}
+ */
+function emptyImpacts() {
+    return {
+        globalWarmingPotential: 0,
+        waterScarcityFootprint: 0,
+        cumulativeEnergyDemand: 0,
+        acidificationPotential: 0,
+        eutrophicationPotential: 0
+    };
+}
+
+/**
+ * Impacts of consuming energy and water for one kg of metal
+ * @param {number} megajoules - Energy in MJ per kg
+ * @param {number} litres - Water in litres per kg
+ * @param {object} factors - Electricity factor values per kWh
+ * @returns {object} Impacts per kg
+ */
+function energyAndWaterImpacts(megajoules, litres, factors) {
+    const kwh = megajoules / MJ_PER_KWH;
+    const consumedWaterM3 = (litres + kwh * factors.water) / 1000;
+
+    return {
+        globalWarmingPotential: kwh * factors.gwp,
+        waterScarcityFootprint: consumedWaterM3 * WATER_SCARCITY_FACTOR,
+        cumulativeEnergyDemand: kwh * factors.ced,
+        acidificationPotential: kwh * factors.ap,
+        eutrophicationPotential: kwh * factors.ep
+    };
+}
+
+/**
+ * Scales every indicator of an impact set
+ * @param {object} impacts - Impact set
+ * @param {number} factor - Multiplier
+ * @returns {object}
+ */
+function scaleImpacts(impacts, factor) {
+    return Object.fromEntries(
+        Object.entries(impacts).map(([key, value]) => [key, value * factor])
+    );
+}
+
+/**
+ * Rounds to a fixed number of significant digits for storage
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+    return Number.isFinite(value) ? Number(value.toPrecision(6)) : 0;
+}
+
+/**
+ * Calculates midpoint impact indicators for a completed LCA form.
+ * @param {object} formData - LCA form data in canonical units
+ * @param {object} [functionalUnitInput] - Functional unit; defaults to 1 kg of metal
+ * @param {object} [factorSet] - Factors to use, from resolveFactorSet in
+ *   services/emissionFactors; defaults to the bundled global factors
+ * @returns {object} Totals and per-stage breakdown per functional unit, per-kg
+ *   totals, units, the factors used and the assumptions applied
+ * @throws {Error} For an invalid functional unit or a 0% recovery rate
+ */
+export function calculateImpacts(formData = {}, functionalUnitInput, factorSet) {
+    const { functionalUnit, referenceFlowKg, errors } = resolveFunctionalUnit(functionalUnitInput);
+    if (errors.length > 0) {
+        throw new Error(errors.map(error => error.message).join('; '));
+    }
+
+    const assumptions = [];
+
+    const energySource = resolveEnergySource(formData.energySource);
+    if (!formData.energySource) {
+        assumptions.push(`No energy source given; using ${DEFAULT_ENERGY_SOURCE} electricity factors.`);
+    }
+
+    const transportMode = resolveTransportMode(formData.transportMode);
+    if (!formData.transportMode) {
+        assumptions.push(`No transport mode given; assuming ${DEFAULT_TRANSPORT_MODE}.`);
+    }
+
+    const factors = factorSet || bundledFactorSet({ energySource, transportMode });
+    assumptions.push(...factors.assumptions);
+    const energyFactors = factors.energy.values;
+
+    const recycledShare = toFraction(formData.recycledInputRate, 0);
+    let recovery = toFraction(formData.recoveryRate, null);
+    if (recovery === null) {
+        recovery = 1;
+        assumptions.push('No recovery rate given; assuming 100% recovery.');
+    } else if (recovery === 0) {
+        // Input validation rejects 0%, but stored or unvalidated data may still hold it
+        throw new Error('recoveryRate must be more than 0 %: nothing is produced at 0% recovery');
+    }
+
+    // Stage impacts per kg of metal
+    const stages = {};
+
+    // Primary feed has to be mined for the virgin share, and losses in
+    // processing mean more ore is mined per tonne of output.
+    const virginFeedFactor = (1 - recycledShare) / recovery;
+    stages['Raw Material'] = scaleImpacts(
+        energyAndWaterImpacts(
+            toNumber(formData.energyConsumptionMining),
+            toNumber(formData.waterConsumptionMining),
+            energyFactors
+        ),
+        virginFeedFactor
+    );
+
+    stages['Processing'] = energyAndWaterImpacts(
+        toNumber(formData.energyConsumptionProcessing),
+        toNumber(formData.waterConsumptionProcessing),
+        energyFactors
+    );
+
+    stages['Manufacturing'] = energyAndWaterImpacts(
+        toNumber(formData.energyConsumptionManufacturing),
+        0,
+        energyFactors
+    );
+
+    const transportFactors = factors.transport.values;
+    const tonneKm = totalDistance(formData.transportDistances) * TONNES_PER_KG;
+    stages['Distribution'] = {
+        ...emptyImpacts(),
+        globalWarmingPotential: tonneKm * transportFactors.gwp,
+        cumulativeEnergyDemand: tonneKm * transportFactors.ced,
+        acidificationPotential: tonneKm * transportFactors.ap,
+        eutrophicationPotential: tonneKm * transportFactors.ep
+    };
+
+    // Use-phase energy is drawn from the grid, not the plant supply
+    stages['Use Phase'] = energyAndWaterImpacts(
+        toNumber(formData.energyConsumptionUse),
+        0,
+        factors.useEnergy.values
+    );
+
+    // Sum per kg, then scale everything to the functional unit
+    const perKg = emptyImpacts();
+    const byStage = {};
+    for (const stage of STAGE_NAMES) {
+        byStage[stage] = {};
+        for (const [key, value] of Object.entries(stages[stage])) {
+            perKg[key] += value;
+            byStage[stage][key] = round(value * referenceFlowKg);
+        }
+    }
+
+    const roundAll = impacts => Object.fromEntries(
+        Object.entries(impacts).map(([key, value]) => [key, round(value)])
+    );
+
+    return {
+        ...roundAll(scaleImpacts(perKg, referenceFlowKg)),
+        perKg: roundAll(perKg),
+        units: IMPACT_UNITS,
+        byStage,
+        basis: `per ${functionalUnit.description}`,
+        functionalUnit,
+        referenceFlowKg,
+        factors: {
+            energySource,
+            transportMode,
+            region: factors.region,
+            // Library state the factors were resolved against; null for the bundled defaults
+            asOf: factors.asOf || null,
+            library: [factors.energy, factors.useEnergy, factors.transport]
+        },
+        assumptions,
+        methodVersion: METHOD_VERSION,
+        calculatedAt: new Date()
+    };
+}
+
+export default calculateImpacts;
@@ -0,0 +1,292 @@
+// src/services/lcaInputSchema.js
+
+import { convert, isCompatible, isQuantity, readQuantity, toDisplay, UnitError } from './units.js';
+
+/**
+ * Declared schema for LCA form inputs.
+ *
+ * Field names match those read by extractRelevantParameters in the LCA
+ * controller. Each field has a type, an optional range and the canonical
+ * unit its value is stored in; `required` marks fields needed before a stage
+ * can be analysed. Quantities may be submitted as { value, unit } in any
+ * compatible unit; plain numbers are read in `inputUnit` (the units the form
+ * has always used) and normalised to the canonical unit. Clients sending back
+ * stored (already canonical) data set inputUnits to 'canonical', which is the
+ * default for report and template updates.
+ */
+
+export const LCA_STAGES = [
+    'Raw Material',
+    'Processing',
+    'Manufacturing',
+    'Distribution',
+    'Use Phase',
+    'End of Life',
+    'Impact Analysis'
+];
+
+const percentage = { type: 'number', min: 0, max: 100, unit: '%' };
+
+export const LCA_INPUT_FIELDS = {
+    metalType: { type: 'string', stages: ['*'], required: true, maxLength: 100 },
+
+    // Raw Material
+    miningLocation: { type: 'string', stages: ['Raw Material'], maxLength: 200 },
+    oreGrade: { ...percentage, stages: ['Raw Material'] },
+    landUse: { type: 'number', min: 0, unit: 'm2/kg', inputUnit: 'm2/t', stages: ['Raw Material'] },
+    energyConsumptionMining: { type: 'number', min: 0, unit: 'MJ/kg', inputUnit: 'kWh/t', stages: ['Raw Material'], required: true },
+    waterConsumptionMining: { type: 'number', min: 0, unit: 'L/kg', inputUnit: 'L/t', stages: ['Raw Material'] },
+
+    // Processing
+    energySource: { type: 'string', stages: ['Processing'], required: true, maxLength: 100 },
+    energyConsumptionProcessing: { type: 'number', min: 0, unit: 'MJ/kg', inputUnit: 'kWh/t', stages: ['Processing'], required: true },
+    // Nothing is produced at 0% recovery, so the feed per kg would be unbounded
+    recoveryRate: { ...percentage, exclusiveMin: 0, stages: ['Processing'] },
+    waterConsumptionProcessing: { type: 'number', min: 0, unit: 'L/kg', inputUnit: 'L/t', stages: ['Processing'] },
+    processingRoute: { type: 'string', stages: ['Processing', 'Manufacturing'], maxLength: 100 },
+
+    // Manufacturing
+    recycledInputRate: { ...percentage, stages: ['Manufacturing'] },
+    manufacturingWaste: { type: 'number', min: 0, unit: 'kg/kg', inputUnit: 'kg/t', stages: ['Manufacturing'] },
+    energyConsumptionManufacturing: { type: 'number', min: 0, unit: 'MJ/kg', inputUnit: 'kWh/t', stages: ['Manufacturing'] },
+
+    // Distribution
+    transportMode: { type: 'string', stages: ['Distribution'], required: true, maxLength: 50 },
+    transportDistances: { type: 'distances', min: 0, unit: 'km', stages: ['Distribution'], required: true },
+    packaging: { type: 'string', stages: ['Distribution'], maxLength: 200 },
+    loadFactor: { ...percentage, stages: ['Distribution'] },
+
+    // Use Phase
+    productLifetime: { type: 'number', min: 0, max: 200, unit: 'years', stages: ['Use Phase'] },
+    energyConsumptionUse: { type: 'number', min: 0, unit: 'MJ/kg', inputUnit: 'kWh/t', stages: ['Use Phase'] },
+    maintenanceFrequency: { type: 'number', min: 0, unit: 'per year', stages: ['Use Phase'] },
+
+    // End of Life
+    recyclingRate: { ...percentage, stages: ['End of Life'] },
+    reuseRate: { ...percentage, stages: ['End of Life'] },
+    disposalRoute: { type: 'string', stages: ['End of Life'], maxLength: 100 },
+    wasteGeneration: { type: 'number', min: 0, unit: 'kg/kg', inputUnit: 'kg/t', stages: ['End of Life'] },
+
+    // Impact Analysis (informational only; impacts are calculated server-side)
+    globalWarmingPotential: { type: 'number', min: 0, unit: 'kg CO2-eq/kg', stages: ['Impact Analysis'] },
+    waterScarcityFootprint: { type: 'number', min: 0, unit: 'm3 world-eq/kg', stages: ['Impact Analysis'] },
+    cumulativeEnergyDemand: { type: 'number', min: 0, unit: 'MJ/kg', stages: ['Impact Analysis'] },
+    acidificationPotential: { type: 'number', min: 0, unit: 'kg SO2-eq/kg', stages: ['Impact Analysis'] },
+    eutrophicationPotential: { type: 'number', min: 0, unit: 'kg PO4-eq/kg', stages: ['Impact Analysis'] }
+};
+
+/**
+ * Validation modes:
+ * - 'partial': type and range checks only (suggestions, templates)
+ * - 'complete': every required field of every stage must be present
+ * - 'stage': required fields of the given stages must be present
+ */
+export const VALIDATION_MODES = ['partial', 'complete', 'stage'];
+
+/**
+ * Converts a numeric string to a number; other values are returned unchanged
+ * @param {*} value
+ * @returns {*}
+ */
+function coerceNumber(value) {
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    return value;
+}
+
+/**
+ * Checks a number against a field's range
+ * @param {string} field - Field name for the message
+ * @param {number} value
+ * @param {object} definition - Field definition
+ * @returns {string|null} Error message, or null if the value is in range
+ */
+function rangeError(field, value, definition) {
+    const unit = definition.unit ? ` ${definition.unit}` : '';
+    if (definition.min !== undefined && value < definition.min) {
+        return `${field} must be at least ${definition.min}${unit}`;
+    }
+    if (definition.exclusiveMin !== undefined && value <= definition.exclusiveMin) {
+        return `${field} must be more than ${definition.exclusiveMin}${unit}`;
+    }
+    if (definition.max !== undefined && value > definition.max) {
+        return `${field} must be at most ${definition.max}${unit}`;
+    }
+    return null;
+}
+
+/**
+ * Validates and normalises one field value
+ * @param {string} field - Field name
+ * @param {*} raw - Submitted value
+ * @param {object} definition - Field definition
+ * @param {string} inputUnits - 'form' to read plain numbers in inputUnit, 'canonical' in unit
+ * @returns {{value: *, errors: {field: string, message: string}[]}}
+ */
+function validateField(field, raw, definition, inputUnits = 'form') {
+    const errors = [];
+
+    if (definition.type === 'string') {
+        if (typeof raw !== 'string') {
+            errors.push({ field, message: `${field} must be a string` });
+        } else if (definition.maxLength && raw.length > definition.maxLength) {
+            errors.push({ field, message: `${field} must be at most ${definition.maxLength} characters` });
+        }
+        return { value: typeof raw === 'string' ? raw.trim() : raw, errors };
+    }
+
+    if (definition.type === 'number') {
+        const defaultUnit = inputUnits === 'canonical' ? definition.unit : definition.inputUnit || definition.unit;
+        const quantity = readQuantity(raw, defaultUnit);
+        const number = coerceNumber(quantity.value);
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            errors.push({ field, message: `${field} must be a number${definition.unit ? ` in ${definition.unit}` : ''}` });
+            return { value: raw, errors };
+        }
+
+        let value = number;
+        if (definition.unit) {
+            if (!isCompatible(quantity.unit, definition.unit)) {
+                errors.push({ field, message: `${field} has unit '${quantity.unit}', which cannot be converted to ${definition.unit}` });
+                return { value: raw, errors };
+            }
+            value = convert(number, quantity.unit, definition.unit);
+        }
+
+        const message = rangeError(field, value, definition);
+        if (message) errors.push({ field, message });
+        return { value, errors };
+    }
+
+    if (definition.type === 'distances') {
+        // A single distance or an object of named legs
+        if (raw && typeof raw === 'object' && !Array.isArray(raw) && !isQuantity(raw)) {
+            const legs = {};
+            Object.entries(raw).forEach(([leg, legValue]) => {
+                const result = validateField(`${field}.${leg}`, legValue, { ...definition, type: 'number' }, inputUnits);
+                legs[leg] = result.value;
+                errors.push(...result.errors);
+            });
+            return { value: legs, errors };
+        }
+        return validateField(field, raw, { ...definition, type: 'number' }, inputUnits);
+    }
+
+    return { value: raw, errors };
+}
+
+/**
+ * Checks whether a value counts as provided for a required field
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPresent(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Validates LCA form data against the input schema.
+ * Known fields are type-checked, range-checked and normalised (numeric
+ * strings become numbers); unknown fields are passed through untouched.
+ * @param {object} formData - Submitted form data
+ * @param {object} [options]
+ * @param {string} [options.mode='partial'] - 'partial', 'complete' or 'stage'
+ * @param {string[]} [options.stages] - Stages whose required fields apply in 'stage' mode
+ * @param {string} [options.inputUnits='form'] - Unit of plain numbers: 'form' (inputUnit) or 'canonical'
+ * @returns {{valid: boolean, errors: {field: string, message: string}[], data: object}}
+ */
+export function validateFormData(formData, { mode = 'partial', stages = [], inputUnits = 'form' } = {}) {
+    if (!formData || typeof formData !== 'object' || Array.isArray(formData)) {
+        return {
+            valid: false,
+            errors: [{ field: 'formData', message: 'formData must be an object' }],
+            data: formData
+        };
+    }
+
+    const errors = [];
+    const data = { ...formData };
+
+    Object.entries(LCA_INPUT_FIELDS).forEach(([field, definition]) => {
+        const raw = formData[field];
+
+        if (!isPresent(raw)) {
+            const needed = definition.required && (mode === 'complete'
+                || (mode === 'stage' && definition.stages.some(stage => stages.includes(stage))));
+            if (needed) {
+                errors.push({ field, message: `${field} is required` });
+            }
+            return;
+        }
+
+        const result = validateField(field, raw, definition, inputUnits);
+        data[field] = result.value;
+        errors.push(...result.errors);
+    });
+
+    return { valid: errors.length === 0, errors, data };
+}
+
+/**
+ * Converts the numeric fields of normalised form data into a unit system for display
+ * @param {object} formData - Form data in canonical units
+ * @param {string} system - Unit system name
+ * @returns {{values: object, units: object}} Converted values and the unit of each
+ */
+export function formDataForDisplay(formData = {}, system) {
+    const values = { ...formData };
+    const units = {};
+
+    Object.entries(LCA_INPUT_FIELDS).forEach(([field, definition]) => {
+        const value = formData[field];
+        if (!definition.unit || value === undefined || value === null) return;
+
+        try {
+            if (definition.type === 'distances' && typeof value === 'object') {
+                values[field] = Object.fromEntries(
+                    Object.entries(value).map(([leg, legValue]) => [leg, toDisplay(legValue, definition.unit, system).value])
+                );
+                units[field] = toDisplay(0, definition.unit, system).unit;
+                return;
+            }
+
+            const converted = toDisplay(value, definition.unit, system);
+            values[field] = converted.value;
+            units[field] = converted.unit;
+        } catch (error) {
+            if (!(error instanceof UnitError)) throw error;
+            units[field] = definition.unit;
+        }
+    });
+
+    return { values, units };
+}
+
+/**
+ * Lists the numeric fields with their canonical units
+ * @returns {object} Field name to unit
+ */
+export function numericFieldUnits() {
+    return Object.fromEntries(
+        Object.entries(LCA_INPUT_FIELDS)
+            .filter(([, definition]) => definition.type === 'number' || definition.type === 'distances')
+            .map(([field, definition]) => [field, definition.unit || null])
+    );
+}
+
+/**
+ * Describes the schema for clients: field types, ranges, units and the
+ * stages that require them
+ * @returns {object}
+ */
+export function describeInputSchema() {
+    return {
+        stages: LCA_STAGES,
+        fields: LCA_INPUT_FIELDS,
+        inputUnits: {
+            form: 'Plain numbers are read in each field\'s inputUnit (default when creating or analysing)',
+            canonical: 'Plain numbers are read in each field\'s canonical unit, as returned by the API (default when updating)'
+        }
+    };
+}
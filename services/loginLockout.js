@@ -0,0 +1,83 @@
+// src/services/loginLockout.js
+
+import User from '../models/User.js';
+import { getRateLimitConfig } from './rateLimit/config.js';
+
+/**
+ * How long an account stays locked after a number of consecutive failures:
+ * nothing below the threshold, then the base time doubling with each
+ * further failure, up to the maximum
+ * @param {number} failedAttempts
+ * @param {object} [lockout] - Lockout settings from getRateLimitConfig
+ * @returns {number} Milliseconds
+ */
+export function lockoutDuration(failedAttempts, lockout = getRateLimitConfig().lockout) {
+    if (failedAttempts < lockout.threshold) return 0;
+    return Math.min(lockout.baseMs * 2 ** (failedAttempts - lockout.threshold), lockout.maxMs);
+}
+
+/**
+ * Time left on an account's lock
+ * @param {object} user
+ * @returns {number} Milliseconds, 0 when not locked
+ */
+export function lockoutRemaining(user) {
+    const lockedUntil = user.loginLockout && user.loginLockout.lockedUntil;
+    return lockedUntil ? Math.max(0, new Date(lockedUntil).getTime() - Date.now()) : 0;
+}
+
+/**
+ * Counts a failed password or second-factor attempt and locks the account
+ * once there have been too many in a row
+ * @param {object} user
+ * @returns {Promise<number>} Milliseconds the account is now locked for, 0 if not
+ */
+export async function recordFailedLogin(user) {
+    const { lockout } = getRateLimitConfig();
+    const now = new Date();
+    const lastFailedAt = user.loginLockout && user.loginLockout.lastFailedAt;
+    const stale = !lastFailedAt || now - new Date(lastFailedAt) > lockout.resetAfterMs;
+
+    // $inc keeps concurrent failures from overwriting each other's count
+    const updated = await User.findByIdAndUpdate(
+        user._id,
+        stale
+            ? { $set: { 'loginLockout.failedAttempts': 1, 'loginLockout.lastFailedAt': now } }
+            : { $inc: { 'loginLockout.failedAttempts': 1 }, $set: { 'loginLockout.lastFailedAt': now } },
+        { new: true }
+    ).select('loginLockout');
+    if (!updated) return 0;
+
+    const duration = lockoutDuration(updated.loginLockout.failedAttempts, lockout);
+    if (duration > 0) {
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { 'loginLockout.lockedUntil': new Date(now.getTime() + duration) } }
+        );
+        console.warn(`Account ${user._id} locked for ${Math.round(duration / 1000)}s after ${updated.loginLockout.failedAttempts} failed logins`);
+    }
+    return duration;
+}
+
+/**
+ * Clears the failure count after a successful login
+ * @param {object} user
+ * @returns {Promise<void>}
+ */
+export async function clearFailedLogins(user) {
+    if (!user.loginLockout || (!user.loginLockout.failedAttempts && !user.loginLockout.lockedUntil)) return;
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { 'loginLockout.failedAttempts': 0 }, $unset: { 'loginLockout.lockedUntil': '', 'loginLockout.lastFailedAt': '' } }
+    );
+}
+
+/**
+ * Message for a locked account
+ * @param {number} remainingMs
+ * @returns {string}
+ */
+export function lockoutMessage(remainingMs) {
+    const minutes = Math.ceil(remainingMs / 60000);
+    return `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
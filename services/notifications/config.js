@@ -0,0 +1,55 @@
+// src/services/notifications/config.js
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * Reads a numeric environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function numberFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Resolves the notification configuration from the environment.
+ *
+ * NOTIFICATION_TRANSPORT selects how messages leave the server: 'smtp',
+ * 'file' (writes each message to NOTIFICATION_OUTBOX_DIR) or 'console'.
+ * Without it, SMTP is used when SMTP_HOST is set and the console otherwise.
+ * @returns {object}
+ */
+export function getNotificationConfig() {
+    return {
+        transport: process.env.NOTIFICATION_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'),
+        from: process.env.MAIL_FROM || 'CircuMetal <no-reply@circumetal.local>',
+        appUrl: (process.env.APP_URL || 'http://localhost:5173').replace(/\/+$/, ''),
+        outboxDir: process.env.NOTIFICATION_OUTBOX_DIR || 'outbox',
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: numberFromEnv('SMTP_PORT', 587),
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        },
+        queue: {
+            maxAttempts: numberFromEnv('NOTIFICATION_MAX_ATTEMPTS', 5),
+            // First retry after this many ms, doubling for each further attempt
+            retryBaseMs: numberFromEnv('NOTIFICATION_RETRY_BASE_MS', 30000),
+            pollIntervalMs: numberFromEnv('NOTIFICATION_POLL_INTERVAL_MS', 10000),
+            batchSize: numberFromEnv('NOTIFICATION_BATCH_SIZE', 20)
+        }
+    };
+}
+
+/**
+ * Absolute link into the web app for use in messages
+ * @param {string} pathname - App path, e.g. '/reports/123'
+ * @returns {string}
+ */
+export function appLink(pathname) {
+    return `${getNotificationConfig().appUrl}${pathname}`;
+}
@@ -0,0 +1,244 @@
+// src/services/notifications/index.js
+
+import Notification from '../../models/Notification.js';
+import User from '../../models/User.js';
+import { getNotificationConfig } from './config.js';
+import { renderTemplate } from './templates.js';
+import smtpTransport from './transports/smtpTransport.js';
+import fileTransport from './transports/fileTransport.js';
+import consoleTransport from './transports/consoleTransport.js';
+
+// How long a claimed message may stay 'sending' before another worker retries it
+const SEND_LEASE_MS = 5 * 60 * 1000;
+
+const transports = new Map();
+
+/**
+ * Registers a transport. A transport is an object with a `name` and an
+ * async `send({ from, to, subject, text, html })` method resolving to
+ * `{ messageId }`; it throws when the message could not be handed over.
+ * @param {object} transport - Transport adapter
+ */
+export function registerTransport(transport) {
+    transports.set(transport.name, transport);
+}
+
+registerTransport(smtpTransport);
+registerTransport(fileTransport);
+registerTransport(consoleTransport);
+
+/**
+ * Names of the registered transports
+ * @returns {string[]}
+ */
+export function listTransports() {
+    return [...transports.keys()];
+}
+
+/**
+ * A transport by name, defaulting to the one configured for this environment
+ * @param {string} [name] - Transport name
+ * @returns {object}
+ */
+export function getTransport(name) {
+    const transport = name || getNotificationConfig().transport;
+    if (!transports.has(transport)) {
+        throw new Error(`Unknown notification transport '${transport}'. Available: ${listTransports().join(', ')}`);
+    }
+    return transports.get(transport);
+}
+
+/**
+ * Checks a user's notification preferences allow a message category.
+ * emailAlerts switches off every non-transactional message.
+ * @param {object} user - User document or plain object with preferences
+ * @param {string|null} category - Preference flag, null for transactional messages
+ * @returns {boolean}
+ */
+export function allowsCategory(user, category) {
+    if (!category) return true;
+    const preferences = user && user.preferences && user.preferences.notifications;
+    if (!preferences) return true;
+    return preferences.emailAlerts !== false && preferences[category] !== false;
+}
+
+/**
+ * Renders a templated message and queues it for sending, unless the
+ * recipient's preferences turn that kind of message off
+ * @param {object} options
+ * @param {string} options.template - Key of TEMPLATES
+ * @param {object|string} [options.user] - Recipient account (document or ID)
+ * @param {string} [options.to] - Recipient address when there is no account
+ * @param {object} [options.data] - Values for the template
+ * @param {string} [options.transport] - Send through this transport instead of the default
+ * @returns {Promise<{queued: boolean, notification?: object, reason?: string}>}
+ */
+export async function notify({ template, user, to, data = {}, transport }) {
+    const rendered = renderTemplate(template, data);
+    if (transport) getTransport(transport); // fail now rather than in the queue
+
+    let recipient = user;
+    if (recipient && !recipient.email) {
+        recipient = await User.findById(recipient).select('email preferences');
+    }
+
+    const address = recipient ? recipient.email : to;
+    if (!address) {
+        return { queued: false, reason: 'No recipient address' };
+    }
+
+    if (recipient && !allowsCategory(recipient, rendered.category)) {
+        return { queued: false, reason: `Recipient has turned off ${rendered.category}` };
+    }
+
+    const notification = await Notification.create({
+        user: recipient ? recipient._id : undefined,
+        to: address,
+        template,
+        category: rendered.category,
+        subject: rendered.subject,
+        text: rendered.text,
+        html: rendered.html,
+        transport,
+        maxAttempts: getNotificationConfig().queue.maxAttempts
+    });
+
+    // Send soon rather than waiting for the next poll
+    setImmediate(() => processQueue().catch(error => console.error('Error processing notification queue:', error)));
+
+    return { queued: true, notification };
+}
+
+/**
+ * Queues a notification without letting a failure break the caller's
+ * request. Used where the notification is a side effect.
+ * @param {object} options - See notify
+ * @returns {Promise<void>}
+ */
+export async function notifySafely(options) {
+    try {
+        await notify(options);
+    } catch (error) {
+        console.error(`Error queueing ${options.template} notification:`, error);
+    }
+}
+
+/**
+ * Delay before the next attempt, doubling with each failed attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+export function retryDelay(attempts) {
+    return getNotificationConfig().queue.retryBaseMs * 2 ** Math.max(attempts - 1, 0);
+}
+
+/**
+ * Claims the next due message so no other worker sends it at the same time
+ * @returns {Promise<object|null>}
+ */
+function claimNext() {
+    const now = new Date();
+    return Notification.findOneAndUpdate(
+        { status: { $in: ['queued', 'sending'] }, nextAttemptAt: { $lte: now } },
+        {
+            $set: { status: 'sending', nextAttemptAt: new Date(now.getTime() + SEND_LEASE_MS) },
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    );
+}
+
+/**
+ * Drops the rendered body of a message that will not be sent again. Bodies
+ * can hold single-use links (password reset, invitation) that should not
+ * outlive delivery; the subject and metadata stay for the record.
+ * @param {object} notification
+ */
+function clearBody(notification) {
+    notification.text = undefined;
+    notification.html = undefined;
+}
+
+/**
+ * Sends one claimed message, scheduling a retry or giving up on failure
+ * @param {object} notification - Claimed Notification
+ * @returns {Promise<boolean>} Whether it was sent
+ */
+async function deliver(notification) {
+    const { from } = getNotificationConfig();
+    try {
+        const transport = getTransport(notification.transport);
+        const result = await transport.send({
+            from,
+            to: notification.to,
+            subject: notification.subject,
+            text: notification.text,
+            html: notification.html
+        });
+
+        notification.status = 'sent';
+        notification.sentAt = new Date();
+        notification.transport = transport.name;
+        notification.messageId = result && result.messageId;
+        notification.lastError = undefined;
+        clearBody(notification);
+        await notification.save();
+        return true;
+    } catch (error) {
+        const exhausted = notification.attempts >= notification.maxAttempts;
+        notification.status = exhausted ? 'failed' : 'queued';
+        notification.nextAttemptAt = new Date(Date.now() + retryDelay(notification.attempts));
+        notification.lastError = error.message;
+        if (exhausted) clearBody(notification);
+        await notification.save();
+
+        console.error(`Notification ${notification._id} attempt ${notification.attempts} failed${exhausted ? ', giving up' : ''}:`, error.message);
+        return false;
+    }
+}
+
+let processing = false;
+
+/**
+ * Sends every message that is due, up to the configured batch size
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+export async function processQueue() {
+    // One run at a time per process; other processes are kept apart by claimNext
+    if (processing) return { sent: 0, failed: 0 };
+    processing = true;
+
+    const summary = { sent: 0, failed: 0 };
+    try {
+        const { batchSize } = getNotificationConfig().queue;
+
+        for (let i = 0; i < batchSize; i++) {
+            const notification = await claimNext();
+            if (!notification) break;
+
+            if (await deliver(notification)) {
+                summary.sent++;
+            } else {
+                summary.failed++;
+            }
+        }
+    } finally {
+        processing = false;
+    }
+    return summary;
+}
+
+/**
+ * Polls the queue in the background so retries go out when they are due
+ * @returns {NodeJS.Timeout} Interval handle (does not keep the process alive)
+ */
+export function startNotificationWorker() {
+    const { pollIntervalMs } = getNotificationConfig().queue;
+    const timer = setInterval(() => {
+        processQueue().catch(error => console.error('Error processing notification queue:', error));
+    }, pollIntervalMs);
+    timer.unref();
+    return timer;
+}
+
+export default notify;
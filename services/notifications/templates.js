@@ -0,0 +1,207 @@
+// src/services/notifications/templates.js
+
+/**
+ * Notification templates. Each has:
+ * - category: the User.preferences.notifications flag that must be on for
+ *   the message to be sent, or null for transactional messages (invitations,
+ *   security notices) that are always sent
+ * - subject(data): subject line
+ * - body(data): paragraphs of plain text
+ * - action(data): optional { label, url } rendered as a link
+ */
+export const TEMPLATES = {
+    'team.invitation': {
+        category: null,
+        subject: data => `${data.inviterName} invited you to ${data.organizationName} on CircuMetal`,
+        body: data => [
+            `${data.inviterName} has invited you to join ${data.organizationName} as ${article(data.role)} ${data.role}.`,
+            data.message ? `Their message: "${data.message}"` : null,
+            `The invitation expires on ${formatDate(data.expiresAt)}.`
+        ],
+        action: data => ({ label: 'Accept invitation', url: data.inviteUrl })
+    },
+
+    'auth.passwordReset': {
+        category: null,
+        subject: () => 'Reset your CircuMetal password',
+        body: data => [
+            `Hi ${data.userName}, someone asked to reset the password of your CircuMetal account.`,
+            `The link works once and expires at ${formatDateTime(data.expiresAt)}. If you did not ask for this, ignore this email; your password stays the same.`
+        ],
+        action: data => ({ label: 'Choose a new password', url: data.resetUrl })
+    },
+
+    'auth.passwordChanged': {
+        category: null,
+        subject: () => 'Your CircuMetal password was changed',
+        body: data => [
+            `Hi ${data.userName}, the password of your CircuMetal account was just reset and every device was signed out.`,
+            'If this was not you, reset your password again right away and contact your administrator.'
+        ]
+    },
+
+    'auth.emailVerification': {
+        category: null,
+        subject: data => (data.changing ? 'Confirm your new CircuMetal email address' : 'Confirm your CircuMetal email address'),
+        body: data => [
+            data.changing
+                ? `Hi ${data.userName}, confirm ${data.email} as the new email address of your CircuMetal account. Until you do, the old address stays in use.`
+                : `Hi ${data.userName}, confirm ${data.email} to finish setting up your CircuMetal account.`,
+            `The link expires at ${formatDateTime(data.expiresAt)}.`
+        ],
+        action: data => ({ label: 'Confirm email address', url: data.verifyUrl })
+    },
+
+    'auth.emailChanged': {
+        category: null,
+        subject: () => 'Your CircuMetal email address was changed',
+        body: data => [
+            `Hi ${data.userName}, the email address of your CircuMetal account was changed to ${data.email}. Messages now go there.`,
+            'If this was not you, contact your administrator.'
+        ]
+    },
+
+    'team.invitationAccepted': {
+        category: 'teamNotifications',
+        subject: data => `${data.memberName} joined ${data.organizationName}`,
+        body: data => [
+            `${data.memberName} (${data.memberEmail}) accepted your invitation and joined ${data.organizationName} as ${article(data.role)} ${data.role}.`
+        ]
+    },
+
+    'team.roleChanged': {
+        category: 'teamNotifications',
+        subject: data => `Your role in ${data.organizationName} changed`,
+        body: data => [
+            `${data.changedBy} changed your role in ${data.organizationName} to ${data.role}.`
+        ]
+    },
+
+    'report.shared': {
+        category: 'projectUpdates',
+        subject: data => `${data.sharedBy} shared "${data.reportName}" with you`,
+        body: data => [
+            `${data.sharedBy} gave you ${data.access} access to the LCA report "${data.reportName}".`
+        ],
+        action: data => ({ label: 'Open report', url: data.reportUrl })
+    },
+
+    'report.approved': {
+        category: 'projectUpdates',
+        subject: data => `"${data.reportName}" was approved`,
+        body: data => [
+            `${data.approvedBy} approved your LCA report "${data.reportName}".`,
+            data.comment ? `Comment: "${data.comment}"` : null
+        ],
+        action: data => ({ label: 'Open report', url: data.reportUrl })
+    },
+
+    'digest.weekly': {
+        category: 'weeklyReports',
+        subject: data => `Your CircuMetal week: ${data.periodLabel}`,
+        body: data => [
+            `Hi ${data.userName}, here is your LCA summary for ${data.periodLabel}.`,
+            data.newReports.length > 0
+                ? `New reports (${data.newReports.length}):\n${data.newReports.map(report => `- ${report.name} (${report.metalType})`).join('\n')}`
+                : 'You did not create any reports this week.',
+            data.metrics.length > 0
+                ? `Average impacts per kg of metal compared with the week before:\n${data.metrics.map(describeMetricChange).join('\n')}`
+                : null,
+            data.awaitingReview.length > 0
+                ? `Reports awaiting your review (${data.awaitingReview.length}):\n${data.awaitingReview.map(report => `- ${report.name}${report.organization ? ` in ${report.organization}` : ''}`).join('\n')}`
+                : null
+        ],
+        action: data => ({ label: 'Open dashboard', url: data.dashboardUrl })
+    }
+};
+
+/**
+ * One line of the weekly digest's metric comparison
+ * @param {object} metric - { label, current, previous, change, unit }
+ * @returns {string}
+ */
+function describeMetricChange(metric) {
+    const current = `${formatNumber(metric.current)} ${metric.unit}`;
+    if (metric.previous === null) return `- ${metric.label}: ${current} (no reports the week before)`;
+    if (metric.change === null) return `- ${metric.label}: ${current}`;
+    const sign = metric.change > 0 ? '+' : '';
+    return `- ${metric.label}: ${current} (${sign}${metric.change}% vs ${formatNumber(metric.previous)})`;
+}
+
+/**
+ * Rounds a number to three significant figures for message bodies
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+    return Number.isFinite(value) ? String(Number(value.toPrecision(3))) : 'n/a';
+}
+
+/**
+ * "a" or "an" for a word
+ * @param {string} word
+ * @returns {string}
+ */
+function article(word) {
+    return /^[aeiou]/i.test(String(word)) ? 'an' : 'a';
+}
+
+/**
+ * Formats a date for message bodies
+ * @param {Date|string} value
+ * @returns {string}
+ */
+function formatDate(value) {
+    return new Date(value).toISOString().split('T')[0];
+}
+
+/**
+ * Formats a date and time to the minute, in UTC
+ * @param {Date|string} value
+ * @returns {string}
+ */
+function formatDateTime(value) {
+    return `${new Date(value).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Escapes text for inclusion in HTML
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders a template into the subject and plain-text and HTML bodies
+ * @param {string} name - Key of TEMPLATES
+ * @param {object} data - Values the template refers to
+ * @returns {{subject: string, text: string, html: string, category: string|null}}
+ */
+export function renderTemplate(name, data = {}) {
+    const template = TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown notification template: ${name}`);
+    }
+
+    const paragraphs = template.body(data).filter(Boolean);
+    const action = template.action ? template.action(data) : null;
+
+    const text = [
+        ...paragraphs,
+        action && action.url ? `${action.label}: ${action.url}` : null
+    ].filter(Boolean).join('\n\n');
+
+    const html = [
+        ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`),
+        action && action.url ? `<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>` : null
+    ].filter(Boolean).join('\n');
+
+    return { subject: template.subject(data), text, html, category: template.category };
+}
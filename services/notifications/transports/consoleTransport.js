@@ -0,0 +1,18 @@
+// src/services/notifications/transports/consoleTransport.js
+
+import crypto from 'crypto';
+
+export default {
+    name: 'console',
+
+    /**
+     * Logs the message instead of sending it
+     * @param {object} message - { from, to, subject, text }
+     * @returns {Promise<{messageId: string}>}
+     */
+    async send(message) {
+        const messageId = `console-${crypto.randomBytes(6).toString('hex')}`;
+        console.log(`[notification] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+        return { messageId };
+    }
+};
@@ -0,0 +1,27 @@
+// src/services/notifications/transports/fileTransport.js
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getNotificationConfig } from '../config.js';
+
+export default {
+    name: 'file',
+
+    /**
+     * Writes the message as JSON into the outbox directory instead of sending
+     * it. Useful in development and tests to inspect what would be sent.
+     * @param {object} message - { from, to, subject, text, html }
+     * @returns {Promise<{messageId: string, path: string}>}
+     */
+    async send(message) {
+        const { outboxDir } = getNotificationConfig();
+        const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const file = path.join(outboxDir, `${messageId}.json`);
+
+        await fs.mkdir(outboxDir, { recursive: true });
+        await fs.writeFile(file, JSON.stringify({ ...message, messageId, writtenAt: new Date() }, null, 2));
+
+        return { messageId, path: file };
+    }
+};
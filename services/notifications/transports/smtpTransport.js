@@ -0,0 +1,38 @@
+// src/services/notifications/transports/smtpTransport.js
+
+import nodemailer from 'nodemailer';
+import { getNotificationConfig } from '../config.js';
+
+let transporter;
+
+/**
+ * Lazily creates the nodemailer transport so SMTP settings are only needed
+ * when this transport is in use
+ * @returns {object}
+ */
+function getTransporter() {
+    if (!transporter) {
+        const { smtp } = getNotificationConfig();
+        transporter = nodemailer.createTransport({
+            host: smtp.host,
+            port: smtp.port,
+            secure: smtp.secure,
+            auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+        });
+    }
+    return transporter;
+}
+
+export default {
+    name: 'smtp',
+
+    /**
+     * Sends a message through the configured SMTP server
+     * @param {object} message - { from, to, subject, text, html }
+     * @returns {Promise<{messageId: string}>}
+     */
+    async send(message) {
+        const info = await getTransporter().sendMail(message);
+        return { messageId: info.messageId };
+    }
+};
@@ -0,0 +1,122 @@
+// src/services/organizationContext.js
+
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import { TeamMember } from '../models/teamModel.js';
+
+/**
+ * Works out which organization a request acts in. An explicitly requested
+ * organization (X-Organization-Id header) wins over the user's saved active
+ * organization, which wins over their oldest active membership.
+ * @param {object} user - Authenticated user
+ * @param {string} [requestedId] - Organization named by the request
+ * @returns {Promise<{organization: object|null, membership: object|null, denied: boolean}>}
+ *   denied is true when the requested organization is not one the user belongs to
+ */
+export async function resolveOrganizationContext(user, requestedId) {
+    const none = { organization: null, membership: null, denied: false };
+    if (!user) return none;
+
+    if (requestedId) {
+        const membership = mongoose.Types.ObjectId.isValid(requestedId)
+            ? await findMembership(user._id, requestedId)
+            : null;
+        return membership
+            ? { organization: membership.organization, membership, denied: false }
+            : { ...none, denied: true };
+    }
+
+    let membership = user.activeOrganization
+        ? await findMembership(user._id, user.activeOrganization)
+        : null;
+
+    // Fall back when the saved organization was left or never set
+    if (!membership) {
+        membership = await TeamMember.findOne({ user: user._id, status: 'Active' })
+            .sort({ addedDate: 1 })
+            .populate('organization');
+    }
+
+    if (!membership || !membership.organization) return none;
+    return { organization: membership.organization, membership, denied: false };
+}
+
+/**
+ * Active membership of a user in one organization
+ * @param {object} userId
+ * @param {object|string} organizationId
+ * @returns {Promise<object|null>} TeamMember with organization populated
+ */
+export async function findMembership(userId, organizationId) {
+    const membership = await TeamMember.findOne({
+        user: userId,
+        organization: organizationId,
+        status: 'Active'
+    }).populate('organization');
+
+    // Organization deleted underneath the membership
+    return membership && membership.organization ? membership : null;
+}
+
+/**
+ * ID of the organization a request acts in, or null for personal data
+ * @param {object} req - Express request object
+ * @returns {object|null}
+ */
+export function organizationIdOf(req) {
+    return req.organization ? req.organization._id : null;
+}
+
+/**
+ * Filter restricting a query on an organization-owned collection to the
+ * request's organization
+ * @param {object} req - Express request object
+ * @returns {{organization: object|null}}
+ */
+export function tenantFilter(req) {
+    return { organization: organizationIdOf(req) };
+}
+
+/**
+ * Builds a unique URL-safe slug from an organization name
+ * @param {string} name
+ * @returns {Promise<string>}
+ */
+export async function uniqueSlug(name) {
+    const base = String(name)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 48) || 'organization';
+
+    let slug = base;
+    for (let n = 2; await Organization.exists({ slug }); n++) {
+        slug = `${base}-${n}`;
+    }
+    return slug;
+}
+
+/**
+ * Creates an organization and makes the creator its first Admin
+ * @param {string} name
+ * @param {object} user - Creating user
+ * @returns {Promise<{organization: object, membership: object}>}
+ */
+export async function createOrganization(name, user) {
+    const organization = await Organization.create({
+        name,
+        slug: await uniqueSlug(name),
+        createdBy: user._id
+    });
+
+    const membership = await TeamMember.create({
+        organization: organization._id,
+        user: user._id,
+        role: 'Admin',
+        status: 'Active',
+        addedBy: user._id
+    });
+
+    return { organization, membership };
+}
@@ -0,0 +1,90 @@
+// src/services/permissions.js
+
+import { USER_ROLES } from '../models/User.js';
+
+/**
+ * Role used for requests without a logged-in user
+ */
+export const ANONYMOUS_ROLE = 'Anonymous';
+
+/**
+ * Permission matrix: which roles may perform each action. Report-level
+ * access (owner, shared viewer/editor) is checked separately by the
+ * authorizeReport middleware; a permission only says whether the role may
+ * attempt the action at all.
+ */
+export const PERMISSIONS = {
+    // LCA analysis (AI suggestions, node insights, impact calculation)
+    'lca:analyze': [ANONYMOUS_ROLE, ...USER_ROLES],
+
+    // Reports (anonymous callers can only read reports they hold a claim token for)
+    'reports:read': [ANONYMOUS_ROLE, ...USER_ROLES],
+    'reports:create': ['Admin', 'Analyst', 'Collaborator'],
+    'reports:update': ['Admin', 'Analyst', 'Collaborator'],
+    'reports:delete': ['Admin', 'Analyst'],
+    'reports:share': ['Admin', 'Analyst'],
+    'reports:approve': ['Admin', 'Auditor'],
+
+    // Templates
+    'templates:read': [ANONYMOUS_ROLE, ...USER_ROLES],
+    'templates:write': ['Admin', 'Analyst'],
+
+    // Saved column mappings for bulk inventory imports (running an import needs reports:create)
+    'importMappings:write': ['Admin', 'Analyst'],
+
+    // Dashboard analytics and benchmarks
+    'analytics:read': USER_ROLES,
+    'benchmarks:manage': ['Admin'],
+
+    // Emission factor library (changes are stored as revisions)
+    'emissionFactors:read': USER_ROLES,
+    'emissionFactors:manage': ['Admin'],
+
+    // Team (members and invitations of the active organization)
+    'team:read': USER_ROLES,
+    'team:manage': ['Admin'],
+
+    // Organizations
+    'organizations:create': USER_ROLES,
+    'organization:manage': ['Admin'],
+
+    // Users
+    'profile:read': USER_ROLES,
+    'profile:update': USER_ROLES,
+    'users:manage': ['Admin']
+};
+
+/**
+ * Role the permission matrix applies to for a request. Inside an
+ * organization that is the caller's membership role; outside one it is the
+ * role on their account.
+ * @param {object} req - Express request object
+ * @returns {string}
+ */
+export function requestRole(req) {
+    if (!req.user) return ANONYMOUS_ROLE;
+    return req.membership ? req.membership.role : req.user.role;
+}
+
+/**
+ * Checks whether a role grants a permission
+ * @param {string} role - One of USER_ROLES or ANONYMOUS_ROLE
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean}
+ */
+export function can(role, permission) {
+    const roles = PERMISSIONS[permission];
+    if (!roles) {
+        throw new Error(`Unknown permission: ${permission}`);
+    }
+    return roles.includes(role);
+}
+
+/**
+ * Every permission granted to a role
+ * @param {string} role
+ * @returns {string[]}
+ */
+export function permissionsForRole(role) {
+    return Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+}
@@ -0,0 +1,60 @@
+// src/services/rateLimit/config.js
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Reads a numeric environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function numberFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Resolves rate limiting and login lockout settings from the environment.
+ *
+ * RATE_LIMIT_STORE selects where counters live: 'memory' (one process) or
+ * 'mongo' (shared by every instance behind a load balancer).
+ * RATE_LIMIT_ENABLED=false turns the request limits off; lockout stays on.
+ * @returns {object}
+ */
+export function getRateLimitConfig() {
+    return {
+        enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+        store: process.env.RATE_LIMIT_STORE || 'memory',
+        limits: {
+            // Login and 2FA attempts per IP address
+            login: {
+                windowMs: numberFromEnv('LOGIN_RATE_LIMIT_WINDOW_MS', 15 * MINUTE_MS),
+                max: numberFromEnv('LOGIN_RATE_LIMIT_MAX', 20)
+            },
+            // Requests that send email (password reset, verification) per IP address
+            accountEmail: {
+                windowMs: numberFromEnv('ACCOUNT_EMAIL_RATE_LIMIT_WINDOW_MS', HOUR_MS),
+                max: numberFromEnv('ACCOUNT_EMAIL_RATE_LIMIT_MAX', 5)
+            },
+            // AI calls: per user when logged in, per IP address otherwise
+            ai: {
+                windowMs: numberFromEnv('AI_RATE_LIMIT_WINDOW_MS', HOUR_MS),
+                userMax: numberFromEnv('AI_RATE_LIMIT_USER_MAX', 60),
+                anonymousMax: numberFromEnv('AI_RATE_LIMIT_ANONYMOUS_MAX', 10)
+            }
+        },
+        lockout: {
+            // Consecutive failed logins before the account is locked
+            threshold: numberFromEnv('LOGIN_LOCKOUT_THRESHOLD', 5),
+            // First lock; doubles with each further failure up to maxMs
+            baseMs: numberFromEnv('LOGIN_LOCKOUT_BASE_MS', MINUTE_MS),
+            maxMs: numberFromEnv('LOGIN_LOCKOUT_MAX_MS', HOUR_MS),
+            // Failures older than this no longer count
+            resetAfterMs: numberFromEnv('LOGIN_LOCKOUT_RESET_MS', 24 * HOUR_MS)
+        }
+    };
+}
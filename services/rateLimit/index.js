@@ -0,0 +1,59 @@
+// src/services/rateLimit/index.js
+
+import { getRateLimitConfig } from './config.js';
+import memoryStore from './stores/memoryStore.js';
+import mongoStore from './stores/mongoStore.js';
+
+const stores = new Map();
+
+/**
+ * Registers a counter store. A store is an object with a `name`, an async
+ * `increment(key, windowMs)` resolving to `{ count, resetAt }` for the
+ * current window, and an async `reset(key)`.
+ * @param {object} store - Store adapter
+ */
+export function registerRateLimitStore(store) {
+    stores.set(store.name, store);
+}
+
+registerRateLimitStore(memoryStore);
+registerRateLimitStore(mongoStore);
+
+/**
+ * A store by name, defaulting to the one configured for this environment
+ * @param {string} [name] - Store name
+ * @returns {object}
+ */
+export function getRateLimitStore(name) {
+    const store = name || getRateLimitConfig().store;
+    if (!stores.has(store)) {
+        throw new Error(`Unknown rate limit store '${store}'. Available: ${[...stores.keys()].join(', ')}`);
+    }
+    return stores.get(store);
+}
+
+/**
+ * Counts a hit against a limit
+ * @param {string} key - What is being limited, e.g. 'login:ip:1.2.3.4'
+ * @param {object} limit - { windowMs, max }
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetAt: Date, retryAfterMs: number}>}
+ */
+export async function hit(key, { windowMs, max }) {
+    const { count, resetAt } = await getRateLimitStore().increment(key, windowMs);
+    return {
+        allowed: count <= max,
+        limit: max,
+        remaining: Math.max(0, max - count),
+        resetAt,
+        retryAfterMs: Math.max(0, new Date(resetAt).getTime() - Date.now())
+    };
+}
+
+/**
+ * Forgets the hits counted against a key
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export function resetLimit(key) {
+    return getRateLimitStore().reset(key);
+}
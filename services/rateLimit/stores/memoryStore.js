@@ -0,0 +1,44 @@
+// src/services/rateLimit/stores/memoryStore.js
+
+// Expired windows are swept at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const windows = new Map();
+let lastSweep = Date.now();
+
+/**
+ * Drops windows that have ended so the map does not grow without bound
+ * @param {number} now
+ */
+function sweep(now) {
+    if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = now;
+    for (const [key, entry] of windows) {
+        if (entry.resetAt <= now) windows.delete(key);
+    }
+}
+
+/**
+ * Counters in this process's memory. Each instance counts on its own, so
+ * use a shared store when running more than one.
+ */
+export default {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        sweep(now);
+
+        let entry = windows.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            windows.set(key, entry);
+        }
+        entry.count++;
+        return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    async reset(key) {
+        windows.delete(key);
+    }
+};
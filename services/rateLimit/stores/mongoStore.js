@@ -0,0 +1,40 @@
+// src/services/rateLimit/stores/mongoStore.js
+
+import RateLimitCounter from '../../../models/RateLimitCounter.js';
+
+/**
+ * Counters in MongoDB, shared by every instance of the server
+ */
+export default {
+    name: 'mongo',
+
+    async increment(key, windowMs, attempt = 0) {
+        const now = new Date();
+        const inWindow = { $gt: ['$resetAt', now] };
+
+        try {
+            // One atomic update: count up inside the window, start a new one after it
+            const counter = await RateLimitCounter.collection.findOneAndUpdate(
+                { key },
+                [{
+                    $set: {
+                        count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+                        resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + windowMs)] }
+                    }
+                }],
+                { upsert: true, returnDocument: 'after' }
+            );
+            return { count: counter.count, resetAt: counter.resetAt };
+        } catch (error) {
+            // Two first requests raced to create the counter; the loser retries as an update
+            if (error.code === 11000 && attempt === 0) {
+                return this.increment(key, windowMs, 1);
+            }
+            throw error;
+        }
+    },
+
+    async reset(key) {
+        await RateLimitCounter.deleteOne({ key });
+    }
+};
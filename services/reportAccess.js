@@ -0,0 +1,153 @@
+// src/services/reportAccess.js
+
+import crypto from 'crypto';
+import { TeamMember } from '../models/teamModel.js';
+import { organizationIdOf } from './organizationContext.js';
+
+/**
+ * Report access levels, ordered. Reports are private to their owner unless
+ * shared with the team or with specific users as viewer or editor. A report
+ * is only visible inside the organization it belongs to.
+ */
+export const ACCESS_LEVELS = {
+    none: 0,
+    viewer: 1,
+    editor: 2,
+    owner: 3
+};
+
+export const SHARE_LEVELS = ['viewer', 'editor'];
+
+/**
+ * Team membership of a user in the organization a request acts in: whether
+ * they are an active member and the IDs of every active member
+ * @param {object} user - Authenticated user
+ * @param {object|null} organizationId - Active organization, null for personal data
+ * @returns {Promise<{organizationId: object|null, isMember: boolean, userIds: Array}>}
+ *   userIds are ObjectIds, usable in aggregation pipelines
+ */
+export async function getTeamContext(user, organizationId = null) {
+    if (!user || !organizationId) return { organizationId: null, isMember: false, userIds: [] };
+
+    const userIds = await TeamMember.distinct('user', { organization: organizationId, status: 'Active' });
+    return {
+        organizationId,
+        isMember: userIds.some(id => id.toString() === user._id.toString()),
+        userIds
+    };
+}
+
+/**
+ * Team context for the organization a request acts in
+ * @param {object} req - Express request object
+ * @returns {Promise<object>} See getTeamContext
+ */
+export function teamContextFor(req) {
+    return getTeamContext(req.user, organizationIdOf(req));
+}
+
+/**
+ * Checks a report belongs to the organization in a team context
+ * @param {object} report - Report document
+ * @param {object} teamContext - Result of getTeamContext
+ * @returns {boolean}
+ */
+export function inOrganization(report, teamContext) {
+    const reportOrg = report.organization ? report.organization.toString() : null;
+    const activeOrg = teamContext.organizationId ? teamContext.organizationId.toString() : null;
+    return reportOrg === activeOrg;
+}
+
+/**
+ * Hashes a claim token for storage and comparison
+ * @param {string} token
+ * @returns {string}
+ */
+export function hashClaimToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Creates a claim token for an anonymous report
+ * @returns {{token: string, hash: string}}
+ */
+export function createClaimToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, hash: hashClaimToken(token) };
+}
+
+/**
+ * Checks a claim token against the hash stored on an anonymous report
+ * @param {object} report - Report document with claimTokenHash selected
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function matchesClaimToken(report, token) {
+    if (report.user || !report.claimTokenHash || !token) return false;
+
+    const expected = Buffer.from(report.claimTokenHash, 'hex');
+    const actual = Buffer.from(hashClaimToken(token), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Works out what a user may do with a report
+ * @param {object} report - Report document
+ * @param {object} user - Authenticated user, or undefined
+ * @param {object} teamContext - Result of getTeamContext for the active organization
+ * @returns {Promise<string>} Key of ACCESS_LEVELS
+ */
+export async function getAccessLevel(report, user, teamContext) {
+    if (!user || !report.user) return 'none';
+    if (!inOrganization(report, teamContext)) return 'none';
+
+    const userId = user._id.toString();
+    if (report.user.toString() === userId) return 'owner';
+
+    let level = 'none';
+    const sharing = report.sharing || {};
+
+    const direct = (sharing.users || []).find(entry => entry.user && entry.user.toString() === userId);
+    if (direct) level = direct.access;
+
+    if (sharing.team && sharing.team !== 'none' && ACCESS_LEVELS[sharing.team] > ACCESS_LEVELS[level]) {
+        if (teamContext.isMember && teamContext.userIds.some(id => id.toString() === report.user.toString())) {
+            level = sharing.team;
+        }
+    }
+
+    return level;
+}
+
+/**
+ * Checks an access level against a required one
+ * @param {string} level - Level the user has
+ * @param {string} required - Level needed
+ * @returns {boolean}
+ */
+export function hasAccess(level, required) {
+    return ACCESS_LEVELS[level] >= ACCESS_LEVELS[required];
+}
+
+/**
+ * MongoDB filter matching every report a user can at least view in the
+ * active organization
+ * @param {object} user - Authenticated user
+ * @param {object} teamContext - Result of getTeamContext for the active organization
+ * @returns {object}
+ */
+export function accessibleReportsFilter(user, teamContext) {
+    const conditions = [
+        { user: user._id },
+        { 'sharing.users.user': user._id }
+    ];
+
+    if (teamContext.isMember) {
+        conditions.push({
+            user: { $in: teamContext.userIds },
+            'sharing.team': { $in: SHARE_LEVELS }
+        });
+    }
+
+    return { organization: teamContext.organizationId, $or: conditions };
+}
@@ -0,0 +1,54 @@
+// src/services/reportExport/csv.js
+
+import { IMPACT_METRICS } from '../impactMetrics.js';
+import { impactRows, inputRows, reportFacts, stageImpactRows } from './rows.js';
+
+/**
+ * Quotes a CSV field when it needs it (RFC 4180). Text starting with a
+ * formula character is prefixed so spreadsheets do not evaluate it.
+ * @param {*} value
+ * @returns {string}
+ */
+export function csvField(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Joins rows of fields into CSV text
+ * @param {Array[]} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+    return `${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Renders a report's metadata, inputs and impacts as one long-format CSV:
+ * section, stage, parameter, value, unit
+ * @param {object} report
+ * @param {object} [options] - { unitSystem }
+ * @returns {string}
+ */
+export function reportToCsv(report, { unitSystem } = {}) {
+    const rows = [['section', 'stage', 'parameter', 'value', 'unit']];
+
+    reportFacts(report, unitSystem).forEach(fact => rows.push(['report', '', fact.label, fact.value, '']));
+    inputRows(report, unitSystem).forEach(row => rows.push(['input', row.stage, row.field, row.value, row.unit]));
+    impactRows(report, unitSystem).forEach(row => {
+        rows.push(['impact', 'Total', row.field, row.total, row.totalUnit]);
+        rows.push(['impact per kg', 'Total', row.field, row.perKg, row.perKgUnit]);
+    });
+
+    const units = (report.impacts && report.impacts.units) || {};
+    stageImpactRows(report).forEach(({ stage, values }) => {
+        IMPACT_METRICS.forEach(metric => {
+            if (values[metric.field] === undefined) return;
+            rows.push(['impact', stage, metric.field, values[metric.field], units[metric.field] || '']);
+        });
+    });
+
+    return toCsv(rows);
+}
@@ -0,0 +1,78 @@
+// src/services/reportExport/index.js
+
+import { reportToCsv } from './csv.js';
+import { reportToPdf } from './pdf.js';
+import { reportToWorkbook, reportsToWorkbook, workbookToBuffer } from './xlsx.js';
+
+/**
+ * Formats a single report can be exported in. render resolves to the file body.
+ */
+export const EXPORT_FORMATS = {
+    pdf: {
+        contentType: 'application/pdf',
+        extension: 'pdf',
+        render: (report, options) => reportToPdf(report, options)
+    },
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        render: async (report, options) => reportToCsv(report, options)
+    },
+    xlsx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx',
+        render: (report, options) => workbookToBuffer(reportToWorkbook(report, options))
+    }
+};
+
+// Most reports one bulk export may contain
+export const BULK_EXPORT_LIMIT = 500;
+
+/**
+ * File name for an export: the report name reduced to safe characters
+ * @param {string} name
+ * @param {string} extension
+ * @returns {string}
+ */
+export function exportFileName(name, extension) {
+    const base = String(name || 'report')
+        .normalize('NFKD')
+        .replace(/[^\w\s-]/g, '')
+        .trim()
+        .replace(/\s+/g, '-')
+        .slice(0, 80);
+    return `${base || 'report'}.${extension}`;
+}
+
+/**
+ * Renders one report in an export format
+ * @param {object} report
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {object} [options] - { unitSystem }
+ * @returns {Promise<{body: Buffer|string, contentType: string, fileName: string}>}
+ */
+export async function exportReport(report, format, options = {}) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+        throw new Error(`Unknown export format '${format}'`);
+    }
+    return {
+        body: await exporter.render(report, options),
+        contentType: exporter.contentType,
+        fileName: exportFileName(report.name, exporter.extension)
+    };
+}
+
+/**
+ * Renders many reports into one workbook
+ * @param {object[]} reports
+ * @param {object} [options] - { unitSystem }
+ * @returns {Promise<{body: Buffer, contentType: string, fileName: string}>}
+ */
+export async function exportReportsWorkbook(reports, options = {}) {
+    return {
+        body: await workbookToBuffer(reportsToWorkbook(reports, options)),
+        contentType: EXPORT_FORMATS.xlsx.contentType,
+        fileName: `lca-reports-${new Date().toISOString().split('T')[0]}.xlsx`
+    };
+}
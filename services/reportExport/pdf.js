@@ -0,0 +1,212 @@
+// src/services/reportExport/pdf.js
+
+import PDFDocument from 'pdfkit';
+import { IMPACT_METRICS } from '../impactMetrics.js';
+import { impactRows, inputRows, reportFacts, stageImpactRows } from './rows.js';
+
+const MARGIN = 50;
+const ACCENT = '#1f6f50';
+const MUTED = '#666666';
+const RULE = '#cccccc';
+
+/**
+ * Formats a number for a table cell
+ * @param {*} value
+ * @returns {string}
+ */
+function formatCell(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? String(Number(value.toPrecision(4))) : '';
+    }
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Starts a new page when fewer than `needed` points are left on this one
+ * @param {PDFDocument} doc
+ * @param {number} needed
+ */
+function ensureSpace(doc, needed) {
+    if (doc.y + needed > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+/**
+ * Writes a section heading
+ * @param {PDFDocument} doc
+ * @param {string} text
+ */
+function heading(doc, text) {
+    ensureSpace(doc, 60);
+    doc.moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(ACCENT).text(text, MARGIN);
+    doc.moveDown(0.3);
+    doc.fillColor('black');
+}
+
+/**
+ * Draws a simple table. Column widths are fractions of the page width;
+ * rows that do not fit continue on the next page under a repeated header.
+ * @param {PDFDocument} doc
+ * @param {{header: string, width: number, align?: string}[]} columns
+ * @param {Array[]} rows - Cell values in column order
+ */
+function table(doc, columns, rows) {
+    const width = doc.page.width - MARGIN * 2;
+    const padding = 4;
+
+    const drawRow = (cells, { bold = false } = {}) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        const heights = cells.map((cell, index) => doc.heightOfString(formatCell(cell), {
+            width: columns[index].width * width - padding * 2
+        }));
+        const rowHeight = Math.max(...heights) + padding * 2;
+
+        if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            if (!bold) drawRow(columns.map(column => column.header), { bold: true });
+            doc.font('Helvetica').fontSize(9);
+        }
+
+        const top = doc.y;
+        let x = MARGIN;
+        cells.forEach((cell, index) => {
+            const cellWidth = columns[index].width * width;
+            doc.text(formatCell(cell), x + padding, top + padding, {
+                width: cellWidth - padding * 2,
+                align: columns[index].align || 'left'
+            });
+            x += cellWidth;
+        });
+        doc.moveTo(MARGIN, top + rowHeight).lineTo(MARGIN + width, top + rowHeight).strokeColor(RULE).stroke();
+        doc.x = MARGIN;
+        doc.y = top + rowHeight;
+    };
+
+    drawRow(columns.map(column => column.header), { bold: true });
+    rows.forEach(row => drawRow(row));
+}
+
+/**
+ * Writes the cover page
+ * @param {PDFDocument} doc
+ * @param {object} report
+ * @param {string} unitSystem
+ */
+function coverPage(doc, report, unitSystem) {
+    doc.moveDown(6);
+    doc.font('Helvetica').fontSize(12).fillColor(MUTED).text('Life Cycle Assessment Report', MARGIN);
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(26).fillColor(ACCENT).text(report.name, MARGIN);
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(14).fillColor('black').text(report.metalType, MARGIN);
+    doc.moveDown(2);
+
+    reportFacts(report, unitSystem)
+        .filter(fact => fact.label !== 'Report' && fact.value)
+        .forEach(fact => {
+            doc.font('Helvetica-Bold').fontSize(10).text(`${fact.label}: `, MARGIN, doc.y, { continued: true });
+            doc.font('Helvetica').text(fact.value);
+        });
+
+    doc.moveDown(4);
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED).text(
+        `Generated by CircuMetal on ${new Date().toISOString().replace('T', ' ').slice(0, 16)} UTC`,
+        MARGIN
+    );
+    doc.fillColor('black');
+}
+
+/**
+ * Renders a report as a PDF: cover page, inputs by life-cycle stage,
+ * impact tables, then the AI summary and recommendations
+ * @param {object} report
+ * @param {object} [options] - { unitSystem }
+ * @returns {Promise<Buffer>}
+ */
+export function reportToPdf(report, { unitSystem } = {}) {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: MARGIN,
+        info: { Title: report.name, Subject: `LCA report: ${report.metalType}`, Creator: 'CircuMetal' }
+    });
+
+    const chunks = [];
+    const done = new Promise((resolve, reject) => {
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    coverPage(doc, report, unitSystem);
+    doc.addPage();
+
+    heading(doc, 'Inputs by life-cycle stage');
+    const inputs = inputRows(report, unitSystem);
+    if (inputs.length === 0) {
+        doc.font('Helvetica').fontSize(10).text('No inputs recorded.');
+    }
+    [...new Set(inputs.map(row => row.stage))].forEach(stage => {
+        ensureSpace(doc, 50);
+        doc.moveDown(0.4);
+        doc.font('Helvetica-Bold').fontSize(11).text(stage, MARGIN);
+        doc.moveDown(0.2);
+        table(doc, [
+            { header: 'Parameter', width: 0.5 },
+            { header: 'Value', width: 0.3, align: 'right' },
+            { header: 'Unit', width: 0.2 }
+        ], inputs.filter(row => row.stage === stage).map(row => [row.label, row.value, row.unit]));
+    });
+
+    heading(doc, 'Impact assessment');
+    const impacts = impactRows(report, unitSystem);
+    if (impacts.length === 0) {
+        doc.font('Helvetica').fontSize(10).text('Impacts have not been calculated for this report.');
+    } else {
+        const basis = report.impacts.basis ? ` (${report.impacts.basis})` : '';
+        doc.font('Helvetica').fontSize(9).fillColor(MUTED).text(`Totals${basis} and per kg of metal.`, MARGIN);
+        doc.fillColor('black').moveDown(0.3);
+        table(doc, [
+            { header: 'Indicator', width: 0.28 },
+            { header: 'Total', width: 0.15, align: 'right' },
+            { header: 'Unit', width: 0.2 },
+            { header: 'Per kg', width: 0.15, align: 'right' },
+            { header: 'Unit', width: 0.22 }
+        ], impacts.map(row => [row.indicator, row.total, row.totalUnit, row.perKg, row.perKgUnit]));
+
+        const stages = stageImpactRows(report);
+        if (stages.length > 0) {
+            ensureSpace(doc, 80);
+            doc.moveDown(0.8);
+            doc.font('Helvetica-Bold').fontSize(11).text('Contribution by stage', MARGIN);
+            doc.moveDown(0.2);
+            const share = (1 - 0.2) / IMPACT_METRICS.length;
+            table(doc, [
+                { header: 'Stage', width: 0.2 },
+                ...IMPACT_METRICS.map(metric => ({ header: metric.category, width: share, align: 'right' }))
+            ], stages.map(({ stage, values }) => [stage, ...IMPACT_METRICS.map(metric => values[metric.field])]));
+        }
+
+        const assumptions = report.impacts.assumptions || [];
+        if (assumptions.length > 0) {
+            ensureSpace(doc, 60);
+            doc.moveDown(0.8);
+            doc.font('Helvetica-Bold').fontSize(11).text('Assumptions', MARGIN);
+            doc.font('Helvetica').fontSize(9).list(assumptions, MARGIN, doc.y, { bulletRadius: 1.5 });
+        }
+    }
+
+    const insights = report.insights || {};
+    heading(doc, 'Summary');
+    doc.font('Helvetica').fontSize(10).text(insights.lca_summary || 'No summary available.', MARGIN, doc.y, {
+        align: 'justify'
+    });
+
+    const recommendations = insights.recommendations || [];
+    if (recommendations.length > 0) {
+        heading(doc, 'Recommendations');
+        doc.font('Helvetica').fontSize(10).list(recommendations, MARGIN, doc.y, { bulletRadius: 2, paragraphGap: 4 });
+    }
+
+    doc.end();
+    return done;
+}
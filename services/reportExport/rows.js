@@ -0,0 +1,129 @@
+// src/services/reportExport/rows.js
+
+import { IMPACT_METRICS, metricForDisplay, perKgValue } from '../impactMetrics.js';
+import { LCA_INPUT_FIELDS, LCA_STAGES, formDataForDisplay } from '../lcaInputSchema.js';
+import { resolveUnitSystem } from '../units.js';
+
+/**
+ * Turns a camelCase field name into a label, e.g. 'oreGrade' -> 'Ore Grade'
+ * @param {string} field
+ * @returns {string}
+ */
+export function fieldLabel(field) {
+    const spaced = field.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+    return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+}
+
+/**
+ * Formats a value for a cell or a line of text
+ * @param {*} value
+ * @returns {string|number}
+ */
+function cellValue(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'number' || typeof value === 'string') return value;
+    if (typeof value === 'boolean') return value ? 'yes' : 'no';
+    return JSON.stringify(value);
+}
+
+/**
+ * Report inputs grouped by life-cycle stage, in the report's unit system.
+ * Fields outside the input schema are listed under 'Other'.
+ * @param {object} report - Report document or plain object
+ * @param {string} [unitSystem]
+ * @returns {{stage: string, field: string, label: string, value: string|number, unit: string}[]}
+ */
+export function inputRows(report, unitSystem) {
+    const system = resolveUnitSystem(unitSystem);
+    const formData = report.formData || {};
+    const { values, units } = formDataForDisplay(formData, system);
+    const rows = [];
+
+    const pushField = (stage, field) => {
+        const value = values[field];
+        if (value === undefined || value === null || value === '') return;
+
+        // Named transport legs get a row each
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.entries(value).forEach(([leg, legValue]) => {
+                rows.push({ stage, field: `${field}.${leg}`, label: `${fieldLabel(field)} (${leg})`, value: cellValue(legValue), unit: units[field] || '' });
+            });
+            return;
+        }
+        rows.push({ stage, field, label: fieldLabel(field), value: cellValue(value), unit: units[field] || '' });
+    };
+
+    // Each field is listed once, under the first stage it belongs to
+    LCA_STAGES.forEach(stage => {
+        Object.entries(LCA_INPUT_FIELDS)
+            .filter(([, definition]) => definition.stages[0] === stage)
+            .forEach(([field]) => pushField(stage, field));
+    });
+    pushField('General', 'metalType');
+    Object.keys(formData)
+        .filter(field => !LCA_INPUT_FIELDS[field])
+        .forEach(field => pushField('Other', field));
+
+    return rows;
+}
+
+/**
+ * Calculated impact indicators: total per functional unit and per kg of
+ * metal, with the per-kg value converted into the unit system
+ * @param {object} report
+ * @param {string} [unitSystem]
+ * @returns {{indicator: string, field: string, total: number, totalUnit: string, perKg: number, perKgUnit: string}[]}
+ */
+export function impactRows(report, unitSystem) {
+    const impacts = report.impacts;
+    if (!impacts) return [];
+    const system = resolveUnitSystem(unitSystem);
+    const units = impacts.units || {};
+
+    return IMPACT_METRICS.map(metric => {
+        const perKg = metricForDisplay(perKgValue(impacts, metric.field), metric, system);
+        return {
+            indicator: metric.category,
+            field: metric.field,
+            total: impacts[metric.field],
+            totalUnit: units[metric.field] || '',
+            perKg: perKg.value,
+            perKgUnit: perKg.unit
+        };
+    });
+}
+
+/**
+ * Per-stage contributions of each indicator, per functional unit
+ * @param {object} report
+ * @returns {{stage: string, values: object}[]} values maps impact field to amount
+ */
+export function stageImpactRows(report) {
+    const byStage = (report.impacts && report.impacts.byStage) || {};
+    return Object.entries(byStage).map(([stage, values]) => ({ stage, values: values || {} }));
+}
+
+/**
+ * Facts shown on a cover page or summary sheet
+ * @param {object} report
+ * @param {string} [unitSystem]
+ * @returns {{label: string, value: string}[]}
+ */
+export function reportFacts(report, unitSystem) {
+    const impacts = report.impacts || {};
+    const functionalUnit = impacts.functionalUnit || report.functionalUnit || {};
+    const date = value => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+    return [
+        { label: 'Report', value: report.name },
+        { label: 'Metal', value: report.metalType },
+        { label: 'Status', value: report.status },
+        { label: 'Functional unit', value: functionalUnit.description || '' },
+        { label: 'Revision', value: String(report.currentRevision || 0) },
+        { label: 'Created', value: date(report.createdAt) },
+        { label: 'Last updated', value: date(report.updatedAt) },
+        { label: 'Approved', value: report.approval && report.approval.approvedAt ? date(report.approval.approvedAt) : 'no' },
+        { label: 'Calculation method', value: impacts.methodVersion ? `v${impacts.methodVersion}` : '' },
+        { label: 'Unit system', value: resolveUnitSystem(unitSystem) }
+    ];
+}
@@ -0,0 +1,171 @@
+// src/services/reportExport/xlsx.js
+
+import ExcelJS from 'exceljs';
+import { IMPACT_METRICS } from '../impactMetrics.js';
+import { LCA_STAGES } from '../lcaInputSchema.js';
+import { impactRows, inputRows, reportFacts, stageImpactRows } from './rows.js';
+
+// Excel limits sheet names to 31 characters and forbids some characters
+const SHEET_NAME_LENGTH = 31;
+
+/**
+ * Adds a sheet with a bold, frozen header row
+ * @param {ExcelJS.Workbook} workbook
+ * @param {string} name
+ * @param {{header: string, key: string, width: number}[]} columns
+ * @returns {ExcelJS.Worksheet}
+ */
+function addTable(workbook, name, columns) {
+    const sheet = workbook.addWorksheet(name.replace(/[\\/?*[\]:]/g, ' ').slice(0, SHEET_NAME_LENGTH), {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    sheet.columns = columns;
+    sheet.getRow(1).font = { bold: true };
+    return sheet;
+}
+
+/**
+ * New workbook with the app's metadata
+ * @returns {ExcelJS.Workbook}
+ */
+function createWorkbook() {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'CircuMetal';
+    workbook.created = new Date();
+    return workbook;
+}
+
+/**
+ * Builds a workbook for one report: Summary, Inputs, Impacts and Impacts by stage
+ * @param {object} report
+ * @param {object} [options] - { unitSystem }
+ * @returns {ExcelJS.Workbook}
+ */
+export function reportToWorkbook(report, { unitSystem } = {}) {
+    const workbook = createWorkbook();
+
+    const summary = addTable(workbook, 'Summary', [
+        { header: 'Field', key: 'label', width: 24 },
+        { header: 'Value', key: 'value', width: 48 }
+    ]);
+    reportFacts(report, unitSystem).forEach(fact => summary.addRow(fact));
+    if (report.insights && report.insights.lca_summary) {
+        summary.addRow({ label: 'Summary', value: report.insights.lca_summary });
+    }
+    ((report.insights && report.insights.recommendations) || []).forEach((recommendation, index) => {
+        summary.addRow({ label: `Recommendation ${index + 1}`, value: recommendation });
+    });
+    summary.getColumn('value').alignment = { wrapText: true, vertical: 'top' };
+
+    const inputs = addTable(workbook, 'Inputs', [
+        { header: 'Stage', key: 'stage', width: 16 },
+        { header: 'Parameter', key: 'label', width: 34 },
+        { header: 'Field', key: 'field', width: 30 },
+        { header: 'Value', key: 'value', width: 16 },
+        { header: 'Unit', key: 'unit', width: 14 }
+    ]);
+    inputRows(report, unitSystem).forEach(row => inputs.addRow(row));
+
+    const impacts = addTable(workbook, 'Impacts', [
+        { header: 'Indicator', key: 'indicator', width: 22 },
+        { header: 'Total', key: 'total', width: 14 },
+        { header: 'Unit', key: 'totalUnit', width: 18 },
+        { header: 'Per kg metal', key: 'perKg', width: 14 },
+        { header: 'Unit', key: 'perKgUnit', width: 22 }
+    ]);
+    impactRows(report, unitSystem).forEach(row => impacts.addRow(row));
+
+    const byStage = addTable(workbook, 'Impacts by stage', [
+        { header: 'Stage', key: 'stage', width: 16 },
+        ...IMPACT_METRICS.map(metric => ({ header: metric.category, key: metric.field, width: 20 }))
+    ]);
+    stageImpactRows(report).forEach(({ stage, values }) => byStage.addRow({ stage, ...values }));
+
+    return workbook;
+}
+
+/**
+ * Builds one workbook for many reports: a Reports sheet with a row per
+ * report and its per-kg impacts, and an Inputs sheet with every report's
+ * inputs in long format
+ * @param {object[]} reports
+ * @param {object} [options] - { unitSystem }
+ * @returns {ExcelJS.Workbook}
+ */
+export function reportsToWorkbook(reports, { unitSystem } = {}) {
+    const workbook = createWorkbook();
+    const firstWithImpacts = reports.find(report => report.impacts);
+    const perKgUnits = firstWithImpacts ? impactRows(firstWithImpacts, unitSystem) : [];
+
+    const overview = addTable(workbook, 'Reports', [
+        { header: 'Report ID', key: 'id', width: 26 },
+        { header: 'Name', key: 'name', width: 30 },
+        { header: 'Metal', key: 'metalType', width: 14 },
+        { header: 'Status', key: 'status', width: 12 },
+        { header: 'Functional unit', key: 'functionalUnit', width: 20 },
+        { header: 'Created', key: 'createdAt', width: 12 },
+        { header: 'Revision', key: 'revision', width: 10 },
+        ...IMPACT_METRICS.map(metric => {
+            const unit = perKgUnits.find(row => row.field === metric.field);
+            return { header: `${metric.category}${unit ? ` (${unit.perKgUnit})` : ''}`, key: metric.field, width: 22 };
+        })
+    ]);
+
+    const inputs = addTable(workbook, 'Inputs', [
+        { header: 'Report ID', key: 'id', width: 26 },
+        { header: 'Report', key: 'name', width: 30 },
+        { header: 'Stage', key: 'stage', width: 16 },
+        { header: 'Field', key: 'field', width: 30 },
+        { header: 'Value', key: 'value', width: 16 },
+        { header: 'Unit', key: 'unit', width: 14 }
+    ]);
+
+    // Wide view of inputs: one column per field, in stage order
+    const rowsByReport = reports.map(report => inputRows(report, unitSystem));
+    const fieldInfo = new Map();
+    rowsByReport.flat().forEach(row => {
+        if (!fieldInfo.has(row.field)) fieldInfo.set(row.field, row);
+    });
+    const stageIndex = field => {
+        const index = LCA_STAGES.indexOf(fieldInfo.get(field).stage);
+        return index === -1 ? LCA_STAGES.length : index;
+    };
+    const orderedFields = [...fieldInfo.keys()].sort((a, b) => stageIndex(a) - stageIndex(b));
+    const matrix = addTable(workbook, 'Inputs (wide)', [
+        { header: 'Report ID', key: 'id', width: 26 },
+        { header: 'Report', key: 'name', width: 30 },
+        ...orderedFields.map(field => ({ header: fieldInfo.get(field).label, key: field, width: 18 }))
+    ]);
+
+    reports.forEach((report, index) => {
+        const id = report._id.toString();
+        const impacts = Object.fromEntries(impactRows(report, unitSystem).map(row => [row.field, row.perKg]));
+        const functionalUnit = (report.impacts && report.impacts.functionalUnit) || report.functionalUnit || {};
+
+        overview.addRow({
+            id,
+            name: report.name,
+            metalType: report.metalType,
+            status: report.status,
+            functionalUnit: functionalUnit.description || '',
+            createdAt: report.createdAt ? new Date(report.createdAt).toISOString().split('T')[0] : '',
+            revision: report.currentRevision || 0,
+            ...impacts
+        });
+
+        const rows = rowsByReport[index];
+        rows.forEach(row => inputs.addRow({ id, name: report.name, ...row }));
+        matrix.addRow({ id, name: report.name, ...Object.fromEntries(rows.map(row => [row.field, row.value])) });
+    });
+
+    return workbook;
+}
+
+/**
+ * Serialises a workbook to an .xlsx buffer
+ * @param {ExcelJS.Workbook} workbook
+ * @returns {Promise<Buffer>}
+ */
+export async function workbookToBuffer(workbook) {
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
@@ -0,0 +1,158 @@
+// src/services/reportHistory.js
+
+import ReportRevision from '../models/ReportRevision.js';
+
+// Report fields captured in each revision and compared in diffs
+const SNAPSHOT_FIELDS = ['name', 'metalType', 'status', 'formData', 'functionalUnit', 'insights', 'impacts'];
+
+// Volatile fields left out of diffs
+const IGNORED_PATHS = new Set(['impacts.calculatedAt']);
+
+// Attempts at claiming the next revision number before giving up
+const REVISION_ATTEMPTS = 3;
+
+/**
+ * Converts a value to plain JSON data so documents, dates and ObjectIds
+ * compare by value
+ * @param {*} value
+ * @returns {*}
+ */
+function toPlain(value) {
+    if (value === undefined) return undefined;
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Checks whether a value is a plain object (not an array or null)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Field-level diff between two plain values
+ * @param {*} before
+ * @param {*} after
+ * @param {string} [path] - Path of the values being compared
+ * @returns {{path: string, op: string, before: *, after: *}[]}
+ */
+export function diffValues(before, after, path = '') {
+    if (IGNORED_PATHS.has(path)) return [];
+
+    if (before === undefined && after === undefined) return [];
+    if (before === undefined) return [{ path, op: 'added', after }];
+    if (after === undefined) return [{ path, op: 'removed', before }];
+
+    if (isObject(before) && isObject(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return [...keys].flatMap(key => diffValues(before[key], after[key], path ? `${path}.${key}` : key));
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const length = Math.max(before.length, after.length);
+        const changes = [];
+        for (let i = 0; i < length; i++) {
+            changes.push(...diffValues(before[i], after[i], `${path}[${i}]`));
+        }
+        return changes;
+    }
+
+    return JSON.stringify(before) === JSON.stringify(after)
+        ? []
+        : [{ path, op: 'changed', before, after }];
+}
+
+/**
+ * Captures the versioned fields of a report
+ * @param {object} report - Report document
+ * @returns {object} Plain snapshot
+ */
+export function snapshotReport(report) {
+    return Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, toPlain(report[field])]));
+}
+
+/**
+ * Diff between two snapshots
+ * @param {object} before - Earlier snapshot (or {} for none)
+ * @param {object} after - Later snapshot
+ * @returns {object[]} Field-level changes
+ */
+export function diffSnapshots(before = {}, after = {}) {
+    return SNAPSHOT_FIELDS.flatMap(field => diffValues(toPlain(before[field]), toPlain(after[field]), field));
+}
+
+/**
+ * Latest revision of a report
+ * @param {string} reportId
+ * @returns {Promise<object|null>}
+ */
+export async function latestRevision(reportId) {
+    return ReportRevision.findOne({ report: reportId }).sort({ revision: -1 });
+}
+
+/**
+ * Makes sure a report saved before versioning has a baseline revision of its
+ * current state, so the first tracked change has something to diff against
+ * @param {object} report - Report document, not yet modified
+ * @returns {Promise<object>} The latest revision
+ */
+export async function ensureBaseline(report) {
+    const latest = await latestRevision(report._id);
+    if (latest) return latest;
+
+    try {
+        return await ReportRevision.create({
+            report: report._id,
+            revision: 1,
+            changeType: 'baseline',
+            snapshot: snapshotReport(report),
+            changes: [],
+            changedBy: report.user,
+            changedAt: report.updatedAt || report.createdAt
+        });
+    } catch (error) {
+        // Another request recorded the first revision at the same time
+        if (error.code !== 11000) throw error;
+        return latestRevision(report._id);
+    }
+}
+
+/**
+ * Records a new immutable revision of a report after it was saved
+ * @param {object} report - Saved report document
+ * @param {object} options
+ * @param {string} options.changeType - 'create', 'update' or 'restore'
+ * @param {string} [options.userId] - User who made the change
+ * @param {number} [options.restoredFrom] - Revision restored, for 'restore'
+ * @returns {Promise<object>} The new revision
+ */
+export async function recordRevision(report, { changeType, userId, restoredFrom }) {
+    const snapshot = snapshotReport(report);
+
+    for (let attempt = 1; ; attempt++) {
+        const latest = await latestRevision(report._id);
+        let revision;
+        try {
+            revision = await ReportRevision.create({
+                report: report._id,
+                revision: latest ? latest.revision + 1 : 1,
+                changeType,
+                restoredFrom,
+                snapshot,
+                changes: diffSnapshots(latest ? latest.snapshot : {}, snapshot),
+                changedBy: userId
+            });
+        } catch (error) {
+            // Someone recorded the same revision at the same time; take the next one
+            if (error.code !== 11000 || attempt >= REVISION_ATTEMPTS) throw error;
+            continue;
+        }
+
+        // $max so a slower concurrent request cannot move the counter back
+        report.currentRevision = revision.revision;
+        await report.constructor.updateOne({ _id: report._id }, { $max: { currentRevision: revision.revision } });
+        return revision;
+    }
+}
@@ -0,0 +1,106 @@
+// src/services/timezones.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+/**
+ * Checks an IANA timezone name is known to the runtime
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock fields of an instant in a timezone
+ * @param {Date|number} date
+ * @param {string} timeZone - IANA name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   month is 1-12, weekday is 1 (Monday) to 7 (Sunday)
+ */
+export function zonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(date));
+
+    const value = type => parts.find(part => part.type === type).value;
+    return {
+        year: Number(value('year')),
+        month: Number(value('month')),
+        day: Number(value('day')),
+        hour: Number(value('hour')),
+        minute: Number(value('minute')),
+        second: Number(value('second')),
+        weekday: WEEKDAYS[value('weekday')]
+    };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {number} time - Milliseconds since the epoch
+ * @param {string} timeZone
+ * @returns {number} Milliseconds to add to UTC to get local time
+ */
+function offsetAt(time, timeZone) {
+    const local = zonedParts(time, timeZone);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+    return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Instant at which a timezone's clock shows the given local date and time.
+ * Times skipped by a daylight-saving change resolve to just after the jump.
+ * @param {object} local - { year, month (1-12), day, hour, minute }
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    let time = guess - offsetAt(guess, timeZone);
+    // The offset can differ on either side of a DST change; one more pass settles it
+    const corrected = guess - offsetAt(time, timeZone);
+    if (corrected !== time) time = corrected;
+    return new Date(time);
+}
+
+/**
+ * Adds days to a calendar date without involving timezones
+ * @param {object} date - { year, month (1-12), day }
+ * @param {number} days
+ * @returns {{year: number, month: number, day: number}}
+ */
+export function addDays({ year, month, day }, days) {
+    const shifted = new Date(Date.UTC(year, month - 1, day) + days * DAY_MS);
+    return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+}
+
+/**
+ * ISO 8601 week of a calendar date, e.g. '2026-W42'
+ * @param {object} date - { year, month (1-12), day }
+ * @returns {string}
+ */
+export function isoWeekKey({ year, month, day }) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const weekday = date.getUTCDay() || 7;
+    // The ISO week belongs to the year its Thursday falls in
+    date.setUTCDate(date.getUTCDate() + 4 - weekday);
+    const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((date.getTime() - yearStart) / DAY_MS + 1) / 7);
+    return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
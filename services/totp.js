@@ -0,0 +1,136 @@
+// src/services/totp.js
+
+import crypto from 'crypto';
+
+/**
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * HMAC-SHA1, 6 digits, 30 second steps.
+ */
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD_SECONDS = 30;
+
+// Codes from one step either side are accepted to allow for clock drift
+const DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encodes bytes as unpadded base32, the format authenticator apps expect
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decodes base32, ignoring case, spaces and padding
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base32 character '${char}'`);
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Creates a random shared secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+export function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Time step a moment falls in
+ * @param {number} [time] - Milliseconds since the epoch
+ * @returns {number}
+ */
+export function timeStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Code for a secret at a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step
+ * @returns {string}
+ */
+export function generateCode(secret, step = timeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Checks a code against a secret, allowing for clock drift. A code from the
+ * last step used or an earlier one is refused, so it cannot be replayed.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} [time] - Milliseconds since the epoch
+ * @param {number} [lastUsedStep] - Step of the last code accepted for this secret
+ * @returns {number|null} The matching time step (store it as lastUsedStep), or null
+ */
+export function verifyCode(secret, code, time = Date.now(), lastUsedStep) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+    const current = timeStep(time);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+        const expected = Buffer.from(generateCode(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+            return lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep ? null : step;
+        }
+    }
+    return null;
+}
+
+/**
+ * otpauth:// URI an authenticator app reads from a QR code
+ * @param {object} options - { secret, accountName, issuer }
+ * @returns {string}
+ */
+export function provisioningUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
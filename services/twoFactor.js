@@ -0,0 +1,313 @@
+// src/services/twoFactor.js
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { TeamMember } from '../models/teamModel.js';
+import { clearFailedLogins, lockoutMessage, lockoutRemaining, recordFailedLogin } from './loginLockout.js';
+import { generateSecret, provisioningUri, verifyCode } from './totp.js';
+
+export const BACKUP_CODE_COUNT = 10;
+export const TOTP_ISSUER = process.env.TOTP_ISSUER || 'CircuMetal';
+
+// Time allowed between the password step and the code step of a login
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_PURPOSE = '2fa-login';
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodeHashes +twoFactor.lastUsedStep';
+
+/**
+ * Raised when a two-factor step fails. status is the HTTP status to answer
+ * with; retryAfterMs is set when the account is locked out.
+ */
+export class TwoFactorError extends Error {
+    constructor(message, status = 400, retryAfterMs) {
+        super(message);
+        this.name = 'TwoFactorError';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * AES-256-GCM key for TOTP secrets at rest
+ * @returns {Buffer}
+ */
+function encryptionKey() {
+    const material = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!material) throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be set');
+    return crypto.createHash('sha256').update(material).digest();
+}
+
+/**
+ * Encrypts a TOTP secret for storage
+ * @param {string} secret
+ * @returns {string} iv.tag.ciphertext, base64 encoded
+ */
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * Decrypts a stored TOTP secret
+ * @param {string} stored - Output of encryptSecret
+ * @returns {string}
+ */
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Hashes a backup code, ignoring case and separators
+ * @param {string} code
+ * @returns {string}
+ */
+function hashBackupCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Creates a fresh set of backup codes
+ * @returns {{codes: string[], hashes: string[]}} codes are shown once; hashes are stored
+ */
+function createBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+/**
+ * Loads a user with their two-factor secrets
+ * @param {object|string} userId
+ * @returns {Promise<object>}
+ */
+async function loadUser(userId) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) throw new TwoFactorError('User not found', 404);
+    return user;
+}
+
+/**
+ * Checks a TOTP or backup code for a user whose secrets are loaded. A
+ * matching backup code is used up; a matching TOTP code cannot be replayed.
+ * Saves the user when either happens.
+ * @param {object} user - User loaded with TWO_FACTOR_FIELDS
+ * @param {string} code
+ * @returns {Promise<'totp'|'backup'|null>} How the code matched
+ */
+async function consumeCode(user, code) {
+    const step = verifyCode(decryptSecret(user.twoFactor.secret), code, Date.now(), user.twoFactor.lastUsedStep);
+    if (step !== null) {
+        user.twoFactor.lastUsedStep = step;
+        await user.save();
+        return 'totp';
+    }
+
+    const hash = hashBackupCode(code || '');
+    const index = (user.twoFactor.backupCodeHashes || []).indexOf(hash);
+    if (index !== -1) {
+        user.twoFactor.backupCodeHashes.splice(index, 1);
+        await user.save();
+        return 'backup';
+    }
+    return null;
+}
+
+/**
+ * Names of the organizations the user is active in that require 2FA
+ * @param {object|string} userId
+ * @returns {Promise<string[]>}
+ */
+export async function organizationsRequiringTwoFactor(userId) {
+    const memberships = await TeamMember.find({ user: userId, status: 'Active' })
+        .populate('organization', 'name settings');
+    return memberships
+        .filter(membership => membership.organization && membership.organization.settings
+            && membership.organization.settings.requireTwoFactor)
+        .map(membership => membership.organization.name);
+}
+
+/**
+ * Starts enrollment: creates a secret the user adds to their authenticator
+ * app. Nothing changes for login until it is confirmed with enableTwoFactor.
+ * @param {object|string} userId
+ * @returns {Promise<{secret: string, otpauthUrl: string}>}
+ */
+export async function beginSetup(userId) {
+    const user = await loadUser(userId);
+    if (user.twoFactor.enabled) {
+        throw new TwoFactorError('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    return {
+        secret,
+        otpauthUrl: provisioningUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+    };
+}
+
+/**
+ * Confirms enrollment with a code from the authenticator app and turns 2FA on
+ * @param {object|string} userId
+ * @param {string} code
+ * @returns {Promise<string[]>} Backup codes, shown to the user once
+ */
+export async function enableTwoFactor(userId, code) {
+    const user = await loadUser(userId);
+    if (user.twoFactor.enabled) {
+        throw new TwoFactorError('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor.pendingSecret) {
+        throw new TwoFactorError('Start two-factor setup first');
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyCode(secret, code);
+    if (step === null) {
+        throw new TwoFactorError('Invalid authentication code', 401);
+    }
+
+    const { codes, hashes } = createBackupCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodeHashes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    return codes;
+}
+
+/**
+ * Turns 2FA off after checking the password and a current code
+ * @param {object|string} userId
+ * @param {object} proof - { password, code }
+ * @returns {Promise<void>}
+ */
+export async function disableTwoFactor(userId, { password, code }) {
+    const user = await User.findById(userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+    if (!user) throw new TwoFactorError('User not found', 404);
+    if (!user.twoFactor.enabled) {
+        throw new TwoFactorError('Two-factor authentication is not enabled');
+    }
+    if (!password || !(await user.matchPassword(password))) {
+        throw new TwoFactorError('Password is incorrect', 401);
+    }
+
+    const requiredBy = await organizationsRequiringTwoFactor(user._id);
+    if (requiredBy.length > 0) {
+        throw new TwoFactorError(`Two-factor authentication is required by ${requiredBy.join(', ')}`, 403);
+    }
+    if (!(await consumeCode(user, code))) {
+        throw new TwoFactorError('Invalid authentication code', 401);
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.enabledAt = undefined;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.backupCodeHashes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    await user.save();
+}
+
+/**
+ * Replaces the backup codes after checking a current code
+ * @param {object|string} userId
+ * @param {string} code
+ * @returns {Promise<string[]>} New backup codes
+ */
+export async function regenerateBackupCodes(userId, code) {
+    const user = await loadUser(userId);
+    if (!user.twoFactor.enabled) {
+        throw new TwoFactorError('Two-factor authentication is not enabled');
+    }
+    if (!(await consumeCode(user, code))) {
+        throw new TwoFactorError('Invalid authentication code', 401);
+    }
+
+    const { codes, hashes } = createBackupCodes();
+    user.twoFactor.backupCodeHashes = hashes;
+    await user.save();
+    return codes;
+}
+
+/**
+ * Two-factor state shown to the user
+ * @param {object|string} userId
+ * @returns {Promise<{enabled: boolean, enabledAt: Date, backupCodesRemaining: number, setupPending: boolean}>}
+ */
+export async function twoFactorStatus(userId) {
+    const user = await loadUser(userId);
+    return {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        backupCodesRemaining: (user.twoFactor.backupCodeHashes || []).length,
+        setupPending: Boolean(user.twoFactor.pendingSecret)
+    };
+}
+
+/**
+ * Issues the token that stands for "password checked" between the two
+ * login steps. It cannot be used as an access token.
+ * @param {object} user
+ * @returns {string}
+ */
+export function createLoginChallenge(user) {
+    return jwt.sign({ id: user._id, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+        expiresIn: CHALLENGE_TTL
+    });
+}
+
+/**
+ * Completes the second login step
+ * @param {string} challengeToken - From createLoginChallenge
+ * @param {string} code - TOTP code or backup code
+ * @returns {Promise<{user: object, method: string}>} method is 'totp' or 'backup'
+ * @throws {TwoFactorError}
+ */
+export async function verifyLoginChallenge(challengeToken, code) {
+    let decoded;
+    try {
+        decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+        throw new TwoFactorError('Login challenge is invalid or has expired. Log in again', 401);
+    }
+    if (decoded.purpose !== CHALLENGE_PURPOSE) {
+        throw new TwoFactorError('Login challenge is invalid or has expired. Log in again', 401);
+    }
+
+    const user = await loadUser(decoded.id);
+    if (!user.twoFactor.enabled) {
+        throw new TwoFactorError('Two-factor authentication is not enabled', 400);
+    }
+
+    const remaining = lockoutRemaining(user);
+    if (remaining > 0) {
+        throw new TwoFactorError(lockoutMessage(remaining), 429, remaining);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const method = await consumeCode(user, code);
+    if (!method) {
+        const lockedFor = await recordFailedLogin(user);
+        if (lockedFor > 0) {
+            throw new TwoFactorError(lockoutMessage(lockedFor), 429, lockedFor);
+        }
+        throw new TwoFactorError('Invalid authentication code', 401);
+    }
+    await clearFailedLogins(user);
+    return { user, method };
+}
@@ -0,0 +1,290 @@
+// src/services/units.js
+
+/**
+ * Unit registry and conversion for LCA quantities.
+ *
+ * Every unit belongs to a dimension and has a factor to that dimension's
+ * canonical unit. Compound units are written 'numerator/denominator'
+ * (e.g. 'kWh/t'); emission and characterisation units carry a qualifier
+ * after the base unit (e.g. 'kg CO2-eq', 'm3 world-eq').
+ *
+ * Canonical units: energy MJ, mass kg, volume L, distance km, area m2.
+ * Intensities are stored per kg of metal.
+ */
+
+export class UnitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnitError';
+    }
+}
+
+export const CANONICAL_UNITS = {
+    energy: 'MJ',
+    mass: 'kg',
+    volume: 'L',
+    distance: 'km',
+    area: 'm2'
+};
+
+const UNITS = {
+    // Energy (canonical MJ)
+    J: { dimension: 'energy', factor: 1e-6 },
+    kJ: { dimension: 'energy', factor: 1e-3 },
+    MJ: { dimension: 'energy', factor: 1 },
+    GJ: { dimension: 'energy', factor: 1e3 },
+    Wh: { dimension: 'energy', factor: 0.0036 },
+    kWh: { dimension: 'energy', factor: 3.6 },
+    MWh: { dimension: 'energy', factor: 3600 },
+    GWh: { dimension: 'energy', factor: 3.6e6 },
+    BTU: { dimension: 'energy', factor: 0.001055056 },
+    MMBTU: { dimension: 'energy', factor: 1055.056 },
+    therm: { dimension: 'energy', factor: 105.5056 },
+
+    // Mass (canonical kg)
+    mg: { dimension: 'mass', factor: 1e-6 },
+    g: { dimension: 'mass', factor: 1e-3 },
+    kg: { dimension: 'mass', factor: 1 },
+    t: { dimension: 'mass', factor: 1000 },
+    lb: { dimension: 'mass', factor: 0.45359237 },
+    ton: { dimension: 'mass', factor: 907.18474 },
+    longton: { dimension: 'mass', factor: 1016.0469088 },
+
+    // Volume (canonical L)
+    mL: { dimension: 'volume', factor: 1e-3 },
+    L: { dimension: 'volume', factor: 1 },
+    m3: { dimension: 'volume', factor: 1000 },
+    ML: { dimension: 'volume', factor: 1e6 },
+    gal: { dimension: 'volume', factor: 3.785411784 },
+
+    // Distance (canonical km)
+    m: { dimension: 'distance', factor: 1e-3 },
+    km: { dimension: 'distance', factor: 1 },
+    mi: { dimension: 'distance', factor: 1.609344 },
+    nmi: { dimension: 'distance', factor: 1.852 },
+
+    // Area (canonical m2)
+    m2: { dimension: 'area', factor: 1 },
+    ha: { dimension: 'area', factor: 1e4 },
+    km2: { dimension: 'area', factor: 1e6 },
+    ft2: { dimension: 'area', factor: 0.09290304 },
+    acre: { dimension: 'area', factor: 4046.8564224 }
+};
+
+const ALIASES = {
+    joule: 'J',
+    kilowatthour: 'kWh',
+    'kw h': 'kWh',
+    btu: 'BTU',
+    mmbtu: 'MMBTU',
+    tonne: 't',
+    tonnes: 't',
+    'metric ton': 't',
+    'metric tons': 't',
+    'short ton': 'ton',
+    tons: 'ton',
+    'long ton': 'longton',
+    lbs: 'lb',
+    l: 'L',
+    liter: 'L',
+    liters: 'L',
+    litre: 'L',
+    litres: 'L',
+    ml: 'mL',
+    gallon: 'gal',
+    gallons: 'gal',
+    'm³': 'm3',
+    'm²': 'm2',
+    'km²': 'km2',
+    'ft²': 'ft2',
+    miles: 'mi',
+    mile: 'mi',
+    acres: 'acre',
+    hectare: 'ha',
+    hectares: 'ha'
+};
+
+// Dimensionless units that are carried through unchanged
+const PASSTHROUGH_UNITS = new Set(['%', 'years', 'per year']);
+
+/**
+ * Unit used for display in each unit system, per dimension. `perMass` is the
+ * mass unit used as denominator in intensities.
+ */
+export const UNIT_SYSTEMS = {
+    SI: { energy: 'MJ', mass: 'kg', volume: 'L', distance: 'km', area: 'm2', perMass: 'kg' },
+    metric: { energy: 'kWh', mass: 'kg', volume: 'L', distance: 'km', area: 'm2', perMass: 't' },
+    US: { energy: 'kWh', mass: 'lb', volume: 'gal', distance: 'mi', area: 'ft2', perMass: 'ton' }
+};
+
+// preferences.display.numberFormat values mapped onto unit systems
+const NUMBER_FORMAT_SYSTEMS = {
+    US: 'US',
+    SI: 'SI',
+    metric: 'metric'
+};
+
+/**
+ * Looks up a simple (non-compound) unit symbol
+ * @param {string} symbol
+ * @returns {{symbol: string, dimension: string, factor: number}}
+ */
+function lookupSimple(symbol) {
+    const trimmed = symbol.trim().replace('²', '2').replace('³', '3');
+    const key = UNITS[trimmed] ? trimmed : ALIASES[trimmed] || ALIASES[trimmed.toLowerCase()];
+    if (!key || !UNITS[key]) {
+        throw new UnitError(`Unknown unit '${symbol}'`);
+    }
+    return { symbol: key, ...UNITS[key] };
+}
+
+/**
+ * Parses a unit such as 'kWh/t', 'kg CO2-eq' or 'm3 world-eq/kg'
+ * @param {string} unit
+ * @returns {object} { numerator, denominator, qualifier, dimension }
+ */
+export function parseUnit(unit) {
+    if (typeof unit !== 'string' || unit.trim() === '') {
+        throw new UnitError('Unit must be a non-empty string');
+    }
+
+    const [numeratorPart, denominatorPart, extra] = unit.replace(/₂/g, '2').split('/');
+    if (extra !== undefined) {
+        throw new UnitError(`Unit '${unit}' has more than one '/'`);
+    }
+
+    // '<base unit> <qualifier>', e.g. 'kg CO2-eq'
+    const qualifierMatch = /^\s*(\S+)\s+(\S+-eq)\s*$/.exec(numeratorPart);
+    const numerator = lookupSimple(qualifierMatch ? qualifierMatch[1] : numeratorPart);
+    const qualifier = qualifierMatch ? qualifierMatch[2] : null;
+    const denominator = denominatorPart !== undefined ? lookupSimple(denominatorPart) : null;
+
+    const numeratorDimension = qualifier ? `${numerator.dimension}:${qualifier}` : numerator.dimension;
+
+    return {
+        numerator,
+        denominator,
+        qualifier,
+        dimension: denominator ? `${numeratorDimension}/${denominator.dimension}` : numeratorDimension
+    };
+}
+
+/**
+ * Factor converting a parsed unit to canonical units
+ * @param {object} parsed - Result of parseUnit
+ * @returns {number}
+ */
+function canonicalFactor(parsed) {
+    return parsed.numerator.factor / (parsed.denominator ? parsed.denominator.factor : 1);
+}
+
+/**
+ * Converts a value between two units of the same dimension
+ * @param {number} value
+ * @param {string} from - Unit of the value
+ * @param {string} to - Target unit
+ * @returns {number}
+ */
+export function convert(value, from, to) {
+    if (from === to || (PASSTHROUGH_UNITS.has(from) && PASSTHROUGH_UNITS.has(to))) return value;
+
+    const source = parseUnit(from);
+    const target = parseUnit(to);
+    if (source.dimension !== target.dimension) {
+        throw new UnitError(`Cannot convert ${from} (${source.dimension}) to ${to} (${target.dimension})`);
+    }
+
+    return value * canonicalFactor(source) / canonicalFactor(target);
+}
+
+/**
+ * Checks that a unit is known and measures the same thing as another
+ * @param {string} unit
+ * @param {string} reference
+ * @returns {boolean}
+ */
+export function isCompatible(unit, reference) {
+    try {
+        convert(1, unit, reference);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Maps a user's numberFormat preference (or an explicit system name) onto a unit system
+ * @param {string} preference
+ * @returns {string} Key of UNIT_SYSTEMS
+ */
+export function resolveUnitSystem(preference) {
+    if (UNIT_SYSTEMS[preference]) return preference;
+    return NUMBER_FORMAT_SYSTEMS[preference] || 'metric';
+}
+
+/**
+ * Finds the display unit for a canonical unit in a unit system
+ * @param {string} canonicalUnit - Canonical unit, e.g. 'MJ/kg'
+ * @param {string} system - Key of UNIT_SYSTEMS
+ * @returns {string}
+ */
+export function displayUnit(canonicalUnit, system) {
+    if (!canonicalUnit || PASSTHROUGH_UNITS.has(canonicalUnit)) return canonicalUnit;
+
+    const units = UNIT_SYSTEMS[resolveUnitSystem(system)];
+    const parsed = parseUnit(canonicalUnit);
+
+    let numerator = units[parsed.numerator.dimension] || parsed.numerator.symbol;
+    // Water scarcity is conventionally reported in m3 world-eq
+    if (parsed.qualifier === 'world-eq') numerator = parsed.numerator.symbol;
+    if (parsed.qualifier) numerator = `${numerator} ${parsed.qualifier}`;
+
+    return parsed.denominator ? `${numerator}/${units.perMass}` : numerator;
+}
+
+/**
+ * Converts a canonical value for display in a unit system
+ * @param {number} value - Value in the canonical unit
+ * @param {string} canonicalUnit
+ * @param {string} system - Key of UNIT_SYSTEMS
+ * @returns {{value: number, unit: string}}
+ */
+export function toDisplay(value, canonicalUnit, system) {
+    const unit = displayUnit(canonicalUnit, system);
+    if (!Number.isFinite(value) || !unit) return { value, unit };
+    return { value: Number(convert(value, canonicalUnit, unit).toPrecision(6)), unit };
+}
+
+/**
+ * Reads a submitted quantity. Quantities may be plain numbers (in the
+ * field's default input unit) or objects of the form { value, unit }.
+ * @param {*} raw - Submitted value
+ * @param {string} defaultUnit - Unit assumed for plain numbers
+ * @returns {{value: *, unit: string}}
+ */
+export function readQuantity(raw, defaultUnit) {
+    if (raw && typeof raw === 'object' && !Array.isArray(raw) && 'value' in raw) {
+        return { value: raw.value, unit: raw.unit || defaultUnit };
+    }
+    return { value: raw, unit: defaultUnit };
+}
+
+/**
+ * Checks whether a value is a { value, unit } quantity object
+ * @param {*} raw
+ * @returns {boolean}
+ */
+export function isQuantity(raw) {
+    return Boolean(raw) && typeof raw === 'object' && !Array.isArray(raw) && 'value' in raw;
+}
+
+/**
+ * Resolves the unit system for a response: an explicit ?units= query
+ * parameter, then the user's numberFormat preference
+ * @param {object} req - Express request object
+ * @returns {string} Key of UNIT_SYSTEMS
+ */
+export function unitSystemFromRequest(req) {
+    const display = req.user && req.user.preferences && req.user.preferences.display;
+    return resolveUnitSystem(req.query.units || (display ? display.numberFormat : undefined));
+}
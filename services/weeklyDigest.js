@@ -0,0 +1,333 @@
+// src/services/weeklyDigest.js
+
+import DigestRun from '../models/DigestRun.js';
+import Report from '../models/Report.js';
+import User from '../models/User.js';
+import { TeamMember } from '../models/teamModel.js';
+import { IMPACT_METRICS, metricForDisplay, percentChange, perKgValue } from './impactMetrics.js';
+import { notify } from './notifications/index.js';
+import { appLink } from './notifications/config.js';
+import { can } from './permissions.js';
+import { accessibleReportsFilter, getTeamContext } from './reportAccess.js';
+import { addDays, isoWeekKey, isValidTimeZone, zonedParts, zonedTimeToUtc } from './timezones.js';
+import { resolveUnitSystem } from './units.js';
+
+// A run left 'compiling' this long is assumed to have died with its process
+const STALE_RUN_MS = 60 * 60 * 1000;
+
+// Users whose runs are looked up together
+const USER_BATCH_SIZE = 100;
+
+/**
+ * Reads a numeric environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function numberFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Digest settings from the environment
+ * @returns {object}
+ */
+export function getDigestConfig() {
+    return {
+        enabled: process.env.DIGEST_ENABLED !== 'false',
+        // Day (1 = Monday ... 7 = Sunday) and local hour the digest goes out
+        weekday: numberFromEnv('DIGEST_WEEKDAY', 1),
+        hour: numberFromEnv('DIGEST_SEND_HOUR', 8),
+        checkIntervalMs: numberFromEnv('DIGEST_CHECK_INTERVAL_MS', 15 * 60 * 1000),
+        maxAttempts: numberFromEnv('DIGEST_MAX_ATTEMPTS', 3),
+        // Notification transport for digests; the default transport when unset
+        transport: process.env.DIGEST_TRANSPORT || undefined
+    };
+}
+
+/**
+ * Timezone a user's digest is scheduled in
+ * @param {object} user
+ * @returns {string}
+ */
+function userTimeZone(user) {
+    const timeZone = user.preferences && user.preferences.display && user.preferences.display.timezone;
+    return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+}
+
+/**
+ * Works out the most recent digest period for a timezone: the seven local
+ * days before the latest send day, and whether its send time has passed
+ * @param {Date} now
+ * @param {string} timeZone - IANA name
+ * @param {object} [config] - { weekday, hour }, from getDigestConfig by default
+ * @returns {object} { periodKey, periodStart, periodEnd, previousStart, sendAt, due, periodLabel }
+ */
+export function digestSchedule(now, timeZone, config = getDigestConfig()) {
+    const today = zonedParts(now, timeZone);
+    const sendDay = addDays(today, -((today.weekday - config.weekday + 7) % 7));
+    const startDay = addDays(sendDay, -7);
+    const lastDay = addDays(sendDay, -1);
+    const format = day => `${day.year}-${String(day.month).padStart(2, '0')}-${String(day.day).padStart(2, '0')}`;
+
+    const sendAt = zonedTimeToUtc({ ...sendDay, hour: config.hour }, timeZone);
+    return {
+        periodKey: isoWeekKey(startDay),
+        periodStart: zonedTimeToUtc(startDay, timeZone),
+        periodEnd: zonedTimeToUtc(sendDay, timeZone),
+        previousStart: zonedTimeToUtc(addDays(sendDay, -14), timeZone),
+        sendAt,
+        due: now >= sendAt,
+        periodLabel: `${format(startDay)} to ${format(lastDay)}`
+    };
+}
+
+/**
+ * Averages one metric per kg over a set of reports
+ * @param {object[]} reports
+ * @param {string} field - Impact field
+ * @returns {number|null}
+ */
+function averagePerKg(reports, field) {
+    const values = reports
+        .filter(report => report.impacts)
+        .map(report => perKgValue(report.impacts, field))
+        .filter(Number.isFinite);
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Reports other people shared with the user that are waiting for approval,
+ * in every organization where the user may approve reports
+ * @param {object} user
+ * @returns {Promise<object[]>} [{ name, organization }]
+ */
+async function reportsAwaitingReview(user) {
+    const memberships = await TeamMember.find({ user: user._id, status: 'Active' })
+        .populate('organization', 'name');
+
+    const awaiting = [];
+    for (const membership of memberships) {
+        if (!membership.organization || !can(membership.role, 'reports:approve')) continue;
+
+        const teamContext = await getTeamContext(user, membership.organization._id);
+        const reports = await Report.find({
+            $and: [accessibleReportsFilter(user, teamContext), { status: 'completed', user: { $ne: user._id } }]
+        }).select('name').sort({ createdAt: 1 }).limit(20).lean();
+
+        reports.forEach(report => awaiting.push({ name: report.name, organization: membership.organization.name }));
+    }
+    return awaiting;
+}
+
+/**
+ * Collects what goes into a user's digest for a period
+ * @param {object} user - User with name and preferences
+ * @param {object} schedule - Result of digestSchedule
+ * @returns {Promise<object>} Template data for 'digest.weekly'
+ */
+export async function compileDigest(user, schedule) {
+    const unitSystem = resolveUnitSystem(user.preferences && user.preferences.display && user.preferences.display.numberFormat);
+    const select = 'name metalType impacts createdAt';
+
+    const [newReports, previousReports, awaitingReview] = await Promise.all([
+        Report.find({ user: user._id, createdAt: { $gte: schedule.periodStart, $lt: schedule.periodEnd } })
+            .select(select).sort({ createdAt: 1 }).lean(),
+        Report.find({ user: user._id, createdAt: { $gte: schedule.previousStart, $lt: schedule.periodStart } })
+            .select(select).lean(),
+        reportsAwaitingReview(user)
+    ]);
+
+    const metrics = IMPACT_METRICS
+        .map(metric => {
+            const current = averagePerKg(newReports, metric.field);
+            if (current === null) return null;
+
+            const previous = averagePerKg(previousReports, metric.field);
+            const shown = metricForDisplay(current, metric, unitSystem);
+            return {
+                label: metric.category,
+                current: shown.value,
+                previous: previous === null ? null : metricForDisplay(previous, metric, unitSystem).value,
+                change: percentChange(current, previous),
+                unit: shown.unit
+            };
+        })
+        .filter(Boolean);
+
+    return {
+        userName: user.name,
+        periodLabel: schedule.periodLabel,
+        newReports: newReports.map(report => ({ name: report.name, metalType: report.metalType })),
+        metrics,
+        awaitingReview,
+        dashboardUrl: appLink('/dashboard')
+    };
+}
+
+/**
+ * Takes ownership of a user's digest for a period. The unique index on
+ * (user, periodKey) means only one caller ever wins; failed or abandoned
+ * runs can be taken over while attempts remain.
+ * @param {object} user
+ * @param {object} schedule
+ * @param {string} timeZone
+ * @param {object} config
+ * @returns {Promise<object|null>} The claimed DigestRun, or null
+ */
+async function claimRun(user, schedule, timeZone, config) {
+    try {
+        return await DigestRun.create({
+            user: user._id,
+            periodKey: schedule.periodKey,
+            periodStart: schedule.periodStart,
+            periodEnd: schedule.periodEnd,
+            timezone: timeZone
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    return DigestRun.findOneAndUpdate(
+        {
+            user: user._id,
+            periodKey: schedule.periodKey,
+            attempts: { $lt: config.maxAttempts },
+            $or: [
+                { status: 'failed' },
+                { status: 'compiling', startedAt: { $lt: new Date(Date.now() - STALE_RUN_MS) } }
+            ]
+        },
+        { $set: { status: 'compiling', startedAt: new Date() }, $unset: { error: '' }, $inc: { attempts: 1 } },
+        { new: true }
+    );
+}
+
+/**
+ * Compiles and queues one user's digest, recording the outcome on the run
+ * @param {object} user
+ * @param {object} schedule
+ * @param {object} config
+ * @returns {Promise<string|null>} Final run status, or null if someone else owns the run
+ */
+export async function runDigestForUser(user, schedule, config = getDigestConfig()) {
+    const timeZone = userTimeZone(user);
+    const run = await claimRun(user, schedule, timeZone, config);
+    if (!run) return null;
+
+    try {
+        const data = await compileDigest(user, schedule);
+        run.summary = {
+            newReports: data.newReports.length,
+            metricsCompared: data.metrics.length,
+            awaitingReview: data.awaitingReview.length
+        };
+
+        if (data.newReports.length === 0 && data.awaitingReview.length === 0) {
+            run.status = 'skipped';
+            run.reason = 'Nothing to report';
+        } else {
+            const result = await notify({ template: 'digest.weekly', user, data, transport: config.transport });
+            if (result.queued) {
+                run.status = 'queued';
+                run.notification = result.notification._id;
+                run.transport = result.notification.transport || undefined;
+            } else {
+                run.status = 'skipped';
+                run.reason = result.reason;
+            }
+        }
+    } catch (error) {
+        console.error(`Error compiling weekly digest for user ${user._id}:`, error);
+        run.status = 'failed';
+        run.error = error.message;
+    }
+
+    run.completedAt = new Date();
+    await run.save();
+    return run.status;
+}
+
+/**
+ * Runs the digest for every opted-in user whose send time has passed and
+ * who has not had this week's digest yet
+ * @param {Date} [now]
+ * @returns {Promise<{checked: number, queued: number, skipped: number, failed: number}>}
+ */
+export async function runDueDigests(now = new Date()) {
+    const config = getDigestConfig();
+    const summary = { checked: 0, queued: 0, skipped: 0, failed: 0 };
+
+    const cursor = User.find({
+        'preferences.notifications.weeklyReports': { $ne: false },
+        'preferences.notifications.emailAlerts': { $ne: false }
+    }).select('name email preferences').cursor();
+
+    let batch = [];
+    const flush = async () => {
+        const due = batch
+            .map(user => ({ user, schedule: digestSchedule(now, userTimeZone(user), config) }))
+            .filter(entry => entry.schedule.due);
+        batch = [];
+        if (due.length === 0) return;
+
+        // Skip users whose digest for the period is already done, in one query
+        const runs = await DigestRun.find({
+            user: { $in: due.map(entry => entry.user._id) },
+            periodKey: { $in: [...new Set(due.map(entry => entry.schedule.periodKey))] }
+        }).select('user periodKey status attempts startedAt').lean();
+        const done = new Set(runs
+            .filter(run => run.status === 'queued' || run.status === 'skipped'
+                || run.attempts >= config.maxAttempts
+                || (run.status === 'compiling' && run.startedAt >= new Date(Date.now() - STALE_RUN_MS)))
+            .map(run => `${run.user}:${run.periodKey}`));
+
+        for (const { user, schedule } of due) {
+            if (done.has(`${user._id}:${schedule.periodKey}`)) continue;
+            summary.checked++;
+            const status = await runDigestForUser(user, schedule, config);
+            if (status && summary[status] !== undefined) summary[status]++;
+        }
+    };
+
+    for await (const user of cursor) {
+        batch.push(user);
+        if (batch.length >= USER_BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    return summary;
+}
+
+let running = false;
+
+/**
+ * Checks for due digests now and then on an interval
+ * @returns {NodeJS.Timeout|null} Interval handle (does not keep the process alive), null when disabled
+ */
+export function startDigestScheduler() {
+    const config = getDigestConfig();
+    if (!config.enabled) return null;
+
+    const tick = async () => {
+        // Skip a tick rather than overlap a slow run
+        if (running) return;
+        running = true;
+        try {
+            const summary = await runDueDigests();
+            if (summary.checked > 0) {
+                console.log('Weekly digest run:', summary);
+            }
+        } catch (error) {
+            console.error('Error running weekly digests:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    tick();
+    const timer = setInterval(tick, config.checkIntervalMs);
+    timer.unref();
+    return timer;
+}
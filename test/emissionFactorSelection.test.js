@@ -0,0 +1,115 @@
+// test/emissionFactorSelection.test.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { bundledCandidates, buildFactorSet, factorKey, resolveRegion } from '../services/emissionFactors/selection.js';
+
+const CANDIDATES = bundledCandidates();
+
+/**
+ * A stored factor overriding the bundled 2022 Australian grid mix
+ * @param {string} scope - 'platform' or 'organization'
+ * @param {number} gwp
+ * @returns {object} Candidate
+ */
+function australianGrid(scope, gwp) {
+    const factor = {
+        category: 'electricity',
+        activity: 'grid',
+        region: 'AU',
+        year: 2022,
+        name: `Electricity, Australia grid mix 2022 (${scope})`,
+        unit: 'kWh',
+        values: { gwp, ced: 9.5, ap: 0.0021, ep: 0.00018, water: 1.6 },
+        source: { title: 'Test' },
+        origin: 'custom',
+        scope
+    };
+    return { ...factor, key: factorKey(factor), revision: 1 };
+}
+
+describe('buildFactorSet', () => {
+    it('picks the latest grid mix of the region up to the reference year', () => {
+        const location = 'Pilbara, Western Australia';
+        const set = buildFactorSet(CANDIDATES, { energySource: 'grid', transportMode: 'truck', region: 'AU', year: 2023, location });
+
+        assert.equal(set.region, 'AU');
+        assert.equal(set.energy.key, 'electricity:grid:AU:2022');
+        assert.equal(set.energy.values.gwp, 0.55);
+        assert.deepEqual(set.assumptions, [
+            "Grid electricity for mining location 'Pilbara, Western Australia' uses Electricity, Australia grid mix 2022."
+        ]);
+
+        const older = buildFactorSet(CANDIDATES, { energySource: 'grid', transportMode: 'truck', region: 'AU', year: 2020 });
+        assert.equal(older.energy.key, 'electricity:grid:AU:2019');
+        assert.equal(older.energy.values.gwp, 0.66);
+    });
+
+    it('falls back to global factors where the region has none', () => {
+        const set = buildFactorSet(CANDIDATES, { energySource: 'grid', transportMode: 'ship', region: 'GLO', year: 2023, location: 'Atlantis' });
+
+        assert.equal(set.energy.key, 'electricity:grid:GLO:any');
+        assert.equal(set.energy.values.gwp, 0.48);
+        assert.equal(set.transport.key, 'transport:ship:GLO:any');
+        assert.deepEqual(set.assumptions, [
+            "No grid mix for mining location 'Atlantis'; using Electricity, global average grid mix."
+        ]);
+    });
+
+    it('keeps use-phase energy on the global grid', () => {
+        const set = buildFactorSet(CANDIDATES, { energySource: 'coal', transportMode: 'rail', region: 'CL', year: 2023, location: 'Atacama' });
+
+        assert.equal(set.energy.key, 'electricity:coal:GLO:any');
+        assert.equal(set.useEnergy.key, 'electricity:grid:GLO:any');
+        assert.equal(set.useEnergy.role, 'useEnergy');
+        // Only grid electricity depends on the location
+        assert.deepEqual(set.assumptions, []);
+    });
+
+    it('prefers organization factors over platform ones over the bundled dataset', () => {
+        const options = { energySource: 'grid', transportMode: 'truck', region: 'AU', year: 2023 };
+
+        const platform = buildFactorSet([...CANDIDATES, australianGrid('platform', 0.5)], options);
+        assert.equal(platform.energy.values.gwp, 0.5);
+        assert.equal(platform.energy.origin, 'custom');
+
+        const organization = buildFactorSet(
+            [...CANDIDATES, australianGrid('organization', 0.45), australianGrid('platform', 0.5)],
+            options
+        );
+        assert.equal(organization.energy.values.gwp, 0.45);
+    });
+
+    it('reuses pinned factors while the region is unchanged', () => {
+        const options = { energySource: 'grid', transportMode: 'truck', region: 'AU', year: 2023 };
+        const first = buildFactorSet(CANDIDATES, options);
+        const pinned = { region: 'AU', library: [first.energy, first.useEnergy, first.transport] };
+
+        // The library changed since the report was calculated
+        const edited = [...CANDIDATES, australianGrid('platform', 0.5)];
+
+        const same = buildFactorSet(edited, { ...options, pinned });
+        assert.equal(same.energy.values.gwp, 0.55);
+
+        const moved = buildFactorSet(edited, { ...options, region: 'CL', pinned });
+        assert.equal(moved.energy.key, 'electricity:grid:CL:2022');
+        assert.equal(moved.useEnergy, first.useEnergy);
+    });
+
+    it('throws when no factor exists for an activity', () => {
+        assert.throws(
+            () => buildFactorSet(CANDIDATES, { energySource: 'grid', transportMode: 'teleport', region: 'GLO', year: 2023 }),
+            /No transport emission factor for 'teleport'/
+        );
+    });
+});
+
+describe('resolveRegion', () => {
+    it('finds the country of a free-text location', () => {
+        assert.equal(resolveRegion('CL'), 'CL');
+        assert.equal(resolveRegion('Pilbara, Western Australia'), 'AU');
+        assert.equal(resolveRegion('New South Wales'), 'AU');
+        assert.equal(resolveRegion('Atlantis'), 'GLO');
+        assert.equal(resolveRegion(undefined), 'GLO');
+    });
+});
@@ -0,0 +1,104 @@
+// test/lcaCalculator.test.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateImpacts, METHOD_VERSION } from '../services/lcaCalculator.js';
+
+// Inputs in canonical units. With the bundled global grid (0.48 kg CO2-eq,
+// 9.5 MJ, 1.6 L per kWh) and truck (0.105 kg CO2-eq per tonne-km) factors:
+// mining 36 MJ/kg = 10 kWh/kg, processing 18 MJ/kg = 5 kWh/kg, use 3.6 MJ/kg
+// = 1 kWh/kg, 1000 km by truck = 1 tonne-km/kg.
+const FORM_DATA = {
+    metalType: 'Copper',
+    energySource: 'Grid',
+    transportMode: 'Truck',
+    energyConsumptionMining: 36,
+    waterConsumptionMining: 100,
+    energyConsumptionProcessing: 18,
+    recoveryRate: 80,
+    recycledInputRate: 20,
+    transportDistances: { mineToSmelter: 400, smelterToCustomer: 600 },
+    energyConsumptionUse: 3.6
+};
+
+describe('calculateImpacts', () => {
+    it('calculates fixed inputs per kg of metal', () => {
+        const impacts = calculateImpacts(FORM_DATA);
+
+        assert.deepEqual(impacts.perKg, {
+            globalWarmingPotential: 7.785,
+            waterScarcityFootprint: 5.41336,
+            cumulativeEnergyDemand: 153.55,
+            acidificationPotential: 0.03405,
+            eutrophicationPotential: 0.00299
+        });
+        assert.equal(impacts.globalWarmingPotential, 7.785);
+        assert.equal(impacts.referenceFlowKg, 1);
+        assert.equal(impacts.methodVersion, METHOD_VERSION);
+        assert.deepEqual(impacts.assumptions, []);
+    });
+
+    it('breaks the result down by stage', () => {
+        const { byStage } = calculateImpacts(FORM_DATA);
+
+        // 20% recycled feed at 80% recovery: (1 - 0.2) / 0.8 = 1 kg of virgin feed
+        assert.equal(byStage['Raw Material'].globalWarmingPotential, 4.8);
+        // (100 L + 10 kWh * 1.6 L) / 1000 * 43.1 AWARE factor
+        assert.equal(byStage['Raw Material'].waterScarcityFootprint, 4.9996);
+        assert.equal(byStage['Processing'].globalWarmingPotential, 2.4);
+        assert.equal(byStage['Manufacturing'].globalWarmingPotential, 0);
+        assert.equal(byStage['Distribution'].globalWarmingPotential, 0.105);
+        assert.equal(byStage['Use Phase'].globalWarmingPotential, 0.48);
+    });
+
+    it('scales totals and stages to the functional unit', () => {
+        const impacts = calculateImpacts(FORM_DATA, { description: '1 t of metal', quantity: 1, unit: 't' });
+
+        assert.equal(impacts.referenceFlowKg, 1000);
+        assert.equal(impacts.basis, 'per 1 t of metal');
+        assert.equal(impacts.globalWarmingPotential, 7785);
+        assert.equal(impacts.cumulativeEnergyDemand, 153550);
+        assert.equal(impacts.perKg.globalWarmingPotential, 7.785);
+        assert.equal(impacts.byStage['Raw Material'].globalWarmingPotential, 4800);
+    });
+
+    it('mines more ore per kg as recovery falls and less as recycled input rises', () => {
+        const stage = formData => calculateImpacts({ ...FORM_DATA, ...formData }).byStage['Raw Material'].globalWarmingPotential;
+
+        assert.equal(stage({ recoveryRate: 50, recycledInputRate: 0 }), 9.6);
+        assert.equal(stage({ recoveryRate: 100, recycledInputRate: 75 }), 1.2);
+    });
+
+    it('uses the factors of the named energy source', () => {
+        const impacts = calculateImpacts({ ...FORM_DATA, energySource: 'Coal-fired plant' });
+
+        assert.equal(impacts.factors.energySource, 'coal');
+        assert.equal(impacts.byStage['Processing'].globalWarmingPotential, 5.25);
+        // Use-phase energy stays on the grid
+        assert.equal(impacts.byStage['Use Phase'].globalWarmingPotential, 0.48);
+    });
+
+    it('records the defaults it assumes for missing inputs', () => {
+        const impacts = calculateImpacts({});
+
+        assert.equal(impacts.globalWarmingPotential, 0);
+        assert.equal(impacts.factors.energySource, 'grid');
+        assert.equal(impacts.factors.transportMode, 'truck');
+        assert.deepEqual(impacts.assumptions, [
+            'No energy source given; using grid electricity factors.',
+            'No transport mode given; assuming truck.',
+            'No recovery rate given; assuming 100% recovery.'
+        ]);
+    });
+
+    it('rejects a 0% recovery rate', () => {
+        assert.throws(
+            () => calculateImpacts({ ...FORM_DATA, recoveryRate: 0 }),
+            /recoveryRate must be more than 0 %/
+        );
+    });
+
+    it('rejects an invalid functional unit', () => {
+        assert.throws(() => calculateImpacts(FORM_DATA, { quantity: -1, unit: 'kg' }));
+    });
+});
@@ -0,0 +1,101 @@
+// test/totp.test.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+    TOTP_PERIOD_SECONDS,
+    base32Decode,
+    base32Encode,
+    generateCode,
+    generateSecret,
+    timeStep,
+    verifyCode
+} from '../services/totp.js';
+
+// RFC 6238 appendix B: the SHA-1 seed is the ASCII string '12345678901234567890'
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+// Time (seconds) and the RFC's 8-digit code; 6-digit codes are its last six digits
+const RFC_VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+];
+
+describe('base32', () => {
+    it('encodes the RFC 4648 test vectors without padding', () => {
+        assert.equal(base32Encode(Buffer.from('')), '');
+        assert.equal(base32Encode(Buffer.from('f')), 'MY');
+        assert.equal(base32Encode(Buffer.from('fooba')), 'MZXW6YTB');
+        assert.equal(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+        assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    });
+
+    it('round-trips any bytes', () => {
+        for (const length of [0, 1, 5, 19, 20, 33]) {
+            const bytes = crypto.randomBytes(length);
+            assert.deepEqual(base32Decode(base32Encode(bytes)), bytes);
+        }
+        assert.equal(base32Decode(generateSecret()).length, 20);
+    });
+
+    it('decodes ignoring case, spaces and padding', () => {
+        assert.equal(base32Decode('mzxw 6ytb oi======').toString(), 'foobar');
+    });
+
+    it('rejects characters outside the alphabet', () => {
+        assert.throws(() => base32Decode('MZXW1'), /Invalid base32 character '1'/);
+    });
+});
+
+describe('generateCode', () => {
+    it('matches the RFC 6238 SHA-1 test vectors', () => {
+        for (const [seconds, code] of RFC_VECTORS) {
+            assert.equal(generateCode(RFC_SECRET, timeStep(seconds * 1000)), code.slice(-6), `at T=${seconds}`);
+        }
+    });
+});
+
+describe('verifyCode', () => {
+    const time = 1111111111 * 1000;
+    const step = timeStep(time);
+
+    it('returns the time step of a matching code', () => {
+        assert.equal(verifyCode(RFC_SECRET, '050471', time), step);
+        assert.equal(verifyCode(RFC_SECRET, '050 471', time), step);
+    });
+
+    it('accepts a code from one step either side and returns that step', () => {
+        const previous = generateCode(RFC_SECRET, step - 1);
+        const next = generateCode(RFC_SECRET, step + 1);
+
+        assert.equal(verifyCode(RFC_SECRET, previous, time), step - 1);
+        assert.equal(verifyCode(RFC_SECRET, next, time), step + 1);
+    });
+
+    it('refuses a code from the last step used or an earlier one', () => {
+        const code = generateCode(RFC_SECRET, step);
+        const used = verifyCode(RFC_SECRET, code, time);
+        assert.equal(used, step);
+
+        // Replayed within the drift window, in the same step and the next
+        assert.equal(verifyCode(RFC_SECRET, code, time, used), null);
+        assert.equal(verifyCode(RFC_SECRET, code, time + TOTP_PERIOD_SECONDS * 1000, used), null);
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), time, used), null);
+
+        // The next step's code is still accepted
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), time, used), step + 1);
+    });
+
+    it('refuses codes outside the drift window and malformed codes', () => {
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), time), null);
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), time), null);
+        assert.equal(verifyCode(RFC_SECRET, '12345', time), null);
+        assert.equal(verifyCode(RFC_SECRET, 'abcdef', time), null);
+        assert.equal(verifyCode(RFC_SECRET, undefined, time), null);
+    });
+});
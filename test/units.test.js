@@ -0,0 +1,58 @@
+// test/units.test.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { convert, UnitError } from '../services/units.js';
+
+/**
+ * Asserts two numbers are equal to within floating-point error
+ * @param {number} actual
+ * @param {number} expected
+ */
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * 1e-12, `expected ${actual} to be ${expected}`);
+}
+
+describe('convert', () => {
+    it('converts the form input units to canonical units', () => {
+        assertClose(convert(1000, 'kWh/t', 'MJ/kg'), 3.6);
+        assertClose(convert(500, 'L/t', 'L/kg'), 0.5);
+        assertClose(convert(250, 'm2/t', 'm2/kg'), 0.25);
+        assertClose(convert(40, 'kg/t', 'kg/kg'), 0.04);
+    });
+
+    it('converts simple units', () => {
+        assertClose(convert(2, 'm3', 'L'), 2000);
+        assertClose(convert(10, 'lb', 'kg'), 4.5359237);
+        assertClose(convert(1, 'mi', 'km'), 1.609344);
+        assertClose(convert(1, 'MWh', 'GJ'), 3.6);
+    });
+
+    it('reads aliases and superscripts', () => {
+        assertClose(convert(3, 'tonnes', 'kg'), 3000);
+        assertClose(convert(1, 'm³/t', 'L/kg'), 1);
+        assertClose(convert(1, 'hectare', 'm2'), 10000);
+    });
+
+    it('keeps the qualifier of emission units', () => {
+        assertClose(convert(3200, 'kg CO2-eq/t', 'kg CO2-eq/kg'), 3.2);
+        assertClose(convert(1, 'kg CO₂-eq', 'g CO2-eq'), 1000);
+    });
+
+    it('passes dimensionless units through unchanged', () => {
+        assert.equal(convert(85, '%', '%'), 85);
+        assert.equal(convert(20, 'years', 'years'), 20);
+    });
+
+    it('rejects conversions between dimensions', () => {
+        assert.throws(() => convert(1, 'kWh/t', 'L/kg'), UnitError);
+        assert.throws(() => convert(1, 'kg CO2-eq', 'kg SO2-eq'), UnitError);
+        assert.throws(() => convert(1, 'kg', 'kg/t'), UnitError);
+    });
+
+    it('rejects unknown and malformed units', () => {
+        assert.throws(() => convert(1, 'furlong', 'km'), UnitError);
+        assert.throws(() => convert(1, 'kWh/t/kg', 'MJ/kg'), UnitError);
+        assert.throws(() => convert(1, '', 'kg'), UnitError);
+    });
+});